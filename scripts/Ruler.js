@@ -29,15 +29,29 @@ import {
 import {
   elevateSegments,
   calculatePathPointsForSegment,
-  constructPathfindingSegments } from "./segments.js";
+  constructPathfindingSegments,
+  numDiagonalBeforeLastSegment } from "./segments.js";
 import { movementTypeForTokenAt } from "./token_hud.js";
 import {
   highlightLineRectangle,
   basicTextLabel,
   customizedTextLabel } from "./segment_labels_highlighting.js";
-import { tokenSpeedSegmentSplitter } from "./token_speed.js";
+import { tokenSpeedSegmentSplitter, movementBudget, truncateSegmentsAtCost } from "./token_speed.js";
 import { log, roundMultiple } from "./util.js";
 import { MovePenalty } from "./measurement/MovePenalty.js";
+import { trackOpportunityAttacks, threatAreasForToken, provokingPoints } from "./opportunity_attacks.js";
+import { optimizeWaypointOrder } from "./waypoint_order.js";
+import { usesGroupRoutes, followerRoutes, previewFollowerRoutes, followerSegments } from "./group_movement.js";
+import {
+  markBlockedSegments,
+  newObstacleFraction,
+  lastSafePoint,
+  repathPoints,
+  remainingLegSegments,
+  markRepathedSegments,
+  wasRepathed } from "./repathing.js";
+import { chooseRoute, searchAlternativeRoutes } from "./alternative_routes.js";
+import { WallTracerEdge } from "./pathfinding/WallTracer.js";
 import { GridCoordinates3d } from "./geometry/3d/GridCoordinates3d.js";
 import { RegionMovementWaypoint3d } from "./geometry/3d/RegionMovementWaypoint3d.js";
 
@@ -373,8 +387,9 @@ function _getMeasurementSegments(wrapped) {
     // If currently pathfinding, set path for the last segment, overriding any prior path.
     // Pathfinding when: the pathfinding icon is enabled or the temporary toggle key is held.
     // TODO: Pathfinding should account for region elevation changes and handle flying/burrowing.
-    pathPoints = calculatePathPointsForSegment(lastSegment, token);
-  }
+    const numPrevDiagonal = numDiagonalBeforeLastSegment(segments, segmentMap, token);
+    pathPoints = chooseRoute(this, lastSegment, calculatePathPointsForSegment(lastSegment, token, { numPrevDiagonal }));
+  } else this._alternativeRoutes = undefined;
 
   if ( OTHER_MODULES.TERRAIN_MAPPER.ACTIVE ) {
     const t0 = performance.now();
@@ -424,6 +439,10 @@ function _getMeasurementSegments(wrapped) {
   const newSegments = constructPathfindingSegments(segments, segmentMap);
   const t3 = performance.now();
   log(`${newSegments.length} segments processed in ${t3-t2} ms.`);
+
+  // Find a separate path for each other controlled token, shown as a ghost of the ruler.
+  // Only routed to the placed waypoints, so each follower is not searched again whenever the destination moves.
+  this._followerRoutes = usesGroupRoutes(this) ? previewFollowerRoutes(this, newSegments) : undefined;
   if ( CONFIG[MODULE_ID].debug ) console.groupEnd(`${MODULE_ID}|_getMeasurementSegments`);
   return newSegments;
 }
@@ -464,7 +483,11 @@ function _computeDistance(wrapped) {
   let waypointDistance = 0;
   let waypointCost = 0;
   let waypointOffsetDistance = 0;
+  let waypointHazards = new Set();
+  let waypointAttacks = 0;
+  let waypointDoors = new Set();
   let currWaypointIdx = -1;
+  const threatAreas = trackOpportunityAttacks(this.token) ? threatAreasForToken(this.token) : [];
 
   for ( let i = 0; i < this.segments.length; i++ ) {
     const segment = this.segments[i];
@@ -486,7 +509,24 @@ function _computeDistance(wrapped) {
       waypointDistance = 0;
       waypointCost = 0;
       waypointOffsetDistance = 0;
+      waypointHazards = new Set();
+      waypointAttacks = 0;
+      waypointDoors = new Set();
     }
+    segment.provokingPoints = [];
+    segment.doorsToOpen = [];
+    if ( !segment.history ) {
+      const A = Point3d.fromObject(segment.ray.A);
+      const B = Point3d.fromObject(segment.ray.B);
+      for ( const hazard of this._movePenaltyInstance?.hazardsForSegment(A, B) ?? [] ) waypointHazards.add(hazard);
+      segment.provokingPoints = provokingPoints(threatAreas, A, B)
+        .map(({ point, token }) => ({ x: point.x, y: point.y, tokenId: token.id }));
+      segment.doorsToOpen = WallTracerEdge.closedDoorsAlongSegment(A, B).map(wall => wall.id);
+      for ( const id of segment.doorsToOpen ) waypointDoors.add(id);
+    }
+    segment.waypoint.hazards = waypointHazards;
+    segment.waypoint.opportunityAttacks = waypointAttacks += segment.provokingPoints.length;
+    segment.waypoint.doorsToOpen = waypointDoors.size;
     segment.waypoint.distance = waypointDistance += segment.distance;
     segment.waypoint.cost = waypointCost += segment.cost;
     segment.waypoint.offsetDistance = waypointOffsetDistance += segment.offsetDistance;
@@ -494,6 +534,15 @@ function _computeDistance(wrapped) {
       segment.waypoint.elevationIncrement = userElevationChangeAtWaypoint(this.waypoints[currWaypointIdx]);
     }
   }
+
+  // Find where the token's remaining movement runs out, if the user limits the move to it.
+  const limit = movementBudget(this.token);
+  this._movementBudget = undefined;
+  if ( limit ) {
+    const mp = this._movePenaltyInstance ??= new MovePenalty(this.token);
+    this._movementBudget = truncateSegmentsAtCost(this.segments, limit.budget, this.token, mp);
+    if ( this._movementBudget ) this._movementBudget.speedCategory = limit.speedCategory;
+  }
 }
 
 /**
@@ -540,7 +589,7 @@ function _getSegmentLabel(wrapped, segment) {
   this.totalDistance = this.totalCost;
 
   // Issue #214 and GURPS PR.
-  const origLabel = game.system.id === "gurps" ? wrapped(segment, this.totalDistance) : wrapped(segment);
+  let origLabel = game.system.id === "gurps" ? wrapped(segment, this.totalDistance) : wrapped(segment);
   segment.distance = origSegmentDistance;
   this.totalDistance = origTotalDistance;
 
@@ -552,10 +601,131 @@ function _getSegmentLabel(wrapped, segment) {
 
   if ( !segment.label.style.fontFamily.includes("fontAwesome") ) segment.label.style.fontFamily += ",fontAwesome";
 
+  // Explain why pathfinding did not find a path, if known.
+  if ( segment.pathfindingNote ) origLabel += `\n${segment.pathfindingNote}`;
+
+  // Warn if the move to this waypoint crosses a hazard.
+  if ( segment.waypoint.hazards?.size ) {
+    const names = [...segment.waypoint.hazards].map(h => h.document.name || h.document.text || h.document.id);
+    origLabel += `\n${game.i18n.format(`${MODULE_ID}.crossesHazard`, { names: names.join(", ") })}`;
+  }
+
+  // Count the opportunity attacks provoked by the move to this waypoint.
+  const count = segment.waypoint.opportunityAttacks;
+  if ( count ) origLabel += `\n${game.i18n.format(`${MODULE_ID}.opportunityAttacks`, { count })}`;
+
+  // Count the closed doors opened by the move to this waypoint.
+  const doors = segment.waypoint.doorsToOpen;
+  if ( doors ) origLabel += `\n${game.i18n.format(`${MODULE_ID}.doorsToOpen`, { count: doors })}`;
+
   if ( Settings.get(Settings.KEYS.LABELING.CUSTOMIZED) ) return customizedTextLabel(this, segment, origLabel);
   return basicTextLabel(this, segment, origLabel);
 }
 
+/**
+ * Wrap Ruler.prototype._drawMeasuredPath
+ * Draw a faint route for each other controlled token moving with the ruler token.
+ * Draw each alternative route not chosen faintly, labeled with its distance and cost.
+ * Mark where the token's remaining movement runs out, if the move is limited to it.
+ * Draw teleport segments, such as through a region portal, as dashed lines.
+ * Mark each point where the move provokes an opportunity attack with an X.
+ */
+function _drawMeasuredPath(wrapped) {
+  wrapped();
+  const r = this.ruler;
+  for ( const route of this._followerRoutes?.values() ?? [] ) {
+    r.lineStyle(3, this.color, 0.25);
+    for ( let i = 1; i < route.length; i += 1 ) {
+      if ( route[i].teleport ) drawDashedLine(r, route[i - 1], route[i]);
+      else r.moveTo(route[i - 1].x, route[i - 1].y).lineTo(route[i].x, route[i].y);
+    }
+  }
+
+  drawAlternativeRoutes(this);
+
+  const teleports = this.segments.filter(s => s.teleport);
+  if ( teleports.length ) {
+    r.lineStyle(3, this.color, 0.7);
+    teleports.forEach(s => drawDashedLine(r, s.ray.A, s.ray.B));
+  }
+
+  // Mark where the token's remaining movement runs out.
+  const budgetEnd = this._movementBudget?.endPoint;
+  if ( budgetEnd ) {
+    const radius = canvas.dimensions.size * 0.25;
+    const color = this._movementBudget.speedCategory?.color ?? this.color;
+    r.lineStyle(6, 0x000000, 0.5).drawCircle(budgetEnd.x, budgetEnd.y, radius);
+    r.lineStyle(3, color, 0.9).beginFill(color, 0.3).drawCircle(budgetEnd.x, budgetEnd.y, radius).endFill();
+  }
+
+  const size = canvas.dimensions.size * 0.2;
+  const drawX = ({ x, y }) => r
+    .moveTo(x - size, y - size).lineTo(x + size, y + size)
+    .moveTo(x + size, y - size).lineTo(x - size, y + size);
+  const points = this.segments.flatMap(s => s.provokingPoints ?? []);
+  if ( !points.length ) return;
+  r.lineStyle(6, 0x000000, 0.5);
+  points.forEach(drawX);
+  r.lineStyle(3, CONFIG[MODULE_ID].opportunityAttackColor, 0.9);
+  points.forEach(drawX);
+}
+
+/**
+ * Draw each alternative route that is not chosen as a faint line, labeled with its distance and cost.
+ * @param {Ruler} ruler
+ */
+function drawAlternativeRoutes(ruler) {
+  const labels = ruler._routeLabels;
+  labels?.removeChildren().forEach(l => l.destroy());
+  const routes = ruler._alternativeRoutes?.routes;
+  if ( !routes || routes.length < 2 ) return;
+  if ( !labels || labels.destroyed ) ruler._routeLabels = ruler.addChild(new PIXI.Container());
+
+  const r = ruler.ruler;
+  const units = canvas.scene.grid.units;
+  const style = CONFIG.canvasTextStyle.clone();
+  style.fontSize = Math.round(style.fontSize * 0.75);
+  routes.forEach((route, i) => {
+    if ( i === (ruler._routeChoice ?? 0) ) return;
+    const pts = route.points;
+    r.lineStyle(3, ruler.color, 0.3);
+    for ( let j = 1; j < pts.length; j += 1 ) {
+      if ( pts[j].teleport ) drawDashedLine(r, pts[j - 1], pts[j]);
+      else r.moveTo(pts[j - 1].x, pts[j - 1].y).lineTo(pts[j].x, pts[j].y);
+    }
+
+    const text = game.i18n.format(`${MODULE_ID}.alternativeRouteLabel`, {
+      number: i + 1,
+      distance: roundMultiple(route.distance).toNearest(0.1),
+      cost: roundMultiple(route.cost).toNearest(0.1),
+      units });
+    const label = ruler._routeLabels.addChild(new PreciseText(text, style));
+    const mid = pts[Math.floor(pts.length * 0.5)];
+    label.anchor.set(0.5, 0.5);
+    label.position.set(mid.x, mid.y);
+    label.alpha = 0.8;
+  });
+}
+
+/**
+ * Draw a dashed line from a to b using the current line style.
+ * @param {PIXI.Graphics} graphics
+ * @param {Point} a
+ * @param {Point} b
+ */
+function drawDashedLine(graphics, a, b) {
+  const dashLength = canvas.dimensions.size * 0.2;
+  const dist = PIXI.Point.distanceBetween(a, b);
+  const nDashes = Math.max(1, Math.floor(dist / (dashLength * 2)));
+  for ( let i = 0; i < nDashes; i += 1 ) {
+    const t0 = (i * 2 * dashLength) / dist;
+    const t1 = Math.min(1, ((i * 2) + 1) * dashLength / dist);
+    graphics
+      .moveTo(a.x + ((b.x - a.x) * t0), a.y + ((b.y - a.y) * t0))
+      .lineTo(a.x + ((b.x - a.x) * t1), a.y + ((b.y - a.y) * t1));
+  }
+}
+
 /**
  * Wrap Ruler.prototype._highlightMeasurementSegment
  * @param {RulerMeasurementSegment} segment
@@ -626,14 +796,39 @@ async function _animateMovement(wrapped, token) {
   this.segments.forEach((s, idx) => s.idx = idx);
 
   // _recalculateOffset.call(this, token);
-  const promises = [wrapped(token)];
+  // With group pathfinding, each other controlled token follows its own route.
+  // Ruler#_animateMovement reads the segments before it first waits, so they can be swapped for each token.
+  const routes = usesGroupRoutes(this) ? followerRoutes(this, this.segments) : undefined;
+  const promises = [];
+  const leaderSegments = this.segments;
+
+  // If limited by its remaining movement, the token only moves along the segments it can afford.
+  if ( this._movementBudget ) this.segments = this._movementBudget.segments;
+  try {
+    if ( this.segments.some(s => !s.history) ) {
+      markBlockedSegments(this, token);
+      promises.push(wrapped(token));
+    }
+  } finally {
+    this.segments = leaderSegments;
+  }
   for ( const controlledToken of canvas.tokens.controlled ) {
     if ( controlledToken === token ) continue;
-    if ( !(this.user.isGM || testMovement.call(this, controlledToken)) ) {
-      ui.notifications.error(`${game.i18n.localize("RULER.MovementNotAllowed")} for ${controlledToken.name}`);
-      continue;
+    const route = routes?.get(controlledToken);
+    if ( route ) {
+      if ( route.length < 2 ) continue; // The token stays where it is.
+      this.segments = followerSegments(this, route, controlledToken);
+    }
+    try {
+      if ( !(this.user.isGM || testMovement.call(this, controlledToken)) ) {
+        ui.notifications.error(`${game.i18n.localize("RULER.MovementNotAllowed")} for ${controlledToken.name}`);
+        continue;
+      }
+      markBlockedSegments(this, controlledToken);
+      promises.push(wrapped(controlledToken));
+    } finally {
+      this.segments = leaderSegments;
     }
-    promises.push(wrapped(controlledToken));
   }
   if ( game.combat?.active && Settings.get(Settings.KEYS.MEASURING.COMBAT_HISTORY) ) {
     token[MODULE_ID] ??= {};
@@ -707,8 +902,14 @@ function _createMeasurementHistory(wrapped) {
 function _canMove(wrapper, token) {
   if ( this.user.isGM ) return true;
   if ( token.document?.allowPlayerMove && token.document.allowPlayerMove() ) return true; // Move-that-for-you module. See issue #241.
-  const baseCanMove = wrapper(token);
-  if ( !baseCanMove) return false;
+
+  // Doors the token will open along the way do not block the move.
+  // The core test fails on any wall, so check the same permissions here and test collisions below instead.
+  const doorIds = opensDoors(this.user) ? new Set(this.segments.flatMap(s => s.doorsToOpen ?? [])) : new Set();
+  if ( doorIds.size ) {
+    if ( !token.document.canUserModify(game.user, "update") ) throw new Error("RULER.MovementNotAllowed");
+    if ( token.document.locked ) throw new Error("RULER.MovementLocked");
+  } else if ( !wrapper(token) ) return false;
 
   // Adjust each segment for the difference from the original token position.
   // Important when dragging multiple tokens.
@@ -723,7 +924,7 @@ function _canMove(wrapper, token) {
     const adjustedDestination = {x: Math.round(r.B.x + dx), y: Math.round(r.B.y + dy)};
     const a = token.getCenterPoint({x, y});
     const b = token.getCenterPoint(adjustedDestination);
-    if ( token.checkCollision(b, {origin: a, type: "move", mode: "any"}) ) {
+    if ( collidesExceptDoors(token, a, b, doorIds) ) {
       throw new Error("RULER.MovementCollision");
       return false;
     }
@@ -731,7 +932,46 @@ function _canMove(wrapper, token) {
     y = adjustedDestination.y;
   }
 
-  return baseCanMove;
+  return true;
+}
+
+/**
+ * Should the token open closed doors along the ruler path as it reaches them?
+ * Players cannot open doors while the game is paused.
+ * @param {User} user     User moving the token
+ * @returns {boolean}
+ */
+function opensDoors(user) {
+  const { DOORS, DOORS_CHOICES } = Settings.KEYS.PATHFINDING;
+  return Settings.get(DOORS) === DOORS_CHOICES.OPEN && (user.isGM || !game.paused);
+}
+
+/**
+ * Test whether a token move collides with any wall other than the given doors.
+ * @param {Token} token
+ * @param {Point} a               Center of the token at the start of the move
+ * @param {Point} b               Center of the token at the end of the move
+ * @param {Set<string>} doorIds   Ids of door walls to ignore
+ * @returns {boolean}
+ */
+function collidesExceptDoors(token, a, b, doorIds) {
+  if ( !doorIds.size ) return token.checkCollision(b, {origin: a, type: "move", mode: "any"});
+  const collisions = token.checkCollision(b, {origin: a, type: "move", mode: "all"});
+  return collisions.some(c => [...c.edges].some(edge => !doorIds.has(edge.object?.id)));
+}
+
+/**
+ * Open the closed doors along a ruler segment.
+ * @param {RulerMeasurementSegment} segment
+ * @returns {Promise}
+ */
+async function openDoorsForSegment(segment) {
+  const CLOSED = WallTracerEdge.DOOR_STATES.CLOSED;
+  const updates = (segment.doorsToOpen ?? [])
+    .map(id => canvas.walls.get(id))
+    .filter(wall => wall && WallTracerEdge.doorState(wall) === CLOSED)
+    .map(wall => ({ _id: wall.id, ds: CONST.WALL_DOOR_STATES.OPEN }));
+  if ( updates.length ) await canvas.scene.updateEmbeddedDocuments("Wall", updates);
 }
 
 /**
@@ -741,6 +981,14 @@ function _canMove(wrapper, token) {
  * Mark the token update if pathfinding for this segment.
  */
 async function _animateSegment(wrapped, token, segment, destination, updateOptions = {}) {
+  // A new path around an obstacle already took the token to the end of this segment's waypoint leg.
+  // Ruler#_animateMovement expects the token at the destination of each segment, so report where it is.
+  if ( wasRepathed(token, segment) ) {
+    destination.x = token.document._source.x;
+    destination.y = token.document._source.y;
+    return;
+  }
+
   log(`Updating ${token.name} destination from ({${token.document.x},${token.document.y}) to (${destination.x},${destination.y}) for segment (${segment.ray.A.x},${segment.ray.A.y})|(${segment.ray.B.x},${segment.ray.B.y})`);
   destination.elevation = roundMultiple(CONFIG.GeometryLib.utils.pixelsToGridUnits(segment.ray.B.z));
 
@@ -750,19 +998,95 @@ async function _animateSegment(wrapped, token, segment, destination, updateOptio
   if ( this.token !== token ) diffE = token.elevationE - origE;
   destination.elevation += diffE;
 
+  // Open doors along this segment before the token reaches them.
+  if ( opensDoors(this.user) ) await openDoorsForSegment(segment);
+
   foundry.utils.mergeObject(updateOptions, {
     rulerSegment: this.segments.length > 1,
     firstRulerSegment: segment.first,
     lastRulerSegment: segment.last
   });
 
-  const res = await wrapped(token, segment, destination, updateOptions);
+  // A token moving only as far as its movement allows, or following its own route in a group move,
+  // is charged the cost and diagonals of that route.
+  if ( Object.hasOwn(segment, "routeCost") ) updateOptions.routeCost = segment.routeCost;
+  if ( Object.hasOwn(segment, "routeNumDiagonal") ) updateOptions.routeNumDiagonal = segment.routeNumDiagonal;
+
+  // If something now blocks the segment, stop or take a new path to the end of the waypoint leg instead.
+  // If stopped, Ruler#_animateMovement then stops, because the token is not at the segment destination.
+  const res = await moveAroundNewObstacle.call(this, wrapped, token, segment, destination, updateOptions)
+    || await wrapped(token, segment, destination, updateOptions);
 
   // Revert to the original destination.
   destination.elevation -= diffE;
   return res;
 }
 
+/**
+ * Helper for _animateSegment. Must use "call" or "bind" to bind it to the Ruler instance.
+ * If an obstacle now blocks the segment that did not when the move started, find a new path to the end of
+ * the segment's waypoint leg. The rest of the leg is skipped, and the move continues with the next leg.
+ * Failing that, move the token as far as it can go before the obstacle.
+ * @param {function} wrapped                      Ruler.prototype._animateSegment
+ * @param {Token} token
+ * @param {RulerMeasurementSegment} segment
+ * @param {object} destination                    Token position and elevation at the end of the segment
+ * @param {object} updateOptions
+ * @returns {Promise<boolean>} True if the segment was blocked and the token moved around it or stopped
+ */
+async function moveAroundNewObstacle(wrapped, token, segment, destination, updateOptions) {
+  const { gridUnitsToPixels, pixelsToGridUnits } = CONFIG.GeometryLib.utils;
+  const Point3d = CONFIG.GeometryLib.threeD.Point3d;
+  const { x, y, elevation } = token.document._source;
+  const a = Point3d.fromObject(token.getCenterPoint({ x, y }));
+  a.z = gridUnitsToPixels(elevation || 0);
+  const b = Point3d.fromObject(token.getCenterPoint(destination));
+  b.z = gridUnitsToPixels(destination.elevation || 0);
+  const t0 = newObstacleFraction(token, segment, a, b);
+  if ( typeof t0 === "undefined" ) return false;
+
+  // Token positions for its center, at the same offset from the ruler as this segment.
+  const dx = destination.x - b.x;
+  const dy = destination.y - b.y;
+  const positionAt = pt => ({
+    x: Math.round(pt.x + dx),
+    y: Math.round(pt.y + dy),
+    elevation: roundMultiple(pixelsToGridUnits(pt.z)) });
+  const B = segment.ray.B;
+  const leg = remainingLegSegments(token, segment);
+  const legEnd = leg.at(-1).ray.B;
+  const end = new Point3d(legEnd.x + (b.x - B.x), legEnd.y + (b.y - B.y), legEnd.z + (b.z - (B.z || 0)));
+
+  const path = repathPoints(token, a, end);
+  if ( path.length > 1 ) {
+    ui.notifications.info(game.i18n.format(`${MODULE_ID}.movementBlockedRerouted`, { name: token.name }));
+    for ( let i = 1, n = path.length; i < n; i += 1 ) {
+      const subSegment = {
+        ray: new Ray3d(path[i - 1], path[i]),
+        waypoint: segment.waypoint,
+        teleport: Boolean(path[i].teleport),
+        doorsToOpen: WallTracerEdge.closedDoorsAlongSegment(path[i - 1], path[i]).map(wall => wall.id)
+      };
+      if ( opensDoors(this.user) ) await openDoorsForSegment(subSegment);
+      await wrapped(token, subSegment, positionAt(path[i]), {
+        ...updateOptions,
+        firstRulerSegment: updateOptions.firstRulerSegment && i === 1,
+        lastRulerSegment: Boolean(leg.at(-1).last) && i === n - 1 });
+    }
+
+    // Continue with the next leg from where the new path ended.
+    markRepathedSegments(token, leg.slice(1));
+    destination.x = token.document._source.x;
+    destination.y = token.document._source.y;
+    return true;
+  }
+
+  ui.notifications.warn(game.i18n.format(`${MODULE_ID}.movementBlockedStopped`, { name: token.name }));
+  const safe = lastSafePoint(token, a, b, t0);
+  if ( !safe.almostEqual(a) ) await wrapped(token, segment, positionAt(safe), updateOptions);
+  return true;
+}
+
 
 // ----- NOTE: Event handling ----- //
 
@@ -773,6 +1097,13 @@ async function _animateSegment(wrapped, token, segment, destination, updateOptio
 function clear(wrapper) {
   log("-----Clearing movePenaltyInstance-----");
   delete this._movePenaltyInstance;
+  delete this._followerRoutes;
+  delete this._followerRoutesKey;
+  delete this._followerLegCache;
+  delete this._movementBudget;
+  delete this._alternativeRoutes;
+  delete this._routeChoice;
+  this._routeLabels?.removeChildren().forEach(l => l.destroy());
 
   // Remove the grandchildren, if any. Created by ruler label styles.
   this.labels.children.forEach(l => l.children.forEach(c => c.destroy()));
@@ -847,6 +1178,46 @@ function decrementElevation() {
   this._broadcastMeasurement();
 }
 
+/**
+ * Add Ruler.prototype.optimizeWaypoints
+ * Reorder the waypoints between the origin and the destination so the route visiting all of them costs the least.
+ * Uses pathfinding, if enabled, and movement penalties for the ruler token.
+ * @returns {boolean} False if the waypoints were not reordered
+ */
+function optimizeWaypoints() {
+  if ( !this.active || this.waypoints.length < 3 || !this.destination ) return false;
+  const Point3d = CONFIG.GeometryLib.threeD.Point3d;
+  const gridUnitsToPixels = CONFIG.GeometryLib.utils.gridUnitsToPixels;
+  const points = this.waypoints.map(w => new Point3d(w.x, w.y, gridUnitsToPixels(w.elevation || 0)));
+  const { x, y } = this.destination;
+  points.push(new Point3d(x, y, gridUnitsToPixels(this.destinationElevation || 0)));
+
+  const res = optimizeWaypointOrder(points, this.token, this.segments);
+  if ( !res ) {
+    ui.notifications.warn(game.i18n.localize(`${MODULE_ID}.optimizeWaypointsNoRoute`));
+    return false;
+  }
+  log(`optimizeWaypoints|Reordered waypoints to ${res.order} for a cost of ${res.cost}.`);
+  this.waypoints = [this.waypoints[0], ...res.order.map(i => this.waypoints[i])];
+  this.measure(this.destination, { force: true });
+  return true;
+}
+
+/**
+ * Add Ruler.prototype.cycleRoute
+ * Choose the next of the alternative routes for the last ruler segment.
+ * The alternatives are searched the first time this is called for the segment.
+ * @returns {boolean} False if there is no other route to choose
+ */
+function cycleRoute() {
+  if ( !this.active ) return false;
+  const nRoutes = searchAlternativeRoutes(this);
+  if ( nRoutes < 2 ) return false;
+  this._routeChoice = ((this._routeChoice ?? 0) + 1) % nRoutes;
+  this.measure(this.destination, { force: true });
+  return true;
+}
+
 /**
  * Add Ruler.prototype.moveWithoutAnimation
  * Move the token and stop the ruler measurement
@@ -878,6 +1249,7 @@ PATCHES.BASIC.WRAPS = {
   // Wraps related to segments
   _getCostFunction,
   _getSegmentLabel,
+  _drawMeasuredPath,
 
   // Events
   _onDragStart,
@@ -894,6 +1266,8 @@ PATCHES.SPEED_HIGHLIGHTING.WRAPS = { _highlightMeasurementSegment };
 PATCHES.BASIC.METHODS = {
   incrementElevation,
   decrementElevation,
+  optimizeWaypoints,
+  cycleRoute,
   teleport
 };
 
@@ -0,0 +1,79 @@
+/* globals
+canvas,
+CONFIG,
+game
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+// Patches for Scene configuration rendering, to set pathfinding options for the scene.
+
+import { MODULE_ID, TEMPLATES, FLAGS } from "./const.js";
+import { injectConfiguration } from "./util.js";
+import { Settings } from "./settings.js";
+import { Pathfinder } from "./pathfinding/pathfinding.js";
+import { SCENE_OPTIONS } from "./pathfinding/scene_options.js";
+
+export const PATCHES = {};
+PATCHES.BASIC = {};
+
+// ----- NOTE: Hooks ----- //
+
+/**
+ * Hook renderSceneConfig
+ * Add the pathfinding options for the scene to the basic tab.
+ * @param {Application} application     The Application instance being rendered
+ * @param {jQuery} html                 The inner HTML of the document that will be displayed and may be modified
+ * @param {object} data                 The object of data used when rendering the application
+ */
+async function renderSceneConfig(app, html, data) {
+  const template = TEMPLATES.SCENE_CONFIG;
+  const findString = "div.tab[data-tab='basic']";
+  addSceneConfigData(app, data);
+  await injectConfiguration(app, html, data, template, findString);
+}
+
+/**
+ * Hook updateScene
+ * Rebuild pathfinding for the viewed scene if its pathfinding options changed.
+ * @param {Document} document                       The existing Document which was updated
+ * @param {object} changed                          Differential data that was used to update the document
+ * @param {DocumentModificationContext} options     Additional options which modified the update request
+ * @param {string} userId                           The ID of the User who triggered the update workflow
+ */
+function updateScene(document, changed, _options, _userId) {
+  if ( document !== canvas.scene || !Settings.get(Settings.KEYS.PATHFINDING.ENABLE) ) return;
+  const flags = changed.flags?.[MODULE_ID];
+  if ( !flags || !Object.keys(flags).some(key => key.endsWith(FLAGS.SCENE.PATHFINDING)) ) return;
+  Settings.togglePathfinding(true);
+}
+
+PATCHES.BASIC.HOOKS = { renderSceneConfig, updateScene };
+
+/**
+ * Add the choices and current values for the pathfinding options to the template data.
+ * Values are strings so they match the select options; an empty string uses the profile or world setting.
+ * @param {SceneConfig} app
+ * @param {object} data
+ */
+function addSceneConfigData(app, data) {
+  const scene = app.document;
+  const flag = scene.getFlag(MODULE_ID, FLAGS.SCENE.PATHFINDING) ?? {};
+  const values = { profile: String(flag.profile ?? "") };
+  for ( const option of Object.values(SCENE_OPTIONS) ) values[option] = String(flag[option] ?? "");
+  const profiles = CONFIG[MODULE_ID].pathfindingProfiles;
+  const tokensBlockChoices = Settings.KEYS.PATHFINDING.TOKENS_BLOCK_CHOICES;
+  data[MODULE_ID] = {
+    values,
+    algorithm: scene.getFlag(MODULE_ID, FLAGS.SCENE.PATHFINDING_ALGORITHM) ?? "",
+    algorithmChoices: Pathfinder.ALGORITHM_LABELS,
+    profileChoices: Object.fromEntries(Object.entries(profiles).map(([key, profile]) => [key, profile.label])),
+    tokensBlockChoices: Object.fromEntries(Object.values(tokensBlockChoices)
+      .map(key => [key, `${MODULE_ID}.settings.${key}`])),
+    booleanChoices: {
+      true: `${MODULE_ID}.sceneconfig.enabled`,
+      false: `${MODULE_ID}.sceneconfig.disabled`
+    },
+    defaultLabel: game.i18n.localize(`${MODULE_ID}.sceneconfig.default`)
+  };
+}
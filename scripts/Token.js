@@ -45,7 +45,11 @@ function preUpdateToken(document, changes, _options, _userId) {
   let numDiagonal = 0;
   let combatMoveData = {};
   const ruler = canvas.controls.ruler;
-  if ( ruler.active && ruler.token === token ) {
+  if ( Number.isFinite(_options.routeCost) ) {
+    // Ruler move along only part of the ruler, or along its own route in a group move.
+    lastMoveDistance = _options.routeCost;
+    numDiagonal = _options.routeNumDiagonal ?? 0;
+  } else if ( ruler.active && ruler.token === token ) {
     // Ruler move
     lastMoveDistance = ruler.totalCost - ruler.history.reduce((acc, curr) => acc + curr.cost, 0);
     numDiagonal = ruler.totalDiagonals;
@@ -0,0 +1,197 @@
+/* globals
+canvas,
+CONFIG,
+PIXI
+*/
+"use strict";
+
+import { MODULE_ID } from "./const.js";
+import { Settings } from "./settings.js";
+import { Pathfinder } from "./pathfinding/pathfinding.js";
+import { pathCost } from "./waypoint_order.js";
+import { pathfindingOption, SCENE_OPTIONS } from "./pathfinding/scene_options.js";
+
+// Functions used to offer alternative routes for the last ruler segment, such as through a different doorway.
+// Each alternative is found by searching again, with moves through the triangles of the routes already found
+// made more costly. An alternative is kept only if it mostly crosses other triangles
+// and does not cost too much more than the best route.
+// Alternatives are searched only when the user first cycles routes for a segment, not on every ruler move.
+
+/**
+ * Most alternatives to offer, besides the best route.
+ * @type {number}
+ */
+const MAX_ALTERNATIVES = 2;
+
+/**
+ * Share of a route's triangles, by count, also crossed by an earlier route,
+ * above which the route is not meaningfully different.
+ * @type {number}
+ */
+const MAX_SHARED_TRIANGLES = 0.7;
+
+/**
+ * @typedef {object} AlternativeRoute
+ * @property {PIXI.Point[]} points    Path points for the route
+ * @property {number} cost            Cost of moving along the route, in grid units
+ * @property {number} distance        Distance along the route, in grid units
+ */
+
+/**
+ * Does the ruler look for alternative routes?
+ * Only searches that count cost can be steered away from earlier routes.
+ * @returns {boolean}
+ */
+export function alternativeRoutesEnabled() {
+  return Settings.get(Settings.KEYS.PATHFINDING.ALTERNATIVE_ROUTES)
+    && !Pathfinder.useGridSearch
+    && Boolean(Pathfinder.CAPABILITIES[Pathfinder.selectedAlgorithm]?.costAware);
+}
+
+/**
+ * Choose the path for the last ruler segment from the best path and any alternatives already found.
+ * When the segment changes, only the best path is kept until alternatives are searched again.
+ * @param {Ruler} ruler
+ * @param {RulerMeasurementSegment} segment     Last ruler segment
+ * @param {PIXI.Point[]} pathPoints             Best path found for the segment
+ * @returns {PIXI.Point[]} Path points for the chosen route
+ */
+export function chooseRoute(ruler, segment, pathPoints) {
+  if ( pathPoints.length < 3 || !ruler.token || !alternativeRoutesEnabled() ) {
+    ruler._alternativeRoutes = undefined;
+    return pathPoints;
+  }
+  const Point3d = CONFIG.GeometryLib.threeD.Point3d;
+  const A = Point3d.fromObject(segment.ray.A);
+  const B = Point3d.fromObject(segment.ray.B);
+  const key = `${A.key}_${A.z}|${B.key}_${B.z}`;
+  if ( ruler._alternativeRoutes?.key !== key ) {
+    ruler._alternativeRoutes = { key, A, B, searched: false, routes: [routeFor(pathPoints, ruler.token)] };
+    ruler._routeChoice = 0;
+  }
+  const routes = ruler._alternativeRoutes.routes;
+  if ( !(ruler._routeChoice < routes.length) ) ruler._routeChoice = 0;
+  return routes[ruler._routeChoice].points.map(pt => {
+    const copy = PIXI.Point.fromObject(pt);
+    copy.z = pt.z;
+    if ( pt.teleport ) copy.teleport = true;
+    return copy;
+  });
+}
+
+/**
+ * Search for alternatives to the best route for the last ruler segment, if not already searched.
+ * @param {Ruler} ruler
+ * @returns {number} Number of routes, including the best route
+ */
+export function searchAlternativeRoutes(ruler) {
+  const record = ruler._alternativeRoutes;
+  if ( !record || !ruler.token ) return 0;
+  if ( !record.searched ) {
+    record.routes = findRoutes(ruler.token, record.A, record.B, record.routes[0]);
+    record.searched = true;
+  }
+  return record.routes.length;
+}
+
+/**
+ * Find up to two routes between two points that differ meaningfully from the best route.
+ * @param {Token} token
+ * @param {Point3d} A
+ * @param {Point3d} B
+ * @param {AlternativeRoute} best       Best route, already found
+ * @returns {AlternativeRoute[]} The best route, followed by any alternatives
+ */
+function findRoutes(token, A, B, best) {
+  token[MODULE_ID] ??= {};
+  const pf = token[MODULE_ID].pathfinder ??= new Pathfinder(token);
+  const penalty = CONFIG[MODULE_ID].pathfindingAlternativeRoutePenalty;
+  const maxCost = CONFIG[MODULE_ID].pathfindingAlternativeRouteMaxCost;
+  const routes = [best];
+  try {
+    // Learn the triangles of the best route from the search that found it, if still available.
+    const bestTriangles = pathTriangles(connects(pf.lastPathMap, A, B) ? pf.lastPathMap : pf.runPath(A, B));
+    if ( !bestTriangles ) return routes;
+    bestTriangles.forEach(tri => pf.detourTriangles.set(tri, penalty));
+    const crossed = [bestTriangles];
+
+    // Searching again with more costly triangles may find the same corridor, so allow a few extra tries.
+    for ( let i = 0; i < MAX_ALTERNATIVES * 2 && routes.length <= MAX_ALTERNATIVES; i += 1 ) {
+      const pathMap = pf.runPath(A, B);
+      const triangles = pathTriangles(pathMap);
+      if ( !triangles ) break; // No path.
+      triangles.forEach(tri => pf.detourTriangles.set(tri, penalty));
+      if ( !crossed.every(prior => sharedFraction(triangles, prior) <= MAX_SHARED_TRIANGLES) ) continue;
+      crossed.push(triangles);
+
+      const route = routeFor(cleanedPathPoints(pf, pathMap), token);
+      if ( route.cost > routes[0].cost * maxCost ) break;
+      routes.push(route);
+    }
+  } finally {
+    pf.detourTriangles.clear();
+  }
+  return routes;
+}
+
+/**
+ * Does a search result run between two points?
+ * @param {Map<PathNode.key, PathNode>} [pathMap]
+ * @param {Point3d} A
+ * @param {Point3d} B
+ * @returns {boolean}
+ */
+function connects(pathMap, A, B) {
+  const start = pathMap?.start;
+  const goal = pathMap?.goal;
+  if ( !start || !goal ) return false;
+  return start.entryPoint.x === A.x && start.entryPoint.y === A.y && start.elevation === A.z
+    && goal.entryPoint.x === B.x && goal.entryPoint.y === B.y;
+}
+
+/**
+ * Triangles crossed by the path of a search result.
+ * @param {Map<PathNode.key, PathNode>} pathMap
+ * @returns {Set<BorderTriangle>|undefined} Undefined if the search found no path
+ */
+function pathTriangles(pathMap) {
+  const nodes = Pathfinder.getPathTriangles(pathMap);
+  if ( nodes[0]?.key !== pathMap.start.key ) return undefined;
+  return new Set(nodes.map(node => node.entryTriangle));
+}
+
+/**
+ * Measure a route.
+ * @param {PIXI.Point[]} points
+ * @param {Token} token
+ * @returns {AlternativeRoute}
+ */
+function routeFor(points, token) {
+  return { points, cost: pathCost(points, token), distance: canvas.grid.measurePath(points).distance };
+}
+
+/**
+ * Path points for a search result, cleaned and snapped to the grid as for the ruler path.
+ * @param {Pathfinder} pf
+ * @param {Map<PathNode.key, PathNode>} pathMap
+ * @returns {PIXI.Point[]}
+ */
+function cleanedPathPoints(pf, pathMap) {
+  let points = pf.cleanPath(Pathfinder.getPathPoints(pathMap));
+  if ( points.length > 2
+    && !canvas.grid.isGridless
+    && pathfindingOption(SCENE_OPTIONS.SNAP_TO_GRID) ) points = pf.alignPathToGrid(points);
+  return points;
+}
+
+/**
+ * Share of the triangles in one set that are also in another.
+ * @param {Set<BorderTriangle>} triangles
+ * @param {Set<BorderTriangle>} other
+ * @returns {number}
+ */
+function sharedFraction(triangles, other) {
+  let shared = 0;
+  for ( const tri of triangles ) if ( other.has(tri) ) shared += 1;
+  return shared / triangles.size;
+}
@@ -10,15 +10,21 @@ export const EPSILON = 1e-08;
 
 export const TEMPLATES = {
   DRAWING_CONFIG: `modules/${MODULE_ID}/templates/drawing-config.html`,
-  COMBAT_TRACKER: `modules/${MODULE_ID}/templates/combat-tracker.html`
+  COMBAT_TRACKER: `modules/${MODULE_ID}/templates/combat-tracker.html`,
+  PATHFINDING_INSPECTOR: `modules/${MODULE_ID}/templates/pathfinding-inspector.html`,
+  SCENE_CONFIG: `modules/${MODULE_ID}/templates/scene-config.html`
 };
 
 export const FLAGS = {
   MOVEMENT_SELECTION: "selectedMovementType",
   MOVEMENT_PENALTY: "movementPenalty",
   MOVEMENT_PENALTY_FLAT: "flatMovementPenalty",
+  HAZARD: "hazard",
+  STAIRS: "stairs",
   SCENE: {
-    BACKGROUND_ELEVATION: "backgroundElevation"
+    BACKGROUND_ELEVATION: "backgroundElevation",
+    PATHFINDING_ALGORITHM: "pathfindingAlgorithm",
+    PATHFINDING: "pathfinding"
   },
   MOVEMENT_HISTORY: "movementHistory"
 };
@@ -53,6 +53,28 @@ export function cdt2dConstrainedGraph(sceneGraph) {
   return triCoords;
 }
 
+/**
+ * Build a cdt2d constrained delaunay graph from a limited set of points and edges.
+ * Used to re-triangulate a portion of the scene.
+ * @param {PIXI.Point[]} points       Points to triangulate; each must have a unique key
+ * @param {PIXI.Point[][]} edges      Constrained edges, as [a, b] pairs of points found in points
+ * @returns {cdt2d} Nested array of triangle coordinate indices, with points and edges properties.
+ */
+export function cdt2dConstrainedPoints(points, edges) {
+  const pointIndexMap = new Map();
+  const pointArr = new Array(points.length);
+  for ( let i = 0; i < points.length; i += 1 ) {
+    const pt = points[i];
+    pointIndexMap.set(pt.key, i);
+    pointArr[i] = [pt.x, pt.y];
+  }
+  const edgeArr = edges.map(([a, b]) => [pointIndexMap.get(a.key), pointIndexMap.get(b.key)]);
+  const triCoords = cdt2d(pointArr, edgeArr);
+  triCoords.points = pointArr;
+  triCoords.edges = edgeArr;
+  return triCoords;
+}
+
 /**
  * Build border triangles from the cd2td graph
  * @param {cdt2d} triCoords   Nested array of triangle coordinate indices.
@@ -0,0 +1,298 @@
+/* globals
+canvas,
+CONFIG,
+game,
+PIXI
+*/
+"use strict";
+
+import { MODULE_ID } from "./const.js";
+import { Settings } from "./settings.js";
+import { Ray3d } from "./geometry/3d/Ray3d.js";
+import { Pathfinder, pathPointsBetween } from "./pathfinding/pathfinding.js";
+import { WallTracerEdge } from "./pathfinding/WallTracer.js";
+import { pathCost } from "./waypoint_order.js";
+import { pathfindingOption, SCENE_OPTIONS } from "./pathfinding/scene_options.js";
+
+// Functions used to move a group of controlled tokens, each along its own route.
+// In formation, each follower keeps its offset from the dragged token at every ruler waypoint.
+// If a follower cannot reach its place in the formation, it goes to the waypoint itself instead.
+// Following the leader, each follower walks to the start of the ruler and along its path in single file.
+
+/**
+ * Most paths between points to keep for the followers of a ruler.
+ * @type {number}
+ */
+const MAX_CACHED_LEGS = 100;
+
+/**
+ * Does the ruler find a separate route for each controlled token other than the ruler token?
+ * @param {Ruler} ruler
+ * @returns {boolean}
+ */
+export function usesGroupRoutes(ruler) {
+  const CHOICES = Settings.KEYS.PATHFINDING.GROUP_MOVEMENT_CHOICES;
+  if ( !ruler.token || canvas.tokens.controlled.length < 2 ) return false;
+  switch ( Settings.get(Settings.KEYS.PATHFINDING.GROUP_MOVEMENT) ) {
+    case CHOICES.FORMATION: return Boolean(usePathfinding());
+    case CHOICES.SINGLE_FILE: return true;
+  }
+  return false;
+}
+
+/**
+ * Find the route for each controlled token other than the ruler token.
+ * @param {Ruler} ruler
+ * @param {RulerMeasurementSegment[]} segments    Segments measured for the ruler token
+ * @returns {Map<Token, Point3d[]>} Route points for each follower, starting at the follower
+ */
+export function followerRoutes(ruler, segments) {
+  const routes = new Map();
+  const cache = ruler._followerLegCache ??= new Map();
+  const followers = canvas.tokens.controlled.filter(t => t !== ruler.token);
+  if ( Settings.get(Settings.KEYS.PATHFINDING.GROUP_MOVEMENT)
+    === Settings.KEYS.PATHFINDING.GROUP_MOVEMENT_CHOICES.SINGLE_FILE ) {
+    const leaderPath = segmentPath(segments);
+    if ( leaderPath.length < 2 ) return routes;
+
+    // Nearest followers go first in the marching order.
+    const start = leaderPath[0];
+    const dist2 = t => PIXI.Point.distanceSquaredBetween(t.center, start);
+    followers.sort((a, b) => dist2(a) - dist2(b));
+    const spacing = Math.max(0, Settings.get(Settings.KEYS.PATHFINDING.SINGLE_FILE_SPACING) || 0);
+    followers.forEach((follower, i) => routes.set(follower,
+      singleFileRoute(follower, leaderPath, (i + 1) * spacing * canvas.dimensions.size, cache)));
+    return routes;
+  }
+
+  const legs = waypointLegs(segments);
+  if ( !legs.length ) return routes;
+  for ( const follower of followers ) routes.set(follower, followerRoute(follower, legs, cache));
+  return routes;
+}
+
+/**
+ * Routes for the other controlled tokens to show while measuring.
+ * Only the legs to waypoints already placed are routed, and only when those waypoints change,
+ * so moving the ruler destination does not search again for each follower.
+ * The full routes are found when the tokens move.
+ * @param {Ruler} ruler
+ * @param {RulerMeasurementSegment[]} segments    Segments measured for the ruler token
+ * @returns {Map<Token, Point3d[]>} Route points for each follower, starting at the follower
+ */
+export function previewFollowerRoutes(ruler, segments) {
+  const lastIdx = ruler.waypoints.length - 1;
+  const placed = segments.filter(s => s.history || (s.waypoint?.idx ?? lastIdx) < lastIdx);
+  const key = placed
+    .filter(s => !s.history)
+    .map(s => `${s.ray.A.key}_${s.ray.A.z}|${s.ray.B.key}_${s.ray.B.z}`)
+    .join(",");
+  if ( ruler._followerRoutes && ruler._followerRoutesKey === key ) return ruler._followerRoutes;
+  ruler._followerRoutesKey = key;
+  return followerRoutes(ruler, placed);
+}
+
+/**
+ * Construct ruler segments for a follower's route, to move the follower with Ruler#_animateMovement.
+ * History segments are kept so the segments start at the same index as the ruler segments.
+ * Each segment has the cost and diagonals of the whole route, so the follower is charged for its own move.
+ * @param {Ruler} ruler
+ * @param {Point3d[]} route
+ * @param {Token} follower
+ * @returns {RulerMeasurementSegment[]}
+ */
+export function followerSegments(ruler, route, follower) {
+  const GridCoordinates3d = CONFIG.GeometryLib.threeD.GridCoordinates3d;
+  const segments = ruler.segments.filter(s => s.history);
+  const routeCost = pathCost(route, follower);
+
+  // Count diagonals on from those the follower already moved this combat round, as for the ruler token.
+  let routeNumDiagonal = game.combat?.started ? (follower._combatMoveData?.numDiagonal ?? 0) : 0;
+  for ( let i = 1, n = route.length; i < n; i += 1 ) {
+    routeNumDiagonal += GridCoordinates3d.numDiagonal(
+      GridCoordinates3d.fromObject(route[i - 1]),
+      GridCoordinates3d.fromObject(route[i]));
+  }
+  for ( let i = 1, n = route.length; i < n; i += 1 ) {
+    const A = route[i - 1];
+    const B = route[i];
+    segments.push({
+      ray: new Ray3d(A, B),
+      waypoint: { idx: B.waypointIdx },
+      teleport: Boolean(B.teleport),
+      doorsToOpen: WallTracerEdge.closedDoorsAlongSegment(A, B).map(wall => wall.id),
+      first: i === 1,
+      last: i === n - 1,
+      routeCost,
+      routeNumDiagonal
+    });
+  }
+  return segments;
+}
+
+/**
+ * Start point and the end of each ruler waypoint, ignoring history.
+ * @param {RulerMeasurementSegment[]} segments
+ * @returns {Point3d[]} The start followed by each waypoint end, with a waypointIdx property
+ */
+function waypointLegs(segments) {
+  const Point3d = CONFIG.GeometryLib.threeD.Point3d;
+  const moves = segments.filter(s => !s.history);
+  if ( !moves.length ) return [];
+  const legs = [Point3d.fromObject(moves[0].ray.A)];
+  moves.forEach((s, i) => {
+    const next = moves[i + 1];
+    if ( next && next.waypoint?.idx === s.waypoint?.idx ) return;
+    const pt = Point3d.fromObject(s.ray.B);
+    pt.waypointIdx = s.waypoint?.idx;
+    legs.push(pt);
+  });
+  return legs;
+}
+
+/**
+ * Points along the ruler path, ignoring history.
+ * @param {RulerMeasurementSegment[]} segments
+ * @returns {Point3d[]} Points, with a teleport property if teleporting to that point
+ */
+function segmentPath(segments) {
+  const Point3d = CONFIG.GeometryLib.threeD.Point3d;
+  const moves = segments.filter(s => !s.history);
+  if ( !moves.length ) return [];
+  const path = [Point3d.fromObject(moves[0].ray.A)];
+  for ( const s of moves ) {
+    const pt = Point3d.fromObject(s.ray.B);
+    pt.teleport = Boolean(s.teleport);
+    pt.waypointIdx = s.waypoint?.idx;
+    path.push(pt);
+  }
+  return path;
+}
+
+/**
+ * Route for a follower walking in single file: to the start of the leader's path, then along it,
+ * stopping short of the end of the path by the trailing distance.
+ * @param {Token} follower
+ * @param {Point3d[]} leaderPath      Points along the ruler path
+ * @param {number} trail              Distance to stop short of the end, in pixel units
+ * @param {Map<string, Point3d[]>} cache  Paths already found between points for this ruler
+ * @returns {Point3d[]}
+ */
+function singleFileRoute(follower, leaderPath, trail, cache) {
+  const Point3d = CONFIG.GeometryLib.threeD.Point3d;
+  const start = leaderPath[0];
+  const center = new Point3d(follower.center.x, follower.center.y, start.z);
+  let approach = [center, start];
+  if ( usePathfinding() ) {
+    follower[MODULE_ID] ??= {};
+    const pf = follower[MODULE_ID].pathfinder ??= new Pathfinder(follower);
+    approach = cachedPath(pf, center, start, cache);
+    if ( approach.length < 2 ) return [center]; // The follower cannot reach the path.
+  }
+  const route = [center, ...approach.slice(1, -1).map(pt => new Point3d(pt.x, pt.y, start.z)), ...leaderPath];
+  return truncateRoute(route, trail);
+}
+
+/**
+ * Shorten a route by a distance measured back from its end.
+ * On gridded scenes, the new end is moved to the center of its grid space.
+ * @param {Point3d[]} route
+ * @param {number} trail              Distance to remove, in pixel units
+ * @returns {Point3d[]}
+ */
+function truncateRoute(route, trail) {
+  if ( trail <= 0 ) return route;
+  let remaining = trail;
+  for ( let i = route.length - 1; i > 0; i -= 1 ) {
+    const a = route[i - 1];
+    const b = route[i];
+    const dist = b.teleport ? 0 : PIXI.Point.distanceBetween(a, b);
+    if ( dist < remaining ) {
+      remaining -= dist;
+      continue;
+    }
+    const end = a.projectToward(b, (dist - remaining) / dist);
+    if ( !canvas.grid.isGridless ) {
+      const center = canvas.grid.getCenterPoint(end);
+      end.x = center.x;
+      end.y = center.y;
+    }
+    end.teleport = b.teleport;
+    end.waypointIdx = b.waypointIdx;
+    const out = route.slice(0, i);
+    if ( !end.almostEqual(a) ) out.push(end);
+    return out;
+  }
+  return [route[0]];
+}
+
+/**
+ * Is pathfinding enabled for the ruler, including the temporary toggle?
+ * @returns {boolean}
+ */
+function usePathfinding() {
+  return Boolean(Settings.get(Settings.KEYS.CONTROLS.PATHFINDING) ^ Settings.FORCE_TOGGLE_PATHFINDING);
+}
+
+/**
+ * Route for a follower through each waypoint, shifted by the follower's offset from the start.
+ * Pathfinding uses the elevations of the ruler, as the ruler adjusts each token for its elevation when moving.
+ * @param {Token} follower
+ * @param {Point3d[]} legs            Start point and waypoint ends for the ruler token
+ * @param {Map<string, Point3d[]>} cache  Paths already found between points for this ruler
+ * @returns {Point3d[]}
+ */
+function followerRoute(follower, legs, cache) {
+  const Point3d = CONFIG.GeometryLib.threeD.Point3d;
+  follower[MODULE_ID] ??= {};
+  const pf = follower[MODULE_ID].pathfinder ??= new Pathfinder(follower);
+  const start = legs[0];
+  const center = follower.center;
+  const dx = center.x - start.x;
+  const dy = center.y - start.y;
+  const route = [new Point3d(center.x, center.y, start.z)];
+  for ( const target of legs.slice(1) ) {
+    const prev = route.at(-1);
+    const inFormation = new Point3d(target.x + dx, target.y + dy, target.z);
+    let path = cachedPath(pf, prev, inFormation, cache);
+    if ( path.length < 2 ) path = cachedPath(pf, prev, target, cache);
+    if ( path.length < 2 ) break; // The follower cannot go farther.
+    for ( const pt of path.slice(1) ) {
+      const routePt = new Point3d(pt.x, pt.y, pt.z ?? prev.z);
+      routePt.teleport = pt.teleport;
+      routePt.waypointIdx = target.waypointIdx;
+      route.push(routePt);
+    }
+    route.at(-1).z = target.z;
+  }
+  return route;
+}
+
+/**
+ * Path points between two points for a follower, reusing paths found earlier for the same ruler.
+ * Only the most recently used paths are kept.
+ * @param {Pathfinder} pf
+ * @param {Point3d} a
+ * @param {Point3d} b
+ * @param {Map<string, Point3d[]>} cache
+ * @returns {PIXI.Point[]}
+ */
+function cachedPath(pf, a, b, cache) {
+  const key = `${pf.token.id}|${a.key}_${a.z}|${b.key}_${b.z}`;
+  if ( cache.has(key) ) {
+    const cached = cache.get(key);
+    cache.delete(key); // Move to the end, as most recently used.
+    cache.set(key, cached);
+    return cached;
+  }
+  let path = pathPointsBetween(pf, a, b);
+  if ( path.length > 2
+    && !Pathfinder.useGridSearch
+    && !canvas.grid.isGridless
+    && pathfindingOption(SCENE_OPTIONS.SNAP_TO_GRID) ) {
+    path = pf.alignPathToGrid(path);
+  }
+  cache.set(key, path);
+  if ( cache.size > MAX_CACHED_LEGS ) cache.delete(cache.keys().next().value);
+  return path;
+}
@@ -118,25 +118,12 @@ export class MovePenalty {
   constructor(moveToken) {
     this.moveToken = moveToken;
     this.movementType = moveToken.movementType;
-    const tokenMultiplier = this.constructor.tokenMultiplier;
-    const terrainAPI = this.constructor.terrainAPI;
 
     // Only regions with terrains; tokens if that setting is enabled; drawings if enabled.
-    if ( tokenMultiplier !== 1 ) canvas.tokens.placeables.forEach(t => this.tokens.add(t));
-    if ( terrainAPI ) canvas.regions.placeables.forEach(r => {
-      if ( r.terrainmapper.hasTerrain ) this.regions.add(r);
-    });
-    canvas.drawings.placeables.forEach(d => {
-      const penalty = d.document.getFlag(MODULE_ID, FLAGS.MOVEMENT_PENALTY) ?? 1;
-      const useFlatPenalty = d.document.getFlag(MODULE_ID, FLAGS.MOVEMENT_PENALTY_FLAT);
-      if ( (!useFlatPenalty && penalty !== 1) || (useFlatPenalty && penalty !== 0) ) this.drawings.add(d);
-    });
-    this.tokens.delete(moveToken);
-
-    // Remove certain hidden tokens.
     // Note this is done only at beginning, but the MoveInstance only intended to last through a ruler measure.
-    this.tokens = this.tokens.filter(t => !(t.document.hidden
-        || t.actor.statuses.intersects(CONFIG[MODULE_ID].pathfindingIgnoreStatuses)));
+    this.constructor.penaltyTokens(moveToken).forEach(t => this.tokens.add(t));
+    this.constructor.penaltyRegions().forEach(r => this.regions.add(r));
+    this.constructor.penaltyDrawings().forEach(d => this.drawings.add(d));
 
     // Initially set the path sets to the full set of placeables.
     this.tokens.forEach(t => this.pathTokens.add(t));
@@ -345,16 +332,82 @@ export class MovePenalty {
 
     // Did we already test this coordinate?
     const key = centerPt.key;
-    if ( this.#penaltyCache.has(key) ) {
-      const { flatPenalty, gridMult } = this.#penaltyCache.get(key);
-      return (flatPenalty + (gridMult * costFreeDistance));
+    if ( !this.#penaltyCache.has(key) ) {
+      this.#penaltyCache.set(key, this.penaltiesAtLocation(centerPt, centerPt.elevation));
     }
+    const { flatPenalty, gridMult } = this.#penaltyCache.get(key);
+    return (flatPenalty + (gridMult * costFreeDistance));
 
-    const regions = [...this.regions].filter(r => r.testPoint(centerPt, centerPt.elevation));
-    const tokens = [...this.tokens].filter(t => t.constrainedTokenBorder.contains(centerPt.x, centerPt.y)
-      && centerPt.elevation.between(t.bottomE, t.topE));
-    const drawings = [...this.drawings].filter(d => d.bounds.contains(centerPt.x, centerPt.y)
-      && d.elevationE <= centerPt.elevation);
+    /* Example
+      Token has speed 30 and moves 10 grid units.
+      Assume speed is halved plus a +5 flat penalty.
+      30 / 15 = 2 * 10 = 20 grid units + 5 penalty.
+      So instead of moving 10 units, it is as though the token moved 25.
+    */
+  }
+
+  /**
+   * Is the grid space within a hazard?
+   * @param {GridCoordinates3d} coords     Grid position
+   * @returns {boolean}
+   */
+  isHazardGridSpace(coords) { return this.hazardsForGridSpace(coords).length > 0; }
+
+  /**
+   * Hazards containing the center of the grid space.
+   * @param {GridCoordinates3d} coords     Grid position
+   * @returns {(Drawing|Region)[]}
+   */
+  hazardsForGridSpace(coords) {
+    const centerPt = coords.center;
+    const key = centerPt.key;
+    if ( !this.#penaltyCache.has(key) ) {
+      this.#penaltyCache.set(key, this.penaltiesAtLocation(centerPt, centerPt.elevation));
+    }
+    return this.#penaltyCache.get(key).hazards;
+  }
+
+  /**
+   * The smallest multiplier to the distance moved that could apply to any grid space at an elevation,
+   * but never more than 1. Assumes every penalty that speeds movement applies to the same grid space.
+   * Flat penalties only add to the cost, so they are ignored.
+   * @param {number} [elevation=0]  Elevation, in grid units
+   * @returns {number}
+   */
+  minimumGridMultiplier(elevation = 0) {
+    let mult = 1;
+    this.drawings.forEach(d => {
+      if ( d.elevationE > elevation || d.document.getFlag(MODULE_ID, FLAGS.MOVEMENT_PENALTY_FLAT) ) return;
+      mult *= Math.min(1, d.document.getFlag(MODULE_ID, FLAGS.MOVEMENT_PENALTY) ?? 1);
+    });
+    if ( !this.constructor.useFlatTokenMultiplier
+      && [...this.tokens].some(t => elevation.between(t.bottomE, t.topE)) ) {
+      mult *= Math.min(1, this.constructor.tokenMultiplier);
+    }
+    if ( this.constructor.terrainAPI ) this.regions.forEach(r => {
+      const { bottom, top } = r.document.elevation;
+      if ( !elevation.between(bottom ?? Number.NEGATIVE_INFINITY, top ?? Number.POSITIVE_INFINITY) ) return;
+      mult *= Math.min(1, this.baseTokenSpeed / this.moveSpeedWithinRegions([r]));
+    });
+    return mult;
+  }
+
+  /**
+   * Determine the penalties imposed by regions, tokens, and drawings at a given location.
+   * @param {Point} location        Canvas location to test
+   * @param {number} [elevation=0]  Elevation of the location, in grid units
+   * @returns {object}
+   *  - @prop {number} flatPenalty  Flat penalty, in grid units
+   *  - @prop {number} gridMult     Multiplier to apply to the distance moved
+   *  - @prop {boolean} hazard      True if the location is within a hazard
+   *  - @prop {(Drawing|Region)[]} hazards  Hazards containing the location
+   */
+  penaltiesAtLocation(location, elevation = 0) {
+    const regions = [...this.regions].filter(r => r.testPoint(location, elevation));
+    const tokens = [...this.tokens].filter(t => t.constrainedTokenBorder.contains(location.x, location.y)
+      && elevation.between(t.bottomE, t.topE));
+    const drawings = [...this.drawings].filter(d => d.bounds.contains(location.x, location.y)
+      && d.elevationE <= elevation);
 
     // Track all speed multipliers and flat penalties for the grid space.
     let flatPenalty = 0;
@@ -363,7 +416,7 @@ export class MovePenalty {
 
     // Drawings
     drawings.forEach(d => {
-      const penalty = d.document.getFlag(MODULE_ID, FLAGS.MOVEMENT_PENALTY);
+      const penalty = d.document.getFlag(MODULE_ID, FLAGS.MOVEMENT_PENALTY) ?? 1; // Hazards may have no penalty.
       if ( d.document.getFlag(MODULE_ID, FLAGS.MOVEMENT_PENALTY_FLAT) ) flatPenalty += penalty;
       else currentMultiplier *= penalty;
     });
@@ -385,16 +438,8 @@ export class MovePenalty {
     currentMultiplier ||= 1; // Don't let it divide by 0.
     const speedInGrid = (speed / currentMultiplier);
     const gridMult = startingSpeed / speedInGrid; // If currentMultiplier > 1, gridMult should be > 1.
-    const res = (flatPenalty + (gridMult * costFreeDistance));
-    this.#penaltyCache.set(key, { flatPenalty, gridMult });
-    return res;
-
-    /* Example
-      Token has speed 30 and moves 10 grid units.
-      Assume speed is halved plus a +5 flat penalty.
-      30 / 15 = 2 * 10 = 20 grid units + 5 penalty.
-      So instead of moving 10 units, it is as though the token moved 25.
-    */
+    const hazards = [...drawings, ...regions].filter(obj => this.constructor.isHazard(obj));
+    return { flatPenalty, gridMult, hazard: hazards.length > 0, hazards };
   }
 
 
@@ -452,6 +497,31 @@ export class MovePenalty {
     return cutawayIxs;
   }
 
+  /**
+   * Find the hazards that a start|end segment crosses or starts within.
+   * @param {Point3d} start
+   * @param {Point3d} end
+   * @returns {Set<Drawing|Region>}
+   */
+  hazardsForSegment(start, end) {
+    const isHazard = obj => this.constructor.isHazard(obj);
+    const hazards = new Set();
+    for ( const ix of this._cutawayIntersections(start, end) ) {
+      const obj = ix.drawing ?? ix.region;
+      if ( obj && isHazard(obj) ) hazards.add(obj);
+    }
+
+    // A segment entirely within a hazard does not cross its border.
+    const elevation = CONFIG.GeometryLib.utils.pixelsToGridUnits(start.z || 0);
+    this.pathDrawings.forEach(d => {
+      if ( isHazard(d) && d.bounds.contains(start.x, start.y) && d.elevationE <= elevation ) hazards.add(d);
+    });
+    if ( this.constructor.terrainAPI ) this.pathRegions.forEach(r => {
+      if ( isHazard(r) && r.testPoint(start, elevation) ) hazards.add(r);
+    });
+    return hazards;
+  }
+
   /**
    * Determine movement penalties along a start|end segment for a given array of intersections.
    * @param {Point3d} start
@@ -508,7 +578,7 @@ export class MovePenalty {
         else currentMultiplier *= multFn(tokenMultiplier);
       }
       if ( ix.drawing ) {
-        const penalty = ix.drawing.document.getFlag(MODULE_ID, FLAGS.MOVEMENT_PENALTY);
+        const penalty = ix.drawing.document.getFlag(MODULE_ID, FLAGS.MOVEMENT_PENALTY) ?? 1;
         if ( ix.drawing.document.getFlag(MODULE_ID, FLAGS.MOVEMENT_PENALTY_FLAT) ) currentFlat += addFn(penalty);
         else currentMultiplier *= multFn(penalty);
       }
@@ -560,8 +630,89 @@ export class MovePenalty {
   /** @type {object|undefined} */
   static get terrainAPI() { return OTHER_MODULES.TERRAIN_MAPPER.API; }
 
+  /**
+   * Should pathfinding avoid hazards by making them costly to cross?
+   * Otherwise, pathfinding does not cross hazards at all.
+   * @type {boolean}
+   */
+  static get avoidHazards() {
+    return Settings.get(Settings.KEYS.PATHFINDING.HAZARDS) === Settings.KEYS.PATHFINDING.HAZARDS_CHOICES.AVOID;
+  }
+
   // ----- NOTE: Static methods ----- //
 
+  /**
+   * Does this drawing impose a movement penalty?
+   * @param {Drawing} drawing
+   * @returns {boolean}
+   */
+  static isPenaltyDrawing(drawing) {
+    if ( this.isHazard(drawing) ) return true;
+    const penalty = drawing.document.getFlag(MODULE_ID, FLAGS.MOVEMENT_PENALTY) ?? 1;
+    const useFlatPenalty = drawing.document.getFlag(MODULE_ID, FLAGS.MOVEMENT_PENALTY_FLAT);
+    return (!useFlatPenalty && penalty !== 1) || (useFlatPenalty && penalty !== 0);
+  }
+
+  /**
+   * Does this region impose a movement penalty?
+   * Only regions with Terrain Mapper terrains, or hazard regions when Terrain Mapper is active, do so.
+   * @param {Region} region
+   * @returns {boolean}
+   */
+  static isPenaltyRegion(region) {
+    return Boolean(this.terrainAPI && (region.terrainmapper?.hasTerrain || this.isHazard(region)));
+  }
+
+  /**
+   * Is this drawing or region marked as a hazard that pathfinding should avoid?
+   * @param {Drawing|Region} placeable
+   * @returns {boolean}
+   */
+  static isHazard(placeable) { return Boolean(placeable.document.getFlag(MODULE_ID, FLAGS.HAZARD)); }
+
+  /**
+   * Drawings in the scene that impose a movement penalty.
+   * @returns {Drawing[]}
+   */
+  static penaltyDrawings() { return canvas.drawings.placeables.filter(d => this.isPenaltyDrawing(d)); }
+
+  /**
+   * Regions in the scene that impose a movement penalty.
+   * @returns {Region[]}
+   */
+  static penaltyRegions() {
+    if ( !this.terrainAPI ) return [];
+    return canvas.regions.placeables.filter(r => this.isPenaltyRegion(r));
+  }
+
+  /**
+   * Tokens in the scene that impose a movement penalty on the moving token.
+   * Excludes hidden tokens and tokens with statuses that pathfinding ignores.
+   * @param {Token} [moveToken]     The token doing the movement
+   * @returns {Token[]}
+   */
+  static penaltyTokens(moveToken) {
+    if ( this.tokenMultiplier === 1 ) return [];
+    const ignoreStatuses = CONFIG[MODULE_ID].pathfindingIgnoreStatuses;
+    return canvas.tokens.placeables.filter(t => t !== moveToken
+      && !(t.document.hidden || t.actor?.statuses.intersects(ignoreStatuses)));
+  }
+
+  /**
+   * Are there any regions, tokens, or drawings that could impose a movement penalty along a segment?
+   * Tested using the 2d bounds of each placeable, so may return true if there is no actual penalty.
+   * @param {Point} a           Start of the segment
+   * @param {Point} b           End of the segment
+   * @param {Token} [token]     The token doing the movement
+   * @returns {boolean}
+   */
+  static anyTerrainPlaceablesAlongSegment(a, b, token) {
+    const opts = { inside: true };
+    return this.penaltyTokens(token).some(t => t.constrainedTokenBorder.lineSegmentIntersects(a, b, opts))
+      || this.penaltyDrawings().some(d => d.bounds.lineSegmentIntersects(a, b, opts))
+      || this.penaltyRegions().some(r => r.bounds.lineSegmentIntersects(a, b, opts));
+  }
+
   /**
    * Construct a polygon in cutaway space for a given drawing, based on a line segment.
    * Drawing assumed to be infinite in z direction up, stopping at the drawing elevation.
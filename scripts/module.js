@@ -13,7 +13,7 @@ import { Settings } from "./settings.js";
 import { initializePatching, PATCHER } from "./patching.js";
 import { MODULE_ID, MOVEMENT_TYPES, MOVEMENT_BUTTONS, SPEED, TEMPLATES } from "./const.js";
 import { log, gridShape } from "./util.js";
-import { defaultHPAttribute } from "./system_attributes.js";
+import { defaultHPAttribute, defaultReachAttribute } from "./system_attributes.js";
 import { registerGeometry } from "./geometry/registration.js";
 
 // Move Penalty
@@ -22,10 +22,18 @@ import { MovePenalty } from "./measurement/MovePenalty.js";
 // Pathfinding
 import { BorderTriangle, BorderEdge } from "./pathfinding/BorderTriangle.js";
 import { Pathfinder } from "./pathfinding/pathfinding.js";
-import { BreadthFirstPathSearch, UniformCostPathSearch, GreedyPathSearch, AStarPathSearch } from "./pathfinding/algorithms.js";
+import { teleportTokenPortal } from "./pathfinding/RegionPortal.js";
+import {
+  BreadthFirstPathSearch,
+  UniformCostPathSearch,
+  UniformCostFloodFill,
+  GreedyPathSearch,
+  AStarPathSearch } from "./pathfinding/algorithms.js";
 import { PriorityQueueArray } from "./pathfinding/PriorityQueueArray.js";
 import { PriorityQueue } from "./pathfinding/PriorityQueue.js";
 import { benchPathfinding } from "./pathfinding/benchmark.js";
+import { PathfindingInspector } from "./pathfinding/PathfindingInspector.js";
+import { SCENE_OPTIONS } from "./pathfinding/scene_options.js";
 
 // Wall updates for pathfinding
 import { SCENE_GRAPH, WallTracer, WallTracerEdge, WallTracerVertex } from "./pathfinding/WallTracer.js";
@@ -55,10 +63,37 @@ Hooks.once("init", function() {
 
     /**
      * Account for terrains/tokens in pathfinding.
-     * Can be a serious performance hit.
+     * Borders of penalty regions and drawings are added to the pathfinding triangulation,
+     * and the penalty for each triangle is precomputed when first needed.
+     * A scene can override this in its configuration.
      * @type {boolean}
      */
-    pathfindingCheckTerrains: false,
+    pathfindingCheckTerrains: true,
+
+    /**
+     * When pathfinding avoids hazards, multiply the movement cost through a hazard by this amount.
+     * Hazards are drawings or Terrain Mapper regions flagged as hazards.
+     * @type {number}
+     */
+    pathfindingHazardMultiplier: 10,
+
+    /**
+     * When pathfinding through closed doors, add this cost, in grid spaces, for each door opened.
+     * @type {number}
+     */
+    pathfindingDoorCost: 1,
+
+    /**
+     * Region behaviors that pathfinding can use as portals, such as teleporters or stairs, keyed by behavior type.
+     * Each function takes the region behavior and returns where it moves the token,
+     * as {exitPoint: PIXI.Point, exitElevation: number|undefined}, with elevation in pixel units.
+     * Return undefined if the behavior does not move the token within the scene.
+     * Other modules can add functions for their own behavior types.
+     * @type {object<string, function>}
+     */
+    pathfindingPortalBehaviors: {
+      teleportToken: teleportTokenPortal
+    },
 
     /**
      * Where to find token HP, used to ignore dead tokens when pathfinding.
@@ -66,6 +101,39 @@ Hooks.once("init", function() {
      */
     tokenHPAttribute: defaultHPAttribute(),
 
+    /**
+     * Where to find token reach, in grid units, used to find opportunity attacks.
+     * If empty or not a positive number, tokens reach one grid space.
+     * @type {string}
+     */
+    tokenReachAttribute: defaultReachAttribute(),
+
+    /**
+     * When pathfinding avoids opportunity attacks, add this cost, in grid units,
+     * each time the path leaves the reach of a hostile token.
+     * @type {number}
+     */
+    pathfindingOpportunityAttackCost: 100,
+
+    /**
+     * When finding alternative routes, multiply the cost of moving through triangles
+     * crossed by the routes already found by this amount.
+     * @type {number}
+     */
+    pathfindingAlternativeRoutePenalty: 3,
+
+    /**
+     * Only offer an alternative route if it costs no more than this multiple of the best route.
+     * @type {number}
+     */
+    pathfindingAlternativeRouteMaxCost: 2,
+
+    /**
+     * Color of the marks where a ruler move provokes an opportunity attack.
+     * @type {number}
+     */
+    opportunityAttackColor: 0xFF0000,
+
     /**
      * ID of Token statuses to ignore when pathfinding.
      * @type {Set<string>}
@@ -93,10 +161,48 @@ Hooks.once("init", function() {
      * Amount, in pixels, to pad the token shape that is used when pathfinding around tokens.
      * Negative amounts allow the pathfinding to move through outer border of the token.
      * Positive amounts make tokens larger than they appear, creating a buffer.
+     * A scene can override this in its configuration.
      * @type {number}
      */
     tokenPathfindingBuffer: -1,
 
+    /**
+     * @typedef {object} PathfindingProfile
+     * @property {string} label       Name of the profile, or a localization key for it
+     * @property {object} options     Values for pathfinding options, keyed by SCENE_OPTIONS in scene_options.js.
+     *   Options not listed use the world settings or CONFIG.
+     */
+
+    /**
+     * Named sets of pathfinding options that a scene can use, chosen in the scene configuration.
+     * Options the scene sets itself take precedence over its profile.
+     * Other modules or macros can add profiles.
+     * @type {object<string, PathfindingProfile>}
+     */
+    pathfindingProfiles: {
+      openField: {
+        label: `${MODULE_ID}.sceneconfig.profiles.openField`,
+        options: {
+          [SCENE_OPTIONS.TOKENS_BLOCK]: Settings.KEYS.PATHFINDING.TOKENS_BLOCK_CHOICES.NO,
+          [SCENE_OPTIONS.SNAP_TO_GRID]: false
+        }
+      },
+      tightDungeon: {
+        label: `${MODULE_ID}.sceneconfig.profiles.tightDungeon`,
+        options: {
+          [SCENE_OPTIONS.TOKENS_BLOCK]: Settings.KEYS.PATHFINDING.TOKENS_BLOCK_CHOICES.ALL,
+          [SCENE_OPTIONS.SNAP_TO_GRID]: true
+        }
+      },
+      stealth: {
+        label: `${MODULE_ID}.sceneconfig.profiles.stealth`,
+        options: {
+          [SCENE_OPTIONS.TOKENS_BLOCK]: Settings.KEYS.PATHFINDING.TOKENS_BLOCK_CHOICES.HOSTILE,
+          [SCENE_OPTIONS.LIMIT_TOKEN_LOS]: true
+        }
+      }
+    },
+
     /**
      * Enable certain debug console logging and tests.
      * @type {boolean}
@@ -165,11 +271,13 @@ Hooks.once("init", function() {
       Pathfinder,
       BreadthFirstPathSearch,
       UniformCostPathSearch,
+      UniformCostFloodFill,
       GreedyPathSearch,
       AStarPathSearch,
       PriorityQueueArray,
       PriorityQueue,
       benchPathfinding,
+      PathfindingInspector,
       SCENE_GRAPH
     },
 
@@ -0,0 +1,119 @@
+/* globals
+canvas,
+CONFIG,
+CONST,
+foundry,
+game,
+PIXI
+*/
+"use strict";
+
+import { MODULE_ID } from "./const.js";
+import { Settings } from "./settings.js";
+import { WallTracerEdge } from "./pathfinding/WallTracer.js";
+
+// Functions used to find where a move leaves the reach of hostile tokens, provoking opportunity attacks.
+
+/**
+ * @typedef {object} ThreatArea
+ * @property {Token} token                      Hostile token threatening the area
+ * @property {PIXI.Rectangle|PIXI.Circle} shape Area within the token's reach
+ * @property {number} bottomZ                   Lowest elevation within reach, in pixel units
+ * @property {number} topZ                      Highest elevation within reach, in pixel units
+ */
+
+/**
+ * @typedef {object} ProvokingPoint
+ * @property {PIXI.Point} point     Where the move leaves the threat area
+ * @property {Token} token          Token whose reach is left
+ */
+
+/**
+ * Reach of a token, in grid units.
+ * Uses CONFIG[MODULE_ID].tokenReachAttribute, falling back to one grid space.
+ * @param {Token} token
+ * @returns {number}
+ */
+export function tokenReach(token) {
+  const attr = CONFIG[MODULE_ID].tokenReachAttribute;
+  const reach = attr ? Number(foundry.utils.getProperty(token, attr)) : NaN;
+  return Number.isFinite(reach) && reach > 0 ? reach : canvas.grid.distance;
+}
+
+/**
+ * Should the ruler mark opportunity attacks for a move by this token?
+ * Only in a started combat, and only if the user enabled opportunity attack tracking.
+ * @param {Token} [token]
+ * @returns {boolean}
+ */
+export function trackOpportunityAttacks(token) {
+  return Boolean(token
+    && game.combat?.started
+    && Settings.get(Settings.KEYS.MEASURING.OPPORTUNITY_ATTACKS));
+}
+
+/**
+ * Should pathfinding prefer routes that provoke fewer opportunity attacks for this token?
+ * @param {Token} [token]
+ * @returns {boolean}
+ */
+export function avoidOpportunityAttacks(token) {
+  return Boolean(token
+    && game.combat?.started
+    && Settings.get(Settings.KEYS.PATHFINDING.AVOID_OPPORTUNITY_ATTACKS));
+}
+
+/**
+ * Determine the areas threatened by tokens hostile to the moving token.
+ * Hostility uses the same disposition test as hostile tokens blocking pathfinding,
+ * so hidden, dead, and incapacitated tokens do not threaten.
+ * On square grids, the area is the token bounds padded by its reach; otherwise it is a circle.
+ * @param {Token} moveToken
+ * @returns {ThreatArea[]}
+ */
+export function threatAreasForToken(moveToken) {
+  const { gridUnitsToPixels } = CONFIG.GeometryLib.utils;
+  const HOSTILE = CONST.TOKEN_DISPOSITIONS.HOSTILE;
+  const areas = [];
+  for ( const token of canvas.tokens.placeables ) {
+    if ( !WallTracerEdge.tokenEdgeBlocks(token, moveToken, HOSTILE, token.bottomZ) ) continue;
+    const reach = gridUnitsToPixels(tokenReach(token));
+    const bounds = token.bounds;
+    const shape = canvas.grid.isSquare
+      ? bounds.clone().pad(reach)
+      : new PIXI.Circle(token.center.x, token.center.y, (Math.max(bounds.width, bounds.height) * 0.5) + reach);
+    areas.push({ token, shape, bottomZ: token.bottomZ - reach, topZ: token.topZ + reach });
+  }
+  return areas;
+}
+
+/**
+ * Find where a move from a to b leaves a threat area.
+ * @param {ThreatArea[]} areas
+ * @param {Point3d} a           Start of the move
+ * @param {Point3d} b           End of the move
+ * @returns {ProvokingPoint[]} Provoking points, ordered from a to b
+ */
+export function provokingPoints(areas, a, b) {
+  const out = [];
+  for ( const area of areas ) {
+    if ( !isWithinThreatArea(area, a) || isWithinThreatArea(area, b) ) continue;
+
+    // Shapes are convex, so a move that starts inside and ends outside crosses the border once.
+    const ix = area.shape.segmentIntersections(a, b).at(-1) ?? b;
+    out.push({ point: PIXI.Point.fromObject(ix), token: area.token });
+  }
+  const dist2 = pt => PIXI.Point.distanceSquaredBetween(a, pt.point);
+  return out.sort((p0, p1) => dist2(p0) - dist2(p1));
+}
+
+/**
+ * Is the point within the threat area?
+ * @param {ThreatArea} area
+ * @param {Point3d} pt
+ * @returns {boolean}
+ */
+function isWithinThreatArea(area, pt) {
+  const z = pt.z || 0;
+  return z.between(area.bottomZ, area.topZ) && area.shape.contains(pt.x, pt.y);
+}
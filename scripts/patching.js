@@ -10,6 +10,7 @@ import { PATCHES as PATCHES_Ruler } from "./Ruler.js";
 import { PATCHES as PATCHES_Token } from "./Token.js";
 import { PATCHES as PATCHES_ClientKeybindings } from "./ClientKeybindings.js";
 import { PATCHES as PATCHES_DrawingConfig } from "./DrawingConfig.js";
+import { PATCHES as PATCHES_SceneConfig } from "./SceneConfig.js";
 
 // Measuring distance
 import { PATCHES_GridlessGrid, PATCHES_SquareGrid, PATCHES_HexagonalGrid } from "./measurement/Grid.js";
@@ -18,6 +19,8 @@ import { PATCHES_GridlessGrid, PATCHES_SquareGrid, PATCHES_HexagonalGrid } from
 import { PATCHES as PATCHES_Wall } from "./pathfinding/Wall.js";
 import { PATCHES as PATCHES_CanvasEdges } from "./pathfinding/CanvasEdges.js";
 import { PATCHES as PATCHES_TokenPF } from "./pathfinding/Token.js";
+import { PATCHES as PATCHES_DrawingPF } from "./pathfinding/Drawing.js";
+import { PATCHES as PATCHES_RegionPF } from "./pathfinding/Region.js";
 
 // Movement tracking
 import { PATCHES as PATCHES_TokenHUD } from "./token_hud.js";
@@ -33,11 +36,14 @@ const PATCHES = {
   ClientSettings: PATCHES_ClientSettings,
   CombatTracker: PATCHES_CombatTracker,
   "foundry.canvas.edges.CanvasEdges": PATCHES_CanvasEdges,
+  Drawing: PATCHES_DrawingPF,
   DrawingConfig: PATCHES_DrawingConfig,
   "foundry.grid.GridlessGrid": PATCHES_GridlessGrid,
   "foundry.grid.HexagonalGrid": PATCHES_HexagonalGrid,
   "foundry.grid.SquareGrid": PATCHES_SquareGrid,
   "CONFIG.Canvas.rulerClass": PATCHES_Ruler,
+  Region: PATCHES_RegionPF,
+  SceneConfig: PATCHES_SceneConfig,
   Token: mergeObject(mergeObject(PATCHES_Token, PATCHES_TokenPF), PATCHES_TokenHUD),
   Wall: PATCHES_Wall
 };
@@ -11,9 +11,12 @@ Wall
 
 import { MODULE_ID } from "../const.js";
 import { Draw } from "../geometry/Draw.js";
-import { WallTracerEdge } from "./WallTracer.js";
+import { WallTracerEdge, SCENE_GRAPH } from "./WallTracer.js";
 import { GridCoordinates3d } from "../geometry/3d/GridCoordinates3d.js";
+import { Point3d } from "../geometry/3d/Point3d.js";
 import { Settings } from "../settings.js";
+import { segmentBounds } from "../util.js";
+import { pathfindingOption, SCENE_OPTIONS } from "./scene_options.js";
 
 const OTHER_DIRECTION = {
   ccw: "cw",
@@ -37,6 +40,32 @@ export class BorderEdge {
   /** @type {Token} */
   static moveToken;
 
+  /**
+   * Number of times an edge was too narrow for the moving token since this was last reset.
+   * Used to explain why no path was found.
+   * @type {number}
+   */
+  static clearanceRejections = 0;
+
+  /**
+   * Walls the user has not seen, which do not block when pathfinding uses only seen walls.
+   * @type {Set<Wall>}
+   */
+  static unseenWalls = new Set();
+
+  /**
+   * The triangles, blocking state, and moving token for which edge clearances are cached.
+   * Set when preparing a search; clearances cached for a different version are discarded.
+   * @type {string}
+   */
+  static clearanceVersion = "";
+
+  /**
+   * Extra pathfinding cost, in pixel units, to open a closed door.
+   * @type {number}
+   */
+  static get doorCost() { return canvas.dimensions.size * CONFIG[MODULE_ID].pathfindingDoorCost; }
+
   /** @type {PIXI.Point} */
   a = new PIXI.Point();
 
@@ -75,6 +104,15 @@ export class BorderEdge {
 
   get length() { return this.#length || (this.#length = this.b.subtract(this.a).magnitude()); }
 
+  /**
+   * Clearance of this edge, by elevation and spacer, for BorderEdge.clearanceVersion.
+   * @type {Map<string, number>}
+   */
+  #clearances = new Map();
+
+  /** @type {string} */
+  #clearancesVersion = "";
+
   /**
    * Get the other triangle for this edge.
    * @param {BorderTriangle}
@@ -124,11 +162,11 @@ export class BorderEdge {
    * Provide valid destinations for this edge.
    * Blocked walls are invalid.
    * Typically returns 2 corner destinations plus the median destination.
-   * If the edge is less than 2 * spacer, no destinations are valid.
+   * If the gap spanned by the edge is less than 2 * spacer, no destinations are valid.
    * @param {Point} center              Test if wall blocks from perspective of this origin point
    * @param {number} elevation          Assumed elevation of the move, for testing blocking walls, tokens
    * @param {number} [spacer]           How much away from the corner to set the corner destinations
-   *   If the edge is less than 2 * spacer, it will be deemed invalid.
+   *   If the gap is less than 2 * spacer, it will be deemed invalid.
    *   Corner destinations are skipped if not more than spacer away from median.
    * @returns {PIXI.Point[]}
    */
@@ -137,17 +175,11 @@ export class BorderEdge {
     spacer ??= canvas.grid.size * 0.5;
     const length = this.length;
     const destinations = [];
-
-    // If both vertices block, limit destinations to edges 2x spacer.
-    // (Strongly suggests a hallway or other walling on both sides of the edge.)
-    // Otherwise, don't test for spacer because edges could be non-blocking on either side,
-    // which increases the size of the space.
-    // For doors, let the token through regardless.
     if ( this.edgeBlocks(origin, elevation) ) return destinations;
-    if ( !this.isOpenDoor
-       && this.vertexBlocks(this.a.key)
-       && this.vertexBlocks(this.b.key)
-       && length < (spacer * 1.9) ) return destinations;
+    if ( this.isTooNarrow(elevation, spacer) ) {
+      this.constructor.clearanceRejections += 1;
+      return destinations;
+    }
     destinations.push(this.median);
 
     // Skip corners if not at least spacer away from median.
@@ -162,19 +194,138 @@ export class BorderEdge {
     return destinations;
   }
 
+  /**
+   * Width of the gap spanned by this edge, between the nearest obstacles that block movement.
+   * The gap is measured along the line of the edge. If a vertex of this edge does not touch a blocking edge,
+   * the gap continues past that vertex until it reaches a blocking wall or token edge.
+   * An open door is as wide as the door.
+   * @param {number} [elevation=0]                          Elevation of the move, in pixel units
+   * @param {number} [maxWidth=Number.POSITIVE_INFINITY]    Stop measuring once the gap is at least this wide
+   * @returns {number} Width of the gap, in pixel units, up to maxWidth
+   */
+  clearance(elevation = 0, maxWidth = Number.POSITIVE_INFINITY) {
+    const { a, b, length } = this;
+    if ( this.isOpenDoor || length >= maxWidth ) return length;
+    let width = length;
+    if ( !this.vertexBlocks(b.key, elevation) ) width += this.#openDistance(a, b, maxWidth - width, elevation);
+    if ( width < maxWidth && !this.vertexBlocks(a.key, elevation) ) {
+      width += this.#openDistance(b, a, maxWidth - width, elevation);
+    }
+    return Math.min(width, maxWidth);
+  }
+
+  /**
+   * Is the gap spanned by this edge too narrow for the moving token?
+   * Tokens no larger than a grid space can always pass through open doors.
+   * @param {number} elevation      Elevation of the move, in pixel units
+   * @param {number} spacer         Half the width of the moving token
+   * @returns {boolean}
+   */
+  isTooNarrow(elevation, spacer) {
+    const width = spacer * 2;
+    if ( this.isOpenDoor && width <= canvas.dimensions.size ) return false;
+
+    // Measuring the gap searches the scene for blocking edges, so cache it for later expansions of this edge.
+    const version = this.constructor.clearanceVersion;
+    if ( this.#clearancesVersion !== version ) {
+      this.#clearances.clear();
+      this.#clearancesVersion = version;
+    }
+    const key = `${elevation}_${spacer}`;
+    let clearance = this.#clearances.get(key);
+    if ( typeof clearance === "undefined" ) this.#clearances.set(key, clearance = this.clearance(elevation, width));
+
+    // Cheat a little on the spacing.
+    return clearance < (spacer * 1.9);
+  }
+
+  /**
+   * Distance past the end of this edge, continuing along the line of the edge, before reaching
+   * an edge that blocks movement.
+   * @param {PIXI.Point} start          Endpoint of this edge at which the line starts
+   * @param {PIXI.Point} end            Endpoint of this edge past which to measure
+   * @param {number} maxDistance        Maximum distance to measure
+   * @param {number} elevation          Elevation of the move, in pixel units
+   * @returns {number} Distance, up to maxDistance
+   */
+  #openDistance(start, end, maxDistance, elevation) {
+    const { moveToken, tokenBlockType } = this.constructor;
+    const to = start.projectToward(end, 1 + (maxDistance / this.length));
+    let dist = maxDistance;
+    for ( const edge of SCENE_GRAPH.edgesQuadtree.getObjects(segmentBounds(end, to)) ) {
+      const ix = foundry.utils.lineSegmentIntersection(end, to, edge.A, edge.B);
+      if ( !ix || ix.t0.almostEqual(0) ) continue; // Edges at the vertex itself do not block.
+      if ( !edge.edgeBlocks(end, moveToken, tokenBlockType, elevation) ) continue;
+      dist = Math.min(dist, ix.t0 * maxDistance);
+    }
+    return dist;
+  }
+
+  /**
+   * Determine the elevations at which this edge can be crossed.
+   * If the edge does not block at the current elevation, only the current elevation is returned.
+   * Otherwise, if the move can change elevation, test going over or under each object of the edge,
+   * as well as moving directly to the target elevation.
+   * @param {Point} origin                              Test if edge blocks from perspective of this origin point
+   * @param {number} [elevation=0]                      Current elevation of the move, in pixel units
+   * @param {object} [opts]                             Options that affect the elevation choices
+   * @param {boolean} [opts.canChangeElevation=false]   If false, only the current elevation is considered
+   * @param {number} [opts.targetElevation]             Elevation at the end of the move, in pixel units
+   * @param {number} [opts.minElevation=0]              Lowest permissible elevation, in pixel units
+   * @param {number} [opts.tokenHeight=0]               Vertical size of the moving token, to fit under objects
+   * @returns {number[]} The nearest non-blocking elevation above and below the current elevation, if any.
+   */
+  crossingElevations(origin, elevation = 0,
+    { canChangeElevation = false, targetElevation, minElevation = 0, tokenHeight = 0 } = {}) {
+    if ( !this.edgeBlocks(origin, elevation) ) return [elevation];
+    if ( !canChangeElevation ) return [];
+
+    const candidates = new Set();
+    if ( Number.isFinite(targetElevation) ) candidates.add(targetElevation);
+    for ( const obj of this.objects ) {
+      if ( !(obj instanceof Wall || obj instanceof Token) ) continue;
+      if ( Number.isFinite(obj.topZ) ) candidates.add(obj.topZ);
+      if ( Number.isFinite(obj.bottomZ) ) candidates.add(obj.bottomZ - tokenHeight);
+    }
+
+    let above;
+    let below;
+    for ( const e of candidates ) {
+      if ( e < minElevation || this.edgeBlocks(origin, e) ) continue;
+      if ( e > elevation ) {
+        if ( typeof above === "undefined" || e < above ) above = e;
+      } else if ( typeof below === "undefined" || e > below ) below = e;
+    }
+    const out = [];
+    if ( typeof above !== "undefined" ) out.push(above);
+    if ( typeof below !== "undefined" ) out.push(below);
+    return out;
+  }
+
   /**
    * Determine if this is an open door with nothing else blocking.
+   * Closed but unlocked doors count as open if pathfinding plans to open them.
    * @type {boolean}
    */
   get isOpenDoor() {
     if ( !this.objects.size ) return false;
     const { moveToken, tokenBlockType } = this.constructor;
     return this.objects.every(obj =>
-      (obj instanceof Wall) ? obj.isOpen
+      (obj instanceof Wall) ? WallTracerEdge.isPassableDoor(obj)
         : (obj instanceof Token ) ? !WallTracerEdge.tokenEdgeBlocks(obj, moveToken, tokenBlockType)
           : true);
   }
 
+  /**
+   * Determine if crossing this edge requires opening a closed but unlocked door.
+   * @type {boolean}
+   */
+  get isClosedDoor() {
+    if ( !WallTracerEdge.planThroughDoors ) return false;
+    const CLOSED = WallTracerEdge.DOOR_STATES.CLOSED;
+    return this.objects.some(obj => obj instanceof Wall && WallTracerEdge.doorState(obj) === CLOSED);
+  }
+
   /**
    * Compilation of tests based on edge type for whether this wall blocks.
    * @param {Point} origin    Measure wall blocking from perspective of this origin point.
@@ -187,9 +338,11 @@ export class BorderEdge {
       return ccwBlocks || cwBlocks;
     }
 
-    const { moveToken, tokenBlockType } = this.constructor;
+    const { moveToken, tokenBlockType, unseenWalls } = this.constructor;
     return this.objects.some(obj => {
-      if ( obj instanceof Wall ) return WallTracerEdge.wallBlocks(obj, origin, moveToken, elevation);
+      if ( obj instanceof Wall ) {
+        return !unseenWalls.has(obj) && WallTracerEdge.wallBlocks(obj, origin, moveToken, elevation);
+      }
       if ( obj instanceof Token ) return WallTracerEdge.tokenEdgeBlocks(obj, moveToken, tokenBlockType, elevation);
       return false;
     });
@@ -425,31 +578,43 @@ export class BorderTriangle {
    *
    * Corner destination skipped if median --> corner < spacer
    *
+   * If the elevation options permit, an edge that blocks at the current elevation may be crossed
+   * at a different elevation. See BorderEdge.prototype.crossingElevations.
+   *
    * @param {BorderTriangle|null} priorTriangle       Triangle that preceded this one along the path
    * @param {number} elevation                        Assumed elevation of the move, for testing edge walls, tokens.
    * @param {number} spacer                           How far from the corner to set the corner destinations
+   * @param {object} [elevationOpts]                  Options passed to BorderEdge.prototype.crossingElevations
    * @returns {PathNode[]} Each element has properties describing the destination, conforming to pathfinding
    *   - {number} key
    *   - {PIXI.Point} entryPoint
+   *   - {number} elevation
    *   - {BorderTriangle} entryTriangle
    *   - {BorderTriangle} priorTriangle
    */
-  getValidDestinations(priorTriangle, elevation, spacer) {
+  getValidDestinations(priorTriangle, elevation, spacer, elevationOpts) {
     spacer ??= canvas.grid.size * 0.5;
+    elevation ??= 0;
     const destinations = [];
     const center = this.center;
     for ( const edge of Object.values(this.edges) ) {
       const entryTriangle = edge.otherTriangle(this); // Neighbor
       if ( !entryTriangle || (priorTriangle && priorTriangle === entryTriangle) ) continue;
-      const pts = edge.getValidDestinations(center, elevation, spacer);
-      pts.forEach(entryPoint => {
-        destinations.push({
-          entryPoint,
-          key: `${entryPoint.key}_${entryTriangle.id}`, // Key needs to be unique for each point and triangle!
-          entryTriangle, // Needed to locate neighbors in the next iteration.
-          priorTriangle: this // Needed to eliminate irrelevant neighbors in the next iteration.
+      const opensDoor = edge.isClosedDoor;
+      for ( const crossingElevation of edge.crossingElevations(center, elevation, elevationOpts) ) {
+        const pts = edge.getValidDestinations(center, crossingElevation, spacer);
+        pts.forEach(entryPoint => {
+          destinations.push({
+            entryPoint,
+            elevation: crossingElevation,
+            // Key needs to be unique for each point, elevation, and triangle!
+            key: `${entryPoint.key}_${crossingElevation}_${entryTriangle.id}`,
+            entryTriangle, // Needed to locate neighbors in the next iteration.
+            priorTriangle: this, // Needed to eliminate irrelevant neighbors in the next iteration.
+            opensDoor
+          });
         });
-      });
+      }
     }
     return destinations;
   }
@@ -459,17 +624,21 @@ export class BorderTriangle {
    * @param {BorderTriangle|null} priorTriangle     Triangle that preceded this one along the path
    * @param {number} elevation                      Assumed elevation of the move, for testing edge walls, tokens.
    * @param {number} spacer                         How far from the corner to set the corner destinations
-   * @param {Point} fromPoint                       Point to measure from, for cost
+   * @param {Point3d} fromPoint                     Point to measure from, for cost
    * @param {Token} [token]                         Token doing the movement
+   * @param {PenaltyField} [penaltyField]           Terrain penalties for the token, if enabled
+   * @param {object} [elevationOpts]                Options passed to BorderEdge.prototype.crossingElevations
    * @returns {PathNode[]}
    */
-  getValidDestinationsWithCost(priorTriangle, elevation, spacer, fromPoint, token, movePenaltyInstance) {
-    const destinations = this.getValidDestinations(priorTriangle, elevation, spacer);
+  getValidDestinationsWithCost(priorTriangle, elevation, spacer, fromPoint, token, penaltyField, elevationOpts) {
+    const destinations = this.getValidDestinations(priorTriangle, elevation, spacer, elevationOpts);
     destinations.forEach(d => {
-      d.cost = this._calculateMovementCost(fromPoint, d.entryPoint, token, movePenaltyInstance);
+      const toPoint = new Point3d(d.entryPoint.x, d.entryPoint.y, d.elevation);
+      d.cost = this._calculateMovementCost(fromPoint, toPoint, token, penaltyField);
 
       // NaN is bad--results in infinite loop; probably don't want to set NaN to 0 cost.
       if ( !Number.isFinite(d.cost) ) d.cost = 1e06;
+      if ( d.opensDoor ) d.cost += BorderEdge.doorCost;
       d.fromPoint = fromPoint;
     });
     return destinations;
@@ -477,21 +646,21 @@ export class BorderTriangle {
 
   /**
    * Calculate the cost for a single path node from a given point.
-   * @param {Point} fromPoint                         Where the movement starts
-   * @param {Point} toPoint                           Where the movement ends
-   * @param {Token} [token]                           Token doing the movement
+   * Both points are assumed to be within or on the border of this triangle.
+   * Points with a z value are measured in 3d.
+   * @param {Point3d} fromPoint                       Where the movement starts
+   * @param {Point3d} toPoint                         Where the movement ends
+   * @param {Token} [_token]                          Token doing the movement
+   * @param {PenaltyField} [penaltyField]             Terrain penalties for the token, if enabled
    * @returns {number} Cost value
    */
-  _calculateMovementCost(fromPoint, toPoint, token, movePenaltyInstance) {
-    // TODO: Handle 3d distance. Probably Ray3d with measureDistance or measureDistances.
-    // TODO: Handle terrain distance.
+  _calculateMovementCost(fromPoint, toPoint, _token, penaltyField) {
     const diagonals = Settings.get(Settings.KEYS.MEASURING.EUCLIDEAN_GRID_DISTANCE)
       ? GridCoordinates3d.GRID_DIAGONALS.EUCLIDEAN : canvas.grid.diagonals;
-    let distance;
-    if ( CONFIG[MODULE_ID].pathfindingCheckTerrains ) {
-      const res = movePenaltyInstance.measureSegment(fromPoint, toPoint, { numPrevDiagonal: 0, diagonals });
-      distance = res.cost;
-    } else distance = GridCoordinates3d.gridDistanceBetween(fromPoint, toPoint, { diagonals });
+    let distance = GridCoordinates3d.gridDistanceBetween(fromPoint, toPoint, { diagonals });
+    if ( penaltyField && pathfindingOption(SCENE_OPTIONS.CHECK_TERRAINS) ) {
+      distance *= penaltyField.multiplierForTriangle(this, fromPoint.z || 0);
+    }
     return CONFIG.GeometryLib.utils.gridUnitsToPixels(distance);
   }
 
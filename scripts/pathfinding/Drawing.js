@@ -0,0 +1,85 @@
+/* globals
+foundry
+*/
+"use strict";
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+
+import { SCENE_GRAPH } from "./WallTracer.js";
+import { Pathfinder } from "./pathfinding.js";
+import { log } from "../util.js";
+import { MODULE_ID } from "../const.js";
+import { MovePenalty } from "../measurement/MovePenalty.js";
+import { pathfindingOption, SCENE_OPTIONS } from "./scene_options.js";
+
+// Track drawings that impose movement penalties, adding their borders to the scene graph.
+// Use to update the pathfinding triangulation so each triangle is either in or out of the drawing.
+
+export const PATCHES = {};
+PATCHES.PATHFINDING = {};
+
+/**
+ * Hook createDrawing to update the scene graph and triangulation.
+ * @param {Document} document                       The new Document instance which has been created
+ * @param {DocumentModificationContext} options     Additional options which modified the creation request
+ * @param {string} userId                           The ID of the User who triggered the creation workflow
+ */
+function createDrawing(document, _options, _userId) {
+  Pathfinder.penaltyVersion += 1;
+  if ( !pathfindingOption(SCENE_OPTIONS.CHECK_TERRAINS) ) return;
+  if ( !document.object || !MovePenalty.isPenaltyDrawing(document.object) ) return;
+  SCENE_GRAPH.addDrawing(document.object);
+  Pathfinder.dirty = true;
+  const res = SCENE_GRAPH._checkInternalConsistency();
+  if ( !res.allConsistent ) {
+    log(`WallTracer|createDrawing ${document.id} resulted in inconsistent graph.`, SCENE_GRAPH, res);
+    SCENE_GRAPH._reset();
+  }
+}
+
+/**
+ * Hook updateDrawing to update the scene graph and triangulation.
+ * @param {Document} document                       The existing Document which was updated
+ * @param {object} changed                          Differential data that was used to update the document
+ * @param {Partial<DatabaseUpdateOperation>} options Additional options which modified the update request
+ * @param {string} userId                           The ID of the User who triggered the update workflow
+ */
+function updateDrawing(document, changed, _options, _userId) {
+  Pathfinder.penaltyVersion += 1;
+  if ( !pathfindingOption(SCENE_OPTIONS.CHECK_TERRAINS) ) return;
+  if ( !(Object.hasOwn(changed, "x")
+      || Object.hasOwn(changed, "y")
+      || Object.hasOwn(changed, "shape")
+      || Object.hasOwn(changed, "rotation")
+      || Object.hasOwn(changed, "elevation")
+      || foundry.utils.hasProperty(changed, `flags.${MODULE_ID}`)) ) return;
+
+  // Easiest approach is to trash the edges for the drawing and re-create them.
+  SCENE_GRAPH.removeDrawing(document.id);
+  if ( document.object && MovePenalty.isPenaltyDrawing(document.object) ) SCENE_GRAPH.addDrawing(document.object);
+  Pathfinder.dirty = true;
+  const res = SCENE_GRAPH._checkInternalConsistency();
+  if ( !res.allConsistent ) {
+    log(`WallTracer|updateDrawing ${document.id} resulted in inconsistent graph.`, SCENE_GRAPH, res);
+    SCENE_GRAPH._reset();
+  }
+}
+
+/**
+ * Hook deleteDrawing to update the scene graph and triangulation.
+ * @param {Document} document                       The existing Document which was deleted
+ * @param {DocumentModificationContext} options     Additional options which modified the deletion request
+ * @param {string} userId                           The ID of the User who triggered the deletion workflow
+ */
+function deleteDrawing(document, _options, _userId) {
+  Pathfinder.penaltyVersion += 1;
+  if ( !SCENE_GRAPH.drawingIds.has(document.id) ) return;
+  SCENE_GRAPH.removeDrawing(document.id); // The document.object is now null; use the id to remove the drawing.
+  Pathfinder.dirty = true;
+  const res = SCENE_GRAPH._checkInternalConsistency();
+  if ( !res.allConsistent ) {
+    log(`WallTracer|deleteDrawing ${document.id} resulted in inconsistent graph.`, SCENE_GRAPH, res);
+    SCENE_GRAPH._reset();
+  }
+}
+
+PATCHES.PATHFINDING.HOOKS = { createDrawing, updateDrawing, deleteDrawing };
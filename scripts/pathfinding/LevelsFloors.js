@@ -0,0 +1,100 @@
+/* globals
+canvas,
+CONFIG
+*/
+"use strict";
+
+import { MODULE_ID, FLAGS, OTHER_MODULES } from "../const.js";
+import { Pathfinder } from "./pathfinding.js";
+import { interiorPoint } from "./RegionPortal.js";
+
+// Floors defined by the Levels module, used to path between floors of a building.
+// Pathfinding shares one triangulation across floors. Each path node has an elevation, and walls only block
+// within their bottom and top elevations, so each floor is searched with only the walls of that floor.
+// Regions flagged as stairs that span more than one floor link the floors as portals.
+
+/**
+ * @typedef {object} LevelsFloor
+ * @property {string} name        Name of the floor, possibly empty
+ * @property {number} bottomZ     Bottom of the floor, in pixel units
+ * @property {number} topZ        Top of the floor, in pixel units
+ */
+
+/**
+ * Floors of the scene, from the Levels sceneLevels flag, ordered from the lowest.
+ * @returns {LevelsFloor[]} Empty if Levels is not active or the scene has no floors
+ */
+export function sceneFloors() {
+  if ( !OTHER_MODULES.LEVELS.ACTIVE ) return [];
+  const sceneLevels = canvas.scene.getFlag("levels", "sceneLevels"); // Array with [0]: bottom; [1]: top; [2]: name
+  if ( !Array.isArray(sceneLevels) ) return [];
+  const { gridUnitsToPixels } = CONFIG.GeometryLib.utils;
+  return sceneLevels
+    .map(([bottom, top, name]) => ({ name: name ?? "", bottom: Number(bottom), top: Number(top) }))
+    .filter(lvl => Number.isFinite(lvl.bottom) && Number.isFinite(lvl.top) && lvl.top > lvl.bottom)
+    .sort((a, b) => a.bottom - b.bottom)
+    .map(lvl => ({ name: lvl.name, bottomZ: gridUnitsToPixels(lvl.bottom), topZ: gridUnitsToPixels(lvl.top) }));
+}
+
+/**
+ * Find the floor containing an elevation.
+ * @param {LevelsFloor[]} floors
+ * @param {number} z              Elevation, in pixel units
+ * @returns {LevelsFloor|undefined}
+ */
+export function floorAtElevation(floors, z) {
+  return floors.find(floor => z >= floor.bottomZ && z < floor.topZ);
+}
+
+/**
+ * Does a move from a to b end on a different Levels floor than it starts?
+ * @param {Point3d} a
+ * @param {Point3d} b
+ * @returns {boolean}
+ */
+export function changesFloor(a, b) {
+  const floors = sceneFloors();
+  if ( floors.length < 2 ) return false;
+  return floorAtElevation(floors, a.z || 0) !== floorAtElevation(floors, b.z || 0);
+}
+
+/**
+ * Portals linking floors through regions marked as stairs with the elevationruler.stairs flag.
+ * A stair links each pair of consecutive floors that its elevation range reaches into, in both directions.
+ * The token keeps its position and moves to the bottom of the other floor.
+ * Using the stair costs the vertical distance between the two floors.
+ * @param {LevelsFloor[]} floors
+ * @returns {RegionPortal[]}
+ */
+export function stairPortals(floors) {
+  if ( floors.length < 2 ) return [];
+  const { gridUnitsToPixels } = CONFIG.GeometryLib.utils;
+  const portals = [];
+  for ( const region of canvas.regions.placeables ) {
+    if ( !region.document.getFlag(MODULE_ID, FLAGS.STAIRS) ) continue;
+    const { bottom, top } = region.document.elevation;
+    const bottomZ = Number.isFinite(bottom) ? gridUnitsToPixels(bottom) : Number.NEGATIVE_INFINITY;
+    const topZ = Number.isFinite(top) ? gridUnitsToPixels(top) : Number.POSITIVE_INFINITY;
+    const spanned = floors.filter(floor => floor.bottomZ <= topZ && floor.topZ > bottomZ);
+    if ( spanned.length < 2 ) continue;
+
+    const point = interiorPoint(region);
+    const triangle = point ? Pathfinder.trianglesAtPoint(point).first() : undefined;
+    if ( !triangle ) continue;
+    const link = (from, to) => portals.push({
+      region,
+      entryPoint: point,
+      entryTriangle: triangle,
+      entryFloor: from,
+      exitPoint: point,
+      exitTriangle: triangle,
+      exitElevation: to.bottomZ,
+      cost: Math.abs(to.bottomZ - from.bottomZ)
+    });
+    for ( let i = 1; i < spanned.length; i += 1 ) {
+      link(spanned[i - 1], spanned[i]);
+      link(spanned[i], spanned[i - 1]);
+    }
+  }
+  return portals;
+}
@@ -0,0 +1,121 @@
+"use strict";
+
+/**
+ * @typedef {object} CachedPath
+ * @property {PathNode[]|null} corridor     Path nodes between the start and the goal; null if no path was found
+ * @property {boolean} clearanceLimited     Whether any edge was too narrow for the token during the search
+ */
+
+/**
+ * Triangle corridors from prior searches, keyed by the search parameters.
+ * The least recently used corridor is discarded when the cache is full.
+ * The cache is emptied whenever its version changes, such as when the triangles are rebuilt.
+ */
+export class PathCache {
+  /**
+   * Maximum number of corridors to keep.
+   * @type {number}
+   */
+  maxSize;
+
+  /** @type {Map<string, CachedPath>} */
+  #paths = new Map();
+
+  /** @type {string} */
+  #version = "";
+
+  /**
+   * @param {number} [maxSize=50]   Maximum number of corridors to keep
+   */
+  constructor(maxSize = 50) {
+    this.maxSize = maxSize;
+  }
+
+  /** @type {number} */
+  get size() { return this.#paths.size; }
+
+  /** @type {string} */
+  get version() { return this.#version; }
+
+  /**
+   * Set the version of the scene state the corridors belong to, emptying the cache if it changed.
+   * @param {string} version
+   */
+  set version(version) {
+    if ( this.#version === version ) return;
+    this.#paths.clear();
+    this.#version = version;
+  }
+
+  /**
+   * Corridor stored for a key, marking it as the most recently used.
+   * @param {string} [key]
+   * @returns {CachedPath|undefined}
+   */
+  get(key) {
+    const paths = this.#paths;
+    const cached = paths.get(key);
+    if ( !cached ) return undefined;
+    paths.delete(key);
+    paths.set(key, cached);
+    return cached;
+  }
+
+  /**
+   * Store the corridor for a search result, discarding the least recently used if the cache is full.
+   * @param {string} key
+   * @param {Map<PathNode.key, PathNode>} pathMap     Result of the search
+   * @param {boolean} [clearanceLimited=false]        Whether any edge was too narrow for the token
+   */
+  set(key, pathMap, clearanceLimited = false) {
+    // Walk back from the goal; if the walk does not reach the start, no path was found.
+    const nodes = pathNodes(pathMap);
+    const corridor = nodes[0]?.key === pathMap.start.key ? nodes.slice(1, -1) : null;
+    const paths = this.#paths;
+    paths.delete(key);
+    paths.set(key, { corridor, clearanceLimited });
+    if ( paths.size > this.maxSize ) paths.delete(paths.keys().next().value);
+  }
+
+  /**
+   * Discard every corridor.
+   */
+  clear() { this.#paths.clear(); }
+
+  /**
+   * Build a path map, as returned by the algorithms, from a cached corridor.
+   * @param {PathNode[]|null} corridor    Path nodes between start and goal; null if no path
+   * @param {PathNode} start
+   * @param {PathNode} goal
+   * @returns {Map<PathNode.key, PathNode>}
+   */
+  static pathFromCorridor(corridor, start, goal) {
+    const pathMap = new Map();
+    pathMap.start = start;
+    pathMap.goal = goal;
+    if ( !corridor ) return pathMap;
+    let prior = start;
+    for ( const node of corridor ) {
+      pathMap.set(node.key, prior);
+      prior = node;
+    }
+    pathMap.set(goal.key, prior);
+    return pathMap;
+  }
+}
+
+/**
+ * Path nodes of a path map, in order, found by walking back from the goal.
+ * If no path was found, the walk stops before reaching the start.
+ * @param {Map<PathNode.key, PathNode>} pathMap
+ * @returns {PathNode[]}
+ */
+export function pathNodes(pathMap) {
+  let curr = pathMap.goal;
+  const nodes = [];
+  while ( curr && nodes.length < 1000 ) {
+    nodes.push(curr);
+    curr = pathMap.get(curr.key);
+  }
+  return nodes.reverse();
+}
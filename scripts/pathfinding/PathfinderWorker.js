@@ -0,0 +1,428 @@
+/* globals
+canvas,
+PIXI,
+Ruler
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID } from "../const.js";
+import { Settings } from "../settings.js";
+import { log } from "../util.js";
+import { Pathfinder } from "./pathfinding.js";
+import { BorderEdge, BorderTriangle } from "./BorderTriangle.js";
+import { WallTracerEdge } from "./WallTracer.js";
+import { MovePenalty } from "../measurement/MovePenalty.js";
+import { floorAtElevation } from "./LevelsFloors.js";
+import { pathfindingOption, SCENE_OPTIONS } from "./scene_options.js";
+
+/**
+ * Main-thread side of the pathfinding worker.
+ * Sends a serializable snapshot of the pathfinding triangles and edge blocking to the worker,
+ * requests searches, and caches the resulting paths.
+ * Searches are asynchronous: until a path arrives, the caller should treat the segment as unpathed.
+ * When a path arrives, the ruler is re-measured so it picks up the cached path.
+ *
+ * Requests are grouped into channels, one per token and segment start.
+ * Only one request per channel is sent to the worker at a time. If the ruler moves on while a request
+ * is being processed, only the most recent request for that channel is sent next; the rest are dropped.
+ */
+export class PathfinderWorker {
+  /**
+   * Maximum number of paths to cache.
+   * @type {number}
+   */
+  static MAX_RESULTS = 50;
+
+  /** @type {Worker|undefined} */
+  #worker;
+
+  /**
+   * Set if the worker could not be created or failed, in which case pathfinding runs on the main thread.
+   * @type {boolean}
+   */
+  #failed = false;
+
+  /** @type {number} */
+  #nextRequestId = 0;
+
+  /**
+   * Requests sent to the worker and not yet answered, by request id.
+   * @type {Map<number, object>}
+   */
+  #inFlight = new Map();
+
+  /**
+   * Channels with a request sent to the worker, mapped to the request id.
+   * @type {Map<string, number>}
+   */
+  #busyChannels = new Map();
+
+  /**
+   * Most recent request for each busy channel, to send when the channel is free.
+   * @type {Map<string, object>}
+   */
+  #pending = new Map();
+
+  /**
+   * @typedef {object} WorkerResult
+   * @property {PIXI.Point[]|null} pathPoints     Path found; empty if none; null if the search failed
+   * @property {boolean} clearanceLimited         Whether any edge was too narrow for the token during the search
+   */
+
+  /**
+   * Paths found by the worker, by request key.
+   * @type {Map<string, WorkerResult>}
+   */
+  #results = new Map();
+
+  /**
+   * Triangle index for each triangle in the current geometry snapshot.
+   * @type {Map<BorderTriangle, number>}
+   */
+  #triangleIndex = new Map();
+
+  /**
+   * Edge index for each edge in the current geometry snapshot.
+   * @type {Map<BorderEdge, number>}
+   */
+  #edgeIndex = new Map();
+
+  /**
+   * Edges in the current geometry snapshot, by edge index.
+   * Replaced, not modified, when a new snapshot is sent, so requests can keep the edges they were sent with.
+   * @type {BorderEdge[]}
+   */
+  #edges = [];
+
+  /**
+   * Pathfinder.buildId of the geometry last sent to the worker.
+   * @type {number}
+   */
+  #sentBuildId = -1;
+
+  /**
+   * Keys of the blocking parts last sent to the worker, by part.
+   * @type {Map<string, string>}
+   */
+  #sentBlockingKeys = new Map();
+
+  /**
+   * The worker, created when first needed.
+   * @type {Worker|undefined}
+   */
+  get worker() {
+    if ( this.#worker || this.#failed ) return this.#worker;
+    try {
+      this.#worker = new Worker(new URL("./pathfinding_worker.js", import.meta.url), {
+        type: "module",
+        name: `${MODULE_ID}-pathfinding`
+      });
+      this.#worker.onmessage = event => this.#onMessage(event.data);
+      this.#worker.onerror = error => this.#fail(error);
+    } catch(error) {
+      this.#fail(error);
+    }
+    return this.#worker;
+  }
+
+  /**
+   * Can the worker find a path for this pathfinder?
+   * The worker handles moves on gridless scenes at a single elevation within explored areas,
+   * where no hazards are forbidden, opportunity attacks are not avoided, and no walls are ignored as unseen;
+   * otherwise pathfinding must run on the main thread.
+   * The worker measures Euclidean distances, so it cannot follow the diagonal rule of a gridded scene.
+   * @param {Pathfinder} pf
+   * @returns {boolean}
+   */
+  canSearch(pf) {
+    if ( this.#failed || !Settings.get(Settings.KEYS.PATHFINDING.USE_WORKER) ) return false;
+    if ( !canvas.grid.isGridless ) return false;
+    if ( pf.limitedToExplored || BorderEdge.unseenWalls.size ) return false;
+    if ( pathfindingOption(SCENE_OPTIONS.CHECK_TERRAINS)
+      && !MovePenalty.avoidHazards
+      && pf.penaltyField?.hasHazards(pf.startElevation) ) return false;
+    if ( pf.threatAreas.length || pf.portals.size ) return false;
+    if ( floorAtElevation(pf.floors, pf.startElevation) !== floorAtElevation(pf.floors, pf.endElevation) ) return false;
+    return !pf.elevationOpts.canChangeElevation;
+  }
+
+  /**
+   * Get the path between two points, if the worker has found it.
+   * Otherwise, request it from the worker.
+   * @param {Pathfinder} pf     Pathfinder for the moving token
+   * @param {Point3d} A         Start point
+   * @param {Point3d} B         End point
+   * @returns {PIXI.Point[]|undefined|null}
+   *   Path points if found; undefined if pending; null if the worker cannot be used for this path.
+   */
+  pathPoints(pf, A, B) {
+    // The worker only runs A*.
+    if ( Pathfinder.selectedAlgorithm !== "astar" ) return null;
+
+    // Set up the pathfinder so the triangles, elevation options, and penalty field are current.
+    pf._prepareAlgorithm("astar", A, B);
+    if ( !this.canSearch(pf) || !this.worker ) return null;
+
+    const blockingKey = this.#blockingKey(pf);
+    const key = `${blockingKey}|${A.key}_${A.z}|${B.key}`;
+    if ( this.#results.has(key) ) {
+      const { pathPoints, clearanceLimited } = this.#results.get(key);
+      pf.clearanceLimited = clearanceLimited;
+
+      // Copy the cached points so later changes to the ruler segments do not alter the cache.
+      return pathPoints?.map(pt => {
+        const newPt = pt.clone();
+        newPt.z = pt.z;
+        if ( pt.edge ) newPt.edge = pt.edge;
+        return newPt;
+      }) ?? null;
+    }
+
+    const startTri = Pathfinder.trianglesAtPoint(A).first();
+    const endTri = Pathfinder.trianglesAtPoint(B).first();
+    if ( !startTri || !endTri ) return null;
+    const request = { pf, A, B, startTri, endTri, key, channel: `${pf.token.id}|${A.key}` };
+    if ( this.#busyChannels.has(request.channel) ) this.#pending.set(request.channel, request);
+    else this.#send(request);
+    return undefined;
+  }
+
+  /**
+   * Clear the cached paths and stop tracking requests. Requests already sent are ignored when answered.
+   */
+  clear() {
+    this.#results.clear();
+    this.#inFlight.clear();
+    this.#busyChannels.clear();
+    this.#pending.clear();
+  }
+
+  /**
+   * Key identifying the edge blocking for a pathfinder's move.
+   * @param {Pathfinder} pf
+   * @returns {string}
+   */
+  #blockingKey(pf) {
+    return Object.values(this.#blockingPartKeys(pf)).join("|");
+  }
+
+  /**
+   * Keys identifying each part of the edge blocking for a pathfinder's move.
+   * A part is only recalculated and sent to the worker when its key changes.
+   * @param {Pathfinder} pf
+   * @returns {object} Key for slotBlocks, narrow, doorCosts, and multipliers
+   */
+  #blockingPartKeys(pf) {
+    const { buildId, blockingVersion, penaltyVersion } = Pathfinder;
+    const move = `${pf.token.id}_${pf.startElevation}_${BorderEdge.tokenBlockType}`;
+    return {
+      slotBlocks: `${buildId}_${blockingVersion}_${move}`,
+      narrow: `${buildId}_${blockingVersion}_${move}_${pf.spacer}`,
+      doorCosts: `${buildId}_${blockingVersion}`,
+      multipliers: `${buildId}_${penaltyVersion}_${move}_${pathfindingOption(SCENE_OPTIONS.CHECK_TERRAINS)}`
+    };
+  }
+
+  /**
+   * Send a search request, first sending any snapshots the worker does not yet have.
+   * @param {object} request
+   */
+  #send(request) {
+    const { pf, A, B, startTri, endTri, channel } = request;
+    if ( this.#sentBuildId !== Pathfinder.buildId ) this.#sendGeometry();
+    this.#sendBlocking(pf);
+
+    const id = this.#nextRequestId++;
+    request.startElevation = pf.startElevation;
+    request.edges = this.#edges;
+    this.#inFlight.set(id, request);
+    this.#busyChannels.set(channel, id);
+    this.worker.postMessage({
+      type: "search",
+      id,
+      start: [A.x, A.y],
+      end: [B.x, B.y],
+      startTri: this.#triangleIndex.get(startTri),
+      endTri: this.#triangleIndex.get(endTri),
+      spacer: pf.spacer,
+      heuristicScale: pf.algorithm.astar.heuristicScale ?? 1
+    });
+  }
+
+  /**
+   * Send the triangle neighbors and edges to the worker.
+   */
+  #sendGeometry() {
+    const triangles = Pathfinder.borderTriangles;
+    const triangleIndex = this.#triangleIndex;
+    const edgeIndex = this.#edgeIndex;
+    triangleIndex.clear();
+    edgeIndex.clear();
+    triangles.forEach((tri, i) => triangleIndex.set(tri, i));
+    for ( const edge of Pathfinder.triangleEdges ) edgeIndex.set(edge, edgeIndex.size);
+    this.#edges = [...edgeIndex.keys()];
+
+    const neighbors = new Int32Array(triangles.length * 3);
+    const edgeSlots = new Int32Array(triangles.length * 3);
+    triangles.forEach((tri, i) => {
+      BorderTriangle.EDGE_NAMES.forEach((edgeName, k) => {
+        const edge = tri.edges[edgeName];
+        const other = edge.otherTriangle(tri);
+        neighbors[(i * 3) + k] = other ? triangleIndex.get(other) : -1;
+        edgeSlots[(i * 3) + k] = edgeIndex.get(edge);
+      });
+    });
+
+    const edges = new Float64Array(edgeIndex.size * 4);
+    for ( const [edge, e] of edgeIndex.entries() ) edges.set([edge.a.x, edge.a.y, edge.b.x, edge.b.y], e * 4);
+
+    const buildId = Pathfinder.buildId;
+    this.worker.postMessage(
+      { type: "geometry", buildId, neighbors, edgeIndex: edgeSlots, edges },
+      [neighbors.buffer, edgeSlots.buffer, edges.buffer]);
+    this.#sentBuildId = buildId;
+    this.#sentBlockingKeys.clear();
+  }
+
+  /**
+   * Send the parts of the edge blocking that changed since they were last sent.
+   * Each part is recalculated on the main thread, so unchanged parts are not recalculated.
+   * @param {Pathfinder} pf
+   */
+  #sendBlocking(pf) {
+    const sent = this.#sentBlockingKeys;
+    const msg = { type: "blocking" };
+    const transfer = [];
+    BorderEdge.moveToken = pf.token;
+    for ( const [part, key] of Object.entries(this.#blockingPartKeys(pf)) ) {
+      if ( sent.get(part) === key ) continue;
+      const arr = msg[part] = this.#blockingPart(part, pf);
+      if ( arr ) transfer.push(arr.buffer);
+      sent.set(part, key);
+    }
+    if ( Object.keys(msg).length > 1 ) this.worker.postMessage(msg, transfer);
+  }
+
+  /**
+   * Calculate one part of the edge blocking for a pathfinder's move.
+   * - slotBlocks: Whether each triangle edge blocks the token moving out of the triangle
+   * - narrow: Whether each edge is too narrow for the token
+   * - doorCosts: Cost of opening the closed door on each edge; null if not planning through doors
+   * - multipliers: Terrain multiplier for each triangle; null if not checking terrains
+   * @param {string} part
+   * @param {Pathfinder} pf
+   * @returns {Uint8Array|Float32Array|null}
+   */
+  #blockingPart(part, pf) {
+    const triangles = Pathfinder.borderTriangles;
+    const elevation = pf.startElevation;
+    switch ( part ) {
+      case "slotBlocks": {
+        const slotBlocks = new Uint8Array(triangles.length * 3);
+        triangles.forEach((tri, i) => {
+          BorderTriangle.EDGE_NAMES.forEach((edgeName, k) => {
+            const edge = tri.edges[edgeName];
+            if ( edge.objects.size ) slotBlocks[(i * 3) + k] = edge.edgeBlocks(tri.center, elevation) ? 1 : 0;
+          });
+        });
+        return slotBlocks;
+      }
+      case "narrow": {
+        const narrow = new Uint8Array(this.#edgeIndex.size);
+        for ( const [edge, e] of this.#edgeIndex.entries() ) narrow[e] = edge.isTooNarrow(elevation, pf.spacer) ? 1 : 0;
+        return narrow;
+      }
+      case "doorCosts": {
+        if ( !WallTracerEdge.planThroughDoors ) return null;
+        const doorCosts = new Float32Array(this.#edgeIndex.size);
+        const cost = BorderEdge.doorCost;
+        for ( const [edge, e] of this.#edgeIndex.entries() ) doorCosts[e] = edge.isClosedDoor ? cost : 0;
+        return doorCosts;
+      }
+      case "multipliers": {
+        if ( !(pathfindingOption(SCENE_OPTIONS.CHECK_TERRAINS) && pf.penaltyField) ) return null;
+        const multipliers = new Float32Array(triangles.length);
+        triangles.forEach((tri, i) => multipliers[i] = pf.penaltyField.multiplierForTriangle(tri, elevation));
+        return multipliers;
+      }
+    }
+  }
+
+  /**
+   * Handle a message from the worker.
+   * @param {object} msg
+   */
+  #onMessage(msg) {
+    const request = this.#inFlight.get(msg.id);
+    if ( !request ) return; // Cleared since the request was sent.
+    this.#inFlight.delete(msg.id);
+    this.#busyChannels.delete(request.channel);
+
+    if ( msg.type === "error" ) {
+      log(`PathfinderWorker|Error finding path: ${msg.message}`, request);
+      this.#cacheResult(request.key, { pathPoints: null, clearanceLimited: false });
+    } else this.#cacheResult(request.key, {
+      pathPoints: this.#toPathPoints(msg.points, msg.crossings, request.edges, request.startElevation),
+      clearanceLimited: msg.clearanceLimited
+    });
+
+    // Send the most recent request that arrived for this channel while it was busy.
+    const next = this.#pending.get(request.channel);
+    if ( next ) {
+      this.#pending.delete(request.channel);
+      this.#send(next);
+    }
+
+    // Re-measure so the ruler picks up the path.
+    const ruler = canvas.controls?.ruler;
+    if ( ruler?.token === request.pf.token
+      && ruler._state === Ruler.STATES.MEASURING ) ruler.measure(ruler.destination, { force: true });
+  }
+
+  /**
+   * Convert the worker path to points, matching Pathfinder.getPathPoints.
+   * @param {Float64Array} coords     x, y for each point
+   * @param {Int32Array} crossings    Index of the edge crossed at each point; -1 if none
+   * @param {BorderEdge[]} edges      Edges by index, as sent to the worker with the request
+   * @param {number} elevation        Elevation of the path, in pixel units
+   * @returns {PIXI.Point[]}
+   */
+  #toPathPoints(coords, crossings, edges, elevation) {
+    const pts = [];
+    for ( let i = 0; i < coords.length; i += 2 ) {
+      const pt = new PIXI.Point(coords[i], coords[i + 1]);
+      pt.z = elevation;
+      const edge = edges[crossings[i / 2]];
+      if ( edge ) pt.edge = edge;
+      pts.push(pt);
+    }
+    return pts;
+  }
+
+  /**
+   * Store a result, discarding the oldest if the cache is full.
+   * @param {string} key
+   * @param {WorkerResult} result
+   */
+  #cacheResult(key, result) {
+    const results = this.#results;
+    results.delete(key);
+    results.set(key, result);
+    if ( results.size > this.constructor.MAX_RESULTS ) results.delete(results.keys().next().value);
+  }
+
+  /**
+   * Stop using the worker; pathfinding reverts to the main thread.
+   * @param {Error|ErrorEvent} error
+   */
+  #fail(error) {
+    log("PathfinderWorker|Pathfinding worker unavailable; pathfinding will run on the main thread.", error);
+    this.#failed = true;
+    this.#worker?.terminate();
+    this.#worker = undefined;
+    this.clear();
+  }
+}
+
+export const PATHFINDER_WORKER = new PathfinderWorker();
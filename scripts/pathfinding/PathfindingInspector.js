@@ -0,0 +1,248 @@
+/* globals
+Application,
+foundry,
+game
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID, TEMPLATES } from "../const.js";
+import { Draw } from "../geometry/Draw.js";
+import { Pathfinder } from "./pathfinding.js";
+import { SCENE_GRAPH } from "./WallTracer.js";
+
+/**
+ * Debugging window for pathfinding, available to the GM.
+ * Draws the triangulation and the last search run by any pathfinder: the nodes reached,
+ * the cameFrom tree, the frontier left when the search stopped, and the path found.
+ * The last search can also be repeated one step at a time.
+ */
+export class PathfindingInspector extends Application {
+  /**
+   * Overlays that can be drawn, in the order drawn.
+   * @enum {string}
+   */
+  static OVERLAYS = {
+    TRIANGLES: "triangles",
+    LINKS: "links",
+    SCENE_GRAPH: "sceneGraph",
+    REACHED: "reached",
+    TREE: "tree",
+    FRONTIER: "frontier",
+    PATH: "path"
+  };
+
+  /**
+   * Overlays currently drawn.
+   * @type {Set<string>}
+   */
+  overlays = new Set([this.constructor.OVERLAYS.TREE, this.constructor.OVERLAYS.PATH]);
+
+  /**
+   * Search shown in the window, copied from Pathfinder.lastSearch when refreshed.
+   * @type {SearchRecord|undefined}
+   */
+  search;
+
+  /**
+   * Algorithm repeating the search one step at a time, if stepping.
+   * @type {BreadthFirstPathSearch|undefined}
+   */
+  stepAlgorithm;
+
+  /** @type {number} */
+  stepCount = 0;
+
+  /** @type {boolean} */
+  stepGoalReached = false;
+
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: `${MODULE_ID}-pathfinding-inspector`,
+      title: `${MODULE_ID}.inspector.title`,
+      template: TEMPLATES.PATHFINDING_INSPECTOR,
+      width: 340,
+      height: "auto",
+      resizable: true
+    });
+  }
+
+  /**
+   * Open the window, or close it if already open. Only for the GM.
+   */
+  static toggle() {
+    if ( !game.user.isGM ) return;
+    this._instance ??= new this();
+    if ( this._instance.rendered ) this._instance.close();
+    else this._instance.render(true);
+  }
+
+  /** @override */
+  render(force, options) {
+    Pathfinder.recordSearches = true;
+    return super.render(force, options);
+  }
+
+  /** @override */
+  async close(options) {
+    Pathfinder.recordSearches = false;
+    this.#endSteps();
+    Draw.clearDrawings();
+    return super.close(options);
+  }
+
+  /** @override */
+  getData(options) {
+    const data = super.getData(options);
+    const OVERLAYS = this.constructor.OVERLAYS;
+    data.overlays = Object.values(OVERLAYS).map(key => ({
+      key,
+      label: `${MODULE_ID}.inspector.overlays.${key}`,
+      checked: this.overlays.has(key)
+    }));
+
+    const search = this.search;
+    if ( !search ) return data;
+    const stepping = Boolean(this.stepAlgorithm);
+    const view = this.#searchView();
+    data.search = {
+      token: search.pathfinder.token?.name ?? "",
+      type: search.type,
+      cached: search.cached,
+      prepareTime: search.prepareTime.toFixed(2),
+      searchTime: search.searchTime.toFixed(2),
+      numReached: view.reached.size,
+      numExplored: view.cameFrom.size,
+      numFrontier: view.frontier.length,
+      numPathPoints: view.pathPoints.length,
+      found: view.pathPoints.length > 0
+    };
+    data.stepping = stepping;
+    data.stepCount = this.stepCount;
+    data.stepGoalReached = this.stepGoalReached;
+    return data;
+  }
+
+  /** @override */
+  activateListeners(html) {
+    super.activateListeners(html);
+    html.find("input[data-overlay]").on("change", this.#onToggleOverlay.bind(this));
+    html.find("button[data-action]").on("click", this.#onAction.bind(this));
+  }
+
+  /**
+   * Turn an overlay on or off.
+   * @param {Event} event
+   */
+  #onToggleOverlay(event) {
+    const { overlay } = event.currentTarget.dataset;
+    if ( event.currentTarget.checked ) this.overlays.add(overlay);
+    else this.overlays.delete(overlay);
+    this.draw();
+  }
+
+  /**
+   * Handle a button in the window.
+   * @param {Event} event
+   */
+  #onAction(event) {
+    event.preventDefault();
+    switch ( event.currentTarget.dataset.action ) {
+      case "refresh": {
+        this.#endSteps();
+        this.search = Pathfinder.lastSearch;
+        break;
+      }
+      case "step": this.#step(); break;
+      case "endSteps": this.#endSteps(); break;
+      case "clear": {
+        this.overlays.clear();
+        break;
+      }
+    }
+    this.draw();
+    this.render();
+  }
+
+  /**
+   * Run one step of the shown search, setting up the search first if not already stepping.
+   */
+  #step() {
+    const search = this.search;
+    if ( !search || this.stepGoalReached ) return;
+    if ( !this.stepAlgorithm ) {
+      this.stepAlgorithm = search.pathfinder.prepareSearchSteps(search);
+      this.stepCount = 0;
+    }
+    const alg = this.stepAlgorithm;
+    const frontierSize = Array.isArray(alg.frontier) ? alg.frontier.length : alg.frontier.data.length;
+    if ( !frontierSize ) return;
+    this.stepGoalReached = alg._step();
+    this.stepCount += 1;
+  }
+
+  /**
+   * Stop stepping, returning to the recorded search.
+   */
+  #endSteps() {
+    if ( this.stepAlgorithm ) this.stepAlgorithm.trackReached = false;
+    this.stepAlgorithm = undefined;
+    this.stepCount = 0;
+    this.stepGoalReached = false;
+  }
+
+  /**
+   * Nodes and path to show: those of the stepping algorithm, if stepping, or else those of the recorded search.
+   * @returns {object}
+   *   - {Map<PathNode.key, PathNode>} cameFrom
+   *   - {Map<PathNode.key, PathNode>} reached
+   *   - {PathNode[]} frontier
+   *   - {PIXI.Point[]} pathPoints
+   */
+  #searchView() {
+    const alg = this.stepAlgorithm;
+    if ( !alg ) return this.search;
+    const cameFrom = alg.cameFrom;
+    return {
+      cameFrom,
+      reached: alg.reached,
+      frontier: Array.isArray(alg.frontier) ? alg.frontier : alg.frontier.data,
+      pathPoints: this.stepGoalReached ? Pathfinder.getPathPoints(cameFrom) : []
+    };
+  }
+
+  /**
+   * Clear the debug drawings and draw each overlay that is on.
+   */
+  draw() {
+    Draw.clearDrawings();
+    const OVERLAYS = this.constructor.OVERLAYS;
+    const overlays = this.overlays;
+    if ( overlays.has(OVERLAYS.TRIANGLES) ) Pathfinder.drawTriangles();
+    if ( overlays.has(OVERLAYS.LINKS) ) Pathfinder.drawLinks();
+    if ( overlays.has(OVERLAYS.SCENE_GRAPH) ) SCENE_GRAPH.drawEdges();
+    if ( !this.search ) return;
+
+    const { cameFrom, reached, frontier, pathPoints } = this.#searchView();
+    if ( overlays.has(OVERLAYS.REACHED) ) {
+      reached.forEach(node => Draw.point(node.entryPoint, { color: Draw.COLORS.lightyellow, radius: 2 }));
+    }
+    if ( overlays.has(OVERLAYS.TREE) ) {
+      for ( const [key, prior] of cameFrom.entries() ) {
+        const node = reached.get(key) ?? (cameFrom.goal?.key === key ? cameFrom.goal : undefined);
+        if ( !node ) continue;
+        Draw.segment({ A: prior.entryPoint, B: node.entryPoint }, { color: Draw.COLORS.lightorange, alpha: 0.5 });
+      }
+    }
+    if ( overlays.has(OVERLAYS.FRONTIER) ) {
+      frontier.forEach(node => Draw.point(node.entryPoint, { color: Draw.COLORS.orange, radius: 3 }));
+    }
+    if ( overlays.has(OVERLAYS.PATH) && pathPoints.length ) {
+      this.search.pathfinder.drawPath(pathPoints, { color: Draw.COLORS.green });
+    }
+    if ( overlays.has(OVERLAYS.PATH) ) {
+      Draw.point(this.search.startPoint, { color: Draw.COLORS.white });
+      Draw.point(this.search.endPoint, { color: Draw.COLORS.green });
+    }
+  }
+}
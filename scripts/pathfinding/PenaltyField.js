@@ -0,0 +1,197 @@
+/* globals
+canvas,
+CONFIG
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+import { MODULE_ID } from "../const.js";
+
+/**
+ * Movement penalty multipliers for each BorderTriangle, precomputed for a given moving token.
+ * Region, drawing, and penalty-imposing token borders are part of the triangulation, so each triangle is either
+ * entirely inside or entirely outside each penalty-imposing placeable.
+ * Each triangle's penalty is therefore determined by testing its center point once.
+ *
+ * A field is built for a given elevation the first time that elevation is requested.
+ * Only triangles that overlap a penalty-imposing placeable are tested; all others have a multiplier of 1.
+ * Triangles within a hazard are tracked as well. If hazards are avoided rather than forbidden,
+ * their multiplier is increased by CONFIG[MODULE_ID].pathfindingHazardMultiplier.
+ */
+export class PenaltyField {
+  /** @type {MovePenalty} */
+  movePenaltyInstance;
+
+  /** @type {CanvasQuadtree} */
+  quadtree;
+
+  /**
+   * Multipliers for each triangle, organized by elevation.
+   * @type {Map<number, Map<BorderTriangle, number>>}
+   */
+  #fields = new Map();
+
+  /**
+   * Hazards containing each triangle within a hazard, organized by elevation.
+   * @type {Map<number, Map<BorderTriangle, (Drawing|Region)[]>>}
+   */
+  #hazards = new Map();
+
+  /** @type {number} */
+  #minimumMultiplier = 1;
+
+  /**
+   * @param {MovePenalty} movePenaltyInstance   Used to determine the penalties at a location
+   * @param {CanvasQuadtree} quadtree           Quadtree holding the BorderTriangles, as { r, t } objects
+   */
+  constructor(movePenaltyInstance, quadtree) {
+    this.movePenaltyInstance = movePenaltyInstance;
+    this.quadtree = quadtree;
+  }
+
+  /**
+   * The smallest multiplier found in any field built so far, but never more than 1.
+   * Used to keep the pathfinding heuristic admissible when some terrain is faster than normal.
+   * @type {number}
+   */
+  get minimumMultiplier() { return this.#minimumMultiplier; }
+
+  /**
+   * The smallest multiplier at any elevation within a band, but never more than 1.
+   * Penalties only change at the bottom or top of a penalty-imposing placeable, so fields are built
+   * at the ends of the band, at each such elevation within it, and between each pair of those elevations.
+   * @param {number} bottomZ    Bottom of the band, in pixel units; may be -Infinity
+   * @param {number} topZ       Top of the band, in pixel units; may be Infinity
+   * @returns {number}
+   */
+  minimumMultiplierInBand(bottomZ, topZ) {
+    const { gridUnitsToPixels } = CONFIG.GeometryLib.utils;
+    const mp = this.movePenaltyInstance;
+    const boundaries = new Set([bottomZ, topZ]);
+    const addBoundary = elevationE => {
+      const z = gridUnitsToPixels(elevationE);
+      if ( z > bottomZ && z < topZ ) boundaries.add(z);
+    };
+    mp.tokens.forEach(t => {
+      addBoundary(t.bottomE);
+      addBoundary(t.topE);
+    });
+    mp.drawings.forEach(d => addBoundary(d.elevationE));
+    mp.regions.forEach(r => {
+      addBoundary(r.document.elevation.bottom);
+      addBoundary(r.document.elevation.top);
+    });
+
+    // Sample each boundary, between each pair, and beyond the last boundary on any unbounded side.
+    const sorted = [...boundaries].filter(z => Number.isFinite(z)).sort((a, b) => a - b);
+    if ( !sorted.length ) sorted.push(0);
+    const elevations = new Set(sorted);
+    for ( let i = 1; i < sorted.length; i += 1 ) elevations.add((sorted[i - 1] + sorted[i]) * 0.5);
+    if ( !Number.isFinite(bottomZ) ) elevations.add(sorted[0] - 1);
+    if ( !Number.isFinite(topZ) ) elevations.add(sorted.at(-1) + 1);
+    for ( const elevation of elevations ) {
+      if ( !this.#fields.has(elevation) ) this.buildField(elevation);
+    }
+    return this.#minimumMultiplier;
+  }
+
+  /**
+   * Are there any placeables that could impose a penalty?
+   * @type {boolean}
+   */
+  get hasPenalties() {
+    const mp = this.movePenaltyInstance;
+    return Boolean(mp.tokens.size || mp.drawings.size || mp.regions.size);
+  }
+
+  /**
+   * Clear all the precomputed fields.
+   */
+  clear() {
+    this.#fields.clear();
+    this.#hazards.clear();
+    this.#minimumMultiplier = 1;
+  }
+
+  /**
+   * Is the triangle within a hazard?
+   * @param {BorderTriangle} triangle
+   * @param {number} [elevation=0]    Elevation of the move, in pixel units
+   * @returns {boolean}
+   */
+  isHazard(triangle, elevation = 0) {
+    if ( !this.#hazards.has(elevation) ) this.buildField(elevation);
+    return this.#hazards.get(elevation).has(triangle);
+  }
+
+  /**
+   * Hazards containing the triangle.
+   * @param {BorderTriangle} triangle
+   * @param {number} [elevation=0]    Elevation of the move, in pixel units
+   * @returns {(Drawing|Region)[]} Empty if the triangle is not within a hazard
+   */
+  hazardsForTriangle(triangle, elevation = 0) {
+    if ( !this.#hazards.has(elevation) ) this.buildField(elevation);
+    return this.#hazards.get(elevation).get(triangle) ?? [];
+  }
+
+  /**
+   * Are any triangles within a hazard at the given elevation?
+   * @param {number} [elevation=0]    Elevation of the move, in pixel units
+   * @returns {boolean}
+   */
+  hasHazards(elevation = 0) {
+    if ( !this.#hazards.has(elevation) ) this.buildField(elevation);
+    return this.#hazards.get(elevation).size > 0;
+  }
+
+  /**
+   * Get the movement penalty multiplier for a triangle.
+   * @param {BorderTriangle} triangle
+   * @param {number} [elevation=0]    Elevation of the move, in pixel units
+   * @returns {number}
+   */
+  multiplierForTriangle(triangle, elevation = 0) {
+    const field = this.#fields.get(elevation) ?? this.buildField(elevation);
+    return field.get(triangle) ?? 1;
+  }
+
+  /**
+   * Compute the multipliers for all triangles that overlap a penalty-imposing placeable.
+   * @param {number} [elevation=0]    Elevation of the move, in pixel units
+   * @returns {Map<BorderTriangle, number>}
+   */
+  buildField(elevation = 0) {
+    const field = new Map();
+    const hazards = new Map();
+    this.#fields.set(elevation, field);
+    this.#hazards.set(elevation, hazards);
+    if ( !this.hasPenalties ) return field;
+
+    // Locate triangles that overlap any placeable.
+    const mp = this.movePenaltyInstance;
+    const triangles = new Set();
+    const addTriangles = bounds => this.quadtree.getObjects(bounds).forEach(tri => triangles.add(tri));
+    mp.tokens.forEach(t => addTriangles(t.constrainedTokenBorder.getBounds()));
+    mp.drawings.forEach(d => addTriangles(d.bounds));
+    mp.regions.forEach(r => addTriangles(r.bounds));
+
+    // Flat penalties are added per grid unit moved, so convert to a multiplier of the distance.
+    const elevationE = CONFIG.GeometryLib.utils.pixelsToGridUnits(elevation);
+    const gridDistance = canvas.grid.distance || 1;
+    const hazardMultiplier = mp.constructor.avoidHazards ? CONFIG[MODULE_ID].pathfindingHazardMultiplier : 1;
+    for ( const tri of triangles ) {
+      const { flatPenalty, gridMult, hazard, hazards: triHazards } = mp.penaltiesAtLocation(tri.center, elevationE);
+      let multiplier = gridMult * (1 + (flatPenalty / gridDistance));
+      if ( !Number.isFinite(multiplier) || multiplier < 0 ) multiplier = 1;
+      if ( hazard ) {
+        hazards.set(tri, triHazards);
+        multiplier *= hazardMultiplier;
+      }
+      if ( multiplier === 1 ) continue;
+      field.set(tri, multiplier);
+      this.#minimumMultiplier = Math.min(this.#minimumMultiplier, multiplier);
+    }
+    return field;
+  }
+}
@@ -0,0 +1,114 @@
+/* globals
+foundry
+*/
+"use strict";
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+
+import { SCENE_GRAPH } from "./WallTracer.js";
+import { Pathfinder } from "./pathfinding.js";
+import { log } from "../util.js";
+import { MODULE_ID } from "../const.js";
+import { MovePenalty } from "../measurement/MovePenalty.js";
+import { pathfindingOption, SCENE_OPTIONS } from "./scene_options.js";
+
+// Track regions that impose movement penalties, adding their borders to the scene graph.
+// Use to update the pathfinding triangulation so each triangle is either in or out of the region.
+// Terrains are added to regions using region behaviors, so behavior changes are tracked as well.
+
+export const PATCHES = {};
+PATCHES.PATHFINDING = {};
+
+/**
+ * Re-create the scene graph edges for a region, and rebuild the pathfinding penalty fields.
+ * @param {RegionDocument} regionDoc
+ * @param {string} hookName           For logging
+ */
+function refreshRegionEdges(regionDoc, hookName) {
+  Pathfinder.penaltyVersion += 1;
+  if ( !pathfindingOption(SCENE_OPTIONS.CHECK_TERRAINS) ) return;
+
+  // Easiest approach is to trash the edges for the region and re-create them.
+  const hadRegion = SCENE_GRAPH.regionIds.has(regionDoc.id);
+  SCENE_GRAPH.removeRegion(regionDoc.id);
+  const region = regionDoc.object;
+  const hasRegion = Boolean(region && MovePenalty.isPenaltyRegion(region));
+  if ( hasRegion ) SCENE_GRAPH.addRegion(region);
+  if ( !(hadRegion || hasRegion) ) return;
+
+  Pathfinder.dirty = true;
+  const res = SCENE_GRAPH._checkInternalConsistency();
+  if ( !res.allConsistent ) {
+    log(`WallTracer|${hookName} ${regionDoc.id} resulted in inconsistent graph.`, SCENE_GRAPH, res);
+    SCENE_GRAPH._reset();
+  }
+}
+
+/**
+ * Hook createRegion to update the scene graph and triangulation.
+ * @param {Document} document                       The new Document instance which has been created
+ * @param {DocumentModificationContext} options     Additional options which modified the creation request
+ * @param {string} userId                           The ID of the User who triggered the creation workflow
+ */
+function createRegion(document, _options, _userId) { refreshRegionEdges(document, "createRegion"); }
+
+/**
+ * Hook updateRegion to update the scene graph and triangulation.
+ * @param {Document} document                       The existing Document which was updated
+ * @param {object} changed                          Differential data that was used to update the document
+ * @param {Partial<DatabaseUpdateOperation>} options Additional options which modified the update request
+ * @param {string} userId                           The ID of the User who triggered the update workflow
+ */
+function updateRegion(document, changed, _options, _userId) {
+  if ( !(Object.hasOwn(changed, "shapes")
+      || Object.hasOwn(changed, "elevation")
+      || foundry.utils.hasProperty(changed, `flags.${MODULE_ID}`)) ) return;
+  refreshRegionEdges(document, "updateRegion");
+}
+
+/**
+ * Hook deleteRegion to update the scene graph and triangulation.
+ * @param {Document} document                       The existing Document which was deleted
+ * @param {DocumentModificationContext} options     Additional options which modified the deletion request
+ * @param {string} userId                           The ID of the User who triggered the deletion workflow
+ */
+function deleteRegion(document, _options, _userId) { refreshRegionEdges(document, "deleteRegion"); }
+
+/**
+ * Hook createRegionBehavior, which may add a terrain to a region.
+ * @param {Document} document                       The new Document instance which has been created
+ * @param {DocumentModificationContext} options     Additional options which modified the creation request
+ * @param {string} userId                           The ID of the User who triggered the creation workflow
+ */
+function createRegionBehavior(document, _options, _userId) {
+  if ( document.parent ) refreshRegionEdges(document.parent, "createRegionBehavior");
+}
+
+/**
+ * Hook updateRegionBehavior, which may change whether a region has a terrain.
+ * @param {Document} document                       The existing Document which was updated
+ * @param {object} changed                          Differential data that was used to update the document
+ * @param {Partial<DatabaseUpdateOperation>} options Additional options which modified the update request
+ * @param {string} userId                           The ID of the User who triggered the update workflow
+ */
+function updateRegionBehavior(document, _changed, _options, _userId) {
+  if ( document.parent ) refreshRegionEdges(document.parent, "updateRegionBehavior");
+}
+
+/**
+ * Hook deleteRegionBehavior, which may remove a terrain from a region.
+ * @param {Document} document                       The existing Document which was deleted
+ * @param {DocumentModificationContext} options     Additional options which modified the deletion request
+ * @param {string} userId                           The ID of the User who triggered the deletion workflow
+ */
+function deleteRegionBehavior(document, _options, _userId) {
+  if ( document.parent ) refreshRegionEdges(document.parent, "deleteRegionBehavior");
+}
+
+PATCHES.PATHFINDING.HOOKS = {
+  createRegion,
+  updateRegion,
+  deleteRegion,
+  createRegionBehavior,
+  updateRegionBehavior,
+  deleteRegionBehavior
+};
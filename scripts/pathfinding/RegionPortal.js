@@ -0,0 +1,92 @@
+/* globals
+canvas,
+CONFIG,
+fromUuidSync,
+PIXI
+*/
+"use strict";
+
+import { MODULE_ID } from "../const.js";
+import { Pathfinder } from "./pathfinding.js";
+import { stairPortals } from "./LevelsFloors.js";
+
+// Region behaviors that move tokens elsewhere, such as teleporters, used as pathfinding shortcuts.
+// Each portal links the pathfinding triangle where the token enters the region to the triangle where it exits.
+// Handlers for each behavior type are in CONFIG[MODULE_ID].pathfindingPortalBehaviors.
+// Regions linking Levels floors are added as portals as well.
+
+/**
+ * @typedef {object} RegionPortal
+ * @property {Region} region                  Region whose behavior moves the token
+ * @property {PIXI.Point} entryPoint          Point within the region where the path enters it
+ * @property {PIXI.Point} exitPoint           Where the token is moved to
+ * @property {number} [exitElevation]         Elevation after the move, in pixel units; undefined to keep it
+ * @property {BorderTriangle} entryTriangle   Pathfinding triangle containing the entry point
+ * @property {BorderTriangle} exitTriangle    Pathfinding triangle containing the exit point
+ * @property {LevelsFloor} [entryFloor]       If defined, the portal can only be entered from this floor
+ * @property {number} [cost]                  Movement cost of using the portal, in pixel units; 0 if undefined
+ */
+
+/**
+ * @typedef {object} PortalExit
+ * @property {PIXI.Point} exitPoint           Where the token is moved to
+ * @property {number} [exitElevation]         Elevation after the move, in pixel units; undefined to keep it
+ */
+
+/**
+ * Find the portals in the scene, grouped by the triangle in which the path enters each portal.
+ * @param {LevelsFloor[]} [floors]    Levels floors of the scene, linked by stair regions
+ * @returns {Map<BorderTriangle, RegionPortal[]>}
+ */
+export function portalsByTriangle(floors = []) {
+  const handlers = CONFIG[MODULE_ID].pathfindingPortalBehaviors;
+  const portals = new Map();
+  for ( const portal of stairPortals(floors) ) {
+    if ( !portals.has(portal.entryTriangle) ) portals.set(portal.entryTriangle, []);
+    portals.get(portal.entryTriangle).push(portal);
+  }
+  for ( const region of canvas.regions.placeables ) {
+    for ( const behavior of region.document.behaviors ) {
+      if ( behavior.disabled ) continue;
+      const exit = handlers[behavior.type]?.(behavior);
+      if ( !exit ) continue;
+      const entryPoint = interiorPoint(region);
+      const entryTriangle = entryPoint ? Pathfinder.trianglesAtPoint(entryPoint).first() : undefined;
+      const exitTriangle = Pathfinder.trianglesAtPoint(exit.exitPoint).first();
+      if ( !(entryTriangle && exitTriangle) ) continue;
+      if ( !portals.has(entryTriangle) ) portals.set(entryTriangle, []);
+      portals.get(entryTriangle).push({ region, entryPoint, entryTriangle, exitTriangle, ...exit });
+    }
+  }
+  return portals;
+}
+
+/**
+ * Portal for the core teleportToken behavior, which moves the token to a destination region in this scene.
+ * @param {RegionBehavior} behavior
+ * @returns {PortalExit|undefined}
+ */
+export function teleportTokenPortal(behavior) {
+  const destination = behavior.system.destination ? fromUuidSync(behavior.system.destination) : undefined;
+  if ( !destination?.object || destination.parent !== canvas.scene ) return undefined;
+  const exitPoint = interiorPoint(destination.object);
+  if ( !exitPoint ) return undefined;
+  const bottom = destination.elevation.bottom;
+  const exitElevation = Number.isFinite(bottom) ? CONFIG.GeometryLib.utils.gridUnitsToPixels(bottom) : undefined;
+  return { exitPoint, exitElevation };
+}
+
+/**
+ * Find a point inside a region: the center of one of its shapes if inside, or else a vertex of a shape.
+ * @param {Region} region
+ * @returns {PIXI.Point|undefined}
+ */
+export function interiorPoint(region) {
+  const polygons = region.polygons;
+  for ( const poly of polygons ) {
+    const center = poly.getBounds().center;
+    if ( region.polygonTree.testPoint(center) ) return PIXI.Point.fromObject(center);
+  }
+  const poly = polygons[0];
+  return poly ? new PIXI.Point(poly.points[0], poly.points[1]) : undefined;
+}
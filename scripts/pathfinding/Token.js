@@ -10,9 +10,11 @@ import { MODULE_ID } from "../const.js";
 
 // Track wall creation, update, and deletion, constructing WallTracerEdges as we go.
 // Use to update the pathfinding triangulation.
+// Tokens may impose movement penalties even if they do not block, so track changes to them for pathfinding as well.
 
 export const PATCHES = {};
 PATCHES.PATHFINDING_TOKENS = {};
+PATCHES.PATHFINDING = {};
 
 /**
  * Hook createToken to update the scene graph and triangulation.
@@ -84,3 +86,34 @@ function deleteToken(document, _options, _userId) {
 }
 
 PATCHES.PATHFINDING_TOKENS.HOOKS = { createToken, updateToken, deleteToken };
+
+/**
+ * Hook createToken and deleteToken to rebuild the pathfinding penalty fields.
+ * @param {Document} document                       The Document instance created or deleted
+ * @param {DocumentModificationContext} options     Additional options which modified the request
+ * @param {string} userId                           The ID of the User who triggered the workflow
+ */
+function refreshTokenPenalties(_document, _options, _userId) { Pathfinder.penaltyVersion += 1; }
+
+/**
+ * Hook updateToken to rebuild the pathfinding penalty fields if the token moved or changed size.
+ * @param {Document} document                       The existing Document which was updated
+ * @param {object} changed                          Differential data that was used to update the document
+ * @param {Partial<DatabaseUpdateOperation>} options Additional options which modified the update request
+ * @param {string} userId                           The ID of the User who triggered the update workflow
+ */
+function updateTokenPenalties(_document, changed, _options, _userId) {
+  if ( !(Object.hasOwn(changed, "x")
+      || Object.hasOwn(changed, "y")
+      || Object.hasOwn(changed, "elevation")
+      || Object.hasOwn(changed, "width")
+      || Object.hasOwn(changed, "height")
+      || Object.hasOwn(changed, "disposition")) ) return;
+  Pathfinder.penaltyVersion += 1;
+}
+
+PATCHES.PATHFINDING.HOOKS = {
+  createToken: refreshTokenPenalties,
+  updateToken: updateTokenPenalties,
+  deleteToken: refreshTokenPenalties
+};
@@ -39,6 +39,9 @@ function createWall(document, _options, _userId) {
  * @param {string} userId                           The ID of the User who triggered the update workflow
  */
 function updateWall(document, changes, _options, _userId) {
+  // Door state and other wall properties may change whether the wall blocks.
+  Pathfinder.blockingVersion += 1;
+
   // Only update the edges if the coordinates or move type have changed.
   if ( !(Object.hasOwn(changes, "c") || Object.hasOwn(changes, "move")) ) return;
   if ( changes.move === CONST.WALL_MOVEMENT_TYPES.NONE ) SCENE_GRAPH.removeWall(document.id);
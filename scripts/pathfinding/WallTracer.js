@@ -3,8 +3,11 @@ canvas,
 CanvasQuadtree,
 CONFIG,
 CONST,
+Drawing,
 foundry,
+game,
 PIXI,
+Region,
 Token,
 Wall
 */
@@ -20,6 +23,8 @@ import { Graph, GraphVertex, GraphEdge } from "../geometry/Graph.js";
 import { Settings } from "../settings.js";
 import { doSegmentsOverlap, IX_TYPES, segmentCollision } from "../geometry/util.js";
 import { MODULE_ID, OTHER_MODULES, FLAGS } from "../const.js";
+import { MovePenalty } from "../measurement/MovePenalty.js";
+import { pathfindingOption, SCENE_OPTIONS } from "./scene_options.js";
 
 /* WallTracerVertex
 
@@ -191,6 +196,26 @@ export class WallTracerEdge extends GraphEdge {
    */
   static PLACES = 8;
 
+  /**
+   * How a wall acts as a door for movement.
+   * @enum {string}
+   */
+  static DOOR_STATES = {
+    NONE: "none",
+    OPEN: "open",
+    CLOSED: "closed",
+    LOCKED: "locked"
+  };
+
+  /**
+   * Should movement treat closed but unlocked doors as passable, planning to open them?
+   * @type {boolean}
+   */
+  static get planThroughDoors() {
+    const { DOORS, DOORS_CHOICES } = Settings.KEYS.PATHFINDING;
+    return Settings.get(DOORS) !== DOORS_CHOICES.BLOCK;
+  }
+
   /**
    * Placeable objects represented by this edge.
    * @type {Set<PlaceableObject>}
@@ -364,7 +389,7 @@ export class WallTracerEdge extends GraphEdge {
    * @returns {boolean}
    */
   static wallBlocks(wall, origin, moveToken, elevation = 0) {
-    if ( !wall.document.move || wall.isOpen ) return false;
+    if ( !wall.document.move || this.isPassableDoor(wall) ) return false;
 
     // Ignore one-directional walls which are facing away from the center
     const side = wall.edge.orientPoint(origin);
@@ -387,6 +412,52 @@ export class WallTracerEdge extends GraphEdge {
     return true;
   }
 
+  /**
+   * Classify a wall as a door that is open, closed but unlocked, or locked.
+   * Secret doors are only treated as doors for the GM, so pathfinding does not reveal them.
+   * @param {Wall} wall
+   * @returns {DOOR_STATES}
+   */
+  static doorState(wall) {
+    const { door, ds } = wall.document;
+    const { WALL_DOOR_TYPES, WALL_DOOR_STATES } = CONST;
+    if ( door === WALL_DOOR_TYPES.NONE || (door === WALL_DOOR_TYPES.SECRET && !game.user.isGM) ) {
+      return this.DOOR_STATES.NONE;
+    }
+    switch ( ds ) {
+      case WALL_DOOR_STATES.OPEN: return this.DOOR_STATES.OPEN;
+      case WALL_DOOR_STATES.LOCKED: return this.DOOR_STATES.LOCKED;
+      default: return this.DOOR_STATES.CLOSED;
+    }
+  }
+
+  /**
+   * Can movement pass through this wall as a door?
+   * Open doors are always passable; closed but unlocked doors are passable if planning through doors.
+   * @param {Wall} wall
+   * @returns {boolean}
+   */
+  static isPassableDoor(wall) {
+    if ( wall.isOpen ) return true;
+    return this.planThroughDoors && this.doorState(wall) === this.DOOR_STATES.CLOSED;
+  }
+
+  /**
+   * Find the closed but unlocked doors that a move from a to b would open.
+   * A door at a is not counted, so that a door at the junction of two moves is only counted once.
+   * @param {Point} a
+   * @param {Point} b
+   * @returns {Wall[]}
+   */
+  static closedDoorsAlongSegment(a, b) {
+    if ( !this.planThroughDoors ) return [];
+    return canvas.walls.doors.filter(wall => {
+      if ( this.doorState(wall) !== this.DOOR_STATES.CLOSED ) return false;
+      const ix = foundry.utils.lineSegmentIntersection(a, b, wall.edge.a, wall.edge.b);
+      return ix && ix.t0 > 0;
+    });
+  }
+
   /**
    * Could edges of this token block the moving token?
    * @param {Token} token             Token whose edges will be tested
@@ -486,17 +557,49 @@ export class WallTracer extends Graph {
    */
   tokenIds = new Set();
 
+  /**
+   * Set of drawing ids represented in this graph.
+   * Drawings with movement penalties are tracked so their borders are part of the pathfinding triangulation.
+   * @type {Set<string>}
+   */
+  drawingIds = new Set();
+
+  /**
+   * Set of region ids represented in this graph.
+   * Regions with movement penalties are tracked so their borders are part of the pathfinding triangulation.
+   * @type {Set<string>}
+   */
+  regionIds = new Set();
+
   /** @type {CanvasQuadtree} */
   edgesQuadtree = new CanvasQuadtree();
 
+  /**
+   * Segments for edges added, removed, or whose objects changed since the pathfinding triangulation
+   * was last updated. Used by Pathfinder to re-triangulate only the affected area.
+   * @type {PIXI.Point[][]}
+   */
+  changedSegments = [];
+
+  /**
+   * If true, the graph has been rebuilt or cleared and the pathfinding triangulation must be fully rebuilt.
+   * Changed segments are not tracked while this is true.
+   * @type {boolean}
+   */
+  requiresFullTriangulation = true;
+
   /**
    * Clear all cached edges, etc. used in the graph.
    */
   clear() {
+    this.changedSegments.length = 0;
+    this.requiresFullTriangulation = true;
     this.edgesQuadtree.clear();
     this.objectEdges.clear();
     this.wallIds.clear();
     this.tokenIds.clear();
+    this.drawingIds.clear();
+    this.regionIds.clear();
     this.canvasEdgeIds.clear();
     super.clear();
   }
@@ -514,12 +617,14 @@ export class WallTracer extends Graph {
       const existingEdge = this.edges.get(edge.key);
       edge.objects.forEach(obj => this._addEdgeToObjectSet(obj.id, existingEdge));
       edge.objects.forEach(obj => existingEdge.objects.add(obj));
+      this._recordChange(existingEdge);
       return ;
     }
 
     // Construct a new edge.
     edge = super.addEdge(edge);
     this.edgesQuadtree.insert({ r: edge.bounds, t: edge });
+    this._recordChange(edge);
 
     // Track the edge objects.
     edge.objects.forEach(obj => this._addEdgeToObjectSet(obj.id, edge));
@@ -534,6 +639,7 @@ export class WallTracer extends Graph {
     if ( !this.edges.has(edge.key) ) return;
     super.deleteEdge(edge);
     this.edgesQuadtree.remove(edge);
+    this._recordChange(edge);
 
     // Stop tracking the edge objects.
     edge.objects.forEach(obj => this._removeEdgeFromObjectSet(obj.id, edge));
@@ -567,6 +673,17 @@ export class WallTracer extends Graph {
 
     // If this edge has no associated objects, delete the edge.
     if ( !edge.objects.size ) this.deleteEdge(edge);
+    else this._recordChange(edge);
+  }
+
+  /**
+   * Note that an edge was added, removed, or its objects changed,
+   * so the pathfinding triangulation can be updated around it.
+   * @param {WallTracerEdge} edge
+   */
+  _recordChange(edge) {
+    if ( this.requiresFullTriangulation ) return;
+    this.changedSegments.push([new PIXI.Point(edge.A.x, edge.A.y), new PIXI.Point(edge.B.x, edge.B.y)]);
   }
 
   /**
@@ -697,7 +814,7 @@ export class WallTracer extends Graph {
 
     // Pad the constrained token border as necessary.
     const borderShape = token.constrainedTokenBorder;
-    const buffer = CONFIG[MODULE_ID].tokenPathfindingBuffer ?? 0;
+    const buffer = pathfindingOption(SCENE_OPTIONS.TOKEN_BUFFER) ?? 0;
     if ( buffer ) borderShape.pad(buffer);
 
     // Construct a new token edge set.
@@ -719,6 +836,37 @@ export class WallTracer extends Graph {
     this.wallIds.add(wallId);
   }
 
+  /**
+   * Split the drawing border by edges already in this graph.
+   * @param {Drawing} drawing   Drawing to convert to edge(s)
+   */
+  addDrawing(drawing) {
+    const drawingId = drawing.id;
+    if ( this.drawingIds.has(drawingId) ) return;
+
+    // Construct a new drawing edge set.
+    const borderShape = CONFIG.GeometryLib.utils.centeredPolygonFromDrawing(drawing);
+    const edgeIter = borderShape.iterateEdges();
+    for ( const edge of edgeIter ) this.addObjectEdge(edge.A, edge.B, drawing);
+    this.drawingIds.add(drawingId);
+  }
+
+  /**
+   * Split the region border(s) by edges already in this graph.
+   * @param {Region} region   Region to convert to edge(s)
+   */
+  addRegion(region) {
+    const regionId = region.id;
+    if ( this.regionIds.has(regionId) ) return;
+
+    // Construct a new region edge set. Regions may have multiple polygons, including holes.
+    for ( const poly of region.polygons ) {
+      const edgeIter = poly.iterateEdges();
+      for ( const edge of edgeIter ) this.addObjectEdge(edge.A, edge.B, region);
+    }
+    this.regionIds.add(regionId);
+  }
+
   /**
    * Split the canvas edge by edges already in this graph.
    * @param {Edge} edge   Canvas edge to convert to edge(s)
@@ -765,13 +913,35 @@ export class WallTracer extends Graph {
       });
 
       // Remove all the objects and then recreate them to redo the associated edges.
-      remainingObjects.forEach(obj => obj instanceof Wall
-        ? this.removeWall(obj.id, false) : this.removeToken(obj.id, false));
-      remainingObjects.forEach(obj => obj instanceof Wall
-        ? this.addWall(obj) : this.addToken(obj));
+      remainingObjects.forEach(obj => this._removePlaceable(obj, false));
+      remainingObjects.forEach(obj => this._addPlaceable(obj));
     }
   }
 
+  /**
+   * Add an object to the graph using the method for its type.
+   * @param {Wall|Token|Drawing|Region|Edge} obj
+   */
+  _addPlaceable(obj) {
+    if ( obj instanceof Wall ) return this.addWall(obj);
+    if ( obj instanceof Token ) return this.addToken(obj);
+    if ( obj instanceof Drawing ) return this.addDrawing(obj);
+    if ( obj instanceof Region ) return this.addRegion(obj);
+    return this.addCanvasEdge(obj);
+  }
+
+  /**
+   * Remove an object from the graph using the method for its type.
+   * @param {Wall|Token|Drawing|Region|Edge} obj
+   */
+  _removePlaceable(obj, _recurse = true) {
+    if ( obj instanceof Wall ) return this.removeWall(obj.id, _recurse);
+    if ( obj instanceof Token ) return this.removeToken(obj.id, _recurse);
+    if ( obj instanceof Drawing ) return this.removeDrawing(obj.id, _recurse);
+    if ( obj instanceof Region ) return this.removeRegion(obj.id, _recurse);
+    return this.removeCanvasEdge(obj.id, _recurse);
+  }
+
   /**
    * Remove all associated edges with this wall.
    * @param {string|Wall} wallId    Id of the wall to remove, or the wall itself.
@@ -794,6 +964,28 @@ export class WallTracer extends Graph {
     return this.removeObject(tokenId, _recurse);
   }
 
+  /**
+   * Remove all associated edges with this drawing.
+   * @param {string|Drawing} drawingId    Id of the drawing to remove, or the drawing itself.
+   */
+  removeDrawing(drawingId, _recurse = true) {
+    if ( drawingId instanceof Drawing ) drawingId = drawingId.id;
+    if ( !this.drawingIds.has(drawingId) ) return;
+    this.drawingIds.delete(drawingId);
+    return this.removeObject(drawingId, _recurse);
+  }
+
+  /**
+   * Remove all associated edges with this region.
+   * @param {string|Region} regionId    Id of the region to remove, or the region itself.
+   */
+  removeRegion(regionId, _recurse = true) {
+    if ( regionId instanceof Region ) regionId = regionId.id;
+    if ( !this.regionIds.has(regionId) ) return;
+    this.regionIds.delete(regionId);
+    return this.removeObject(regionId, _recurse);
+  }
+
   /**
    * Remove all associated edges with this canvas edge.
    * @param {string|Edge} edgeId
@@ -847,7 +1039,12 @@ export class WallTracer extends Graph {
    * @returns {object}
    */
   _checkInternalConsistency() {
-    const objectIds = new Set([...this.canvasEdgeIds, ...this.tokenIds, ...this.wallIds]);
+    const objectIds = new Set([
+      ...this.canvasEdgeIds,
+      ...this.tokenIds,
+      ...this.wallIds,
+      ...this.drawingIds,
+      ...this.regionIds]);
     const quadtreeEdges = new Set(this.edgesQuadtree.all.map(node => node.t));
     const out = {};
     out.badEdges = new Set();
@@ -921,6 +1118,10 @@ export class WallTracer extends Graph {
       }
     }
     if ( Settings.useTokensInPathfinding ) canvas.tokens.placeables.forEach(token => modelGraph.addToken(token));
+    if ( pathfindingOption(SCENE_OPTIONS.CHECK_TERRAINS) ) {
+      MovePenalty.penaltyDrawings().forEach(drawing => modelGraph.addDrawing(drawing));
+      MovePenalty.penaltyRegions().forEach(region => modelGraph.addRegion(region));
+    }
     return modelGraph;
   }
 
@@ -960,6 +1161,16 @@ export class WallTracer extends Graph {
     consistencyChecks.tokenIds.equalSize = thisGraph.tokenIds.size === modelGraph.tokenIds.size;
     consistencyChecks.tokenIds.identical = thisGraph.tokenIds.equals(modelGraph.tokenIds);
 
+    consistencyChecks.drawingIds = {};
+    consistencyChecks.drawingIds.exists = Object.hasOwn(thisGraph, "drawingIds");
+    consistencyChecks.drawingIds.equalSize = thisGraph.drawingIds.size === modelGraph.drawingIds.size;
+    consistencyChecks.drawingIds.identical = thisGraph.drawingIds.equals(modelGraph.drawingIds);
+
+    consistencyChecks.regionIds = {};
+    consistencyChecks.regionIds.exists = Object.hasOwn(thisGraph, "regionIds");
+    consistencyChecks.regionIds.equalSize = thisGraph.regionIds.size === modelGraph.regionIds.size;
+    consistencyChecks.regionIds.identical = thisGraph.regionIds.equals(modelGraph.regionIds);
+
     consistencyChecks.wallIds = {};
     consistencyChecks.wallIds.exists = Object.hasOwn(thisGraph, "wallIds");
     consistencyChecks.wallIds.equalSize = thisGraph.wallIds.size === modelGraph.wallIds.size;
@@ -995,7 +1206,11 @@ export class WallTracer extends Graph {
     SCENE_GRAPH.canvasEdgeIds.difference(objectEdgeKeys).size
     SCENE_GRAPH.tokenIds.difference(objectEdgeKeys).size
     SCENE_GRAPH.wallIds.difference(objectEdgeKeys).size
-    consistencyChecks.ids = objectEdgeKeys.equals(SCENE_GRAPH.canvasEdgeIds.union(SCENE_GRAPH.tokenIds).union(SCENE_GRAPH.wallIds));
+    consistencyChecks.ids = objectEdgeKeys.equals(SCENE_GRAPH.canvasEdgeIds
+      .union(SCENE_GRAPH.tokenIds)
+      .union(SCENE_GRAPH.wallIds)
+      .union(SCENE_GRAPH.drawingIds)
+      .union(SCENE_GRAPH.regionIds));
 
     const allConsistent = Object.values(consistencyChecks).every(category => Object.values(category).every(check => check === true))
 
@@ -27,6 +27,15 @@ export class BreadthFirstPathSearch {
   /** @type {boolean} */
   debug = false;
 
+  /**
+   * If true, keep every node reached by the search, for debugging.
+   * @type {boolean}
+   */
+  trackReached = false;
+
+  /** @type {Map<PathNode.key, PathNode>} */
+  reached = new Map();
+
   /** @type {PathNode} */
   _start;
 
@@ -41,10 +50,23 @@ export class BreadthFirstPathSearch {
    * @returns {Map<PathNode>} Path as the cameFrom map. Note that rerunning will change this return.
    */
   run(start, goal) {
+    const cameFrom = this.prepareSteps(start, goal);
+    this._run();
+    return cameFrom;
+  }
+
+  /**
+   * Set up a search without running it, so it can be run one step at a time with _step.
+   * @param {PathNode} start    Path node representing start
+   * @param {PathNode} goal     Path node representing end
+   * @returns {Map<PathNode>} Path as the cameFrom map, which each step extends.
+   */
+  prepareSteps(start, goal) {
     this.clear();
     this.start = start;
     this.goal = goal;
-    this._run();
+    if ( this.trackReached ) this.reached.set(start.key, start);
+    this._initializeRun();
 
     // Mark the start and goal for the resulting path.
     const cameFrom = this.cameFrom;
@@ -53,12 +75,16 @@ export class BreadthFirstPathSearch {
     return cameFrom;
   }
 
+  /**
+   * Helper that can be extended by subclasses to add the start to the frontier.
+   */
+  _initializeRun() { this.frontier.unshift(this.start); }
+
   /**
    * Helper that can be extended by subclasses to run the pathfinding.
    */
   _run() {
     const frontier = this.frontier;
-    frontier.unshift(this.start);
     while ( frontier.length ) { if ( this._step() ) break; }
   }
 
@@ -69,7 +95,7 @@ export class BreadthFirstPathSearch {
   _step() {
     const { frontier } = this;
     const current = frontier.pop();
-    if ( this.debug ) current.entryTriangle.drawEdges();
+    if ( this.debug ) current.entryTriangle?.drawEdges();
     if ( this.debug ) Draw.point(current.entryPoint, { color: Draw.COLORS.lightgreen });
     if ( this.goalReached(current) ) return true;
     this._evaluateNeighbors(current);
@@ -81,7 +107,10 @@ export class BreadthFirstPathSearch {
    * @param {PathNode} current
    */
   _evaluateNeighbors(current) {
-    for ( const next of this.getNeighbors(current, this.goal) ) this._evaluateNeighbor(current, next);
+    for ( const next of this.getNeighbors(current, this.goal) ) {
+      if ( this.trackReached && !this.reached.has(next.key) ) this.reached.set(next.key, next);
+      this._evaluateNeighbor(current, next);
+    }
   }
 
   /**
@@ -91,7 +120,9 @@ export class BreadthFirstPathSearch {
    */
   _evaluateNeighbor(current, next) {
     const { cameFrom, frontier } = this;
-    if ( !cameFrom.has(next.key) ) {
+
+    // The start has no prior node, so never link it back to a neighbor.
+    if ( !cameFrom.has(next.key) && next.key !== this.start.key ) {
       if ( this.debug ) Draw.point(next.entryPoint, { color: Draw.COLORS.lightyellow });
       frontier.unshift(next);
       cameFrom.set(next.key, current);
@@ -122,6 +153,7 @@ export class BreadthFirstPathSearch {
     this.goal = undefined;
     this.frontier.length = 0;
     this.cameFrom.clear();
+    this.reached.clear();
   }
 
   /**
@@ -177,16 +209,15 @@ export class UniformCostPathSearch extends BreadthFirstPathSearch {
     this.frontier.clear();
     this.costSoFar.clear();
     this.cameFrom.clear();
+    this.reached.clear();
   }
 
   /**
-   * Helper that can be extended by subclasses to run the pathfinding.
+   * Helper that can be extended by subclasses to add the start to the frontier.
    */
-  _run() {
-    const { costSoFar, frontier } = this;
-    frontier.enqueue(this.start, 0);
-    costSoFar.set(this.start.key, 0);
-    while ( frontier.length ) { if ( this._step() ) break; }
+  _initializeRun() {
+    this.frontier.enqueue(this.start, 0);
+    this.costSoFar.set(this.start.key, 0);
   }
 
   /**
@@ -196,7 +227,7 @@ export class UniformCostPathSearch extends BreadthFirstPathSearch {
   _step() {
     const { frontier } = this;
     const current = frontier.dequeue();
-    if ( this.debug ) current.entryTriangle.drawEdges();
+    if ( this.debug ) current.entryTriangle?.drawEdges();
     if ( this.debug ) Draw.point(current.entryPoint, { color: Draw.COLORS.lightgreen });
     if ( this.goalReached(current) ) return true;
     this._evaluateNeighbors(current);
@@ -221,6 +252,64 @@ export class UniformCostPathSearch extends BreadthFirstPathSearch {
   }
 }
 
+/**
+ * Dijkstra flood fill. Uniform cost search with no goal that stops expanding once a maximum cost is exceeded.
+ * Used to find every node reachable within a movement budget.
+ */
+export class UniformCostFloodFill extends UniformCostPathSearch {
+  /** @type {number} */
+  maxCost = Number.POSITIVE_INFINITY;
+
+  /** @type {Map<PathNode.key, PathNode>} */
+  nodes = new Map();
+
+  /**
+   * Run the flood fill on the graph.
+   * @param {PathNode} start      Path node representing start
+   * @param {number} [maxCost]    Nodes that cost more than this to reach are not expanded
+   * @returns {Map<PathNode.key, number>} Lowest cost to reach each node.
+   *   Note that rerunning will change this return.
+   */
+  run(start, maxCost = Number.POSITIVE_INFINITY) {
+    this.clear();
+    this.start = start;
+    this.maxCost = maxCost;
+    this.nodes.set(start.key, start);
+    this._initializeRun();
+    this._run();
+    return this.costSoFar;
+  }
+
+  clear() {
+    super.clear();
+    this.nodes.clear();
+  }
+
+  /**
+   * There is no goal; the fill continues until the frontier is exhausted.
+   * @returns {boolean}
+   */
+  goalReached(_current) { return false; }
+
+  /**
+   * Evaluate a neighboring destination, skipping it if it exceeds the maximum cost.
+   * @param {PathNode} current
+   * @param {PathNode} next
+   */
+  _evaluateNeighbor(current, next) {
+    const { costSoFar, frontier } = this;
+    const newCost = (costSoFar.get(current.key) ?? this.maxCost) + next.cost;
+    if ( newCost > this.maxCost ) return;
+    if ( costSoFar.has(next.key) && newCost >= costSoFar.get(next.key) ) return;
+
+    if ( this.debug ) Draw.point(next.entryPoint, { color: Draw.COLORS.orange });
+    costSoFar.set(next.key, newCost);
+    frontier.enqueue(next, newCost);
+    this.cameFrom.set(next.key, current);
+    this.nodes.set(next.key, next);
+  }
+}
+
 /**
  * Greedy search
  */
@@ -233,6 +322,7 @@ export class GreedyPathSearch extends BreadthFirstPathSearch {
     this.goal = undefined;
     this.frontier.clear();
     this.cameFrom.clear();
+    this.reached.clear();
   }
 
   /**
@@ -244,14 +334,22 @@ export class GreedyPathSearch extends BreadthFirstPathSearch {
   heuristic = (goal, current) => PIXI.Point.distanceBetween(goal.entryPoint, current.entryPoint);
 
   /**
-   * Helper that can be extended by subclasses to run the pathfinding.
-   * @param {PathNode} start    Path node representing start
-   * @param {PathNode} goal     Path node representing end
+   * Helper that can be extended by subclasses to add the start to the frontier.
    */
-  _run() {
-    const frontier = this.frontier;
-    frontier.enqueue(this.start, 0);
-    while ( frontier.length ) { if ( this._step() ) break; }
+  _initializeRun() { this.frontier.enqueue(this.start, 0); }
+
+  /**
+   * Evaluate destinations from the current location along the path.
+   * @returns {boolean} If true, goal is reached.
+   */
+  _step() {
+    const { frontier } = this;
+    const current = frontier.dequeue();
+    if ( this.debug ) current.entryTriangle?.drawEdges();
+    if ( this.debug ) Draw.point(current.entryPoint, { color: Draw.COLORS.lightgreen });
+    if ( this.goalReached(current) ) return true;
+    this._evaluateNeighbors(current);
+    return false;
   }
 
   /**
@@ -261,7 +359,7 @@ export class GreedyPathSearch extends BreadthFirstPathSearch {
    */
   _evaluateNeighbor(current, next) {
     const cameFrom = this.cameFrom;
-    if ( cameFrom.has(next.key) ) return;
+    if ( cameFrom.has(next.key) || next.key === this.start.key ) return;
 
     const MAX_COST = canvas.dimensions.maxR;
     if ( this.debug ) Draw.point(next.entryPoint, { color: Draw.COLORS.orange });
@@ -281,6 +379,15 @@ export class AStarPathSearch extends UniformCostPathSearch {
    */
   heuristic = (goal, current) => PIXI.Point.distanceBetween(goal.entryPoint, current.entryPoint);
 
+  /**
+   * Scale applied to the heuristic.
+   * To find the least-cost path, the heuristic must never overestimate the remaining cost.
+   * If some moves cost less than their distance (e.g., terrain that speeds movement),
+   * set this to the smallest cost-per-distance ratio.
+   * @type {number}
+   */
+  heuristicScale = 1;
+
   /**
    * Evaluate a neighboring destination.
    * @param {PathNode} current
@@ -294,7 +401,7 @@ export class AStarPathSearch extends UniformCostPathSearch {
 
     if ( this.debug ) Draw.point(next.entryPoint, { color: Draw.COLORS.orange });
     costSoFar.set(next.key, newCost);
-    const priority = newCost + this.heuristic(this.goal, next);
+    const priority = newCost + (this.heuristicScale * this.heuristic(this.goal, next));
     frontier.enqueue(next, priority);
     this.cameFrom.set(next.key, current);
   }
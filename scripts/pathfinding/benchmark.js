@@ -30,7 +30,9 @@ export async function benchPathfinding(nPaths = 100, type = "all", nIterations =
   const startPoints = Array.fromRange(nPaths).map(elem => randomPoint());
   const endPoints = Array.fromRange(nPaths).map(elem => randomPoint());
 
-  const types = type === "all" ? Object.keys(Pathfinder.ALGORITHMS) : type;
+  // The flood fill has no goal, so it cannot be benchmarked as a path. Grid searches have their own method.
+  const types = type === "all"
+    ? Object.keys(Pathfinder.ALGORITHMS).filter(t => t !== "flood" && !Pathfinder.CAPABILITIES[t]?.gridNative) : type;
   for ( const type of types ) await QBenchmarkLoopFn(nIterations, benchPointSet, type, pf, type, startPoints, endPoints);
 }
 
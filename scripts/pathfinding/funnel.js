@@ -0,0 +1,124 @@
+/* globals
+PIXI
+*/
+"use strict";
+
+// Pull a path found through the pathfinding triangles taut, using the triangle edges it crosses.
+// Kept apart from the Pathfinder so it depends only on the points and edges given to it.
+
+/**
+ * Shortest path through the triangle edges crossed by a path, using the simple stupid funnel algorithm.
+ * Each edge is narrowed by the spacer at both ends, so the path turns around corners at the same distance
+ * as the corner destinations used when searching.
+ * See http://digestingduck.blogspot.com/2010/03/simple-stupid-funnel-algorithm.html
+ * @param {PIXI.Point[]} pathPoints   Path points, with the edge property for each point after the start
+ * @param {number} spacer             How far from each corner the path must stay
+ * @param {function} [blocked]        Takes points a and b and returns true if moving a|b is blocked
+ * @returns {PIXI.Point[]|undefined} Undefined if the path cannot be pulled taut,
+ *   such as when it changes elevation or does not cross the triangle edges
+ */
+export function funnelPath(pathPoints, spacer, blocked = () => false) {
+  const n = pathPoints.length;
+  if ( n < 3 ) return undefined;
+  const start = pathPoints[0];
+  const end = pathPoints.at(-1);
+  if ( pathPoints.some(pt => pt.z !== start.z) ) return undefined;
+
+  // Each portal is an edge, with its left and right sides as seen moving along the path.
+  const portals = [{ left: start, right: start }];
+  for ( let i = 1; i < n - 1; i += 1 ) {
+    const edge = pathPoints[i].edge;
+    if ( !edge ) return undefined;
+    const { a, b } = narrowedEdge(edge, spacer);
+    const side = cross(pathPoints[i - 1], a, b);
+    if ( !side ) return undefined;
+    portals.push(side > 0 ? { left: b, right: a } : { left: a, right: b });
+  }
+  portals.push({ left: end, right: end });
+
+  const out = [start];
+  let apex = start;
+  let left = start;
+  let right = start;
+  let apexIndex = 0;
+  let leftIndex = 0;
+  let rightIndex = 0;
+  for ( let i = 1, nPortals = portals.length, iter = 0; i < nPortals && iter < 10000; i += 1, iter += 1 ) {
+    const portal = portals[i];
+
+    // Narrow the funnel from the right. If the right side crosses the left, the left corner is the next apex.
+    if ( cross(apex, right, portal.right) >= 0 ) {
+      if ( pointsEqual(apex, right) || cross(apex, left, portal.right) < 0 ) {
+        right = portal.right;
+        rightIndex = i;
+      } else {
+        out.push(left);
+        apex = right = left;
+        apexIndex = rightIndex = leftIndex;
+        i = apexIndex;
+        continue;
+      }
+    }
+
+    // Narrow the funnel from the left. If the left side crosses the right, the right corner is the next apex.
+    if ( cross(apex, left, portal.left) <= 0 ) {
+      if ( pointsEqual(apex, left) || cross(apex, right, portal.left) > 0 ) {
+        left = portal.left;
+        leftIndex = i;
+      } else {
+        out.push(right);
+        apex = left = right;
+        apexIndex = leftIndex = rightIndex;
+        i = apexIndex;
+        continue;
+      }
+    }
+  }
+  if ( !pointsEqual(out.at(-1), end) ) out.push(end);
+
+  // Copy the corners, at the path elevation.
+  const path = out.map((pt, i) => {
+    if ( i === 0 || i === out.length - 1 ) return pt;
+    const corner = new PIXI.Point(pt.x, pt.y);
+    if ( Number.isFinite(start.z) ) corner.z = start.z;
+    return corner;
+  });
+
+  // The funnel only keeps clear of the edge corners, so fall back if it would cut through another obstacle.
+  for ( let i = 1; i < path.length; i += 1 ) {
+    if ( blocked(path[i - 1], path[i]) ) return undefined;
+  }
+  return path;
+}
+
+/**
+ * An edge, narrowed at both ends by the spacer. If the edge is too short, both ends are its median.
+ * @param {BorderEdge} edge
+ * @param {number} spacer
+ * @returns {object} { a: PIXI.Point, b: PIXI.Point }
+ */
+function narrowedEdge(edge, spacer) {
+  const { a, b } = edge;
+  const length = PIXI.Point.distanceBetween(a, b);
+  if ( length <= spacer * 2 ) return { a: edge.median, b: edge.median };
+  const t = spacer / length;
+  return { a: a.projectToward(b, t), b: b.projectToward(a, t) };
+}
+
+/**
+ * Cross product of the vectors from o to a and from o to b.
+ * Positive if b is counterclockwise from a, as seen from o, in a y-up coordinate system.
+ * @param {Point} o
+ * @param {Point} a
+ * @param {Point} b
+ * @returns {number}
+ */
+function cross(o, a, b) { return ((a.x - o.x) * (b.y - o.y)) - ((a.y - o.y) * (b.x - o.x)); }
+
+/**
+ * Do two points share the same x and y coordinates, within a small tolerance?
+ * @param {Point} a
+ * @param {Point} b
+ * @returns {boolean}
+ */
+function pointsEqual(a, b) { return a.x.almostEqual(b.x) && a.y.almostEqual(b.y); }
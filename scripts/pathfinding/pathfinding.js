@@ -2,6 +2,7 @@
 canvas,
 CanvasQuadtree,
 CONFIG,
+CONST,
 foundry,
 game,
 PIXI,
@@ -12,12 +13,29 @@ Region
 import { BorderTriangle, BorderEdge } from "./BorderTriangle.js";
 import { boundsForPoint, segmentBounds, log } from "../util.js";
 import { Draw } from "../geometry/Draw.js";
-import { BreadthFirstPathSearch, UniformCostPathSearch, GreedyPathSearch, AStarPathSearch } from "./algorithms.js";
-import { SCENE_GRAPH } from "./WallTracer.js";
-import { cdt2dConstrainedGraph, cdt2dToBorderTriangles } from "../delaunator/cdt2d_access_functions.js";
+import {
+  BreadthFirstPathSearch,
+  UniformCostPathSearch,
+  UniformCostFloodFill,
+  GreedyPathSearch,
+  AStarPathSearch } from "./algorithms.js";
+import { SCENE_GRAPH, WallTracerEdge } from "./WallTracer.js";
+import {
+  cdt2dConstrainedGraph,
+  cdt2dConstrainedPoints,
+  cdt2dToBorderTriangles } from "../delaunator/cdt2d_access_functions.js";
 import { Settings } from "../settings.js";
-import { MODULE_ID } from "../const.js";
+import { MODULE_ID, MOVEMENT_TYPES, FLAGS } from "../const.js";
 import { MovePenalty } from "../measurement/MovePenalty.js";
+import { Point3d } from "../geometry/3d/Point3d.js";
+import { movementTypeForTokenAt } from "../token_hud.js";
+import { PenaltyField } from "./PenaltyField.js";
+import { avoidOpportunityAttacks, threatAreasForToken, provokingPoints } from "../opportunity_attacks.js";
+import { portalsByTriangle } from "./RegionPortal.js";
+import { sceneFloors, floorAtElevation } from "./LevelsFloors.js";
+import { pathfindingOption, SCENE_OPTIONS } from "./scene_options.js";
+import { funnelPath } from "./funnel.js";
+import { PathCache, pathNodes } from "./PathCache.js";
 
 
 /* Testing
@@ -149,6 +167,7 @@ alg = pf.algorithm.breadth
  * @property {BorderTriangle} key     The destination triangle
  * @property {PIXI.Point} entryPoint  The point on the edge of or within the destination triangle
  *                                    where the path will enter the triangle
+ * @property {number} elevation       Elevation of the entryPoint, in pixel units
  * @property {number} cost            Cost of the path from the last entryPoint to this entryPoint.
  * @property {PathNode[]} neighbors   Neighbors of this path node
  */
@@ -170,17 +189,62 @@ export class Pathfinder {
 
   static set dirty(value) { this.#dirty ||= value; }
 
+  /**
+   * Incremented each time the triangles are rebuilt or updated.
+   * Used to determine when data tied to specific triangles must be recalculated.
+   * @type {number}
+   */
+  static buildId = 0;
+
+  /**
+   * Incremented when something changes whether edges block without changing the triangles,
+   * such as a door opening. Used to determine when cached edge blocking data must be recalculated.
+   * @type {number}
+   */
+  static blockingVersion = 0;
+
+  /**
+   * Incremented when a token, drawing, or region that may impose a movement penalty changes.
+   * Such changes do not always change the triangles, so penalty fields are rebuilt when this changes.
+   * @type {number}
+   */
+  static penaltyVersion = 0;
+
+  /**
+   * If a scene graph change affects more than this fraction of all triangles,
+   * rebuild all the triangles instead of re-triangulating the affected area.
+   * @type {number}
+   */
+  static MAX_INCREMENTAL_FRACTION = 0.25;
+
+  /**
+   * Id to use for the next triangle created.
+   * Ids must be unique, because they are used in path node keys.
+   * @type {number}
+   */
+  static #nextTriangleId = 0;
+
   /**
    * Initialize properties used for pathfinding related to the scene walls.
+   * If only some scene graph edges have changed since the last initialization,
+   * only the triangles around those edges are rebuilt.
    */
   static initialize() {
     const t0 = performance.now();
-    this.clear();
-    this._buildTriangles();
-    this._linkObjectsToEdges();
+    const updated = this.borderTriangles.length
+      && !SCENE_GRAPH.requiresFullTriangulation
+      && this._updateTriangles(SCENE_GRAPH.changedSegments);
+    if ( !updated ) {
+      this.clear();
+      this._buildTriangles();
+      this._linkObjectsToEdges();
+    }
+    SCENE_GRAPH.changedSegments.length = 0;
+    SCENE_GRAPH.requiresFullTriangulation = false;
+    this.buildId += 1;
     this.#dirty &&= false;
     const t1 = performance.now();
-    log(`Initialized ${Pathfinder.triangleEdges.size} pathfinder edges in ${t1 - t0} ms.`);
+    log(`${updated ? "Updated" : "Initialized"} ${Pathfinder.triangleEdges.size} pathfinder edges in ${t1 - t0} ms.`);
   }
 
   static clear() {
@@ -196,6 +260,7 @@ export class Pathfinder {
     cdt2dToBorderTriangles(triCoords, borderTriangles);
     BorderTriangle.linkTriangleEdges(borderTriangles);
     borderTriangles.forEach(tri => quadtree.insert({ r: tri.bounds, t: tri }));
+    this.#nextTriangleId = borderTriangles.length;
 
     // Add the edges.
     triangleEdges.clear();
@@ -206,23 +271,196 @@ export class Pathfinder {
     });
   }
 
-  static _linkObjectsToEdges() {
-    // Set the placeable objects, if any, for each triangle edge
-    for ( const triEdge of this.triangleEdges.values() ) {
+  /**
+   * Set the placeable objects, if any, for each triangle edge.
+   * @param {Set<BorderEdge>} [triangleEdges]   Edges to link; defaults to all edges
+   */
+  static _linkObjectsToEdges(triangleEdges = this.triangleEdges) {
+    for ( const triEdge of triangleEdges.values() ) {
       const graphEdge = SCENE_GRAPH.getEdgeByKeys(triEdge.a.key, triEdge.b.key);
       graphEdge.forEach(edge => edge.objects.forEach(obj => triEdge.objects.add(obj)));
     }
   }
 
+  /**
+   * Re-triangulate only the triangles around changed scene graph edges.
+   * The affected triangles form a cavity, which is re-triangulated using its border and
+   * any scene graph edges within it as constraints. Triangles outside the cavity are untouched.
+   * @param {PIXI.Point[][]} segments   Changed scene graph edges, as [a, b] point pairs
+   * @returns {boolean} False if the triangles could not be updated and must be rebuilt.
+   */
+  static _updateTriangles(segments) {
+    if ( !segments.length ) return true;
+    const cavity = this._trianglesForSegments(segments);
+    if ( cavity.size > this.borderTriangles.length * this.MAX_INCREMENTAL_FRACTION ) return false;
+
+    let res;
+    try {
+      res = this._triangulateCavity(cavity);
+    } catch(error) {
+      log("Pathfinder|Error re-triangulating; rebuilding all triangles.", error);
+      return false;
+    }
+    if ( !res ) return false;
+    this._replaceTriangles(cavity, res.triangles, res.borderEdges);
+    return true;
+  }
+
+  /**
+   * Locate all triangles that touch any of the given segments.
+   * @param {PIXI.Point[][]} segments   Segments, as [a, b] point pairs
+   * @returns {Set<BorderTriangle>}
+   */
+  static _trianglesForSegments(segments) {
+    const lsi = foundry.utils.lineSegmentIntersects;
+    const triangles = new Set();
+    for ( const [a, b] of segments ) {
+      const collisionTest = (o, _rect) => {
+        const tri = o.t;
+        if ( tri.contains(a) || tri.contains(b) ) return true;
+        const { a: v0, b: v1, c: v2 } = tri.vertices;
+        return lsi(a, b, v0, v1) || lsi(a, b, v1, v2) || lsi(a, b, v2, v0);
+      };
+      const bounds = segmentBounds(a, b).pad(1);
+      this.quadtree.getObjects(bounds, { collisionTest }).forEach(tri => triangles.add(tri));
+    }
+    return triangles;
+  }
+
+  /**
+   * Triangulate the area covered by a set of triangles, using the current scene graph.
+   * @param {Set<BorderTriangle>} cavity    Triangles to replace
+   * @returns {object|null} Null if the new triangles do not cover the same area.
+   *   - {BorderTriangle[]} triangles            New triangles for the cavity
+   *   - {Map<string, BorderEdge>} borderEdges   Existing edges on the border of the cavity, by edge key
+   */
+  static _triangulateCavity(cavity) {
+    const points = new Map();
+    const constraints = new Map();
+    const addConstraint = (a, b) => {
+      const key = edgeKeyForEndpoints(a.key, b.key);
+      if ( constraints.has(key) ) return;
+      points.set(a.key, a);
+      points.set(b.key, b);
+      constraints.set(key, [a, b]);
+    };
+
+    // The cavity border consists of edges not shared with another cavity triangle.
+    const borderEdges = new Map();
+    let bounds;
+    let cavityArea = 0;
+    for ( const tri of cavity ) {
+      bounds = bounds ? bounds.enlarge(tri.bounds) : tri.bounds.clone();
+      cavityArea += triangleArea(tri.vertices);
+      for ( const edge of Object.values(tri.edges) ) {
+        if ( cavity.has(edge.otherTriangle(tri)) ) continue;
+        borderEdges.set(edgeKeyForEndpoints(edge.a.key, edge.b.key), edge);
+        addConstraint(edge.a, edge.b);
+      }
+    }
+
+    // Add the scene graph edges inside the cavity.
+    // The cavity triangles are still in the quadtree, so look up the triangles at each point there.
+    const inCavity = pt => this.trianglesAtPoint(pt).some(tri => cavity.has(tri));
+    for ( const graphEdge of SCENE_GRAPH.edgesQuadtree.getObjects(bounds) ) {
+      const a = new PIXI.Point(graphEdge.A.x, graphEdge.A.y);
+      const b = new PIXI.Point(graphEdge.B.x, graphEdge.B.y);
+      if ( !(inCavity(a) && inCavity(b) && inCavity(a.add(b).multiplyScalar(0.5))) ) continue;
+      addConstraint(a, b);
+    }
+
+    // Triangulate and keep only the triangles inside the cavity.
+    // Because the cavity border is constrained, each new triangle is either entirely in or out of the cavity.
+    const triCoords = cdt2dConstrainedPoints([...points.values()], [...constraints.values()]);
+    const triangles = [];
+    let newArea = 0;
+    for ( const triCoord of triCoords ) {
+      const a = new PIXI.Point(...triCoords.points[triCoord[0]]);
+      const b = new PIXI.Point(...triCoords.points[triCoord[1]]);
+      const c = new PIXI.Point(...triCoords.points[triCoord[2]]);
+      if ( !inCavity(a.add(b).add(c).multiplyScalar(1/3)) ) continue;
+      const tri = BorderTriangle.fromPoints(a, b, c);
+      tri.id = this.#nextTriangleId++;
+      triangles.push(tri);
+      newArea += triangleArea(tri.vertices);
+    }
+    if ( !newArea.almostEqual(cavityArea, cavityArea * 1e-06) ) {
+      log("Pathfinder|Re-triangulated area does not match; rebuilding all triangles.", { cavityArea, newArea });
+      return null;
+    }
+    return { triangles, borderEdges };
+  }
+
+  /**
+   * Swap the cavity triangles for new triangles, patching the quadtree and triangle edges in place.
+   * @param {Set<BorderTriangle>} cavity            Triangles to remove
+   * @param {BorderTriangle[]} triangles            Triangles to add
+   * @param {Map<string, BorderEdge>} borderEdges   Existing edges on the border of the cavity, by edge key
+   */
+  static _replaceTriangles(cavity, triangles, borderEdges) {
+    const { borderTriangles, quadtree, triangleEdges } = this;
+
+    // Unlink the old triangles. Edges interior to the cavity are dropped.
+    for ( const tri of cavity ) {
+      quadtree.remove(tri);
+      for ( const edge of Object.values(tri.edges) ) {
+        edge.removeTriangle(tri);
+        if ( !borderEdges.has(edgeKeyForEndpoints(edge.a.key, edge.b.key)) ) triangleEdges.delete(edge);
+      }
+    }
+    let j = 0;
+    for ( const tri of borderTriangles ) if ( !cavity.has(tri) ) borderTriangles[j++] = tri;
+    borderTriangles.length = j;
+
+    // Link the new triangles to one another and then to the existing border edges.
+    BorderTriangle.linkTriangleEdges(triangles);
+    const newEdges = new Set();
+    for ( const tri of triangles ) {
+      for ( const [edgeName, edge] of Object.entries(tri.edges) ) {
+        const borderEdge = borderEdges.get(edgeKeyForEndpoints(edge.a.key, edge.b.key));
+        if ( borderEdge ) tri._setEdge(edgeName, borderEdge);
+        else newEdges.add(edge);
+      }
+      borderTriangles.push(tri);
+      quadtree.insert({ r: tri.bounds, t: tri });
+    }
+    newEdges.forEach(edge => triangleEdges.add(edge));
+    this._linkObjectsToEdges(newEdges);
+  }
+
   /** @type {Token} token */
   token;
 
   /** @type {number} */
   startElevation = 0;
 
+  /** @type {number} */
+  endElevation = 0;
+
+  /**
+   * Options used to determine at what elevations a triangle edge may be crossed.
+   * See BorderEdge.prototype.crossingElevations.
+   * @type {object}
+   */
+  elevationOpts = {
+    canChangeElevation: false,
+    targetElevation: 0,
+    minElevation: 0,
+    tokenHeight: 0
+  };
+
   /** @type {MovePenalty} */
   movePenaltyInstance;
 
+  /** @type {PenaltyField} */
+  penaltyField;
+
+  /**
+   * The Pathfinder.buildId, Pathfinder.blockingVersion, and Pathfinder.penaltyVersion for the current penalty field.
+   * @type {string}
+   */
+  #penaltyFieldKey = "";
+
   /**
    * Optional token to associate with this path.
    * Used for path spacing near obstacles.
@@ -233,6 +471,21 @@ export class Pathfinder {
     this.movePenaltyInstance = new MovePenalty(token);
   }
 
+  /**
+   * Make sure the penalty field matches the current triangles and placeables.
+   * Penalty fields are tied to the triangles, so they must be redone when the triangles are rebuilt.
+   * They also hold the hazard multiplier, so they are redone when the hazard setting changes the blocking version,
+   * and the penalties of placeables that may have moved, so they are redone when the penalty version changes.
+   */
+  _updatePenaltyField() {
+    const { buildId, blockingVersion, penaltyVersion } = this.constructor;
+    const key = `${buildId}_${blockingVersion}_${penaltyVersion}`;
+    if ( this.penaltyField && this.#penaltyFieldKey === key ) return;
+    this.movePenaltyInstance = new MovePenalty(this.token);
+    this.penaltyField = new PenaltyField(this.movePenaltyInstance, this.constructor.quadtree);
+    this.#penaltyFieldKey = key;
+  }
+
   /** @type {number} */
   #spacer = 0;
 
@@ -247,7 +500,9 @@ export class Pathfinder {
     breadth: BreadthFirstPathSearch,
     uniform: UniformCostPathSearch,
     greedy: GreedyPathSearch,
-    astar: AStarPathSearch
+    astar: AStarPathSearch,
+    flood: UniformCostFloodFill,
+    grid: AStarPathSearch
   };
 
   /** @enum {string} */
@@ -255,59 +510,686 @@ export class Pathfinder {
     breadth: "_identifyDestinations",
     uniform: "_identifyDestinationsWithCost",
     greedy: "_identifyDestinations",
-    astar: "_identifyDestinationsWithCost"
+    astar: "_identifyDestinationsWithCost",
+    flood: "_identifyDestinationsWithCost",
+    grid: "_identifyGridDestinations"
+  };
+
+  /**
+   * Heuristic method for each algorithm, if not Pathfinder.prototype._heuristic.
+   * @enum {string}
+   */
+  static HEURISTIC_METHOD = {
+    grid: "_gridHeuristic"
   };
 
+  /**
+   * @typedef {object} AlgorithmCapabilities
+   * @property {boolean} costAware    Finds the lowest-cost path, counting terrain penalties and hazards
+   * @property {boolean} threeD       Can change elevation along the path, such as for flying tokens
+   * @property {boolean} gridNative   Searches grid spaces instead of the triangles between walls
+   */
+
+  /**
+   * What each algorithm can do.
+   * @type {object<string, AlgorithmCapabilities>}
+   */
+  static CAPABILITIES = {
+    breadth: { costAware: false, threeD: true, gridNative: false },
+    uniform: { costAware: true, threeD: true, gridNative: false },
+    greedy: { costAware: false, threeD: true, gridNative: false },
+    astar: { costAware: true, threeD: true, gridNative: false },
+    flood: { costAware: true, threeD: true, gridNative: false },
+    grid: { costAware: true, threeD: false, gridNative: true }
+  };
+
+  /**
+   * Label for each algorithm the ruler can use, localized if it is a translation key.
+   * Algorithms without a label, such as the flood fill, are not offered as choices.
+   * @type {object<string, string>}
+   */
+  static ALGORITHM_LABELS = {
+    breadth: `${MODULE_ID}.settings.pathfinding_algorithm_breadth`,
+    uniform: `${MODULE_ID}.settings.pathfinding_algorithm_uniform`,
+    greedy: `${MODULE_ID}.settings.pathfinding_algorithm_greedy`,
+    astar: `${MODULE_ID}.settings.pathfinding_algorithm_astar`,
+    grid: `${MODULE_ID}.settings.pathfinding_algorithm_grid`
+  };
+
+  /**
+   * Add a pathfinding algorithm that the ruler can use.
+   * The algorithm class should extend BreadthFirstPathSearch or follow its interface:
+   * run(start, goal) returns a cameFrom map, using the getNeighbors and heuristic functions set by the pathfinder.
+   * @param {string} key                                  Key used to select the algorithm
+   * @param {class} cl                                    Class of the algorithm
+   * @param {object} [opts]
+   * @param {AlgorithmCapabilities} [opts.capabilities]   What the algorithm can do; defaults to those of A*
+   * @param {string} [opts.label]                         Name shown in the settings, or a translation key
+   * @param {string|function} [opts.costMethod]           Pathfinder method, or function called with the pathfinder
+   *   as this, that takes a node and the goal and returns the neighboring nodes
+   * @param {string|function} [opts.heuristicMethod]      Pathfinder method, or function, that takes the goal
+   *   and a node and returns the estimated cost to the goal
+   */
+  static registerAlgorithm(key, cl, { capabilities = {}, label = key, costMethod, heuristicMethod } = {}) {
+    capabilities = { ...this.CAPABILITIES.astar, ...capabilities };
+    this.ALGORITHMS[key] = cl;
+    this.CAPABILITIES[key] = capabilities;
+    this.ALGORITHM_LABELS[key] = label;
+    this.COST_METHOD[key] = costMethod ?? (capabilities.gridNative ? "_identifyGridDestinations"
+      : capabilities.costAware ? "_identifyDestinationsWithCost" : "_identifyDestinations");
+    if ( heuristicMethod || capabilities.gridNative ) this.HEURISTIC_METHOD[key] = heuristicMethod ?? "_gridHeuristic";
+    else delete this.HEURISTIC_METHOD[key];
+
+    // Offer the algorithm in the setting, if it was already registered.
+    const setting = game.settings.settings.get(`${MODULE_ID}.${Settings.KEYS.PATHFINDING.ALGORITHM}`);
+    if ( setting?.choices ) setting.choices[key] = game.i18n.localize(label);
+  }
+
+  /**
+   * Choices for the algorithm setting, with localized labels.
+   * @returns {object<string, string>}
+   */
+  static algorithmChoices() {
+    return Object.fromEntries(Object.entries(this.ALGORITHM_LABELS)
+      .map(([key, label]) => [key, game.i18n.localize(label)]));
+  }
+
+  /**
+   * Algorithm the ruler uses: the one chosen for the scene, if any, or else the one in the settings.
+   * Falls back to A* if the chosen algorithm is not registered, such as when the module adding it is inactive,
+   * or if it searches grid spaces and the scene is gridless.
+   * @type {string}
+   */
+  static get selectedAlgorithm() {
+    const sceneChoice = canvas.scene?.getFlag(MODULE_ID, FLAGS.SCENE.PATHFINDING_ALGORITHM);
+    const choice = this.ALGORITHM_LABELS[sceneChoice] ? sceneChoice : Settings.get(Settings.KEYS.PATHFINDING.ALGORITHM);
+    if ( !this.ALGORITHM_LABELS[choice] ) return "astar";
+    if ( this.CAPABILITIES[choice]?.gridNative && canvas.grid.isGridless ) return "astar";
+    return choice;
+  }
+
   /** @type {object{BreadthFirstPathSearch}} */
   algorithm = {};
 
   /** @type {function|undefined} */
   #fogIsExploredFn;
 
+  /**
+   * Is the search being prepared limited to areas the user has explored?
+   * @type {boolean}
+   */
+  get limitedToExplored() { return Boolean(this.#fogIsExploredFn); }
+
+  /**
+   * Maximum number of triangle corridors to cache.
+   * @type {number}
+   */
+  static MAX_CACHED_PATHS = 50;
+
+  /**
+   * Triangle corridors from prior searches, keyed by the search parameters.
+   * @type {PathCache}
+   */
+  #pathCache = new PathCache(this.constructor.MAX_CACHED_PATHS);
+
+  /**
+   * Result of the most recent runPath, used to learn the triangles of a route already found.
+   * @type {Map<PathNode.key, PathNode>|undefined}
+   */
+  lastPathMap;
+
+  /**
+   * Whether the last search skipped any edge because it was too narrow for the token.
+   * If no path was found, the token may be too large to fit.
+   * @type {boolean}
+   */
+  clearanceLimited = false;
+
+  /**
+   * Areas within reach of hostile tokens, if the search avoids opportunity attacks.
+   * @type {ThreatArea[]}
+   */
+  threatAreas = [];
+
+  /**
+   * Region portals, such as teleporters, keyed by the triangle in which the path enters the portal.
+   * @type {Map<BorderTriangle, RegionPortal[]>}
+   */
+  portals = new Map();
+
+  /**
+   * Hazards containing the start of the search. If hazards are forbidden, the token may still move through these.
+   * @type {Set<Drawing|Region>}
+   */
+  startHazards = new Set();
+
+  /**
+   * Levels floors of the scene. A path only reaches the goal on the floor of the goal.
+   * @type {LevelsFloor[]}
+   */
+  floors = [];
+
+  /**
+   * Triangles to steer away from, with the multiplier for the cost of moving out of each.
+   * Used to find alternative routes that differ from the routes already found.
+   * @type {Map<BorderTriangle, number>}
+   */
+  detourTriangles = new Map();
+
+  /**
+   * If true, record each search in Pathfinder.lastSearch. Set while the pathfinding inspector is open.
+   * @type {boolean}
+   */
+  static recordSearches = false;
+
+  /**
+   * @typedef {object} SearchRecord
+   * @property {Pathfinder} pathfinder                      Pathfinder that ran the search
+   * @property {string} type                                Key of Pathfinder.ALGORITHMS
+   * @property {Point3d} startPoint
+   * @property {Point3d} endPoint
+   * @property {number} numPrevDiagonal                     For grid searches, diagonals already moved
+   * @property {Map<PathNode.key, PathNode>} cameFrom       Path map returned by the search
+   * @property {Map<PathNode.key, PathNode>} reached        Every node reached by the search
+   * @property {PathNode[]} frontier                        Nodes left unexplored when the search stopped
+   * @property {PIXI.Point[]} pathPoints                    Path points from start to goal; empty if no path
+   * @property {boolean} cached                             Whether the path came from a cached corridor
+   * @property {number} prepareTime                         Time to set up the search, in milliseconds
+   * @property {number} searchTime                          Time to run the search, in milliseconds
+   */
+
+  /**
+   * The last search run by any pathfinder, if Pathfinder.recordSearches is set.
+   * @type {SearchRecord|undefined}
+   */
+  static lastSearch;
+
   /**
    * Find the path between startPoint and endPoint using the chosen algorithm.
+   * If a path was already found between the same start and end triangles, reuse its corridor of
+   * triangles, adjusting only the start and end points. Any point in a triangle can reach any point
+   * on the triangle's edges without crossing a wall, so the corridor remains valid.
    * @param {Point} startPoint      Start point for the graph
    * @param {Point} endPoint        End point for the graph
+   * @param {string} [type]         Key of Pathfinder.ALGORITHMS; defaults to the selected algorithm
+   * @returns {Map<PathNode.key, PathNode>}
+   */
+  runPath(startPoint, endPoint, type = this.constructor.selectedAlgorithm) {
+    if ( this.constructor.CAPABILITIES[type]?.gridNative ) {
+      // Grid spaces cannot be searched on gridless scenes.
+      if ( canvas.grid.isGridless ) type = "astar";
+      else return this.runGridPath(startPoint, endPoint, { type });
+    }
+    const t0 = performance.now();
+    const alg = this._prepareAlgorithm(type, startPoint, endPoint);
+    const { start, end } = this._initializeStartEndNodes(startPoint, endPoint);
+    const t1 = performance.now();
+
+    // Exploration and threatened areas change as tokens move, so do not cache paths limited by either.
+    // A corridor through a portal is not a chain of adjacent triangles, so do not cache it either.
+    // Nor cache detours, which are only used to find one alternative route.
+    const cacheKey = (this.#fogIsExploredFn
+      || BorderEdge.unseenWalls.size
+      || this.threatAreas.length
+      || this.portals.size
+      || this.detourTriangles.size) ? undefined : this._pathCacheKey(type, start, end);
+    const cached = this.#pathCache.get(cacheKey);
+    let out;
+    if ( cached ) {
+      out = PathCache.pathFromCorridor(cached.corridor, start, end);
+      this.clearanceLimited = cached.clearanceLimited;
+    } else {
+      alg.trackReached = this.constructor.recordSearches;
+      out = alg.run(start, end);
+      this.clearanceLimited = BorderEdge.clearanceRejections > 0;
+      if ( cacheKey ) this.#pathCache.set(cacheKey, out, this.clearanceLimited);
+    }
+    this.#fogIsExploredFn = undefined;
+    if ( this.constructor.recordSearches ) {
+      this.#recordSearch({ type, startPoint, endPoint, alg, out, cached: out !== alg.cameFrom, t0, t1 });
+    }
+    this.lastPathMap = out;
+    return out;
+  }
+
+  /**
+   * Store a search in Pathfinder.lastSearch.
+   * A search answered from the cache only reached the nodes along its corridor.
+   * @param {object} opts
+   * @param {string} opts.type
+   * @param {Point} opts.startPoint
+   * @param {Point} opts.endPoint
+   * @param {BreadthFirstPathSearch} opts.alg       Algorithm used for the search
+   * @param {Map<PathNode.key, PathNode>} opts.out  Path map returned by the search
+   * @param {boolean} [opts.cached=false]
+   * @param {number} [opts.numPrevDiagonal=0]
+   * @param {number} opts.t0                        Time the search was started
+   * @param {number} opts.t1                        Time the search setup was done
+   */
+  #recordSearch({ type, startPoint, endPoint, alg, out, cached = false, numPrevDiagonal = 0, t0, t1 }) {
+    const t2 = performance.now();
+    const reached = cached
+      ? new Map(this.constructor.getPathTriangles(out).map(node => [node.key, node])) : new Map(alg.reached);
+    const frontier = cached ? [] : [...(Array.isArray(alg.frontier) ? alg.frontier : alg.frontier.data)];
+    const cameFrom = new Map(out);
+    cameFrom.start = out.start;
+    cameFrom.goal = out.goal;
+    const pathPoints = this.constructor.getPathTriangles(out)[0]?.key === out.start.key
+      ? this.constructor.getPathPoints(out) : [];
+    this.constructor.lastSearch = {
+      pathfinder: this,
+      type,
+      startPoint: Point3d.fromObject(startPoint),
+      endPoint: Point3d.fromObject(endPoint),
+      numPrevDiagonal,
+      cameFrom,
+      reached,
+      frontier,
+      pathPoints,
+      cached,
+      prepareTime: t1 - t0,
+      searchTime: t2 - t1
+    };
+  }
+
+  /**
+   * Set up a search so that it can be run one step at a time, by calling _step on the algorithm.
+   * Each step runs with the current walls and tokens, so steps can differ from the recorded search
+   * if the scene changed since.
+   * @param {SearchRecord} search     Search to repeat
+   * @returns {BreadthFirstPathSearch} The algorithm, ready to step
+   */
+  prepareSearchSteps(search) {
+    const { type, startPoint, endPoint, numPrevDiagonal } = search;
+    const gridSearch = type === "grid" || this.constructor.CAPABILITIES[type]?.gridNative;
+    const alg = this._prepareAlgorithm(type, startPoint, endPoint);
+    const { start, end } = gridSearch
+      ? this._initializeGridStartEndNodes(startPoint, endPoint, numPrevDiagonal)
+      : this._initializeStartEndNodes(startPoint, endPoint);
+    alg.trackReached = true;
+    alg.prepareSteps(start, end);
+    return alg;
+  }
+
+  /**
+   * Key identifying a search for the path cache.
+   * Covers the start and end triangles, the token spacing, the elevation band, and which tokens block.
+   * The elevation band is the start elevation, plus the end elevation if the path can change elevation.
+   * Clears the cache if the triangles, edge blocking, or movement penalties changed since the cache was filled.
+   * @param {string} type       Key of Pathfinder.ALGORITHMS
+   * @param {PathNode} start
+   * @param {PathNode} end
+   * @returns {string}
+   */
+  _pathCacheKey(type, start, end) {
+    const { buildId, blockingVersion, penaltyVersion } = this.constructor;
+    this.#pathCache.version = `${buildId}_${blockingVersion}_${penaltyVersion}`;
+    const elevationBand = this.elevationOpts.canChangeElevation
+      ? `${this.startElevation}_${this.endElevation}` : `${this.startElevation}`;
+    return [
+      type,
+      start.entryTriangle.id,
+      end.entryTriangle.id,
+      this.spacer,
+      elevationBand,
+      BorderEdge.tokenBlockType
+    ].join("|");
+  }
+
+  /**
+   * Clear cached paths for this pathfinder.
+   */
+  clearPathCache() { this.#pathCache.clear(); }
+
+  /**
+   * Flood outward from the start point, finding every node reachable within a maximum cost.
+   * @param {Point3d} startPoint    Start point for the graph
+   * @param {number} maxCost        Maximum cost, in pixel units
+   * @returns {UniformCostFloodFill} The algorithm, with costSoFar and nodes for the fill
+   */
+  floodFill(startPoint, maxCost) {
+    const alg = this._prepareAlgorithm("flood", startPoint, startPoint);
+    const { start } = this._initializeStartEndNodes(startPoint, startPoint);
+    alg.run(start, maxCost);
+    this.#fogIsExploredFn = undefined;
+    return alg;
+  }
+
+  /**
+   * Should paths be found by searching grid spaces instead of the triangles?
+   * True if the selected algorithm searches grid spaces. Only available on square and hex grids.
+   * @type {boolean}
+   */
+  static get useGridSearch() {
+    if ( canvas.grid.isGridless ) return false;
+    return Boolean(this.CAPABILITIES[this.selectedAlgorithm]?.gridNative);
+  }
+
+  /**
+   * Find the path between startPoint and endPoint by moving between adjacent grid spaces.
+   * Steps follow the grid diagonal rule, so the path is optimal as counted on the grid.
+   * The path stays at the start elevation.
+   * @param {Point} startPoint                  Start point for the graph
+   * @param {Point} endPoint                    End point for the graph
+   * @param {object} [opts]
+   * @param {number} [opts.numPrevDiagonal=0]   Diagonals already moved, for alternating diagonal rules
+   * @param {string} [opts.type]                Key of a grid-native algorithm; defaults to the selected one, if any
    * @returns {Map<PathNode.key, PathNode>}
    */
-  runPath(startPoint, endPoint, type = "astar") {
+  runGridPath(startPoint, endPoint, { numPrevDiagonal = 0, type } = {}) {
+    type ??= this.constructor.CAPABILITIES[this.constructor.selectedAlgorithm]?.gridNative
+      ? this.constructor.selectedAlgorithm : "grid";
+    const t0 = performance.now();
+    const alg = this._prepareAlgorithm(type, startPoint, endPoint);
+    const { start, end } = this._initializeGridStartEndNodes(startPoint, endPoint, numPrevDiagonal);
+    const t1 = performance.now();
+    alg.trackReached = this.constructor.recordSearches;
+    const out = alg.run(start, end);
+    this.#fogIsExploredFn = undefined;
+    if ( this.constructor.recordSearches ) {
+      this.#recordSearch({ type, startPoint, endPoint, alg, out, numPrevDiagonal, t0, t1 });
+    }
+    return out;
+  }
+
+  /**
+   * Build the start and end path nodes for a grid search.
+   * @param {Point} startPoint              Start point for the graph
+   * @param {Point} endPoint                End point for the graph
+   * @param {number} numPrevDiagonal        Diagonals already moved, for alternating diagonal rules
+   * @returns {object}
+   *   - {PathNode} start
+   *   - {PathNode} end
+   */
+  _initializeGridStartEndNodes(startPoint, endPoint, numPrevDiagonal = 0) {
+    const start = this._gridNode(canvas.grid.getOffset(startPoint), numPrevDiagonal % 2);
+    start.entryPoint = PIXI.Point.fromObject(startPoint);
+    const goalOffset = canvas.grid.getOffset(endPoint);
+    const end = {
+      key: `goal_${goalOffset.i}_${goalOffset.j}`,
+      offset: goalOffset,
+      entryPoint: PIXI.Point.fromObject(endPoint),
+      elevation: this.startElevation };
+    return { start, end };
+  }
+
+  /**
+   * Build a path node for a grid space.
+   * @param {GridOffset} offset           The grid space
+   * @param {number} diagonalParity       0 or 1: whether an odd number of diagonals have been moved.
+   *   Only tracked for the alternating diagonal rules, where it changes the cost of the next diagonal.
+   * @returns {PathNode}
+   */
+  _gridNode(offset, diagonalParity = 0) {
+    const D = CONST.GRID_DIAGONALS;
+    const diagonals = canvas.grid.diagonals;
+    if ( diagonals !== D.ALTERNATING_1 && diagonals !== D.ALTERNATING_2 ) diagonalParity = 0;
+    return {
+      key: `${offset.i}_${offset.j}_${diagonalParity}`,
+      offset,
+      diagonalParity,
+      entryPoint: PIXI.Point.fromObject(canvas.grid.getCenterPoint(offset)),
+      elevation: this.startElevation };
+  }
+
+  /**
+   * Get destinations with cost for a grid path node: each adjacent grid space not blocked by a wall.
+   * Cost is the grid distance of the step, adjusted by the movement penalty for the space entered.
+   * @param {PathNode} pathNode
+   * @param {PathNode} goal
+   * @returns {PathNode[]} Array of destination nodes
+   */
+  _identifyGridDestinations(pathNode, goal) {
+    const gridUnitsToPixels = CONFIG.GeometryLib.utils.gridUnitsToPixels;
+    const GridCoordinates3d = CONFIG.GeometryLib.threeD.GridCoordinates3d;
+
+    // If the goal space is reached, move to the goal within the space.
+    const { i, j } = pathNode.offset;
+    if ( i === goal.offset.i && j === goal.offset.j ) return [{ ...goal, cost: 0 }];
+
+    const elevation = this.startElevation;
+    const from = PIXI.Point.fromObject(pathNode.entryPoint);
+    from.z = elevation;
+    const destinations = [];
+    for ( const offset of canvas.grid.getAdjacentOffsets(pathNode.offset) ) {
+      const isDiagonal = canvas.grid.isSquare && offset.i !== i && offset.j !== j;
+      const stepMultiplier = gridStepMultiplier(isDiagonal, pathNode.diagonalParity);
+      if ( !stepMultiplier ) continue;
+      const node = this._gridNode(offset, pathNode.diagonalParity ^ Number(isDiagonal));
+      const to = node.entryPoint.clone();
+      to.z = elevation;
+      if ( hasCollision(from, to, this.token) ) continue;
+
+      let cost = stepMultiplier * canvas.grid.distance;
+      if ( pathfindingOption(SCENE_OPTIONS.CHECK_TERRAINS) ) {
+        const coords = GridCoordinates3d.fromObject({ x: to.x, y: to.y, z: elevation });
+        cost = this.movePenaltyInstance.movementCostForGridSpace(coords, cost);
+
+        // Hazards are either costly or forbidden, except for the goal space and hazards containing the start.
+        const hazards = this.movePenaltyInstance.hazardsForGridSpace(coords);
+        if ( hazards.length ) {
+          if ( MovePenalty.avoidHazards ) cost *= CONFIG[MODULE_ID].pathfindingHazardMultiplier;
+          else if ( (offset.i !== goal.offset.i || offset.j !== goal.offset.j)
+            && !this.#withinStartHazards(hazards) ) continue;
+        }
+      }
+      node.cost = gridUnitsToPixels(cost);
+      if ( WallTracerEdge.closedDoorsAlongSegment(from, to).length ) node.cost += BorderEdge.doorCost;
+      destinations.push(node);
+    }
+    return this.#addOpportunityAttackCost(pathNode, this.#filterDestinationsbyExploration(destinations));
+  }
+
+  /**
+   * Heuristic for grid path nodes: the fewest grid steps between the two spaces, at the lowest step cost.
+   * @param {PathNode} goal
+   * @param {PathNode} current
+   * @returns {number} Estimated cost, in pixel units
+   */
+  _gridHeuristic(goal, current) {
+    const a = current.offset;
+    const b = goal.offset;
+    let nSteps;
+    if ( canvas.grid.isHexagonal ) {
+      const cubeA = canvas.grid.getCube(a);
+      const cubeB = canvas.grid.getCube(b);
+      nSteps = (Math.abs(cubeA.q - cubeB.q) + Math.abs(cubeA.r - cubeB.r) + Math.abs(cubeA.s - cubeB.s)) * 0.5;
+    } else {
+      const di = Math.abs(a.i - b.i);
+      const dj = Math.abs(a.j - b.j);
+      nSteps = canvas.grid.diagonals === CONST.GRID_DIAGONALS.ILLEGAL ? di + dj : Math.max(di, dj);
+    }
+    return CONFIG.GeometryLib.utils.gridUnitsToPixels(nSteps * canvas.grid.distance);
+  }
+
+  /**
+   * Remove grid path points that continue in the same direction as the prior step.
+   * The ruler measures straight runs of grid steps the same as the individual steps.
+   * @param {PIXI.Point[]} pathPoints
+   * @returns {PIXI.Point[]}
+   */
+  cleanGridSearchPath(pathPoints) {
+    const nPoints = pathPoints.length;
+    if ( nPoints < 3 ) return pathPoints;
+    const out = [pathPoints[0]];
+    for ( let i = 1; i < nPoints - 1; i += 1 ) {
+      const a = out.at(-1);
+      const b = pathPoints[i];
+      const c = pathPoints[i + 1];
+      const isCollinear = foundry.utils.orient2dFast(a, b, c).almostEqual(0)
+        && ((b.x - a.x) * (c.x - b.x)) + ((b.y - a.y) * (c.y - b.y)) > 0;
+      if ( !isCollinear ) out.push(b);
+    }
+    out.push(pathPoints.at(-1));
+    return out;
+  }
+
+  /**
+   * Set up the chosen algorithm and the pathfinding state for a run.
+   * @param {string} type           Key of Pathfinder.ALGORITHMS
+   * @param {Point} startPoint      Start point for the graph
+   * @param {Point} endPoint        End point for the graph
+   * @returns {BreadthFirstPathSearch}
+   */
+  _prepareAlgorithm(type, startPoint, endPoint) {
     // Set token for token edge blocking.
     BorderEdge.moveToken = this.token;
+    BorderEdge.clearanceRejections = 0;
 
     // Set fog exploration testing if that setting is enabled.
-    if ( !game.user.isGM
-      && Settings.get(Settings.KEYS.PATHFINDING.LIMIT_TOKEN_LOS) ) this.#fogIsExploredFn = fogIsExploredFn();
+    // If only walls the user has seen are used, ignore walls in unexplored areas.
+    // Unexplored areas are then open, unless they are blocked by either setting.
+    const { KNOWN_WALLS, KNOWN_WALLS_CHOICES } = Settings.KEYS.PATHFINDING;
+    const knownWallsChoice = game.user.isGM ? KNOWN_WALLS_CHOICES.ALL : Settings.get(KNOWN_WALLS);
+    const knownWalls = knownWallsChoice !== KNOWN_WALLS_CHOICES.ALL;
+    const limitToExplored = knownWallsChoice === KNOWN_WALLS_CHOICES.BLOCKED
+      || (!game.user.isGM && pathfindingOption(SCENE_OPTIONS.LIMIT_TOKEN_LOS));
+    const isExplored = (limitToExplored || knownWalls) ? fogIsExploredFn() : undefined;
+    if ( limitToExplored ) this.#fogIsExploredFn = isExplored;
+    BorderEdge.unseenWalls = knownWalls ? unseenWalls(isExplored) : new Set();
 
     // Initialize the algorithm if not already.
     if ( !this.algorithm[type] ) {
       const alg = this.algorithm[type] = new this.constructor.ALGORITHMS[type]();
       const costMethod = this.constructor.COST_METHOD[type];
-      alg.getNeighbors = this[costMethod].bind(this);
-      alg.heuristic = this._heuristic;
+      const heuristicMethod = this.constructor.HEURISTIC_METHOD[type] ?? "_heuristic";
+      alg.getNeighbors = (typeof costMethod === "function" ? costMethod : this[costMethod]).bind(this);
+      alg.heuristic = typeof heuristicMethod === "function" ? heuristicMethod : this[heuristicMethod].bind(this);
     }
 
     // Make sure pathfinder triangles are up-to-date.
+    // Edge clearances depend on the triangles, on what blocks, and on the moving token.
     if ( this.constructor.dirty ) this.constructor.initialize();
+    const { buildId, blockingVersion } = this.constructor;
+    const unseenIds = [...BorderEdge.unseenWalls].map(wall => wall.id).join(",");
+    BorderEdge.clearanceVersion = `${buildId}_${blockingVersion}_${this.token.id}_${BorderEdge.tokenBlockType}_${unseenIds}`;
 
-    // Run the algorithm.
     this.startElevation = startPoint.z || 0;
-    const { start, end } = this._initializeStartEndNodes(startPoint, endPoint);
-    const out = this.algorithm[type].run(start, end);
-    this.#fogIsExploredFn = undefined;
-    return out;
+    this.endElevation = Number.isFinite(endPoint.z) ? endPoint.z : this.startElevation;
+    this._initializeElevationOptions(startPoint, endPoint);
+    if ( !this.constructor.CAPABILITIES[type]?.threeD ) this.elevationOpts.canChangeElevation = false;
+    this.threatAreas = avoidOpportunityAttacks(this.token) ? threatAreasForToken(this.token) : [];
+    this.floors = sceneFloors();
+    this.portals = this.constructor.CAPABILITIES[type]?.gridNative ? new Map() : portalsByTriangle(this.floors);
+
+    // Precompute terrain penalties at the elevations the path may move through.
+    // If any terrain is faster than normal, scale down the heuristic so it does not overestimate the cost.
+    // Grid searches are costed per grid space by the MovePenalty and stay at the start elevation.
+    // Paths that can fly over obstacles or take a portal may reach any elevation.
+    const alg = this.algorithm[type];
+    if ( pathfindingOption(SCENE_OPTIONS.CHECK_TERRAINS) ) {
+      this._updatePenaltyField();
+      if ( this.constructor.CAPABILITIES[type]?.gridNative ) {
+        const elevationE = CONFIG.GeometryLib.utils.pixelsToGridUnits(this.startElevation);
+        alg.heuristicScale = this.movePenaltyInstance.minimumGridMultiplier(elevationE);
+      } else {
+        const anyElevation = this.elevationOpts.canChangeElevation || this.portals.size;
+        const bottomZ = anyElevation ? Number.NEGATIVE_INFINITY : Math.min(this.startElevation, this.endElevation);
+        const topZ = anyElevation ? Number.POSITIVE_INFINITY : Math.max(this.startElevation, this.endElevation);
+        alg.heuristicScale = this.penaltyField.minimumMultiplierInBand(bottomZ, topZ);
+      }
+    } else alg.heuristicScale = 1;
+
+    // A token starting within a hazard must be able to leave it.
+    this.startHazards = new Set();
+    if ( pathfindingOption(SCENE_OPTIONS.CHECK_TERRAINS) && !MovePenalty.avoidHazards ) {
+      const elevationE = CONFIG.GeometryLib.utils.pixelsToGridUnits(this.startElevation);
+      this.startHazards = new Set(this.movePenaltyInstance.penaltiesAtLocation(startPoint, elevationE).hazards);
+    }
+    this.#portalExitEstimate = undefined;
+    return alg;
   }
 
 
   /**
    * Heuristic that takes a goal node and a current node and returns a priority based on
    * the canvas distance between two points.
+   * Portals can shortcut the straight-line distance. A path through portals costs at least the distance
+   * to the nearest portal entry, plus the least cost from any portal exit to the goal, so the heuristic
+   * is the lesser of that and the straight-line distance.
    * @param {PathNode} goal
    * @param {PathNode} current
+   * @returns {number} Estimated cost, in pixel units
    */
   _heuristic(goal, current) {
-    const geom = CONFIG.GeometryLib;
-    const distance = geom.threeD.GridCoordinates3d.gridDistanceBetween(goal.entryPoint, current.entryPoint);
-    return geom.utils.gridUnitsToPixels(distance);
+    const currentPt = nodePoint3d(current);
+    const direct = heuristicDistance(nodePoint3d(goal), currentPt);
+    if ( !this.portals.size ) return direct;
+    if ( this.#portalExitEstimate?.key !== goal.key ) {
+      this.#portalExitEstimate = { key: goal.key, cost: this.#leastPortalExitCost(goal) };
+    }
+    let entryDistance = Number.POSITIVE_INFINITY;
+    for ( const portals of this.portals.values() ) {
+      for ( const { entryPoint } of portals ) {
+        const entryPt = new Point3d(entryPoint.x, entryPoint.y, currentPt.z);
+        entryDistance = Math.min(entryDistance, heuristicDistance(entryPt, currentPt));
+      }
+    }
+    return Math.min(direct, entryDistance + this.#portalExitEstimate.cost);
+  }
+
+  /**
+   * Least cost estimate for the goal, keyed by the goal node, of leaving any portal and moving to the goal.
+   * @type {object|undefined}
+   *   - {string} key
+   *   - {number} cost
+   */
+  #portalExitEstimate;
+
+  /**
+   * Least cost of using any portal and then moving in a straight line from its exit to the goal.
+   * A portal that keeps the elevation is measured as though it exits at the goal elevation.
+   * @param {PathNode} goal
+   * @returns {number} Cost, in pixel units
+   */
+  #leastPortalExitCost(goal) {
+    const goalPt = nodePoint3d(goal);
+    let least = Number.POSITIVE_INFINITY;
+    for ( const portals of this.portals.values() ) {
+      for ( const { exitPoint, exitElevation, cost } of portals ) {
+        const exitPt = new Point3d(exitPoint.x, exitPoint.y, exitElevation ?? goalPt.z);
+        least = Math.min(least, (cost ?? 0) + heuristicDistance(exitPt, goalPt));
+      }
+    }
+    return least;
+  }
+
+  /**
+   * Determine whether the path may change elevation to go over or under obstacles.
+   * Only flying tokens can do so, and they cannot go below the ground at the start or end.
+   * @param {Point3d} startPoint      Start point for the graph
+   * @param {Point3d} endPoint        End point for the graph
+   */
+  _initializeElevationOptions(startPoint, endPoint) {
+    const { pixelsToGridUnits, gridUnitsToPixels } = CONFIG.GeometryLib.utils;
+    const { token, startElevation, endElevation, elevationOpts } = this;
+    const startPosition = {
+      x: startPoint.x,
+      y: startPoint.y,
+      z: startElevation,
+      elevation: pixelsToGridUnits(startElevation) };
+    const endPosition = {
+      x: endPoint.x,
+      y: endPoint.y,
+      z: endElevation,
+      elevation: pixelsToGridUnits(endElevation) };
+
+    elevationOpts.targetElevation = endElevation;
+    elevationOpts.tokenHeight = (token.topZ - token.bottomZ) || 0;
+    elevationOpts.canChangeElevation = movementTypeForTokenAt(token, startPosition) === MOVEMENT_TYPES.FLY
+      || movementTypeForTokenAt(token, endPosition) === MOVEMENT_TYPES.FLY;
+
+    // Use only the x,y location so the ground is not assumed to be the token elevation.
+    const rulerClass = CONFIG.Canvas.rulerClass;
+    const startGround = rulerClass.terrainElevationAtLocation(
+      { x: startPoint.x, y: startPoint.y }, startPosition.elevation);
+    const endGround = rulerClass.terrainElevationAtLocation(
+      { x: endPoint.x, y: endPoint.y }, endPosition.elevation);
+    elevationOpts.minElevation = Math.min(
+      gridUnitsToPixels(startGround || 0),
+      gridUnitsToPixels(endGround || 0),
+      startElevation,
+      endElevation);
   }
 
   /**
@@ -321,21 +1203,24 @@ export class Pathfinder {
    */
   _initializeStartEndNodes(startPoint, endPoint) {
     // Locate start and end triangles.
-    // TODO: Handle 3d
+    // Triangles are 2d; elevation is tracked separately for each path node.
     startPoint = PIXI.Point.fromObject(startPoint);
     endPoint = PIXI.Point.fromObject(endPoint);
     const startTri = this.constructor.trianglesAtPoint(startPoint).first();
     const endTri = this.constructor.trianglesAtPoint(endPoint).first();
+    const { startElevation, endElevation } = this;
 
     // Build PathNode for start and end.
     const start = {
-      key: `${startPoint.key}_${startTri.id}`,
+      key: `${startPoint.key}_${startElevation}_${startTri.id}`,
       entryTriangle: startTri,
-      entryPoint: PIXI.Point.fromObject(startPoint) };
+      entryPoint: startPoint,
+      elevation: startElevation };
     const end = {
-      key: `${endPoint.key}_${endTri.id}`,
+      key: `${endPoint.key}_${endElevation}_${endTri.id}`,
       entryTriangle: endTri,
-      entryPoint: endPoint };
+      entryPoint: endPoint,
+      elevation: endElevation };
     return { start, end };
   }
 
@@ -358,18 +1243,23 @@ export class Pathfinder {
    */
   _identifyDestinations(pathNode, goal) {
     // If the goal node is reached, return the goal
-    if ( pathNode.entryTriangle === goal.entryTriangle ) {
+    if ( this.#reachesGoal(pathNode, goal) ) {
       // Need a copy so we can modify priorTriangle for this node only.
       const newNode = {...goal};
       newNode.priorTriangle = pathNode.priorTriangle;
       return [newNode];
     }
 
+    // A token entering a portal is moved to the portal exit.
+    if ( pathNode.portal ) return [this.#portalExitNode(pathNode)];
+
     const destinations = pathNode.entryTriangle.getValidDestinations(
       pathNode.priorTriangle,
-      this.startElevation,
-      this.spacer);
-    return this.#filterDestinationsbyExploration(destinations);
+      pathNode.elevation ?? this.startElevation,
+      this.spacer,
+      this.elevationOpts);
+    destinations.push(...this.#portalEntryNodes(pathNode));
+    return this.#filterDestinationsbyExploration(this.#filterDestinationsByHazard(destinations, goal));
   }
 
   /**
@@ -379,24 +1269,149 @@ export class Pathfinder {
    */
   _identifyDestinationsWithCost(pathNode, goal) {
     // If the goal node is reached, return the goal with the cost.
-    if ( pathNode.entryTriangle === goal.entryTriangle ) {
+    // Flood fills have no goal.
+    if ( goal && this.#reachesGoal(pathNode, goal) ) {
       // Need a copy so we can modify cost for this goal node only.
       const newNode = {...goal};
       newNode.cost = goal.entryTriangle._calculateMovementCost(
-        pathNode.entryPoint, goal.entryPoint, this.token, this.movePenaltyInstance);
+        nodePoint3d(pathNode), nodePoint3d(goal), this.token, this.penaltyField);
       newNode.priorTriangle = pathNode.priorTriangle;
       newNode.fromPoint = pathNode.entryPoint;
-      return [newNode];
+      return this.#addDetourCost(pathNode, this.#addOpportunityAttackCost(pathNode, [newNode]));
+    }
+
+    // A token entering a portal is moved to the portal exit, at the cost of the portal, if any.
+    if ( pathNode.portal ) {
+      const exitNode = this.#portalExitNode(pathNode);
+      exitNode.cost = pathNode.portal.cost ?? 0;
+      exitNode.fromPoint = pathNode.entryPoint;
+      return [exitNode];
     }
 
     const destinations = pathNode.entryTriangle.getValidDestinationsWithCost(
-      pathNode.priorTriangle, this.startElevation, this.spacer,
-      pathNode.entryPoint, this.token, this.movePenaltyInstance);
-    return this.#filterDestinationsbyExploration(destinations);
+      pathNode.priorTriangle, pathNode.elevation ?? this.startElevation, this.spacer,
+      nodePoint3d(pathNode), this.token, this.penaltyField, this.elevationOpts);
+    const fromPoint = nodePoint3d(pathNode);
+    for ( const entryNode of this.#portalEntryNodes(pathNode) ) {
+      entryNode.cost = pathNode.entryTriangle._calculateMovementCost(
+        fromPoint, nodePoint3d(entryNode), this.token, this.penaltyField);
+      entryNode.fromPoint = pathNode.entryPoint;
+      destinations.push(entryNode);
+    }
+    const filtered = this.#filterDestinationsbyExploration(this.#filterDestinationsByHazard(destinations, goal));
+
+    // Flood fills measure how far the token can move, so opportunity attacks do not count.
+    return goal ? this.#addDetourCost(pathNode, this.#addOpportunityAttackCost(pathNode, filtered)) : filtered;
   }
 
   /**
-   * If not GM and GM has set the limit on pathfinding to token LOS, then filter destinations accordingly.
+   * Is the path node in the goal triangle, on the same Levels floor as the goal?
+   * @param {PathNode} pathNode
+   * @param {PathNode} goal
+   * @returns {boolean}
+   */
+  #reachesGoal(pathNode, goal) {
+    if ( pathNode.entryTriangle !== goal.entryTriangle ) return false;
+    if ( !this.floors.length ) return true;
+    return floorAtElevation(this.floors, pathNode.elevation ?? this.startElevation)
+      === floorAtElevation(this.floors, goal.elevation);
+  }
+
+  /**
+   * Nodes for entering each portal in the triangle of a path node.
+   * Portals between Levels floors can only be entered from their own floor.
+   * @param {PathNode} pathNode
+   * @returns {PathNode[]}
+   */
+  #portalEntryNodes(pathNode) {
+    const portals = this.portals.get(pathNode.entryTriangle);
+    if ( !portals ) return [];
+    const elevation = pathNode.elevation ?? this.startElevation;
+    const floor = this.floors.length ? floorAtElevation(this.floors, elevation) : undefined;
+    return portals.filter(portal => !portal.entryFloor || portal.entryFloor === floor).map(portal => ({
+      entryPoint: portal.entryPoint,
+      elevation: pathNode.elevation,
+      key: `${portal.entryPoint.key}_${pathNode.elevation}_portal_${portal.region.id}_${portal.exitElevation}`,
+      entryTriangle: pathNode.entryTriangle,
+      priorTriangle: pathNode.priorTriangle,
+      portal
+    }));
+  }
+
+  /**
+   * Node for the exit of the portal entered at a path node.
+   * The node is marked as a teleport, so the ruler shows the move to it as a teleport.
+   * @param {PathNode} pathNode     Node at which the portal was entered
+   * @returns {PathNode}
+   */
+  #portalExitNode(pathNode) {
+    const { exitPoint, exitElevation, exitTriangle, region } = pathNode.portal;
+    const elevation = exitElevation ?? pathNode.elevation;
+    return {
+      entryPoint: exitPoint,
+      elevation,
+      key: `${exitPoint.key}_${elevation}_portalExit_${region.id}`,
+      entryTriangle: exitTriangle,
+      priorTriangle: null,
+      teleport: true
+    };
+  }
+
+  /**
+   * If the search avoids opportunity attacks, add to the cost of each move that leaves a hostile token's reach.
+   * @param {PathNode} pathNode           Node being moved from
+   * @param {PathNode[]} destinations     Array of destination nodes, with cost
+   * @returns {PathNode[]} The destinations, with cost modified in place.
+   */
+  #addOpportunityAttackCost(pathNode, destinations) {
+    if ( !this.threatAreas.length ) return destinations;
+    const penalty = CONFIG.GeometryLib.utils.gridUnitsToPixels(CONFIG[MODULE_ID].pathfindingOpportunityAttackCost);
+    const a = new Point3d(pathNode.entryPoint.x, pathNode.entryPoint.y, pathNode.elevation ?? this.startElevation);
+    for ( const d of destinations ) {
+      const b = new Point3d(d.entryPoint.x, d.entryPoint.y, d.elevation ?? this.startElevation);
+      d.cost += provokingPoints(this.threatAreas, a, b).length * penalty;
+    }
+    return destinations;
+  }
+
+  /**
+   * When steering away from triangles, multiply the cost of each move out of such a triangle.
+   * @param {PathNode} pathNode           Node being moved from
+   * @param {PathNode[]} destinations     Array of destination nodes, with cost
+   * @returns {PathNode[]} The destinations, with cost increased
+   */
+  #addDetourCost(pathNode, destinations) {
+    const multiplier = this.detourTriangles.get(pathNode.entryTriangle);
+    if ( multiplier ) destinations.forEach(d => d.cost *= multiplier);
+    return destinations;
+  }
+
+  /**
+   * If the user has chosen to forbid moving through hazards, remove destinations within a hazard.
+   * A hazard containing the goal may still be entered, as may a hazard containing the start.
+   * @param {PathNode[]} destinations     Array of destination nodes
+   * @param {PathNode} [goal]             Goal node, if any
+   * @returns {PathNode[]} Array of destination nodes, possibly filtered.
+   */
+  #filterDestinationsByHazard(destinations, goal) {
+    const penaltyField = this.penaltyField;
+    if ( !penaltyField
+      || !pathfindingOption(SCENE_OPTIONS.CHECK_TERRAINS)
+      || MovePenalty.avoidHazards ) return destinations;
+    return destinations.filter(d => d.entryTriangle === goal?.entryTriangle || this.#withinStartHazards(
+      penaltyField.hazardsForTriangle(d.entryTriangle, d.elevation ?? this.startElevation)));
+  }
+
+  /**
+   * Are all these hazards ones that contain the start of the search?
+   * @param {(Drawing|Region)[]} hazards
+   * @returns {boolean} True if there are no hazards or all contain the start.
+   */
+  #withinStartHazards(hazards) { return hazards.every(hazard => this.startHazards.has(hazard)); }
+
+  /**
+   * If not GM and GM has set the limit on pathfinding to token LOS, or if unexplored areas are treated as blocked,
+   * then filter destinations accordingly.
    * @param {PathNode[]} destinations     Array of destination nodes
    * @returns {PathNode[]} Array of destination nodes, possibly filtered.
    */
@@ -410,13 +1425,22 @@ export class Pathfinder {
 
   /**
    * Identify path points, in order from start to finish, for a cameFrom path map.
+   * Each point has a z property for the elevation of the path at that point.
+   * Each point where the path moves into another triangle has an edge property for the edge crossed.
    * @returns {PIXI.Point[]}
    */
   static getPathPoints(pathMap) {
     let curr = pathMap.goal;
     const pts = [];
     while ( curr && pts.length < 1000 ) {
-      pts.push(PIXI.Point.invertKey(curr.entryPoint.key));
+      const pt = PIXI.Point.invertKey(curr.entryPoint.key);
+      if ( Number.isFinite(curr.elevation) ) pt.z = curr.elevation;
+      if ( curr.teleport ) pt.teleport = true;
+      const { priorTriangle, entryTriangle } = curr;
+      if ( priorTriangle && entryTriangle && !curr.portal ) {
+        pt.edge = Object.values(priorTriangle.edges).find(edge => edge.otherTriangle(priorTriangle) === entryTriangle);
+      }
+      pts.push(pt);
       curr = pathMap.get(curr.key);
     }
     return pts.reverse();
@@ -426,15 +1450,7 @@ export class Pathfinder {
    * Identify triangles for a path in order.
    * @returns {BorderTriangle[]}
    */
-  static getPathTriangles(pathMap) {
-    let curr = pathMap.goal;
-    const tri = [];
-    while ( curr && tri.length < 1000 ) {
-      tri.push(curr);
-      curr = pathMap.get(curr.key);
-    }
-    return tri.reverse();
-  }
+  static getPathTriangles(pathMap) { return pathNodes(pathMap); }
 
   drawPath(pathPoints, opts) {
     const nPts = pathPoints.length;
@@ -473,10 +1489,20 @@ export class Pathfinder {
   /**
    * Clean an array of path points.
    * Straighten path by removing unnecessary points.
+   * On gridless scenes, pull the path taut through the triangle edges it crosses, keeping the token
+   * clear of the corners it turns around.
    * @param {PIXI.Point[]} pathPoints
    * @returns {PIXI.Point[]}
    */
-  cleanPath(pathPoints) { return cleanGridPathRDP(pathPoints, this.token); }
+  cleanPath(pathPoints) {
+    return joinAtTeleports(splitAtTeleports(pathPoints).map(pts => {
+      if ( canvas.grid.isGridless ) {
+        const taut = funnelPath(pts, this.spacer, (a, b) => hasAnyCollisions(a, b, this.token));
+        if ( taut ) return taut;
+      }
+      return cleanGridPathRDP(pts, this.token);
+    }));
+  }
 
   /**
    * Force a set of path points to a grid.
@@ -484,8 +1510,8 @@ export class Pathfinder {
    * @returns {PIXI.Point[]}
    */
   alignPathToGrid(pathPoints) {
-    const gridPts = alignPathToGrid(pathPoints, this.token);
-    return cleanGridPathPoints(gridPts);
+    return joinAtTeleports(splitAtTeleports(pathPoints)
+      .map(pts => cleanGridPathPoints(alignPathToGrid(pts, this.token))));
   }
 }
 
@@ -540,6 +1566,35 @@ class NoDupePointsArray extends Array {
   }
 }
 
+/**
+ * Split a path into the pieces between teleports, such as through a region portal.
+ * Each piece after the first starts at the point to which the token teleported.
+ * @param {PIXI.Point[]} pathPoints
+ * @returns {PIXI.Point[][]}
+ */
+function splitAtTeleports(pathPoints) {
+  const pieces = [[]];
+  for ( const pt of pathPoints ) {
+    if ( pt.teleport && pieces.at(-1).length ) pieces.push([]);
+    pieces.at(-1).push(pt);
+  }
+  return pieces;
+}
+
+/**
+ * Join path pieces split by splitAtTeleports, marking the start of each later piece as a teleport.
+ * @param {PIXI.Point[][]} pieces
+ * @returns {PIXI.Point[]}
+ */
+function joinAtTeleports(pieces) {
+  if ( pieces.length === 1 ) return pieces[0];
+  return pieces.flatMap((pts, i) => {
+    pts = [...pts];
+    if ( i && pts.length ) pts[0] = { ...pts[0], teleport: true };
+    return pts;
+  });
+}
+
 /**
  * Clean a set of grid path points by dropping intermediate points in the same direction.
  * So if moving diagonally NE, drop all points until direction changes.
@@ -575,8 +1630,8 @@ function alignPathToGrid(pathPoints, token) {
   // For each segment, retrieve the grid points that do not result in collisions.
   let gridPoints = new Array(pathPoints.length - 1);
   for ( let i = 0, n = pathPoints.length - 1; i < n; i += 1 ) {
-    const a = { x: pathPoints[i].x, y: pathPoints[i].y, isEndpoint: true }; // Drop z for now.
-    const b = { x: pathPoints[i + 1].x, y: pathPoints[i + 1].y, isEndpoint: true };
+    const a = { x: pathPoints[i].x, y: pathPoints[i].y, z: pathPoints[i].z, isEndpoint: true };
+    const b = { x: pathPoints[i + 1].x, y: pathPoints[i + 1].y, z: pathPoints[i + 1].z, isEndpoint: true };
     gridPoints[i] = alignSegmentToGrid(a, b, token);
   }
 
@@ -671,7 +1726,7 @@ function alignSegmentToGrid(a, b, token) {
     GridCoordinates.fromObject(a),
     ...gridPoints.map(offset => GridCoordinates.fromOffset(offset)), GridCoordinates.fromObject(b)];
   const nPts = allPoints.length;
-  if ( nPts < 3 ) return allPoints;
+  if ( nPts < 3 ) return interpolatePathElevation(allPoints, a, b);
 
   // To maximize grid spaces, move from outside in at both ends of the segment.
   // Adjust points at either end, and walk to middle.
@@ -706,7 +1761,23 @@ function alignSegmentToGrid(a, b, token) {
     if ( hasCollision(a0, center, token) || hasCollision(a2, center, token) ) continue;
     allPoints[i] = center;
   }
-  return allPoints;
+  return interpolatePathElevation(allPoints, a, b);
+}
+
+/**
+ * Set the elevation of each point along a segment proportionally to its distance from the start.
+ * Points are modified in place. If either endpoint lacks elevation, the points are not modified.
+ * @param {PIXI.Point[]} pts      Points between a and b
+ * @param {Point3d} a             Start of the segment
+ * @param {Point3d} b             End of the segment
+ * @returns {PIXI.Point[]} The same array, for convenience.
+ */
+function interpolatePathElevation(pts, a, b) {
+  if ( !(Number.isFinite(a.z) && Number.isFinite(b.z)) ) return pts;
+  const dist = PIXI.Point.distanceBetween(a, b);
+  const dz = b.z - a.z;
+  pts.forEach(pt => pt.z = dist ? a.z + (dz * (PIXI.Point.distanceBetween(a, pt) / dist)) : b.z);
+  return pts;
 }
 
 /**
@@ -779,25 +1850,139 @@ function distanceSquaredToSegment(a, b, pt) {
  */
 function hasAnyCollisions(a, b, token) {
   return hasCollision(a, b, token)
-    || (CONFIG[MODULE_ID].pathfindingCheckTerrains && MovePenalty.anyTerrainPlaceablesAlongSegment(a, b, token));
+    || (pathfindingOption(SCENE_OPTIONS.CHECK_TERRAINS)
+      && MovePenalty.anyTerrainPlaceablesAlongSegment(a, b, token));
+}
+
+/**
+ * Key for an edge based on its endpoint keys, regardless of endpoint order.
+ * @param {number} key0
+ * @param {number} key1
+ * @returns {string}
+ */
+function edgeKeyForEndpoints(key0, key1) { return key0 < key1 ? `${key0}_${key1}` : `${key1}_${key0}`; }
+
+/**
+ * Area of a triangle.
+ * @param {object} vertices   Triangle vertices { a, b, c }
+ * @returns {number}
+ */
+function triangleArea({ a, b, c }) { return Math.abs(foundry.utils.orient2dFast(a, b, c)) * 0.5; }
+
+/**
+ * Get a 3d point for a path node, using the node elevation.
+ * @param {PathNode} node
+ * @returns {Point3d}
+ */
+function nodePoint3d(node) {
+  return new Point3d(node.entryPoint.x, node.entryPoint.y, node.elevation ?? 0);
+}
+
+/**
+ * Distance between two points as measured for the heuristic.
+ * @param {Point3d} a
+ * @param {Point3d} b
+ * @returns {number} Distance, in pixel units
+ */
+function heuristicDistance(a, b) {
+  const geom = CONFIG.GeometryLib;
+  return geom.utils.gridUnitsToPixels(geom.threeD.GridCoordinates3d.gridDistanceBetween(a, b));
 }
 
 /**
  * Instead of a typical `token.checkCollision` test, test for collisions against the edge graph.
  * With this approach, collisions with enemy tokens trigger pathfinding.
- * @param {PIXI.Point} a          Origin point for the move
- * @param {PIXI.Point} b          Destination point for the move
+ * If the points have a z property, the elevation of the move where it crosses each edge is tested.
+ * Otherwise, the token elevation is used.
+ * @param {PIXI.Point|Point3d} a  Origin point for the move
+ * @param {PIXI.Point|Point3d} b  Destination point for the move
  * @param {Token} token           Token that is moving
  * @returns {boolean}
  */
 export function hasCollision(a, b, token) {
-  const lineSegmentIntersects = foundry.utils.lineSegmentIntersects;
+  const { lineSegmentIntersects, lineLineIntersection } = foundry.utils;
   const tokenBlockType = Settings._tokenBlockType();
+  const aZ = Number.isFinite(a.z) ? a.z : token.elevationZ;
+  const bZ = Number.isFinite(b.z) ? b.z : aZ;
+
   // SCENE_GRAPH has way less edges than Pathfinder and has quadtree for the edges.
   // Edges are WallTracerEdge
   const edges = SCENE_GRAPH.edgesQuadtree.getObjects(segmentBounds(a, b));
-  return edges.some(edge => lineSegmentIntersects(a, b, edge.A, edge.B)
-    && edge.edgeBlocks(a, token, tokenBlockType, token.elevationZ));
+  return edges.some(edge => {
+    if ( !lineSegmentIntersects(a, b, edge.A, edge.B) ) return false;
+    let elevation = aZ;
+    if ( aZ !== bZ ) {
+      const ix = lineLineIntersection(a, b, edge.A, edge.B);
+      if ( ix ) elevation = aZ + ((bZ - aZ) * ix.t0);
+    }
+    return edge.edgeBlocks(a, token, tokenBlockType, elevation);
+  });
+}
+
+/**
+ * Like hasCollision, but find where along the move the first blocking edge is crossed.
+ * @param {PIXI.Point|Point3d} a  Origin point for the move
+ * @param {PIXI.Point|Point3d} b  Destination point for the move
+ * @param {Token} token           Token that is moving
+ * @param {Set<Token>} [ignoreTokens]   Tokens whose edges do not block, unless the edge also belongs to a wall
+ * @returns {number|undefined} Fraction of the move from a to b at the first collision, or undefined if none
+ */
+export function firstCollisionFraction(a, b, token, ignoreTokens) {
+  const { lineSegmentIntersects, lineLineIntersection } = foundry.utils;
+  const tokenBlockType = Settings._tokenBlockType();
+  const aZ = Number.isFinite(a.z) ? a.z : token.elevationZ;
+  const bZ = Number.isFinite(b.z) ? b.z : aZ;
+  let first;
+  for ( const edge of SCENE_GRAPH.edgesQuadtree.getObjects(segmentBounds(a, b)) ) {
+    if ( !lineSegmentIntersects(a, b, edge.A, edge.B) ) continue;
+    if ( ignoreTokens && [...edge.objects].every(obj => ignoreTokens.has(obj)) ) continue;
+    const t0 = lineLineIntersection(a, b, edge.A, edge.B)?.t0 ?? 0;
+    if ( first <= t0 ) continue;
+    const elevation = aZ + ((bZ - aZ) * t0);
+    if ( edge.edgeBlocks(a, token, tokenBlockType, elevation) ) first = t0;
+  }
+  return first;
+}
+
+/**
+ * Points along the path from a to b, or fewer than two points if there is no path.
+ * Unlike the ruler, always searches on the main thread, so the path is available immediately.
+ * @param {Pathfinder} pf
+ * @param {Point3d} a
+ * @param {Point3d} b
+ * @returns {PIXI.Point[]}
+ */
+export function pathPointsBetween(pf, a, b) {
+  const token = pf.token;
+  if ( !hasCollision(a, b, token)
+    && !(pathfindingOption(SCENE_OPTIONS.CHECK_TERRAINS)
+      && MovePenalty.anyTerrainPlaceablesAlongSegment(a, b, token)) ) {
+    return [a, b];
+  }
+  if ( Pathfinder.useGridSearch ) return pf.cleanGridSearchPath(Pathfinder.getPathPoints(pf.runGridPath(a, b)));
+  return pf.cleanPath(Pathfinder.getPathPoints(pf.runPath(a, b)));
+}
+
+/**
+ * Multiplier of the grid distance for a single step between adjacent grid spaces.
+ * Follows the grid diagonal rule; hex grids have no diagonal steps.
+ * @param {boolean} isDiagonal        Is the step diagonal on a square grid?
+ * @param {number} diagonalParity     0 or 1: whether an odd number of diagonals were already moved
+ * @returns {number} The multiplier, or 0 if the step is not allowed.
+ */
+function gridStepMultiplier(isDiagonal, diagonalParity) {
+  if ( !isDiagonal ) return 1;
+  const D = CONST.GRID_DIAGONALS;
+  switch ( canvas.grid.diagonals ) {
+    case D.EQUIDISTANT: return 1;
+    case D.EXACT: return Math.SQRT2;
+    case D.APPROXIMATE: return 1.5;
+    case D.RECTILINEAR: return 2;
+    case D.ALTERNATING_1: return diagonalParity ? 2 : 1; // 5/10/5
+    case D.ALTERNATING_2: return diagonalParity ? 1 : 2; // 10/5/10
+    case D.ILLEGAL: return 0;
+  }
+  return 1;
 }
 
 /**
@@ -817,3 +2002,30 @@ export function fogIsExploredFn() {
   const cache = CONFIG.GeometryLib.PixelCache.fromTexture(tex, { width, height });
   return (x, y) => cache.pixelAtCanvas(x, y) > 128;
 }
+
+/**
+ * Find the walls the user has not seen, because the fog is unexplored around them.
+ * A wall blocks sight, so only one side of it may be explored. A wall counts as seen if the fog is explored
+ * just to either side of any of several points along it.
+ * @param {function} [isExplored]   Test whether a canvas point is explored, from fogIsExploredFn
+ * @returns {Set<Wall>} Empty if there is no fog exploration
+ */
+export function unseenWalls(isExplored = fogIsExploredFn()) {
+  const walls = new Set();
+  if ( !isExplored ) return walls;
+  const offset = 4; // Pixels to either side of the wall.
+  for ( const wall of canvas.walls.placeables ) {
+    const { a, b } = wall.edge;
+    const length = PIXI.Point.distanceBetween(a, b);
+    if ( !length ) continue;
+    const dx = (b.x - a.x) / length;
+    const dy = (b.y - a.y) / length;
+    const seen = [0.25, 0.5, 0.75].some(t => {
+      const x = a.x + ((b.x - a.x) * t);
+      const y = a.y + ((b.y - a.y) * t);
+      return isExplored(x - (dy * offset), y + (dx * offset)) || isExplored(x + (dy * offset), y - (dx * offset));
+    });
+    if ( !seen ) walls.add(wall);
+  }
+  return walls;
+}
@@ -0,0 +1,246 @@
+/* globals
+self
+*/
+/* eslint no-unused-vars: ["error", { "argsIgnorePattern": "^_" }] */
+"use strict";
+
+// Web Worker that runs the pathfinding search on a snapshot of the pathfinding triangles.
+// The main-thread side is PathfinderWorker, which sends three kinds of messages:
+// - geometry: Triangle neighbors and edges, sent when the triangles change.
+// - blocking: Which triangle edges can be crossed by the moving token, door costs, and terrain multipliers.
+//   Only the parts that changed are sent; the rest are kept from earlier blocking messages.
+// - search: Start and end points for an A* search, using the most recent geometry and blocking.
+// Foundry, PIXI, and the canvas are not available here, so this file must not import anything.
+
+/**
+ * Triangle geometry from the most recent geometry message.
+ * - {number} buildId              Pathfinder.buildId for the snapshot
+ * - {Int32Array} neighbors        Neighboring triangle index for each triangle edge (3 per triangle); -1 if none
+ * - {Int32Array} edgeIndex        Edge index for each triangle edge (3 per triangle)
+ * - {Float64Array} edges          ax, ay, bx, by for each edge (4 per edge)
+ * @type {object}
+ */
+let geometry;
+
+/**
+ * Edge blocking data, merged from the blocking messages since the most recent geometry message.
+ * - {Uint8Array} slotBlocks           1 if the triangle edge blocks movement out of the triangle (3 per triangle)
+ * - {Uint8Array} narrow               1 if the gap spanned by the edge is too narrow for the token (1 per edge)
+ * - {Float32Array|null} [doorCosts]   Extra cost to open a closed door on the edge (1 per edge)
+ * - {Float32Array|null} [multipliers] Terrain multiplier for each triangle (1 per triangle)
+ * @type {object}
+ */
+let blocking = {};
+
+self.onmessage = event => {
+  const msg = event.data;
+  switch ( msg.type ) {
+    case "geometry": {
+      geometry = msg;
+      blocking = {};
+      break;
+    }
+    case "blocking": Object.assign(blocking, msg); break;
+    case "search": {
+      try {
+        const { points, crossings, cost, clearanceLimited } = search(msg);
+        self.postMessage({ type: "path", id: msg.id, points, crossings, cost, clearanceLimited },
+          [points.buffer, crossings.buffer]);
+      } catch(error) {
+        self.postMessage({ type: "error", id: msg.id, message: error.message });
+      }
+      break;
+    }
+  }
+};
+
+/**
+ * Run an A* search between two points, moving between triangles through their edges.
+ * Mirrors Pathfinder.prototype.runPath with the astar algorithm, for a move at a single elevation on a gridless scene.
+ * Costs are Euclidean pixel distances, as measured on gridless scenes, multiplied by the terrain multiplier
+ * of the triangle moved through, plus the cost of opening any door crossed.
+ * @param {object} msg
+ * @param {number[]} msg.start            [x, y] of the start point
+ * @param {number[]} msg.end              [x, y] of the end point
+ * @param {number} msg.startTri           Index of the triangle containing the start
+ * @param {number} msg.endTri             Index of the triangle containing the end
+ * @param {number} msg.spacer             How far from the corner to set the corner destinations
+ * @param {number} [msg.heuristicScale]   Multiplier for the heuristic, to keep it admissible
+ * @returns {object}
+ *   - {Float64Array} points         x, y for each path point from start to end. Empty if no path found.
+ *   - {Int32Array} crossings        Index of the edge crossed at each path point; -1 if none
+ *   - {number} cost                 Cost of the path; Infinity if no path found
+ *   - {boolean} clearanceLimited    Whether any edge was skipped because it was too narrow for the token
+ */
+function search({ start, end, startTri, endTri, spacer, heuristicScale = 1 }) {
+  if ( !geometry || !blocking.slotBlocks || !blocking.narrow ) throw new Error("Pathfinding worker is missing the triangle snapshot.");
+  const { neighbors, edgeIndex, edges } = geometry;
+  const { slotBlocks, narrow, multipliers, doorCosts } = blocking;
+  const [endX, endY] = end;
+  const heuristic = (x, y) => Math.hypot(endX - x, endY - y) * heuristicScale;
+
+  const startNode = { key: `${start[0]}_${start[1]}_${startTri}`, x: start[0], y: start[1], tri: startTri, prior: -1 };
+  const costSoFar = new Map([[startNode.key, 0]]);
+  const cameFrom = new Map();
+  const frontier = new MinHeap();
+  frontier.push(startNode, 0);
+  let clearanceLimited = false;
+
+  const evaluate = (current, next, cost) => {
+    const newCost = costSoFar.get(current.key) + cost;
+    if ( costSoFar.has(next.key) && newCost >= costSoFar.get(next.key) ) return;
+    costSoFar.set(next.key, newCost);
+    cameFrom.set(next.key, current);
+    frontier.push(next, newCost + heuristic(next.x, next.y));
+  };
+
+  while ( frontier.length ) {
+    const current = frontier.pop();
+    if ( current.isGoal ) {
+      return { ...pathPoints(current, cameFrom), cost: costSoFar.get(current.key), clearanceLimited };
+    }
+    const multiplier = multipliers ? multipliers[current.tri] : 1;
+
+    // In the goal triangle, move directly to the goal.
+    if ( current.tri === endTri ) {
+      const goal = { key: "goal", x: endX, y: endY, tri: endTri, isGoal: true };
+      evaluate(current, goal, Math.hypot(endX - current.x, endY - current.y) * multiplier);
+      continue;
+    }
+
+    // Move to the valid destinations on each edge of the current triangle.
+    for ( let k = 0; k < 3; k += 1 ) {
+      const slot = (current.tri * 3) + k;
+      const neighbor = neighbors[slot];
+      if ( !~neighbor || neighbor === current.prior || slotBlocks[slot] ) continue;
+      if ( narrow[edgeIndex[slot]] ) {
+        clearanceLimited = true;
+        continue;
+      }
+      const doorCost = doorCosts ? doorCosts[edgeIndex[slot]] : 0;
+      for ( const [x, y] of edgeDestinations(edges, edgeIndex[slot], spacer) ) {
+        const next = { key: `${x}_${y}_${neighbor}`, x, y, tri: neighbor, prior: current.tri };
+        evaluate(current, next, (Math.hypot(x - current.x, y - current.y) * multiplier) + doorCost);
+      }
+    }
+  }
+
+  // Goal not reachable.
+  return { points: new Float64Array(0), crossings: new Int32Array(0), cost: Infinity, clearanceLimited };
+}
+
+/**
+ * Destinations along an edge: the median and, for long enough edges, a point near each corner.
+ * Mirrors BorderEdge.prototype.getValidDestinations for an edge already known not to block
+ * and to be wide enough for the token.
+ * @param {Float64Array} edges      Edge coordinates
+ * @param {number} e                Index of the edge
+ * @param {number} spacer           How far from the corner to set the corner destinations
+ * @returns {number[][]} [x, y] for each destination
+ */
+function edgeDestinations(edges, e, spacer) {
+  const i = e * 4;
+  const ax = edges[i];
+  const ay = edges[i + 1];
+  const bx = edges[i + 2];
+  const by = edges[i + 3];
+  const length = Math.hypot(bx - ax, by - ay);
+  const destinations = [[(ax + bx) * 0.5, (ay + by) * 0.5]];
+  if ( length < (spacer * 3.9) ) return destinations;
+  const t = spacer / length;
+  destinations.push(
+    [ax + ((bx - ax) * t), ay + ((by - ay) * t)],
+    [bx + ((ax - bx) * t), by + ((ay - by) * t)]);
+  return destinations;
+}
+
+/**
+ * Walk back from the goal to the start.
+ * @param {object} goal
+ * @param {Map<string, object>} cameFrom
+ * @returns {object}
+ *   - {Float64Array} points     x, y for each path point from start to end
+ *   - {Int32Array} crossings    Index of the edge crossed at each path point; -1 if none
+ */
+function pathPoints(goal, cameFrom) {
+  const nodes = [];
+  let curr = goal;
+  while ( curr && nodes.length < 1000 ) {
+    nodes.push(curr);
+    curr = cameFrom.get(curr.key);
+  }
+  nodes.reverse();
+  const { neighbors, edgeIndex } = geometry;
+  const points = new Float64Array(nodes.length * 2);
+  const crossings = new Int32Array(nodes.length).fill(-1);
+  nodes.forEach((node, i) => {
+    points[i * 2] = node.x;
+    points[(i * 2) + 1] = node.y;
+    if ( node.isGoal || !(node.prior >= 0) ) return;
+    for ( let k = 0; k < 3; k += 1 ) {
+      const slot = (node.prior * 3) + k;
+      if ( neighbors[slot] === node.tri ) crossings[i] = edgeIndex[slot];
+    }
+  });
+  return { points, crossings };
+}
+
+/**
+ * Minimal binary heap, lowest priority first.
+ */
+class MinHeap {
+  /** @type {object[]} */
+  #data = [];
+
+  /** @type {number[]} */
+  #priorities = [];
+
+  /** @type {number} */
+  get length() { return this.#data.length; }
+
+  /**
+   * @param {object} obj
+   * @param {number} priority
+   */
+  push(obj, priority) {
+    const data = this.#data;
+    const priorities = this.#priorities;
+    let i = data.length;
+    data.push(obj);
+    priorities.push(priority);
+    while ( i > 0 ) {
+      const parent = (i - 1) >> 1;
+      if ( priorities[parent] <= priority ) break;
+      data[i] = data[parent];
+      priorities[i] = priorities[parent];
+      i = parent;
+    }
+    data[i] = obj;
+    priorities[i] = priority;
+  }
+
+  /**
+   * @returns {object} The object with the lowest priority
+   */
+  pop() {
+    const data = this.#data;
+    const priorities = this.#priorities;
+    const top = data[0];
+    const lastObj = data.pop();
+    const lastPriority = priorities.pop();
+    const n = data.length;
+    if ( !n ) return top;
+    let i = 0;
+    for ( let left = 1; left < n; left = (i * 2) + 1 ) {
+      const right = left + 1;
+      const child = (right < n && priorities[right] < priorities[left]) ? right : left;
+      if ( priorities[child] >= lastPriority ) break;
+      data[i] = data[child];
+      priorities[i] = priorities[child];
+      i = child;
+    }
+    data[i] = lastObj;
+    priorities[i] = lastPriority;
+    return top;
+  }
+}
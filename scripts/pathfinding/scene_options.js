@@ -0,0 +1,97 @@
+/* globals
+canvas,
+CONFIG
+*/
+"use strict";
+
+import { MODULE_ID, FLAGS } from "../const.js";
+import { Settings } from "../settings.js";
+
+// Pathfinding options that a scene can change, such as whether tokens block.
+// A scene can pick a profile from CONFIG.elevationruler.pathfindingProfiles and override single options.
+// Options the scene leaves unset fall back to the profile, and then to the world settings or CONFIG.
+// Stored in the scene flag elevationruler.pathfinding as {profile, ...options}.
+
+/**
+ * Options that a scene can override, keyed by the name used in the scene flag and in profiles.
+ * @enum {string}
+ */
+export const SCENE_OPTIONS = {
+  TOKENS_BLOCK: "tokensBlock",
+  SNAP_TO_GRID: "snapToGrid",
+  LIMIT_TOKEN_LOS: "limitTokenLOS",
+  TOKEN_BUFFER: "tokenPathfindingBuffer",
+  CHECK_TERRAINS: "pathfindingCheckTerrains"
+};
+
+/**
+ * Type of each option, used to read values entered in the scene configuration.
+ * @type {object<string, function>}
+ */
+const OPTION_TYPES = {
+  [SCENE_OPTIONS.TOKENS_BLOCK]: String,
+  [SCENE_OPTIONS.SNAP_TO_GRID]: Boolean,
+  [SCENE_OPTIONS.LIMIT_TOKEN_LOS]: Boolean,
+  [SCENE_OPTIONS.TOKEN_BUFFER]: Number,
+  [SCENE_OPTIONS.CHECK_TERRAINS]: Boolean
+};
+
+/**
+ * Value of a pathfinding option for a scene.
+ * @param {string} option             One of SCENE_OPTIONS
+ * @param {Scene} [scene]             Defaults to the viewed scene
+ * @returns {*}
+ */
+export function pathfindingOption(option, scene = canvas.scene) {
+  const flag = scene?.flags?.[MODULE_ID]?.[FLAGS.SCENE.PATHFINDING];
+  const value = parseOption(option, flag?.[option]);
+  if ( typeof value !== "undefined" ) return value;
+  const profileValue = parseOption(option, pathfindingProfile(scene)?.options?.[option]);
+  if ( typeof profileValue !== "undefined" ) return profileValue;
+  return defaultPathfindingOption(option);
+}
+
+/**
+ * Profile chosen for a scene, if any.
+ * @param {Scene} [scene]             Defaults to the viewed scene
+ * @returns {PathfindingProfile|undefined}
+ */
+export function pathfindingProfile(scene = canvas.scene) {
+  const key = scene?.flags?.[MODULE_ID]?.[FLAGS.SCENE.PATHFINDING]?.profile;
+  return key ? CONFIG[MODULE_ID].pathfindingProfiles[key] : undefined;
+}
+
+/**
+ * Value of a pathfinding option when neither the scene nor its profile sets it.
+ * @param {string} option             One of SCENE_OPTIONS
+ * @returns {*}
+ */
+export function defaultPathfindingOption(option) {
+  const { PATHFINDING } = Settings.KEYS;
+  switch ( option ) {
+    case SCENE_OPTIONS.TOKENS_BLOCK: return Settings.get(PATHFINDING.TOKENS_BLOCK);
+    case SCENE_OPTIONS.SNAP_TO_GRID: return Settings.get(PATHFINDING.SNAP_TO_GRID);
+    case SCENE_OPTIONS.LIMIT_TOKEN_LOS: return Settings.get(PATHFINDING.LIMIT_TOKEN_LOS);
+    case SCENE_OPTIONS.TOKEN_BUFFER: return CONFIG[MODULE_ID].tokenPathfindingBuffer;
+    case SCENE_OPTIONS.CHECK_TERRAINS: return CONFIG[MODULE_ID].pathfindingCheckTerrains;
+  }
+}
+
+/**
+ * Read an option value as stored in the scene flag or a profile.
+ * Values from the scene configuration form are strings; an empty value means the option is not set.
+ * @param {string} option
+ * @param {*} value
+ * @returns {*} The value, or undefined if not set
+ */
+function parseOption(option, value) {
+  if ( value === undefined || value === null || value === "" ) return undefined;
+  switch ( OPTION_TYPES[option] ) {
+    case Boolean: return value === true || value === "true";
+    case Number: {
+      const n = Number(value);
+      return Number.isFinite(n) ? n : undefined;
+    }
+    default: return value;
+  }
+}
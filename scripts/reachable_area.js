@@ -0,0 +1,210 @@
+/* globals
+canvas,
+CONFIG,
+game,
+PIXI
+*/
+"use strict";
+
+import { MODULE_ID, SPEED } from "./const.js";
+import { MovePenalty } from "./measurement/MovePenalty.js";
+import { Pathfinder } from "./pathfinding/pathfinding.js";
+import { Point3d } from "./geometry/3d/Point3d.js";
+import { pathfindingOption, SCENE_OPTIONS } from "./pathfinding/scene_options.js";
+
+// Functions used to display everywhere a token can reach this turn, colored by speed category.
+
+/** @type {string} */
+const HIGHLIGHT_LAYER = `${MODULE_ID}.reachableArea`;
+
+/**
+ * @typedef {object} SpeedBand
+ * @property {SpeedCategory} speedCategory    Category used to color this band
+ * @property {number} maxDistance             Remaining distance this turn, in grid units, at which the band ends
+ */
+
+/**
+ * Determine the distance the token can still move in each speed category this turn.
+ * Categories that do not extend farther than the previous category are skipped,
+ * as are categories with no distance limit.
+ * @param {Token} token
+ * @returns {SpeedBand[]} Bands ordered from nearest to farthest. Empty if the token has no speed.
+ */
+export function speedBandsForToken(token) {
+  const mp = new MovePenalty(token);
+  const tokenSpeed = mp.baseTokenSpeed;
+  if ( !tokenSpeed ) return [];
+
+  // Movement already taken this combat round counts against each category.
+  const priorDistance = game.combat?.started ? (token.lastMoveDistance || 0) : 0;
+  const bands = [];
+  let minDistance = 0;
+  for ( const speedCategory of SPEED.CATEGORIES ) {
+    const maxDistance = SPEED.maximumCategoryDistance(token, speedCategory, tokenSpeed) - priorDistance;
+    if ( !Number.isFinite(maxDistance) || maxDistance <= minDistance ) continue;
+    bands.push({ speedCategory, maxDistance });
+    minDistance = maxDistance;
+  }
+  return bands;
+}
+
+/**
+ * Flood outward from the token, highlighting every location it can reach this turn.
+ * Each grid space, or on gridless scenes each reachable area, is colored by its speed category.
+ * @param {Token} token
+ * @returns {boolean} True if anything was highlighted.
+ */
+export function showReachableArea(token) {
+  clearReachableArea();
+  if ( !token ) return false;
+  const bands = speedBandsForToken(token);
+  if ( !bands.length ) return false;
+
+  const reachable = reachableTriangleEntries(token, bands.at(-1).maxDistance);
+  canvas.interface.grid.addHighlightLayer(HIGHLIGHT_LAYER);
+  if ( canvas.grid.isGridless ) drawGridlessReachableArea(reachable, bands);
+  else highlightReachableSpaces(reachable, bands);
+  return true;
+}
+
+/**
+ * Remove the reachable area highlighting, if any.
+ */
+export function clearReachableArea() {
+  const layer = canvas.interface.grid.getHighlightLayer(HIGHLIGHT_LAYER);
+  if ( !layer ) return;
+  layer.clear();
+  layer.filters = null;
+}
+
+/**
+ * @typedef {object} ReachableEntry
+ * @property {Point3d} point      Where the token enters the triangle
+ * @property {number} cost        Cost, in grid units, to reach the point
+ */
+
+/**
+ * @typedef {object} ReachableArea
+ * @property {Map<BorderTriangle, ReachableEntry[]>} entries    Entry points for each reached triangle
+ * @property {Token} token                                      Token doing the movement
+ * @property {PenaltyField} [penaltyField]                      Terrain penalties used by the flood
+ */
+
+/**
+ * Run a flood fill from the token location through the pathfinding triangles.
+ * Each triangle is free of walls, so any point within a reached triangle can be reached in a straight
+ * line from one of the points at which the token enters that triangle.
+ * @param {Token} token
+ * @param {number} maxDistance    Maximum distance to flood, in grid units
+ * @returns {ReachableArea}
+ */
+function reachableTriangleEntries(token, maxDistance) {
+  const { gridUnitsToPixels, pixelsToGridUnits } = CONFIG.GeometryLib.utils;
+  token[MODULE_ID] ??= {};
+  const pf = token[MODULE_ID].pathfinder ??= new Pathfinder(token);
+  const startPoint = new Point3d(token.center.x, token.center.y, token.elevationZ);
+  const { nodes, costSoFar } = pf.floodFill(startPoint, gridUnitsToPixels(maxDistance));
+
+  const entries = new Map();
+  for ( const [key, node] of nodes.entries() ) {
+    const tri = node.entryTriangle;
+    if ( !entries.has(tri) ) entries.set(tri, []);
+    entries.get(tri).push({
+      point: new Point3d(node.entryPoint.x, node.entryPoint.y, node.elevation ?? startPoint.z),
+      cost: pixelsToGridUnits(costSoFar.get(key))
+    });
+  }
+  return { entries, token, penaltyField: pf.penaltyField };
+}
+
+/**
+ * Lowest cost, in grid units, for the token to reach a point, given the flood results.
+ * @param {ReachableArea} reachable
+ * @param {Point} pt
+ * @returns {number} Cost, or infinity if not reachable
+ */
+function costToReachPoint(reachable, pt) {
+  const { entries, token, penaltyField } = reachable;
+  const pixelsToGridUnits = CONFIG.GeometryLib.utils.pixelsToGridUnits;
+  let minCost = Number.POSITIVE_INFINITY;
+  for ( const tri of Pathfinder.trianglesAtPoint(pt) ) {
+    for ( const entry of (entries.get(tri) ?? []) ) {
+      const toPoint = new Point3d(pt.x, pt.y, entry.point.z);
+      const cost = entry.cost
+        + pixelsToGridUnits(tri._calculateMovementCost(entry.point, toPoint, token, penaltyField));
+      minCost = Math.min(minCost, cost);
+    }
+  }
+  return minCost;
+}
+
+/**
+ * Find the speed band for a given cost.
+ * @param {SpeedBand[]} bands
+ * @param {number} cost         Cost in grid units
+ * @returns {SpeedBand|undefined}
+ */
+function bandForCost(bands, cost) {
+  return bands.find(band => cost < band.maxDistance || cost.almostEqual(band.maxDistance));
+}
+
+/**
+ * Highlight each reachable grid space with the color of its speed category.
+ * A space is reachable if its center is reachable.
+ * @param {ReachableArea} reachable
+ * @param {SpeedBand[]} bands
+ */
+function highlightReachableSpaces(reachable, bands) {
+  // Terrain faster than normal can extend the reach beyond the plain distance.
+  const multiplier = reachable.penaltyField?.minimumMultiplier || 1;
+  const radius = CONFIG.GeometryLib.utils.gridUnitsToPixels(bands.at(-1).maxDistance / multiplier);
+  const center = reachable.token.center;
+  const size = canvas.dimensions.size;
+  const bounds = new PIXI.Rectangle(center.x - radius, center.y - radius, radius * 2, radius * 2)
+    .pad(size)
+    .intersection(canvas.dimensions.sceneRect);
+
+  const [i0, j0, i1, j1] = canvas.grid.getOffsetRange(bounds);
+  for ( let i = i0; i < i1; i += 1 ) {
+    for ( let j = j0; j < j1; j += 1 ) {
+      const band = bandForCost(bands, costToReachPoint(reachable, canvas.grid.getCenterPoint({ i, j })));
+      if ( !band ) continue;
+      const { x, y } = canvas.grid.getTopLeftPoint({ i, j });
+      canvas.interface.grid.highlightPosition(HIGHLIGHT_LAYER, { x, y, color: band.speedCategory.color });
+    }
+  }
+}
+
+/**
+ * Draw the reachable area on a gridless scene.
+ * For each entry point, the reachable portion of the triangle is a circle clipped to the triangle,
+ * with a radius equal to the remaining distance adjusted for the triangle's terrain.
+ * Bands are drawn from farthest to nearest so nearer categories overlay farther ones.
+ * @param {ReachableArea} reachable
+ * @param {SpeedBand[]} bands
+ */
+function drawGridlessReachableArea(reachable, bands) {
+  const { entries, penaltyField } = reachable;
+  const gridUnitsToPixels = CONFIG.GeometryLib.utils.gridUnitsToPixels;
+  const layer = canvas.interface.grid.getHighlightLayer(HIGHLIGHT_LAYER);
+  const useTerrains = pathfindingOption(SCENE_OPTIONS.CHECK_TERRAINS);
+
+  // Draw opaque shapes and make the whole layer translucent, so overlapping shapes do not stack.
+  layer.filters = [new PIXI.AlphaFilter(0.25)];
+  for ( const band of [...bands].reverse() ) {
+    layer.beginFill(band.speedCategory.color, 1);
+    for ( const [tri, triEntries] of entries.entries() ) {
+      const { a, b, c } = tri.vertices;
+      const triPoly = new PIXI.Polygon(a, b, c);
+      for ( const entry of triEntries ) {
+        const remaining = band.maxDistance - entry.cost;
+        if ( remaining <= 0 ) continue;
+        const multiplier = (useTerrains && penaltyField?.multiplierForTriangle(tri, entry.point.z)) || 1;
+        const circle = new PIXI.Circle(entry.point.x, entry.point.y, gridUnitsToPixels(remaining / multiplier));
+        const shape = circle.intersectPolygon(triPoly);
+        if ( shape.points.length >= 6 ) layer.drawShape(shape);
+      }
+    }
+    layer.endFill();
+  }
+}
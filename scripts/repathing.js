@@ -0,0 +1,168 @@
+/* globals
+canvas,
+CONFIG,
+PIXI
+*/
+"use strict";
+
+import { MODULE_ID } from "./const.js";
+import { Settings } from "./settings.js";
+import { Pathfinder, firstCollisionFraction, hasCollision, pathPointsBetween } from "./pathfinding/pathfinding.js";
+import { pathfindingOption, SCENE_OPTIONS } from "./pathfinding/scene_options.js";
+
+// Functions used to handle obstacles that appear while a token moves along the ruler,
+// such as a door closed or a token moved into a corridor by another user.
+// Only obstacles that did not block a segment when the move started count,
+// so a GM can still move tokens through walls.
+
+/**
+ * Token ids for which each segment was already blocked when the move started.
+ * @type {WeakMap<RulerMeasurementSegment, Set<string>>}
+ */
+const BLOCKED_AT_START = new WeakMap();
+
+/**
+ * Token ids for which each segment was replaced by a new path around an obstacle.
+ * @type {WeakMap<RulerMeasurementSegment, Set<string>>}
+ */
+const REPATHED = new WeakMap();
+
+/**
+ * Segments each token is moving along, as read by Ruler#_animateMovement.
+ * @type {WeakMap<Token, RulerMeasurementSegment[]>}
+ */
+const MOVE_SEGMENTS = new WeakMap();
+
+/**
+ * Record which segments of a move are already blocked for the token, before it starts moving.
+ * Follows Ruler#_animateMovement, which shifts the segments by the token offset from the ruler origin.
+ * @param {Ruler} ruler
+ * @param {Token} token
+ */
+export function markBlockedSegments(ruler, token) {
+  const segments = ruler.segments;
+  MOVE_SEGMENTS.set(token, segments);
+  const origin = segments[ruler.history.length]?.ray.A;
+  if ( !origin ) return;
+  const dx = token.document.x - origin.x;
+  const dy = token.document.y - origin.y;
+  let { x, y } = token.document._source;
+  for ( const segment of segments ) {
+    if ( segment.history || segment.teleport || (segment.ray.distance === 0) ) continue;
+    const r = segment.ray;
+    const dest = { x: Math.round(r.B.x + dx), y: Math.round(r.B.y + dy) };
+    const a = token.getCenterPoint({ x, y });
+    const b = token.getCenterPoint(dest);
+    a.z = r.A.z;
+    b.z = r.B.z;
+    if ( hasCollision(a, b, token) ) {
+      if ( !BLOCKED_AT_START.has(segment) ) BLOCKED_AT_START.set(segment, new Set());
+      BLOCKED_AT_START.get(segment).add(token.id);
+    }
+    x = dest.x;
+    y = dest.y;
+  }
+}
+
+/**
+ * The segment and the rest of its waypoint leg, in the segments the token is moving along.
+ * A leg is the run of segments with the same waypoint index.
+ * @param {Token} token
+ * @param {RulerMeasurementSegment} segment
+ * @returns {RulerMeasurementSegment[]} The segment, followed by the later segments of its leg
+ */
+export function remainingLegSegments(token, segment) {
+  const segments = MOVE_SEGMENTS.get(token) ?? [];
+  const i = segments.indexOf(segment);
+  if ( !~i ) return [segment];
+  const idx = segment.waypoint?.idx;
+  let j = i + 1;
+  while ( j < segments.length && segments[j].waypoint?.idx === idx ) j += 1;
+  return segments.slice(i, j);
+}
+
+/**
+ * Mark segments as replaced by a new path for the token, so the token does not move along them.
+ * @param {Token} token
+ * @param {RulerMeasurementSegment[]} segments
+ */
+export function markRepathedSegments(token, segments) {
+  for ( const segment of segments ) {
+    if ( !REPATHED.has(segment) ) REPATHED.set(segment, new Set());
+    REPATHED.get(segment).add(token.id);
+  }
+}
+
+/**
+ * Was the segment replaced by a new path for the token?
+ * @param {Token} token
+ * @param {RulerMeasurementSegment} segment
+ * @returns {boolean}
+ */
+export function wasRepathed(token, segment) { return Boolean(REPATHED.get(segment)?.has(token.id)); }
+
+/**
+ * Find where a move along a segment is blocked by an obstacle that was not there when the move started.
+ * Controlled tokens are moving with the token, so they are not obstacles.
+ * @param {Token} token
+ * @param {RulerMeasurementSegment} segment
+ * @param {Point3d} a         Token center at the start of the move
+ * @param {Point3d} b         Token center at the end of the move
+ * @returns {number|undefined} Fraction of the move at the obstacle, or undefined if not newly blocked
+ */
+export function newObstacleFraction(token, segment, a, b) {
+  if ( segment.teleport || BLOCKED_AT_START.get(segment)?.has(token.id) ) return undefined;
+  return firstCollisionFraction(a, b, token, new Set(canvas.tokens.controlled));
+}
+
+/**
+ * Farthest point before an obstacle that the token can move to without colliding.
+ * On gridded scenes, the point is the center of a grid space.
+ * @param {Token} token
+ * @param {Point3d} a         Token center at the start of the move
+ * @param {Point3d} b         Token center at the end of the move
+ * @param {number} t0         Fraction of the move at the obstacle
+ * @returns {Point3d} The point, which is a if the token cannot move at all
+ */
+export function lastSafePoint(token, a, b, t0) {
+  const dist = PIXI.Point.distanceBetween(a, b);
+  if ( !dist ) return a;
+  const backoff = ((Math.max(token.w, token.h) * 0.5) + 1) / dist;
+  const t = t0 - backoff;
+  if ( t <= 0 ) return a;
+  const pt = a.projectToward(b, t);
+  if ( !canvas.grid.isGridless ) {
+    const center = canvas.grid.getCenterPoint(pt);
+    pt.x = center.x;
+    pt.y = center.y;
+  }
+  return hasCollision(a, pt, token) ? a : pt;
+}
+
+/**
+ * Find a new path for the rest of a waypoint leg, if the user allows it.
+ * @param {Token} token
+ * @param {Point3d} a         Token center where the move is blocked
+ * @param {Point3d} end       Token center at the end of the waypoint leg
+ * @returns {PIXI.Point[]} Path points, or fewer than two points if no new path
+ */
+export function repathPoints(token, a, end) {
+  if ( !(Settings.get(Settings.KEYS.PATHFINDING.ENABLE) && Settings.get(Settings.KEYS.PATHFINDING.REPATH)) ) return [];
+  token[MODULE_ID] ??= {};
+  const pf = token[MODULE_ID].pathfinder ??= new Pathfinder(token);
+  let path = pathPointsBetween(pf, a, end);
+  if ( path.length < 2 ) return [];
+  if ( path.length > 2
+    && !Pathfinder.useGridSearch
+    && !canvas.grid.isGridless
+    && pathfindingOption(SCENE_OPTIONS.SNAP_TO_GRID) ) path = pf.alignPathToGrid(path);
+
+  const Point3d = CONFIG.GeometryLib.threeD.Point3d;
+  const points = path.map(pt => {
+    const point = new Point3d(pt.x, pt.y, pt.z ?? a.z);
+    point.teleport = pt.teleport;
+    return point;
+  });
+  points.at(-1).z = end.z;
+  return points;
+}
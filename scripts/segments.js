@@ -1,6 +1,7 @@
 /* globals
 canvas,
-CONFIG
+CONFIG,
+game
 */
 "use strict";
 
@@ -9,22 +10,30 @@ import { Settings } from "./settings.js";
 import { Ray3d } from "./geometry/3d/Ray3d.js";
 import { log } from "./util.js";
 import { Pathfinder, hasCollision } from "./pathfinding/pathfinding.js";
+import { PATHFINDER_WORKER } from "./pathfinding/PathfinderWorker.js";
 import { MovePenalty } from "./measurement/MovePenalty.js";
+import { changesFloor } from "./pathfinding/LevelsFloors.js";
+import { pathfindingOption, SCENE_OPTIONS } from "./pathfinding/scene_options.js";
 
 /**
  * Calculate a path to get from points A to B on the segment.
  * @param {RulerMeasurementSegment} segment
+ * @param {Token} token
+ * @param {object} [opts]
+ * @param {number} [opts.numPrevDiagonal=0]   Diagonals already moved, for grid searches
  * @returns {PIXI.Point[]}
  */
-export function calculatePathPointsForSegment(segment, token) {
+export function calculatePathPointsForSegment(segment, token, { numPrevDiagonal = 0 } = {}) {
   const Point3d = CONFIG.GeometryLib.threeD.Point3d;
   const A = Point3d.fromObject(segment.ray.A);
   const B = Point3d.fromObject(segment.ray.B);
 
-  // If no collision present, no pathfinding required.
+  // If no collision present, no pathfinding required, unless the path must find stairs to another floor.
   const tC = performance.now();
   if ( !hasCollision(A, B, token)
-    && !(CONFIG[MODULE_ID].pathfindingCheckTerrains && MovePenalty.anyTerrainPlaceablesAlongSegment(A, B, token)) ) {
+    && !changesFloor(A, B)
+    && !(pathfindingOption(SCENE_OPTIONS.CHECK_TERRAINS)
+      && MovePenalty.anyTerrainPlaceablesAlongSegment(A, B, token)) ) {
     const tEnd = performance.now();
     log(`Determined no collision for ${Pathfinder.triangleEdges.size} edges in ${tEnd - tC} ms.`);
     return [];
@@ -37,15 +46,27 @@ export function calculatePathPointsForSegment(segment, token) {
   const t0 = performance.now();
   token[MODULE_ID] ??= {};
   const pf = token[MODULE_ID].pathfinder ??= new Pathfinder(token);
-  let pathPoints = [];
-  try {
-    const path = pf.runPath(A, B);
-    pathPoints = Pathfinder.getPathPoints(path);
-  } catch (error) {
-    log(`calculatePathPointsForSegment|Error using pathfinding.`, path, error);
+  if ( Pathfinder.useGridSearch ) return calculateGridPathPoints(pf, A, B, numPrevDiagonal);
+  let pathPoints = PATHFINDER_WORKER.pathPoints(pf, A, B);
+  if ( typeof pathPoints === "undefined" ) {
+    // Use the straight segment until the worker finds the path.
+    log(`Requested path between ${A.x},${A.y} -> ${B.x},${B.y} from the pathfinding worker.`);
     return [];
   }
+  if ( !pathPoints ) {
+    try {
+      const path = pf.runPath(A, B);
+      pathPoints = Pathfinder.getPathPoints(path);
+    } catch (error) {
+      log("calculatePathPointsForSegment|Error using pathfinding.", error);
+      return [];
+    }
+  }
   const t1 = performance.now();
+  if ( pathPoints.length < 2 && pf.clearanceLimited ) {
+    // Explain that the token may be too large to fit through the gaps along the way.
+    segment.pathfindingNote = game.i18n.format(`${MODULE_ID}.pathfindingTooNarrow`, { name: token.name });
+  }
   log(`Found ${pathPoints.length} path points between ${A.x},${A.y} -> ${B.x},${B.y} in ${t1 - t0} ms.`, pathPoints);
 
   // Clean the path
@@ -55,7 +76,7 @@ export function calculatePathPointsForSegment(segment, token) {
   log(`Cleaned to ${pathPoints?.length} path points between ${A.x},${A.y} -> ${B.x},${B.y} in ${t3 - t2} ms.`, pathPoints);
 
   // Snap to grid
-  if ( !canvas.grid.isGridless && Settings.get(Settings.KEYS.PATHFINDING.SNAP_TO_GRID) ) {
+  if ( !canvas.grid.isGridless && pathfindingOption(SCENE_OPTIONS.SNAP_TO_GRID) ) {
     const t4 = performance.now();
     pathPoints = pf.alignPathToGrid(pathPoints);
     const t5 = performance.now();
@@ -71,6 +92,51 @@ export function calculatePathPointsForSegment(segment, token) {
   return pathPoints;
 }
 
+/**
+ * Calculate a path by searching grid spaces.
+ * The path is already aligned to the grid, so it is not cleaned or snapped.
+ * @param {Pathfinder} pf
+ * @param {Point3d} A
+ * @param {Point3d} B
+ * @param {number} [numPrevDiagonal=0]   Diagonals already moved, for alternating diagonal rules
+ * @returns {PIXI.Point[]}
+ */
+function calculateGridPathPoints(pf, A, B, numPrevDiagonal = 0) {
+  const t0 = performance.now();
+  let pathPoints;
+  try {
+    pathPoints = pf.cleanGridSearchPath(Pathfinder.getPathPoints(pf.runGridPath(A, B, { numPrevDiagonal })));
+  } catch(error) {
+    log("calculateGridPathPoints|Error using pathfinding.", error);
+    return [];
+  }
+  const t1 = performance.now();
+  log(`Found ${pathPoints.length} grid path points between ${A.x},${A.y} -> ${B.x},${B.y} in ${t1 - t0} ms.`,
+    pathPoints);
+  return pathPoints.length < 2 ? [] : pathPoints;
+}
+
+/**
+ * Count the diagonal grid moves before the last segment, following the stored path points of earlier segments.
+ * Includes diagonals already moved this combat, as when measuring the token speed.
+ * @param {RulerMeasurementSegment[]} segments
+ * @param {Map<string, PIXI.Point[]>} segmentMap    Path points keyed by the segment endpoints
+ * @param {Token} token
+ * @returns {number}
+ */
+export function numDiagonalBeforeLastSegment(segments, segmentMap, token) {
+  const GridCoordinates3d = CONFIG.GeometryLib.threeD.GridCoordinates3d;
+  let numDiagonal = game.combat?.started ? (token._combatMoveData?.numDiagonal ?? 0) : 0;
+  for ( const segment of segments.slice(0, -1) ) {
+    const path = segmentMap.get(`${segment.ray.A.key}|${segment.ray.B.key}`) ?? [segment.ray.A, segment.ray.B];
+    for ( let i = 1, n = path.length; i < n; i += 1 ) {
+      const a = GridCoordinates3d.fromObject(path[i - 1]);
+      const b = GridCoordinates3d.fromObject(path[i]);
+      numDiagonal += GridCoordinates3d.numDiagonal(a, b);
+    }
+  }
+  return numDiagonal;
+}
 
 /**
  * Check provided array of segments against stored path points.
@@ -99,13 +165,14 @@ export function constructPathfindingSegments(segments, segmentMap) {
     let prevPt = pathPoints[0];
     prevPt.z ??= A.z;
     for ( let i = 1; i < nPoints; i += 1 ) {
+      // Path points may change elevation along the path; otherwise keep the prior elevation.
       const currPt = pathPoints[i];
-      currPt.z ??= A.z;
+      currPt.z ??= prevPt.z;
       const newSegment = {
         ray: new Ray3d(prevPt, currPt),
         waypoint: {},
         history: segment.history,
-        teleport: segment.teleport
+        teleport: segment.teleport || Boolean(currPt.teleport) // Path through a region portal.
       };
       newSegment.waypoint.idx = segment.waypoint.idx;
       newSegments.push(newSegment);
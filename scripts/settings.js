@@ -15,6 +15,9 @@ import { Pathfinder } from "./pathfinding/pathfinding.js";
 import { PATCHER } from "./patching.js";
 import { BorderEdge } from "./pathfinding/BorderTriangle.js";
 import { updatePathfindingControl } from "./module.js";
+import { showReachableArea, clearReachableArea } from "./reachable_area.js";
+import { PathfindingInspector } from "./pathfinding/PathfindingInspector.js";
+import { pathfindingOption, SCENE_OPTIONS } from "./pathfinding/scene_options.js";
 
 const SETTINGS = {
   CONTROLS: {
@@ -30,7 +33,36 @@ const SETTINGS = {
       ALL: "pathfinding_tokens_block_all"
     },
     LIMIT_TOKEN_LOS: "pathfinding_limit_token_los",
-    SNAP_TO_GRID: "pathfinding_snap_to_grid"
+    KNOWN_WALLS: "pathfinding_known_walls",
+    KNOWN_WALLS_CHOICES: {
+      ALL: "pathfinding_known_walls_all",
+      OPEN: "pathfinding_known_walls_open",
+      BLOCKED: "pathfinding_known_walls_blocked"
+    },
+    SNAP_TO_GRID: "pathfinding_snap_to_grid",
+    USE_WORKER: "pathfinding_use_worker",
+    ALGORITHM: "pathfinding_algorithm",
+    HAZARDS: "pathfinding_hazards",
+    HAZARDS_CHOICES: {
+      AVOID: "pathfinding_hazards_avoid",
+      FORBID: "pathfinding_hazards_forbid"
+    },
+    AVOID_OPPORTUNITY_ATTACKS: "pathfinding_avoid_opportunity_attacks",
+    DOORS: "pathfinding_doors",
+    DOORS_CHOICES: {
+      BLOCK: "pathfinding_doors_block",
+      PLAN: "pathfinding_doors_plan",
+      OPEN: "pathfinding_doors_open"
+    },
+    GROUP_MOVEMENT: "pathfinding_group_movement",
+    GROUP_MOVEMENT_CHOICES: {
+      OFFSET: "pathfinding_group_movement_offset",
+      FORMATION: "pathfinding_group_movement_formation",
+      SINGLE_FILE: "pathfinding_group_movement_single_file"
+    },
+    SINGLE_FILE_SPACING: "pathfinding_single_file_spacing",
+    REPATH: "pathfinding_repath",
+    ALTERNATIVE_ROUTES: "pathfinding_alternative_routes"
   },
 
   LABELING: {
@@ -52,7 +84,14 @@ const SETTINGS = {
     COMBAT_HISTORY: "token-ruler-combat-history",
     FORCE_GRID_PENALTIES: "force-grid-penalties",
     TOKEN_MULTIPLIER: "token-terrain-multiplier",
-    TOKEN_MULTIPLIER_FLAT: "token-terrain-multiplier-flat"
+    TOKEN_MULTIPLIER_FLAT: "token-terrain-multiplier-flat",
+    OPPORTUNITY_ATTACKS: "opportunity-attacks",
+    MOVEMENT_BUDGET: "movement-budget",
+    MOVEMENT_BUDGET_CHOICES: {
+      NONE: "movement-budget-none",
+      FIRST: "movement-budget-first",
+      LAST: "movement-budget-last"
+    }
   },
 
   NO_MODS: "no-modules-message",
@@ -96,7 +135,11 @@ const KEYBINDINGS = {
   },
   TOGGLE_PATHFINDING: "togglePathfinding",
   FORCE_TO_GROUND: "forceToGround",
-  TELEPORT: "teleport"
+  TELEPORT: "teleport",
+  SHOW_REACHABLE_AREA: "showReachableArea",
+  OPTIMIZE_WAYPOINTS: "optimizeWaypoints",
+  CYCLE_ROUTE: "cycleRoute",
+  PATHFINDING_INSPECTOR: "pathfindingInspector"
 };
 
 
@@ -167,7 +210,7 @@ export class Settings extends ModuleSettingsAbstract {
         [KEYS.PATHFINDING.TOKENS_BLOCK_CHOICES.HOSTILE]: localize(`${KEYS.PATHFINDING.TOKENS_BLOCK_CHOICES.HOSTILE}`),
         [KEYS.PATHFINDING.TOKENS_BLOCK_CHOICES.ALL]: localize(`${KEYS.PATHFINDING.TOKENS_BLOCK_CHOICES.ALL}`)
       },
-      onChange: value => this.setTokenBlocksPathfinding(value)
+      onChange: _value => this.setTokenBlocksPathfinding()
     });
 
     register(KEYS.PATHFINDING.LIMIT_TOKEN_LOS, {
@@ -180,6 +223,21 @@ export class Settings extends ModuleSettingsAbstract {
       requiresReload: false
     });
 
+    register(KEYS.PATHFINDING.KNOWN_WALLS, {
+      name: localize(`${KEYS.PATHFINDING.KNOWN_WALLS}.name`),
+      hint: localize(`${KEYS.PATHFINDING.KNOWN_WALLS}.hint`),
+      scope: "world",
+      config: true,
+      default: KEYS.PATHFINDING.KNOWN_WALLS_CHOICES.ALL,
+      type: String,
+      requiresReload: false,
+      choices: {
+        [KEYS.PATHFINDING.KNOWN_WALLS_CHOICES.ALL]: localize(`${KEYS.PATHFINDING.KNOWN_WALLS_CHOICES.ALL}`),
+        [KEYS.PATHFINDING.KNOWN_WALLS_CHOICES.OPEN]: localize(`${KEYS.PATHFINDING.KNOWN_WALLS_CHOICES.OPEN}`),
+        [KEYS.PATHFINDING.KNOWN_WALLS_CHOICES.BLOCKED]: localize(`${KEYS.PATHFINDING.KNOWN_WALLS_CHOICES.BLOCKED}`)
+      }
+    });
+
     register(KEYS.PATHFINDING.SNAP_TO_GRID, {
       name: localize(`${KEYS.PATHFINDING.SNAP_TO_GRID}.name`),
       hint: localize(`${KEYS.PATHFINDING.SNAP_TO_GRID}.hint`),
@@ -190,6 +248,115 @@ export class Settings extends ModuleSettingsAbstract {
       requiresReload: false
     });
 
+    register(KEYS.PATHFINDING.ALGORITHM, {
+      name: localize(`${KEYS.PATHFINDING.ALGORITHM}.name`),
+      hint: localize(`${KEYS.PATHFINDING.ALGORITHM}.hint`),
+      scope: "world",
+      config: true,
+      default: "astar",
+      type: String,
+      requiresReload: false,
+      choices: Pathfinder.algorithmChoices()
+    });
+
+    register(KEYS.PATHFINDING.HAZARDS, {
+      name: localize(`${KEYS.PATHFINDING.HAZARDS}.name`),
+      hint: localize(`${KEYS.PATHFINDING.HAZARDS}.hint`),
+      scope: "user",
+      config: true,
+      default: KEYS.PATHFINDING.HAZARDS_CHOICES.AVOID,
+      type: String,
+      requiresReload: false,
+      choices: {
+        [KEYS.PATHFINDING.HAZARDS_CHOICES.AVOID]: localize(`${KEYS.PATHFINDING.HAZARDS_CHOICES.AVOID}`),
+        [KEYS.PATHFINDING.HAZARDS_CHOICES.FORBID]: localize(`${KEYS.PATHFINDING.HAZARDS_CHOICES.FORBID}`)
+      },
+      onChange: _value => Pathfinder.blockingVersion += 1
+    });
+
+    register(KEYS.PATHFINDING.DOORS, {
+      name: localize(`${KEYS.PATHFINDING.DOORS}.name`),
+      hint: localize(`${KEYS.PATHFINDING.DOORS}.hint`),
+      scope: "user",
+      config: true,
+      default: KEYS.PATHFINDING.DOORS_CHOICES.BLOCK,
+      type: String,
+      requiresReload: false,
+      choices: {
+        [KEYS.PATHFINDING.DOORS_CHOICES.BLOCK]: localize(`${KEYS.PATHFINDING.DOORS_CHOICES.BLOCK}`),
+        [KEYS.PATHFINDING.DOORS_CHOICES.PLAN]: localize(`${KEYS.PATHFINDING.DOORS_CHOICES.PLAN}`),
+        [KEYS.PATHFINDING.DOORS_CHOICES.OPEN]: localize(`${KEYS.PATHFINDING.DOORS_CHOICES.OPEN}`)
+      },
+      onChange: _value => Pathfinder.blockingVersion += 1
+    });
+
+    register(KEYS.PATHFINDING.GROUP_MOVEMENT, {
+      name: localize(`${KEYS.PATHFINDING.GROUP_MOVEMENT}.name`),
+      hint: localize(`${KEYS.PATHFINDING.GROUP_MOVEMENT}.hint`),
+      scope: "user",
+      config: true,
+      default: KEYS.PATHFINDING.GROUP_MOVEMENT_CHOICES.FORMATION,
+      type: String,
+      requiresReload: false,
+      choices: {
+        [KEYS.PATHFINDING.GROUP_MOVEMENT_CHOICES.OFFSET]: localize(`${KEYS.PATHFINDING.GROUP_MOVEMENT_CHOICES.OFFSET}`),
+        [KEYS.PATHFINDING.GROUP_MOVEMENT_CHOICES.FORMATION]:
+          localize(`${KEYS.PATHFINDING.GROUP_MOVEMENT_CHOICES.FORMATION}`),
+        [KEYS.PATHFINDING.GROUP_MOVEMENT_CHOICES.SINGLE_FILE]:
+          localize(`${KEYS.PATHFINDING.GROUP_MOVEMENT_CHOICES.SINGLE_FILE}`)
+      }
+    });
+
+    register(KEYS.PATHFINDING.SINGLE_FILE_SPACING, {
+      name: localize(`${KEYS.PATHFINDING.SINGLE_FILE_SPACING}.name`),
+      hint: localize(`${KEYS.PATHFINDING.SINGLE_FILE_SPACING}.hint`),
+      scope: "user",
+      config: true,
+      default: 1,
+      type: Number,
+      requiresReload: false
+    });
+
+    register(KEYS.PATHFINDING.REPATH, {
+      name: localize(`${KEYS.PATHFINDING.REPATH}.name`),
+      hint: localize(`${KEYS.PATHFINDING.REPATH}.hint`),
+      scope: "user",
+      config: true,
+      default: true,
+      type: Boolean,
+      requiresReload: false
+    });
+
+    register(KEYS.PATHFINDING.ALTERNATIVE_ROUTES, {
+      name: localize(`${KEYS.PATHFINDING.ALTERNATIVE_ROUTES}.name`),
+      hint: localize(`${KEYS.PATHFINDING.ALTERNATIVE_ROUTES}.hint`),
+      scope: "user",
+      config: true,
+      default: false,
+      type: Boolean,
+      requiresReload: false
+    });
+
+    register(KEYS.PATHFINDING.AVOID_OPPORTUNITY_ATTACKS, {
+      name: localize(`${KEYS.PATHFINDING.AVOID_OPPORTUNITY_ATTACKS}.name`),
+      hint: localize(`${KEYS.PATHFINDING.AVOID_OPPORTUNITY_ATTACKS}.hint`),
+      scope: "user",
+      config: true,
+      default: false,
+      type: Boolean,
+      requiresReload: false
+    });
+
+    register(KEYS.PATHFINDING.USE_WORKER, {
+      name: localize(`${KEYS.PATHFINDING.USE_WORKER}.name`),
+      hint: localize(`${KEYS.PATHFINDING.USE_WORKER}.hint`),
+      scope: "user",
+      config: true,
+      default: true,
+      type: Boolean,
+      requiresReload: false
+    });
+
     // ----- NOTE: Token ruler ----- //
     register(KEYS.TOKEN_RULER.ENABLED, {
       name: localize(`${KEYS.TOKEN_RULER.ENABLED}.name`),
@@ -251,6 +418,31 @@ export class Settings extends ModuleSettingsAbstract {
       requiresReload: false
     });
 
+    register(KEYS.MEASURING.OPPORTUNITY_ATTACKS, {
+      name: localize(`${KEYS.MEASURING.OPPORTUNITY_ATTACKS}.name`),
+      hint: localize(`${KEYS.MEASURING.OPPORTUNITY_ATTACKS}.hint`),
+      scope: "user",
+      config: true,
+      default: false,
+      type: Boolean,
+      requiresReload: false
+    });
+
+    register(KEYS.MEASURING.MOVEMENT_BUDGET, {
+      name: localize(`${KEYS.MEASURING.MOVEMENT_BUDGET}.name`),
+      hint: localize(`${KEYS.MEASURING.MOVEMENT_BUDGET}.hint`),
+      scope: "user",
+      config: true,
+      default: KEYS.MEASURING.MOVEMENT_BUDGET_CHOICES.NONE,
+      type: String,
+      requiresReload: false,
+      choices: {
+        [KEYS.MEASURING.MOVEMENT_BUDGET_CHOICES.NONE]: localize(`${KEYS.MEASURING.MOVEMENT_BUDGET_CHOICES.NONE}`),
+        [KEYS.MEASURING.MOVEMENT_BUDGET_CHOICES.FIRST]: localize(`${KEYS.MEASURING.MOVEMENT_BUDGET_CHOICES.FIRST}`),
+        [KEYS.MEASURING.MOVEMENT_BUDGET_CHOICES.LAST]: localize(`${KEYS.MEASURING.MOVEMENT_BUDGET_CHOICES.LAST}`)
+      }
+    });
+
     if ( game.system.id === "dnd5e" ) {
       register(KEYS.MEASURING.AUTO_MOVEMENT_TYPE, {
         name: localize(`${KEYS.MEASURING.AUTO_MOVEMENT_TYPE}.name`),
@@ -318,7 +510,8 @@ export class Settings extends ModuleSettingsAbstract {
       scope: "world",
       config: true,
       default: 1,
-      type: Number
+      type: Number,
+      onChange: _value => this.setTokenBlocksPathfinding()
     });
 
     register(KEYS.MEASURING.TOKEN_MULTIPLIER_FLAT, {
@@ -484,6 +677,65 @@ export class Settings extends ModuleSettingsAbstract {
       ],
       precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
     });
+
+    game.keybindings.register(MODULE_ID, KEYBINDINGS.SHOW_REACHABLE_AREA, {
+      name: game.i18n.localize(`${MODULE_ID}.keybindings.${KEYBINDINGS.SHOW_REACHABLE_AREA}.name`),
+      hint: game.i18n.localize(`${MODULE_ID}.keybindings.${KEYBINDINGS.SHOW_REACHABLE_AREA}.hint`),
+      editable: [
+        { key: "KeyR" }
+      ],
+      onDown: _context => {
+        if ( !Settings.get(Settings.KEYS.PATHFINDING.ENABLE) ) {
+          ui.notifications.warn(game.i18n.localize(`${MODULE_ID}.reachableAreaNeedsPathfinding`));
+          return;
+        }
+        const token = canvas.tokens.controlled[0];
+        if ( !token ) return;
+        if ( showReachableArea(token) ) return;
+        ui.notifications.info(game.i18n.format(`${MODULE_ID}.reachableAreaNoSpeed`, { name: token.name }));
+      },
+      onUp: () => clearReachableArea(),
+      precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
+    });
+
+    game.keybindings.register(MODULE_ID, KEYBINDINGS.OPTIMIZE_WAYPOINTS, {
+      name: game.i18n.localize(`${MODULE_ID}.keybindings.${KEYBINDINGS.OPTIMIZE_WAYPOINTS}.name`),
+      hint: game.i18n.localize(`${MODULE_ID}.keybindings.${KEYBINDINGS.OPTIMIZE_WAYPOINTS}.hint`),
+      editable: [
+        { key: "KeyO" }
+      ],
+      onDown: _context => {
+        const ruler = canvas.controls.ruler;
+        if ( !ruler.active ) return;
+        ruler.optimizeWaypoints();
+      },
+      precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
+    });
+
+    game.keybindings.register(MODULE_ID, KEYBINDINGS.CYCLE_ROUTE, {
+      name: game.i18n.localize(`${MODULE_ID}.keybindings.${KEYBINDINGS.CYCLE_ROUTE}.name`),
+      hint: game.i18n.localize(`${MODULE_ID}.keybindings.${KEYBINDINGS.CYCLE_ROUTE}.hint`),
+      editable: [
+        { key: "KeyC" }
+      ],
+      onDown: _context => {
+        const ruler = canvas.controls.ruler;
+        if ( !ruler.active ) return;
+        ruler.cycleRoute();
+      },
+      precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
+    });
+
+    game.keybindings.register(MODULE_ID, KEYBINDINGS.PATHFINDING_INSPECTOR, {
+      name: game.i18n.localize(`${MODULE_ID}.keybindings.${KEYBINDINGS.PATHFINDING_INSPECTOR}.name`),
+      hint: game.i18n.localize(`${MODULE_ID}.keybindings.${KEYBINDINGS.PATHFINDING_INSPECTOR}.hint`),
+      editable: [
+        { key: "KeyI", modifiers: ["Shift"] }
+      ],
+      onDown: _context => PathfindingInspector.toggle(),
+      restricted: true,
+      precedence: CONST.KEYBINDING_PRECEDENCE.NORMAL
+    });
   }
 
   static togglePathfinding(enable) {
@@ -525,7 +777,7 @@ export class Settings extends ModuleSettingsAbstract {
 
 
   static setTokenBlocksPathfinding(blockSetting) {
-    blockSetting ??= Settings.get(Settings.KEYS.PATHFINDING.TOKENS_BLOCK);
+    blockSetting ??= pathfindingOption(SCENE_OPTIONS.TOKENS_BLOCK);
     BorderEdge.tokenBlockType = this._tokenBlockType(blockSetting);
     if ( !Settings.get(Settings.KEYS.PATHFINDING.ENABLE) ) return;
 
@@ -545,14 +797,22 @@ export class Settings extends ModuleSettingsAbstract {
     }
   }
 
+  /**
+   * Are token borders part of the pathfinding scene graph?
+   * They are if tokens may block, or if pathfinding accounts for terrain and tokens impose a movement penalty,
+   * so that each pathfinding triangle is either entirely inside or entirely outside each token.
+   * @type {boolean}
+   */
   static get useTokensInPathfinding() {
-    return Settings.get(Settings.KEYS.PATHFINDING.TOKENS_BLOCK) !== this.KEYS.PATHFINDING.TOKENS_BLOCK_CHOICES.NO;
+    if ( pathfindingOption(SCENE_OPTIONS.TOKENS_BLOCK) !== this.KEYS.PATHFINDING.TOKENS_BLOCK_CHOICES.NO ) return true;
+    return Boolean(pathfindingOption(SCENE_OPTIONS.CHECK_TERRAINS))
+      && this.get(this.KEYS.MEASURING.TOKEN_MULTIPLIER) !== 1;
   }
 
   static _tokenBlockType(blockSetting) {
     const C = this.KEYS.PATHFINDING.TOKENS_BLOCK_CHOICES;
     const D = CONST.TOKEN_DISPOSITIONS;
-    blockSetting ??= this.get(this.KEYS.PATHFINDING.TOKENS_BLOCK);
+    blockSetting ??= pathfindingOption(SCENE_OPTIONS.TOKENS_BLOCK);
     return blockSetting === C.NO ? D.NEUTRAL
       : blockSetting === C.HOSTILE ? D.HOSTILE
         : D.SECRET;
@@ -85,6 +85,20 @@ export function defaultHPAttribute() {
   /* eslint-enable no-multi-spaces */
 }
 
+/**
+ * Location of the reach attribute for a given system's actor, used for opportunity attacks.
+ * An empty string means the system has no reach attribute, so tokens reach one grid space.
+ * @returns {string}
+ */
+export function defaultReachAttribute() {
+  /* eslint-disable no-multi-spaces */
+  switch ( game.system.id ) {
+    case "pf2e":            return "actor.system.attributes.reach.base";
+    default:                return "";
+  }
+  /* eslint-enable no-multi-spaces */
+}
+
 /**
  * Location of the walk attribute for a given system's actor.
  * @returns {string}
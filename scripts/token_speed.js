@@ -107,6 +107,106 @@ export function tokenSpeedSegmentSplitter(ruler, token) {
   };
 }
 
+/**
+ * Remaining movement for the token, if the user chose to stop the ruler movement at a speed limit.
+ * The limit is that of the first or last speed category with a distance, less movement taken this combat round.
+ * @param {Token} token
+ * @returns {object|undefined} Undefined if there is no limit
+ *   - {number} budget                   Remaining movement, in grid units; 0 if all used
+ *   - {SpeedCategory} speedCategory     Speed category whose limit applies
+ */
+export function movementBudget(token) {
+  const { MOVEMENT_BUDGET, MOVEMENT_BUDGET_CHOICES } = Settings.KEYS.MEASURING;
+  const choice = Settings.get(MOVEMENT_BUDGET);
+  if ( !token || choice === MOVEMENT_BUDGET_CHOICES.NONE ) return undefined;
+  const tokenSpeed = new MovePenalty(token).baseTokenSpeed;
+  if ( !tokenSpeed ) return undefined;
+
+  const categoryDistance = speedCategory => SPEED.maximumCategoryDistance(token, speedCategory, tokenSpeed);
+  const limited = SPEED.CATEGORIES.filter(speedCategory => {
+    const distance = categoryDistance(speedCategory);
+    return Number.isFinite(distance) && distance > 0;
+  });
+  const speedCategory = choice === MOVEMENT_BUDGET_CHOICES.FIRST ? limited[0] : limited.at(-1);
+  if ( !speedCategory ) return undefined;
+
+  // Movement already taken this combat round counts against the limit.
+  const priorDistance = game.combat?.started ? (token.lastMoveDistance || 0) : 0;
+  return { budget: Math.max(0, categoryDistance(speedCategory) - priorDistance), speedCategory };
+}
+
+/**
+ * Cut the ruler segments where the token's movement runs out.
+ * History segments are kept but not counted, as the budget already accounts for movement taken this round.
+ * @param {RulerMeasurementSegment[]} segments    Measured segments, with costs
+ * @param {number} budget                         Movement the token has left, in grid units
+ * @param {Token} token
+ * @param {MovePenalty} mp
+ * @returns {object|undefined} Undefined if the token can afford every segment
+ *   - {RulerMeasurementSegment[]} segments   Copies of the segments the token can afford, including history
+ *   - {Point3d} endPoint                      Where the movement runs out
+ *   - {number} cost                           Cost of the affordable segments, in grid units
+ *   - {number} numDiagonal                    Diagonals moved by the end of the affordable segments
+ */
+export function truncateSegmentsAtCost(segments, budget, token, mp) {
+  const gridless = canvas.grid.type === CONST.GRID_TYPES.GRIDLESS;
+  let numPrevDiagonal = game.combat?.started ? (token?._combatMoveData?.numDiagonal ?? 0) : 0;
+  let cost = 0;
+  const out = [];
+  for ( const segment of segments ) {
+    if ( segment.history ) {
+      out.push(segment);
+      continue;
+    }
+    const newCost = cost + (segment.cost || 0);
+    if ( newCost < budget || newCost.almostEqual(budget) ) {
+      out.push({ ...segment });
+      cost = newCost;
+      const a = GridCoordinates3d.fromObject(segment.ray.A);
+      const b = GridCoordinates3d.fromObject(segment.ray.B);
+      numPrevDiagonal += GridCoordinates3d.numDiagonal(a, b);
+      continue;
+    }
+
+    // Split the segment at the farthest point the token can afford.
+    const copy = { ...segment, waypoint: { ...segment.waypoint } };
+    const breakpoint = locateSegmentBreakpoint(copy, budget - cost, { mp, token, gridless, numPrevDiagonal });
+    let endPoint = segment.ray.A;
+    if ( breakpoint && !breakpoint.almostEqual(segment.ray.A) ) {
+      const [s0] = _splitSegmentAt(copy, breakpoint, mp, numPrevDiagonal);
+      s0.last = true;
+      out.push(s0);
+      cost += s0.cost;
+      endPoint = breakpoint;
+      numPrevDiagonal += GridCoordinates3d.numDiagonal(
+        GridCoordinates3d.fromObject(s0.ray.A),
+        GridCoordinates3d.fromObject(s0.ray.B));
+    }
+    return finishTruncation(out, endPoint, cost, numPrevDiagonal);
+  }
+  return undefined;
+}
+
+/**
+ * Mark the affordable segments so the token is charged for them.
+ * @param {RulerMeasurementSegment[]} segments
+ * @param {Point3d} endPoint
+ * @param {number} cost
+ * @param {number} numDiagonal      Diagonals moved by the end of the affordable segments,
+ *   including those moved earlier in the combat round
+ * @returns {object}
+ */
+function finishTruncation(segments, endPoint, cost, numDiagonal) {
+  for ( const segment of segments ) {
+    if ( segment.history ) continue;
+    segment.routeCost = cost;
+    segment.routeNumDiagonal = numDiagonal;
+  }
+  const last = segments.findLast(s => !s.history);
+  if ( last ) last.last = true;
+  return { segments, endPoint, cost, numDiagonal };
+}
+
 /**
  * Determine the specific point at which to cut a ruler segment such that the first subsegment
  * measures a specific incremental move distance.
@@ -0,0 +1,217 @@
+/* globals
+canvas,
+CONFIG
+*/
+"use strict";
+
+import { MODULE_ID } from "./const.js";
+import { Settings } from "./settings.js";
+import { Pathfinder, pathPointsBetween } from "./pathfinding/pathfinding.js";
+import { MovePenalty } from "./measurement/MovePenalty.js";
+
+// Functions used to reorder ruler waypoints so the route visiting all of them costs the least.
+// The ruler origin stays first and the ruler destination stays last; only the waypoints between are reordered.
+
+/**
+ * Above this many waypoints to reorder, use a nearest-neighbor route improved by 2-opt swaps
+ * instead of the exact search, which grows exponentially with the number of waypoints.
+ * @type {number}
+ */
+const MAX_EXACT_WAYPOINTS = 10;
+
+/**
+ * Find the lowest-cost order in which to visit the ruler waypoints.
+ * @param {Point3d[]} points      Origin, waypoints to reorder, and destination, in that order
+ * @param {Token} [token]         Token whose movement cost and pathfinding to use
+ * @param {RulerMeasurementSegment[]} [segments]  Ruler segments already measured between the points, in order
+ * @returns {object|null}
+ *   - {number[]} order       Indices into points for the waypoints to reorder, in the best order
+ *   - {number} cost          Total cost of the route, in grid units
+ *   Null if no order reaches every waypoint.
+ */
+export function optimizeWaypointOrder(points, token, segments = []) {
+  const costs = pairwiseCosts(points, token, legPaths(segments));
+  const end = points.length - 1;
+  const middle = Array.fromRange(end - 1, 1);
+  const order = middle.length <= MAX_EXACT_WAYPOINTS
+    ? exactOrder(costs, middle, end)
+    : twoOptOrder(costs, nearestNeighborOrder(costs, middle), end);
+  const cost = routeCost(costs, order, end);
+  return Number.isFinite(cost) ? { order, cost } : null;
+}
+
+/**
+ * Cost, in grid units, of moving between each pair of points.
+ * Moves that pathfinding cannot complete cost infinity.
+ * No route leaves the destination or returns to the origin, so those moves are not measured.
+ * @param {Point3d[]} points
+ * @param {Token} [token]
+ * @param {Map<string, Point3d[]>} [knownPaths]   Paths already found, keyed by "i|j"
+ * @returns {number[][]} costs[i][j] is the cost from points[i] to points[j]
+ */
+function pairwiseCosts(points, token, knownPaths = new Map()) {
+  const usePathfinding = Boolean(token && Settings.get(Settings.KEYS.PATHFINDING.ENABLE));
+  let pf;
+  if ( usePathfinding ) {
+    token[MODULE_ID] ??= {};
+    pf = token[MODULE_ID].pathfinder ??= new Pathfinder(token);
+  }
+  const end = points.length - 1;
+  return points.map((a, i) => points.map((b, j) => {
+    if ( i === j ) return 0;
+    if ( i === end || j === 0 ) return Number.POSITIVE_INFINITY;
+    const path = knownPaths.get(`${i}|${j}`)
+      ?? (usePathfinding ? pathPointsBetween(pf, a, b) : [a, b]);
+    return path.length < 2 ? Number.POSITIVE_INFINITY : pathCost(path, token);
+  }));
+}
+
+/**
+ * Paths the ruler already measured from each waypoint to the next, ignoring history.
+ * @param {RulerMeasurementSegment[]} segments
+ * @returns {Map<string, Point3d[]>} Paths keyed by "i|i + 1", where i is the waypoint index
+ */
+function legPaths(segments) {
+  const Point3d = CONFIG.GeometryLib.threeD.Point3d;
+  const paths = new Map();
+  for ( const s of segments ) {
+    const idx = s.waypoint?.idx;
+    if ( s.history || !Number.isInteger(idx) || idx < 0 ) continue;
+    const key = `${idx}|${idx + 1}`;
+    if ( !paths.has(key) ) paths.set(key, [Point3d.fromObject(s.ray.A)]);
+    paths.get(key).push(Point3d.fromObject(s.ray.B));
+  }
+  return paths;
+}
+
+/**
+ * Cost, in grid units, to move along a path, including movement penalties if there is a token.
+ * @param {PIXI.Point[]} path
+ * @param {Token} [token]
+ * @returns {number}
+ */
+export function pathCost(path, token) {
+  if ( !token ) return canvas.grid.measurePath(path).distance;
+  const GridCoordinates3d = CONFIG.GeometryLib.threeD.GridCoordinates3d;
+  const mp = new MovePenalty(token);
+  mp.restrictToPath(path.map(pt => GridCoordinates3d.fromObject(pt)));
+  const cost = (prevOffset, currOffset, offsetDistance) => {
+    if ( !(prevOffset instanceof GridCoordinates3d) ) prevOffset = GridCoordinates3d.fromOffset(prevOffset);
+    if ( !(currOffset instanceof GridCoordinates3d) ) currOffset = GridCoordinates3d.fromOffset(currOffset);
+    return mp.movementCostForSegment(prevOffset, currOffset, offsetDistance);
+  };
+  return canvas.grid.measurePath(path, { cost }).cost;
+}
+
+/**
+ * Total cost from the origin (index 0), through the waypoints in order, to the end.
+ * @param {number[][]} costs
+ * @param {number[]} order
+ * @param {number} end          Index of the destination
+ * @returns {number}
+ */
+function routeCost(costs, order, end) {
+  let total = 0;
+  let prev = 0;
+  for ( const i of [...order, end] ) {
+    total += costs[prev][i];
+    prev = i;
+  }
+  return total;
+}
+
+/**
+ * Exact lowest-cost order, using the Held-Karp dynamic program over subsets of waypoints.
+ * @param {number[][]} costs
+ * @param {number[]} middle     Indices of the waypoints to reorder
+ * @param {number} end          Index of the destination
+ * @returns {number[]}
+ */
+function exactOrder(costs, middle, end) {
+  const n = middle.length;
+  if ( !n ) return [];
+  const nSubsets = 1 << n;
+
+  // For each subset mask, best[mask][k] is the lowest cost from the origin through the waypoints in mask,
+  // ending at middle[k].
+  const best = Array.from({ length: nSubsets }, () => new Array(n).fill(Number.POSITIVE_INFINITY));
+  const prior = Array.from({ length: nSubsets }, () => new Array(n).fill(-1));
+  for ( let k = 0; k < n; k += 1 ) best[1 << k][k] = costs[0][middle[k]];
+  for ( let mask = 1; mask < nSubsets; mask += 1 ) {
+    for ( let k = 0; k < n; k += 1 ) {
+      if ( !(mask & (1 << k)) || !Number.isFinite(best[mask][k]) ) continue;
+      for ( let next = 0; next < n; next += 1 ) {
+        if ( mask & (1 << next) ) continue;
+        const nextMask = mask | (1 << next);
+        const cost = best[mask][k] + costs[middle[k]][middle[next]];
+        if ( cost >= best[nextMask][next] ) continue;
+        best[nextMask][next] = cost;
+        prior[nextMask][next] = k;
+      }
+    }
+  }
+
+  // Pick the best last waypoint, then walk back to the first.
+  const full = nSubsets - 1;
+  let last = 0;
+  for ( let k = 1; k < n; k += 1 ) {
+    if ( best[full][k] + costs[middle[k]][end] < best[full][last] + costs[middle[last]][end] ) last = k;
+  }
+  if ( !Number.isFinite(best[full][last] + costs[middle[last]][end]) ) return middle;
+  const order = [];
+  let mask = full;
+  while ( ~last ) {
+    order.push(middle[last]);
+    const k = prior[mask][last];
+    mask &= ~(1 << last);
+    last = k;
+  }
+  return order.reverse();
+}
+
+/**
+ * Order the waypoints by repeatedly moving to the cheapest unvisited waypoint.
+ * @param {number[][]} costs
+ * @param {number[]} middle     Indices of the waypoints to reorder
+ * @returns {number[]}
+ */
+function nearestNeighborOrder(costs, middle) {
+  const remaining = new Set(middle);
+  const order = [];
+  let prev = 0;
+  while ( remaining.size ) {
+    let next;
+    for ( const i of remaining ) if ( next === undefined || costs[prev][i] < costs[prev][next] ) next = i;
+    order.push(next);
+    remaining.delete(next);
+    prev = next;
+  }
+  return order;
+}
+
+/**
+ * Improve an order by reversing sections of it, as long as doing so lowers the total cost.
+ * Costs may differ by direction, so each candidate is measured as a whole route.
+ * @param {number[][]} costs
+ * @param {number[]} order
+ * @param {number} end          Index of the destination
+ * @returns {number[]}
+ */
+function twoOptOrder(costs, order, end) {
+  let bestCost = routeCost(costs, order, end);
+  let improved = true;
+  while ( improved ) {
+    improved = false;
+    for ( let i = 0; i < order.length - 1; i += 1 ) {
+      for ( let j = i + 1; j < order.length; j += 1 ) {
+        const candidate = [...order.slice(0, i), ...order.slice(i, j + 1).reverse(), ...order.slice(j + 1)];
+        const cost = routeCost(costs, candidate, end);
+        if ( cost >= bestCost ) continue;
+        order = candidate;
+        bestCost = cost;
+        improved = true;
+      }
+    }
+  }
+  return order;
+}
@@ -0,0 +1,184 @@
+"use strict";
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BreadthFirstPathSearch,
+  UniformCostPathSearch,
+  UniformCostFloodFill,
+  GreedyPathSearch,
+  AStarPathSearch } from "../scripts/pathfinding/algorithms.js";
+import { pathNodes } from "../scripts/pathfinding/PathCache.js";
+
+// Searches over a square grid, as when pathfinding by grid spaces.
+// Each grid row is a string: "." is open, "#" is a wall, and "~" costs five times as much to enter.
+
+const SIZE = 100;
+
+/**
+ * Build a grid graph from rows of characters.
+ * @param {string[]} rows
+ * @returns {object} { node, getNeighbors, cost }
+ */
+function gridGraph(rows) {
+  const cell = (col, row) => rows[row]?.[col];
+  const node = (col, row) => ({
+    key: `${col}_${row}`,
+    col,
+    row,
+    entryPoint: { x: (col * SIZE) + (SIZE * 0.5), y: (row * SIZE) + (SIZE * 0.5) }
+  });
+  const enterCost = (col, row) => (cell(col, row) === "~" ? 5 : 1) * SIZE;
+  const getNeighbors = current => {
+    const out = [];
+    for ( const [dc, dr] of [[1, 0], [-1, 0], [0, 1], [0, -1]] ) {
+      const col = current.col + dc;
+      const row = current.row + dr;
+      const c = cell(col, row);
+      if ( !c || c === "#" ) continue;
+      const next = node(col, row);
+      next.cost = enterCost(col, row);
+      out.push(next);
+    }
+    return out;
+  };
+  const cost = nodes => nodes.slice(1).reduce((total, n) => total + enterCost(n.col, n.row), 0);
+  return { node, getNeighbors, cost };
+}
+
+/**
+ * Manhattan distance between node centers, which never overestimates the cost on this grid.
+ * @param {object} goal
+ * @param {object} current
+ * @returns {number}
+ */
+function manhattan(goal, current) {
+  return Math.abs(goal.entryPoint.x - current.entryPoint.x) + Math.abs(goal.entryPoint.y - current.entryPoint.y);
+}
+
+/**
+ * Set up and run a search.
+ * @param {class} cl              Algorithm class
+ * @param {string[]} rows
+ * @param {number[]} start        [col, row]
+ * @param {number[]} goal         [col, row]
+ * @param {object} [props]        Properties to set on the algorithm
+ * @returns {object} { alg, nodes, cost, found }
+ */
+function search(cl, rows, start, goal, props = {}) {
+  const graph = gridGraph(rows);
+  const alg = new cl();
+  alg.getNeighbors = graph.getNeighbors;
+  if ( "heuristic" in alg ) alg.heuristic = manhattan;
+  Object.assign(alg, props);
+  const pathMap = alg.run(graph.node(...start), graph.node(...goal));
+  const nodes = pathNodes(pathMap);
+  const found = nodes[0]?.key === pathMap.start.key;
+  return { alg, nodes, found, cost: found ? graph.cost(nodes) : Number.POSITIVE_INFINITY };
+}
+
+const WALL = [
+  "..........",
+  "..........",
+  "....#.....",
+  "....#.....",
+  "....#.....",
+  "....#.....",
+  "....#.....",
+  "....#.....",
+  "..........",
+  ".........."
+];
+
+const MUD = [
+  "....~.....",
+  "....~.....",
+  "....~.....",
+  "....~.....",
+  "....~.....",
+  "....~.....",
+  "....~.....",
+  "....~.....",
+  "....~.....",
+  "....~....."
+];
+
+const ENCLOSED = [
+  "..........",
+  ".###......",
+  ".#.#......",
+  ".###......",
+  ".........."
+];
+
+describe("grid path searches", () => {
+  it("finds the path with the fewest moves by breadth first search", () => {
+    const { found, nodes } = search(BreadthFirstPathSearch, WALL, [2, 5], [7, 5]);
+    assert.ok(found);
+    assert.equal(nodes.length - 1, 11);
+  });
+
+  it("finds the least-cost path by uniform cost search", () => {
+    const { found, cost } = search(UniformCostPathSearch, WALL, [2, 5], [7, 5]);
+    assert.ok(found);
+    assert.equal(cost, 11 * SIZE);
+  });
+
+  it("finds the same cost by A* as by uniform cost search, reaching fewer nodes", () => {
+    const ucs = search(UniformCostPathSearch, WALL, [2, 5], [7, 5], { trackReached: true });
+    const astar = search(AStarPathSearch, WALL, [2, 5], [7, 5], { trackReached: true });
+    assert.equal(astar.cost, ucs.cost);
+    assert.ok(astar.alg.reached.size < ucs.alg.reached.size);
+  });
+
+  it("searches as uniform cost search when the heuristic scale is zero", () => {
+    const ucs = search(UniformCostPathSearch, MUD, [1, 5], [8, 5]);
+    const astar = search(AStarPathSearch, MUD, [1, 5], [8, 5], { heuristicScale: 0 });
+    assert.equal(astar.cost, ucs.cost);
+  });
+
+  it("crosses costly cells by A* when going around costs more", () => {
+    const { cost, nodes } = search(AStarPathSearch, MUD, [1, 5], [8, 5]);
+    assert.equal(cost, 11 * SIZE);
+    assert.ok(nodes.some(n => n.col === 4));
+  });
+
+  it("reaches the goal by greedy search", () => {
+    const { found, cost } = search(GreedyPathSearch, WALL, [2, 5], [7, 5]);
+    assert.ok(found);
+    assert.ok(cost >= 11 * SIZE);
+  });
+
+  it("finds no path to an enclosed cell", () => {
+    for ( const cl of [BreadthFirstPathSearch, UniformCostPathSearch, GreedyPathSearch, AStarPathSearch] ) {
+      const { found } = search(cl, ENCLOSED, [0, 0], [2, 2]);
+      assert.ok(!found, `${cl.name} should not find a path.`);
+    }
+  });
+
+  it("gives the same result one step at a time", () => {
+    const graph = gridGraph(WALL);
+    const alg = new AStarPathSearch();
+    alg.getNeighbors = graph.getNeighbors;
+    alg.heuristic = manhattan;
+    const pathMap = alg.prepareSteps(graph.node(2, 5), graph.node(7, 5));
+    let steps = 0;
+    while ( alg.frontier.length && !alg._step() ) steps += 1;
+    assert.ok(steps > 0);
+    assert.equal(graph.cost(pathNodes(pathMap)), 11 * SIZE);
+  });
+});
+
+describe("grid flood fill", () => {
+  it("reaches every cell within the maximum cost, and no others", () => {
+    const graph = gridGraph(WALL);
+    const alg = new UniformCostFloodFill();
+    alg.getNeighbors = graph.getNeighbors;
+    const costSoFar = alg.run(graph.node(2, 5), 3 * SIZE);
+    for ( const cost of costSoFar.values() ) assert.ok(cost <= 3 * SIZE);
+    assert.equal(costSoFar.get("2_5"), 0);
+    assert.equal(costSoFar.get("5_5"), undefined, "Cells past the wall are farther than they look.");
+    assert.equal(costSoFar.get("3_3"), 3 * SIZE);
+    assert.equal(alg.nodes.size, costSoFar.size);
+  });
+});
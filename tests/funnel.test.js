@@ -0,0 +1,107 @@
+/* globals
+PIXI
+*/
+"use strict";
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { funnelPath } from "../scripts/pathfinding/funnel.js";
+import {
+  loadScene,
+  triangulateScene,
+  loadWorker,
+  sendSnapshot,
+  searchPath,
+  pathLength,
+  crossesWall } from "./helpers/scene.js";
+
+const SPACER = 10;
+
+/**
+ * Search a scene fixture with the worker and convert the result to path points with the edge crossed at each,
+ * as Pathfinder.getPathPoints returns them.
+ * @param {string} name
+ * @param {number[]} start
+ * @param {number[]} end
+ * @param {object} [opts]     Options passed to sendSnapshot
+ * @returns {object} { scene, points, pathPoints }
+ */
+function searchScene(name, start, end, opts) {
+  const scene = loadScene(name);
+  const tri = triangulateScene(scene);
+  const worker = loadWorker();
+  sendSnapshot(worker, scene, tri, opts);
+  const { points, crossings } = searchPath(worker, tri, start, end, { spacer: SPACER });
+  const pathPoints = points.map(([x, y], i) => {
+    const pt = new PIXI.Point(x, y);
+    const edge = tri.edges[crossings[i]];
+    if ( edge ) pt.edge = borderEdge(edge.a, edge.b);
+    return pt;
+  });
+  return { scene, points, pathPoints };
+}
+
+/**
+ * Minimal BorderEdge, with the properties used by the funnel.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {object}
+ */
+function borderEdge(a, b) {
+  return {
+    a: new PIXI.Point(...a),
+    b: new PIXI.Point(...b),
+    median: new PIXI.Point((a[0] + b[0]) * 0.5, (a[1] + b[1]) * 0.5)
+  };
+}
+
+describe("funnel", () => {
+  it("pulls a path across an open scene straight", () => {
+    const { pathPoints } = searchScene("open", [100, 100], [900, 900]);
+    const taut = funnelPath(pathPoints, SPACER);
+    assert.ok(pathPoints.length > 2, "The search should cross at least one triangle edge.");
+    assert.equal(taut.length, 2);
+    assert.deepEqual([taut[0].x, taut[0].y], [100, 100]);
+    assert.deepEqual([taut[1].x, taut[1].y], [900, 900]);
+  });
+
+  it("turns only at the end of a wall, keeping clear of it by the spacer", () => {
+    const { scene, points, pathPoints } = searchScene("wall", [300, 500], [700, 500]);
+    const taut = funnelPath(pathPoints, SPACER);
+    assert.ok(taut.length >= 3);
+    for ( const corner of taut.slice(1, -1) ) {
+      const distances = [[500, 100], [500, 900]].map(([x, y]) => Math.hypot(corner.x - x, corner.y - y));
+      assert.ok(Math.min(...distances).almostEqual(SPACER, 1e-06), "Corners should be by the wall end.");
+    }
+    assert.ok(pathLength(taut) <= pathLength(points));
+    for ( let i = 1; i < taut.length; i += 1 ) assert.ok(!crossesWall(scene, taut[i - 1], taut[i]));
+  });
+
+  it("goes straight through an open door", () => {
+    const { pathPoints } = searchScene("door", [300, 500], [700, 500], { doorCost: 0 });
+    const taut = funnelPath(pathPoints, SPACER);
+    assert.equal(taut.length, 2);
+  });
+
+  it("falls back if a taut step is blocked", () => {
+    const { pathPoints } = searchScene("wall", [300, 500], [700, 500]);
+    assert.equal(funnelPath(pathPoints, SPACER, () => true), undefined);
+  });
+
+  it("falls back if the path changes elevation", () => {
+    const { pathPoints } = searchScene("wall", [300, 500], [700, 500]);
+    pathPoints.forEach(pt => pt.z = 0);
+    pathPoints.at(-1).z = 100;
+    assert.equal(funnelPath(pathPoints, SPACER), undefined);
+  });
+
+  it("falls back if a point does not cross an edge", () => {
+    const { pathPoints } = searchScene("wall", [300, 500], [700, 500]);
+    delete pathPoints[1].edge;
+    assert.equal(funnelPath(pathPoints, SPACER), undefined);
+  });
+
+  it("leaves paths of fewer than three points alone", () => {
+    assert.equal(funnelPath([new PIXI.Point(0, 0), new PIXI.Point(10, 10)], SPACER), undefined);
+  });
+});
@@ -0,0 +1,170 @@
+"use strict";
+
+// Load the module and build a canvas from a scene fixture,
+// to test the Pathfinder and MovePenalty as the ruler uses them.
+// In addition to the walls and terrains of tests/helpers/scene.js, a fixture may have:
+// - {object[]} [tokens]       { id, rect: [x0, y0, x1, y1], disposition, elevation }. Elevation is in grid units.
+// Terrains become drawings with a movement penalty of the terrain multiplier. A terrain may be { hazard: true }.
+
+import { MODULE_ID, FLAGS, MOVEMENT_TYPES } from "../../scripts/const.js";
+import { createCanvas } from "../stubs/canvas.js";
+import { loadScene } from "./scene.js";
+
+/** @type {object} Modules loaded by loadModule */
+export const modules = {};
+
+/**
+ * Import the module and run its init hooks, then register the settings.
+ * Patching is skipped; the placeables built here have the properties the patches would add.
+ * @returns {Promise<object>} The modules
+ */
+export async function loadModule() {
+  if ( modules.Settings ) return modules;
+  await import("../../scripts/module.js");
+  Hooks.callAll("init");
+  const { Settings } = await import("../../scripts/settings.js");
+  Settings.registerAll();
+
+  // Without Elevated Vision or Terrain Mapper, the terrain is at elevation 0.
+  CONFIG.Canvas.rulerClass = { terrainElevationAtLocation: () => 0 };
+  Object.assign(modules, {
+    Settings,
+    ...await import("../../scripts/pathfinding/pathfinding.js"),
+    ...await import("../../scripts/pathfinding/WallTracer.js"),
+    ...await import("../../scripts/measurement/MovePenalty.js")
+  });
+  return modules;
+}
+
+/**
+ * Set a module setting for a test, clearing the settings cache.
+ * @param {string} key
+ * @param {*} value
+ */
+export function setSetting(key, value) {
+  game.settings.set(MODULE_ID, key, value);
+  modules.Settings.cache.clear();
+}
+
+/**
+ * Replace the canvas with a scene fixture and rebuild the pathfinding triangles.
+ * @param {string} name                   File name in tests/fixtures, without the extension
+ * @param {object} [opts]
+ * @param {BaseGrid} [opts.grid]          Grid from tests/stubs/grid.js; defaults to gridless
+ * @returns {object} The scene fixture
+ */
+export function loadCanvas(name, { grid } = {}) {
+  const scene = loadScene(name);
+  createCanvas({ width: scene.width, height: scene.height, grid });
+
+  // Scene border.
+  const { width, height } = scene;
+  const corners = [{ x: 0, y: 0 }, { x: width, y: 0 }, { x: width, y: height }, { x: 0, y: height }];
+  corners.forEach((a, i) => {
+    const id = `outerBounds_${i}`;
+    canvas.edges.set(id, new foundry.canvas.edges.Edge(a, corners[(i + 1) % 4], { id, type: "outerBounds" }));
+  });
+
+  (scene.walls ?? []).forEach((data, i) => {
+    const wall = createWall(`wall${i}`, data);
+    canvas.walls.placeables.push(wall);
+    canvas.edges.set(wall.id, wall.edge);
+  });
+  (scene.terrains ?? []).forEach((data, i) => canvas.drawings.placeables.push(createDrawing(`drawing${i}`, data)));
+  (scene.tokens ?? []).forEach(data => canvas.tokens.placeables.push(createToken(data)));
+
+  const { SCENE_GRAPH, Pathfinder } = modules;
+  modules.Settings.cache.clear();
+  SCENE_GRAPH._reset();
+  Pathfinder.dirty = true;
+  Pathfinder.initialize();
+  return scene;
+}
+
+/**
+ * @param {string} id
+ * @param {object} data     { c: [x0, y0, x1, y1], door: boolean }
+ * @returns {Wall}
+ */
+function createWall(id, { c, door = false }) {
+  const { NORMAL } = CONST.WALL_MOVEMENT_TYPES;
+  const wall = new Wall(new foundry.abstract.Document({
+    id,
+    c,
+    move: NORMAL,
+    sight: NORMAL,
+    light: NORMAL,
+    sound: NORMAL,
+    dir: CONST.WALL_DIRECTIONS.BOTH,
+    door: door ? CONST.WALL_DOOR_TYPES.DOOR : CONST.WALL_DOOR_TYPES.NONE,
+    ds: CONST.WALL_DOOR_STATES.CLOSED
+  }));
+  wall.edge = new foundry.canvas.edges.Edge({ x: c[0], y: c[1] }, { x: c[2], y: c[3] }, { id, type: "wall", object: wall });
+  return wall;
+}
+
+/**
+ * @param {string} id
+ * @param {object} data     { rect: [x0, y0, x1, y1], multiplier: number, hazard: boolean }
+ * @returns {Drawing}
+ */
+function createDrawing(id, { rect: [x0, y0, x1, y1], multiplier = 1, hazard = false }) {
+  const x = Math.min(x0, x1);
+  const y = Math.min(y0, y1);
+  const shape = { type: "r", width: Math.abs(x1 - x0), height: Math.abs(y1 - y0) };
+  const document = new foundry.abstract.Document({ id, x, y, shape, elevation: 0 });
+  document.setFlag(MODULE_ID, FLAGS.MOVEMENT_PENALTY, multiplier);
+  if ( hazard ) document.setFlag(MODULE_ID, FLAGS.HAZARD, true);
+  const drawing = new Drawing(document);
+  drawing.bounds = new PIXI.Rectangle(x, y, shape.width, shape.height);
+  drawing.elevationE = 0;
+  return drawing;
+}
+
+/**
+ * Build a walking token.
+ * @param {object} data     { id, rect: [x0, y0, x1, y1], disposition, elevation }
+ * @returns {Token}
+ */
+export function createToken({
+  id = "token",
+  rect: [x0, y0, x1, y1],
+  disposition = CONST.TOKEN_DISPOSITIONS.FRIENDLY,
+  elevation = 0 }) {
+  const { gridUnitsToPixels } = CONFIG.GeometryLib.utils;
+  const x = Math.min(x0, x1);
+  const y = Math.min(y0, y1);
+  const w = Math.abs(x1 - x0);
+  const h = Math.abs(y1 - y0);
+  const document = new foundry.abstract.Document({
+    id,
+    x,
+    y,
+    width: w / canvas.dimensions.size,
+    height: h / canvas.dimensions.size,
+    elevation,
+    disposition,
+    hidden: false
+  });
+  const token = new Token(document);
+  const elevationZ = gridUnitsToPixels(elevation);
+  Object.assign(token, {
+    w,
+    h,
+    center: new PIXI.Point(x + (w * 0.5), y + (h * 0.5)),
+    bounds: new PIXI.Rectangle(x, y, w, h),
+    constrainedTokenBorder: new PIXI.Rectangle(x, y, w, h),
+    elevationE: elevation,
+    elevationZ,
+    bottomE: elevation,
+    topE: elevation + canvas.dimensions.distance,
+    bottomZ: elevationZ,
+    topZ: elevationZ + canvas.dimensions.size,
+    movementType: MOVEMENT_TYPES.WALK,
+    actor: { statuses: new Set(), system: {} },
+    getCenterPoint(position = this.document) {
+      return { x: position.x + (this.w * 0.5), y: position.y + (this.h * 0.5) };
+    }
+  });
+  return token;
+}
@@ -0,0 +1,265 @@
+/* globals
+cdt2d
+*/
+"use strict";
+
+// Synthetic scenes for the tests.
+// A scene fixture is a JSON file in tests/fixtures:
+// - {number} width, height        Scene size, in pixels. The scene border is part of the triangulation.
+// - {object[]} walls              { c: [x0, y0, x1, y1], door: boolean }. Walls may share endpoints but not cross.
+// - {object[]} [terrains]         { rect: [x0, y0, x1, y1], multiplier: number }. Borders are triangulated.
+// The scene is triangulated with cdt2d, as the Pathfinder does, using the walls and terrain borders as constraints.
+
+import { readFileSync } from "node:fs";
+import vm from "node:vm";
+
+/**
+ * Read a scene fixture.
+ * @param {string} name     File name in tests/fixtures, without the extension
+ * @returns {object}
+ */
+export function loadScene(name) {
+  return JSON.parse(readFileSync(new URL(`../fixtures/${name}.json`, import.meta.url), "utf8"));
+}
+
+/**
+ * Triangulate a scene, constraining the scene border, walls, and terrain borders.
+ * @param {object} scene
+ * @returns {object}
+ *   - {number[][]} points           [x, y] for each vertex
+ *   - {number[][]} triangles        Vertex indices for each triangle
+ *   - {object[]} edges              { a: [x, y], b: [x, y], wall } for each triangle edge; wall is the fixture wall
+ *   - {Int32Array} neighbors        Neighboring triangle for each triangle edge (3 per triangle); -1 if none
+ *   - {Int32Array} edgeIndex        Index into edges for each triangle edge (3 per triangle)
+ */
+export function triangulateScene(scene) {
+  const points = [];
+  const pointIndex = new Map();
+  const addPoint = (x, y) => {
+    const key = `${x}_${y}`;
+    if ( !pointIndex.has(key) ) {
+      pointIndex.set(key, points.length);
+      points.push([x, y]);
+    }
+    return pointIndex.get(key);
+  };
+  const constraints = [];
+  const walls = new Map();
+  const addSegment = (x0, y0, x1, y1, wall) => {
+    const i = addPoint(x0, y0);
+    const j = addPoint(x1, y1);
+    constraints.push([i, j]);
+    if ( wall ) walls.set(segmentKey(i, j), wall);
+  };
+
+  const { width, height } = scene;
+  addSegment(0, 0, width, 0);
+  addSegment(width, 0, width, height);
+  addSegment(width, height, 0, height);
+  addSegment(0, height, 0, 0);
+  for ( const wall of scene.walls ?? [] ) addSegment(...wall.c, wall);
+  for ( const { rect: [x0, y0, x1, y1] } of scene.terrains ?? [] ) {
+    addSegment(x0, y0, x1, y0);
+    addSegment(x1, y0, x1, y1);
+    addSegment(x1, y1, x0, y1);
+    addSegment(x0, y1, x0, y0);
+  }
+
+  const triangles = cdt2d(points, constraints);
+  const edges = [];
+  const edgeIds = new Map();
+  const edgeIndex = new Int32Array(triangles.length * 3);
+  const slotsForEdge = new Map();
+  triangles.forEach((tri, t) => {
+    for ( let k = 0; k < 3; k += 1 ) {
+      const i = tri[k];
+      const j = tri[(k + 1) % 3];
+      const key = segmentKey(i, j);
+      if ( !edgeIds.has(key) ) {
+        edgeIds.set(key, edges.length);
+        edges.push({ a: points[i], b: points[j], wall: walls.get(key) });
+        slotsForEdge.set(key, []);
+      }
+      edgeIndex[(t * 3) + k] = edgeIds.get(key);
+      slotsForEdge.get(key).push((t * 3) + k);
+    }
+  });
+  const neighbors = new Int32Array(triangles.length * 3).fill(-1);
+  for ( const slots of slotsForEdge.values() ) {
+    if ( slots.length !== 2 ) continue;
+    const [s0, s1] = slots;
+    neighbors[s0] = Math.floor(s1 / 3);
+    neighbors[s1] = Math.floor(s0 / 3);
+  }
+  return { points, triangles, edges, neighbors, edgeIndex };
+}
+
+/**
+ * Index of the triangle containing a point.
+ * @param {object} tri          Result of triangulateScene
+ * @param {number[]} pt         [x, y]
+ * @returns {number} -1 if none
+ */
+export function triangleAt(tri, [x, y]) {
+  const { points, triangles } = tri;
+  return triangles.findIndex(vertices => {
+    const [a, b, c] = vertices.map(i => points[i]);
+    const d0 = orient(a, b, [x, y]);
+    const d1 = orient(b, c, [x, y]);
+    const d2 = orient(c, a, [x, y]);
+    return (d0 >= 0 && d1 >= 0 && d2 >= 0) || (d0 <= 0 && d1 <= 0 && d2 <= 0);
+  });
+}
+
+/**
+ * Load the pathfinding worker script into its own context, as a browser would load the Web Worker.
+ * @returns {function} Takes a message for the worker and returns the message the worker posts, if any
+ */
+export function loadWorker() {
+  const code = readFileSync(new URL("../../scripts/pathfinding/pathfinding_worker.js", import.meta.url), "utf8");
+  let posted;
+  const self = { postMessage: msg => posted = msg };
+  vm.runInNewContext(code, { self });
+  return msg => {
+    posted = undefined;
+    self.onmessage({ data: msg });
+    return posted;
+  };
+}
+
+/**
+ * Send the triangles of a scene, and which edges block, to the worker.
+ * Walls block, and doors block unless given a cost to open them.
+ * @param {function} worker             Result of loadWorker
+ * @param {object} scene
+ * @param {object} tri                  Result of triangulateScene
+ * @param {object} [opts]
+ * @param {number} [opts.doorCost]      Cost to open a door; if undefined, doors block
+ * @param {number} [opts.minWidth=0]    Open edges shorter than this are too narrow for the token
+ */
+export function sendSnapshot(worker, scene, tri, { doorCost, minWidth = 0 } = {}) {
+  const { triangles, edges, neighbors, edgeIndex, points } = tri;
+  const coords = new Float64Array(edges.length * 4);
+  edges.forEach(({ a, b }, e) => coords.set([...a, ...b], e * 4));
+  worker({ type: "geometry", buildId: 1, neighbors, edgeIndex, edges: coords });
+
+  const blocksEdge = edge => edge.wall && !(edge.wall.door && Number.isFinite(doorCost));
+  const slotBlocks = Uint8Array.from(edgeIndex, e => blocksEdge(edges[e]) ? 1 : 0);
+  const narrow = Uint8Array.from(edges, edge => !blocksEdge(edge) && length(edge.a, edge.b) < minWidth ? 1 : 0);
+  const doorCosts = Float32Array.from(edges, ({ wall }) => wall?.door ? (doorCost ?? 0) : 0);
+  const multipliers = Float32Array.from(triangles, vertices => {
+    const [cx, cy] = vertices.reduce(([x, y], i) => [x + (points[i][0] / 3), y + (points[i][1] / 3)], [0, 0]);
+    const terrain = (scene.terrains ?? []).find(({ rect: [x0, y0, x1, y1] }) =>
+      cx > Math.min(x0, x1) && cx < Math.max(x0, x1) && cy > Math.min(y0, y1) && cy < Math.max(y0, y1));
+    return terrain?.multiplier ?? 1;
+  });
+  worker({ type: "blocking", slotBlocks, narrow, doorCosts, multipliers });
+}
+
+/**
+ * Ask the worker for a path.
+ * @param {function} worker     Result of loadWorker
+ * @param {object} tri          Result of triangulateScene
+ * @param {number[]} start      [x, y]
+ * @param {number[]} end        [x, y]
+ * @param {object} [opts]
+ * @param {number} [opts.spacer=10]
+ * @param {number} [opts.heuristicScale=1]
+ * @returns {object}
+ *   - {number[][]} points      [x, y] for each path point; empty if no path
+ *   - {number[]} crossings     Index of the edge crossed at each point; -1 if none
+ *   - {boolean} clearanceLimited
+ */
+export function searchPath(worker, tri, start, end, { spacer = 10, heuristicScale = 1 } = {}) {
+  const res = worker({
+    type: "search",
+    id: 1,
+    start,
+    end,
+    startTri: triangleAt(tri, start),
+    endTri: triangleAt(tri, end),
+    spacer,
+    heuristicScale
+  });
+  if ( res.type === "error" ) throw new Error(res.message);
+  const points = [];
+  for ( let i = 0; i < res.points.length; i += 2 ) points.push([res.points[i], res.points[i + 1]]);
+  return { points, crossings: [...res.crossings], clearanceLimited: res.clearanceLimited };
+}
+
+/**
+ * Length of a path.
+ * @param {number[][]|Point[]} points
+ * @returns {number}
+ */
+export function pathLength(points) {
+  let total = 0;
+  for ( let i = 1; i < points.length; i += 1 ) total += length(points[i - 1], points[i]);
+  return total;
+}
+
+/**
+ * Does a move from a to b cross a wall, other than at its endpoints?
+ * @param {object} scene
+ * @param {number[]|Point} a
+ * @param {number[]|Point} b
+ * @param {object} [opts]
+ * @param {boolean} [opts.doorsOpen=false]    If true, doors do not count as walls
+ * @returns {boolean}
+ */
+export function crossesWall(scene, a, b, { doorsOpen = false } = {}) {
+  return (scene.walls ?? []).some(wall => {
+    if ( doorsOpen && wall.door ) return false;
+    const [x0, y0, x1, y1] = wall.c;
+    return segmentsCross(xy(a), xy(b), [x0, y0], [x1, y1]);
+  });
+}
+
+/**
+ * Do two segments cross at a point inside both?
+ * @param {number[]} a
+ * @param {number[]} b
+ * @param {number[]} c
+ * @param {number[]} d
+ * @returns {boolean}
+ */
+function segmentsCross(a, b, c, d) {
+  const o0 = orient(a, b, c);
+  const o1 = orient(a, b, d);
+  const o2 = orient(c, d, a);
+  const o3 = orient(c, d, b);
+  return ((o0 > 0 && o1 < 0) || (o0 < 0 && o1 > 0)) && ((o2 > 0 && o3 < 0) || (o2 < 0 && o3 > 0));
+}
+
+/**
+ * @param {number[]} a
+ * @param {number[]} b
+ * @param {number[]} c
+ * @returns {number} Positive if c is counterclockwise from b, as seen from a
+ */
+function orient(a, b, c) { return ((b[0] - a[0]) * (c[1] - a[1])) - ((b[1] - a[1]) * (c[0] - a[0])); }
+
+/**
+ * @param {number[]|Point} a
+ * @param {number[]|Point} b
+ * @returns {number}
+ */
+function length(a, b) {
+  const [ax, ay] = xy(a);
+  const [bx, by] = xy(b);
+  return Math.hypot(bx - ax, by - ay);
+}
+
+/**
+ * @param {number[]|Point} pt
+ * @returns {number[]} [x, y]
+ */
+function xy(pt) { return Array.isArray(pt) ? pt : [pt.x, pt.y]; }
+
+/**
+ * Key for an edge between two vertex indices, regardless of order.
+ * @param {number} i
+ * @param {number} j
+ * @returns {string}
+ */
+function segmentKey(i, j) { return i < j ? `${i}_${j}` : `${j}_${i}`; }
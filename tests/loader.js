@@ -0,0 +1,22 @@
+"use strict";
+
+// Module resolution hook for the tests, registered by setup.js.
+// The geometry library is a git submodule at scripts/geometry. If it is not checked out,
+// imports of the few geometry modules the tested code loads resolve to the stand-ins in tests/stubs/geometry.
+
+import { existsSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+
+const GEOMETRY_URL = new URL("../scripts/geometry/", import.meta.url).href;
+
+const STUBS_URL = new URL("./stubs/geometry/", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  if ( context.parentURL && (specifier.startsWith("./") || specifier.startsWith("../")) ) {
+    const url = new URL(specifier, context.parentURL).href;
+    if ( url.startsWith(GEOMETRY_URL) && !existsSync(fileURLToPath(url)) ) {
+      return nextResolve(STUBS_URL + url.slice(GEOMETRY_URL.length), context);
+    }
+  }
+  return nextResolve(specifier, context);
+}
@@ -0,0 +1,165 @@
+"use strict";
+
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { loadModule, loadCanvas, createToken, modules } from "./helpers/canvas.js";
+import { SquareGrid, HexagonalGrid } from "./stubs/grid.js";
+import { MODULE_ID, FLAGS } from "../scripts/const.js";
+
+/** @type {function} */
+let truncateSegmentsAtCost;
+
+/** @type {function} */
+let numDiagonalBeforeLastSegment;
+
+/**
+ * Center of a grid space, at elevation 0.
+ * @param {number} i
+ * @param {number} j
+ * @returns {Point3d}
+ */
+function center(i, j) {
+  const { x, y } = canvas.grid.getCenterPoint({ i, j });
+  return new CONFIG.GeometryLib.threeD.Point3d(x, y, 0);
+}
+
+/**
+ * Measure a ruler segment as the ruler does, counting earlier diagonals.
+ * @param {MovePenalty} mp
+ * @param {Point3d} a
+ * @param {Point3d} b
+ * @param {number} numPrevDiagonal
+ * @returns {object} Segment with ray, distance, offsetDistance, cost, and waypoint
+ */
+function measuredSegment(mp, a, b, numPrevDiagonal) {
+  const { distance, offsetDistance, cost } = mp.measureSegment(a, b, { numPrevDiagonal, forceGridPenalty: true });
+  return {
+    ray: new CONFIG.GeometryLib.threeD.Ray3d(a, b),
+    distance,
+    offsetDistance,
+    cost,
+    waypoint: { distance, offsetDistance, cost },
+    cumulativeDistance: 0,
+    cumulativeOffsetDistance: 0,
+    cumulativeCost: 0
+  };
+}
+
+describe("MovePenalty.measureSegment", () => {
+  before(async () => {
+    await loadModule();
+    ({ truncateSegmentsAtCost } = await import("../scripts/token_speed.js"));
+    ({ numDiagonalBeforeLastSegment } = await import("../scripts/segments.js"));
+  });
+
+  describe("5/10/5 diagonals", () => {
+    let mp;
+    let token;
+    before(() => {
+      loadCanvas("open", { grid: new SquareGrid({ diagonals: CONST.GRID_DIAGONALS.ALTERNATING_1 }) });
+      token = createToken({ rect: [0, 0, 100, 100] });
+      mp = new modules.MovePenalty(token);
+    });
+
+    it("counts every second diagonal double", () => {
+      const res = mp.measureSegment(center(0, 0), center(3, 3), { forceGridPenalty: true });
+      assert.equal(res.numDiagonal, 3);
+      assert.equal(res.distance, 20);
+      assert.equal(res.cost, 20);
+    });
+
+    it("continues the count from diagonals moved before the segment", () => {
+      const res = mp.measureSegment(center(1, 1), center(2, 2), { numPrevDiagonal: 1, forceGridPenalty: true });
+      assert.equal(res.numDiagonal, 1);
+      assert.equal(res.cost, 10);
+    });
+
+    it("measures a move split at waypoints the same as the whole move", () => {
+      const whole = mp.measureSegment(center(0, 0), center(4, 4), { forceGridPenalty: true });
+      let numPrevDiagonal = 0;
+      let total = 0;
+      for ( let i = 0; i < 4; i += 1 ) {
+        const res = mp.measureSegment(center(i, i), center(i + 1, i + 1), { numPrevDiagonal, forceGridPenalty: true });
+        numPrevDiagonal += res.numDiagonal;
+        total += res.cost;
+      }
+      assert.equal(total, whole.cost);
+    });
+
+    it("counts diagonals along the path points of earlier segments", () => {
+      // The first segment has a path around an obstacle: two diagonal steps, then one straight step.
+      const s0 = measuredSegment(mp, center(0, 0), center(0, 3), 0);
+      const s1 = measuredSegment(mp, center(0, 3), center(1, 4), 2);
+      const pathPoints = [center(0, 0), center(1, 1), center(0, 2), center(0, 3)];
+      const segmentMap = new Map([[`${s0.ray.A.key}|${s0.ray.B.key}`, pathPoints]]);
+      assert.equal(numDiagonalBeforeLastSegment([s0, s1], segmentMap, token), 2);
+      assert.equal(numDiagonalBeforeLastSegment([s0, s1], new Map(), token), 0);
+    });
+
+    it("stops the token where the budget runs out, counting diagonals from earlier segments", () => {
+      const s0 = measuredSegment(mp, center(0, 0), center(1, 1), 0);
+      const s1 = measuredSegment(mp, center(1, 1), center(4, 4), 1);
+      assert.deepEqual([s0.cost, s1.cost], [5, 25]);
+
+      // The second diagonal costs 10, so 10 feet of movement only covers the first.
+      const short = truncateSegmentsAtCost([s0, s1], 10, token, mp);
+      assert.equal(short.cost, 5);
+      assert.ok(short.endPoint.almostEqual(center(1, 1)));
+      assert.equal(short.numDiagonal, 1);
+
+      const long = truncateSegmentsAtCost([s0, s1], 20, token, mp);
+      assert.equal(long.cost, 20);
+      assert.ok(long.endPoint.almostEqual(center(3, 3)));
+      assert.equal(long.segments.length, 2);
+      assert.equal(long.numDiagonal, 3);
+      assert.ok(long.segments.every(s => s.routeCost === 20 && s.routeNumDiagonal === 3));
+    });
+  });
+
+  describe("hex grid", () => {
+    it("counts no diagonals for moves at one elevation", () => {
+      loadCanvas("open", { grid: new HexagonalGrid() });
+      const mp = new modules.MovePenalty(createToken({ rect: [0, 0, 100, 100] }));
+      const res = mp.measureSegment(center(0, 0), center(3, 1), { forceGridPenalty: true });
+      assert.equal(res.numDiagonal, 0);
+      assert.equal(res.distance, 15);
+    });
+  });
+
+  describe("penalty drawings", () => {
+    let mp;
+    before(() => {
+      loadCanvas("terrain", { grid: new SquareGrid() });
+      mp = new modules.MovePenalty(createToken({ rect: [0, 400, 100, 500] }));
+    });
+
+    it("multiplies the cost of a step into a drawing grid space", () => {
+      const res = mp.measureSegment(center(4, 3), center(4, 4), { forceGridPenalty: true });
+      assert.equal(res.distance, 5);
+      assert.equal(res.cost, 50);
+    });
+
+    it("does not charge for a step out of a drawing grid space", () => {
+      const res = mp.measureSegment(center(4, 5), center(4, 6), { forceGridPenalty: true });
+      assert.equal(res.cost, 5);
+    });
+
+    it("scales the grid search heuristic by the smallest grid space multiplier", () => {
+      const token = createToken({ rect: [0, 400, 100, 500] });
+      const prepareGridSearch = () => new modules.Pathfinder(token)._prepareAlgorithm("grid", center(4, 0), center(4, 9));
+      assert.equal(mp.minimumGridMultiplier(), 1);
+      assert.equal(prepareGridSearch().heuristicScale, 1);
+
+      const drawing = canvas.drawings.placeables[0];
+      drawing.document.setFlag(MODULE_ID, FLAGS.MOVEMENT_PENALTY, 0.5);
+      modules.Pathfinder.penaltyVersion += 1;
+      try {
+        assert.equal(new modules.MovePenalty(token).minimumGridMultiplier(), 0.5);
+        assert.equal(prepareGridSearch().heuristicScale, 0.5);
+      } finally {
+        drawing.document.setFlag(MODULE_ID, FLAGS.MOVEMENT_PENALTY, 10);
+        modules.Pathfinder.penaltyVersion += 1;
+      }
+    });
+  });
+});
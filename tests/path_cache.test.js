@@ -0,0 +1,75 @@
+"use strict";
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { PathCache, pathNodes } from "../scripts/pathfinding/PathCache.js";
+
+/**
+ * Path map, as returned by the algorithms, linking each node to the one before it.
+ * @param {string[]} keys       Node keys from start to goal
+ * @param {object} [opts]
+ * @param {boolean} [opts.found=true]   If false, the goal is not linked back to the start
+ * @returns {Map<string, object>}
+ */
+function pathMap(keys, { found = true } = {}) {
+  const nodes = keys.map(key => ({ key }));
+  const map = new Map();
+  map.start = nodes[0];
+  map.goal = nodes.at(-1);
+  if ( !found ) return map;
+  for ( let i = 1; i < nodes.length; i += 1 ) map.set(nodes[i].key, nodes[i - 1]);
+  return map;
+}
+
+describe("path cache", () => {
+  it("rebuilds a path between new start and goal nodes from the cached corridor", () => {
+    const cache = new PathCache();
+    cache.set("a", pathMap(["start", "n1", "n2", "goal"]));
+    const { corridor, clearanceLimited } = cache.get("a");
+    assert.deepEqual(corridor.map(n => n.key), ["n1", "n2"]);
+    assert.equal(clearanceLimited, false);
+
+    const rebuilt = PathCache.pathFromCorridor(corridor, { key: "start2" }, { key: "goal2" });
+    assert.deepEqual(pathNodes(rebuilt).map(n => n.key), ["start2", "n1", "n2", "goal2"]);
+  });
+
+  it("remembers that no path was found", () => {
+    const cache = new PathCache();
+    cache.set("a", pathMap(["start", "goal"], { found: false }), true);
+    const { corridor, clearanceLimited } = cache.get("a");
+    assert.equal(corridor, null);
+    assert.ok(clearanceLimited);
+
+    const rebuilt = PathCache.pathFromCorridor(corridor, { key: "start" }, { key: "goal" });
+    assert.equal(rebuilt.size, 0);
+    assert.notEqual(pathNodes(rebuilt)[0].key, "start");
+  });
+
+  it("discards the least recently used corridor when full", () => {
+    const cache = new PathCache(2);
+    cache.set("a", pathMap(["s", "g"]));
+    cache.set("b", pathMap(["s", "g"]));
+    cache.get("a");
+    cache.set("c", pathMap(["s", "g"]));
+    assert.equal(cache.size, 2);
+    assert.ok(cache.get("a"));
+    assert.equal(cache.get("b"), undefined);
+    assert.ok(cache.get("c"));
+  });
+
+  it("empties when the version changes", () => {
+    const cache = new PathCache();
+    cache.version = "1_0_0";
+    cache.set("a", pathMap(["s", "g"]));
+    cache.version = "1_0_0";
+    assert.ok(cache.get("a"));
+    cache.version = "1_1_0";
+    assert.equal(cache.size, 0);
+    assert.equal(cache.get("a"), undefined);
+  });
+
+  it("returns nothing for a search that is not cached", () => {
+    const cache = new PathCache();
+    assert.equal(cache.get(undefined), undefined);
+  });
+});
@@ -0,0 +1,211 @@
+"use strict";
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { crossesWall } from "./helpers/scene.js";
+import { loadModule, loadCanvas, createToken, setSetting, modules } from "./helpers/canvas.js";
+import { SquareGrid, HexagonalGrid } from "./stubs/grid.js";
+
+/**
+ * Find, clean, and snap a path as the ruler does for a segment.
+ * @param {Token} token
+ * @param {number[]} start    [x, y]
+ * @param {number[]} end      [x, y]
+ * @returns {object} { pathfinder, raw, cleaned, aligned }; aligned is undefined on gridless scenes
+ */
+function findPath(token, [x0, y0], [x1, y1]) {
+  const { Pathfinder } = modules;
+  const pathfinder = new Pathfinder(token);
+  const raw = Pathfinder.getPathPoints(pathfinder.runPath({ x: x0, y: y0, z: 0 }, { x: x1, y: y1, z: 0 }));
+  const cleaned = pathfinder.cleanPath(raw);
+  const aligned = canvas.grid.isGridless ? undefined : pathfinder.alignPathToGrid(cleaned);
+  return { pathfinder, raw, cleaned, aligned };
+}
+
+/**
+ * Assert that a path runs from start to end without crossing a wall.
+ * @param {object} scene
+ * @param {Point[]} points
+ * @param {number[]} start    [x, y]
+ * @param {number[]} end      [x, y]
+ */
+function assertPathBetween(scene, points, start, end) {
+  assert.ok(points.length >= 2, "No path found.");
+  assert.deepEqual([points[0].x, points[0].y], start);
+  assert.deepEqual([points.at(-1).x, points.at(-1).y], end);
+  for ( let i = 1; i < points.length; i += 1 ) {
+    assert.ok(!crossesWall(scene, points[i - 1], points[i]), `Step ${i} crosses a wall.`);
+  }
+}
+
+/**
+ * Assert that a snapped path turns only at grid centers and never steps back into a grid space it left.
+ * Path points are rounded to the pixel, so hex centers may be off by a fraction of a pixel.
+ * @param {Point[]} points
+ */
+function assertAlignedWithoutBackstep(points) {
+  for ( const pt of points.slice(1, -1) ) {
+    const center = canvas.grid.getCenterPoint(pt);
+    assert.ok(center.x.almostEqual(pt.x, 0.5) && center.y.almostEqual(pt.y, 0.5), `${pt.x},${pt.y} is not a grid center.`);
+  }
+  const visited = [];
+  for ( let i = 1; i < points.length; i += 1 ) {
+    for ( const { i: row, j: col } of canvas.grid.getDirectPath([points[i - 1], points[i]]) ) {
+      const key = `${row}_${col}`;
+      if ( visited.at(-1) === key ) continue;
+      assert.ok(!visited.includes(key), `Path steps back into grid space ${key}.`);
+      visited.push(key);
+    }
+  }
+}
+
+describe("Pathfinder", () => {
+  before(loadModule);
+
+  describe("gridless", () => {
+    it("paths around a room, clear of its corner by half the token width", () => {
+      const scene = loadCanvas("room");
+      const token = createToken({ rect: [50, 250, 100, 300] });
+      const { raw, cleaned } = findPath(token, [75, 275], [300, 150]);
+      assertPathBetween(scene, raw, [75, 275], [300, 150]);
+      assertPathBetween(scene, cleaned, [75, 275], [300, 150]);
+      assert.equal(cleaned.length, 3);
+      const corner = 200 - (25 * Math.SQRT1_2);
+      assert.ok(cleaned[1].x.almostEqual(corner, 1e-06) && cleaned[1].y.almostEqual(corner, 1e-06));
+    });
+
+    it("does not pass through a closed door", () => {
+      const scene = loadCanvas("door");
+      const token = createToken({ rect: [250, 450, 350, 550] });
+      const { cleaned } = findPath(token, [300, 500], [700, 500]);
+      assertPathBetween(scene, cleaned, [300, 500], [700, 500]);
+      assert.ok(cleaned.length > 2);
+    });
+
+    it("caches the clearance of an edge until the search state changes", () => {
+      loadCanvas("room");
+      const token = createToken({ rect: [50, 250, 100, 300] });
+      const pathfinder = new modules.Pathfinder(token);
+      pathfinder._prepareAlgorithm("astar", { x: 75, y: 275, z: 0 }, { x: 300, y: 150, z: 0 });
+      const { SCENE_GRAPH, Pathfinder } = modules;
+      const spacer = 1000; // Wider than any edge, so the gap is measured past the edge vertices.
+      const edge = [...Pathfinder.triangleEdges].find(e => !e.objects.size
+        && !(e.vertexBlocks(e.a.key, 0) && e.vertexBlocks(e.b.key, 0)));
+
+      const quadtree = SCENE_GRAPH.edgesQuadtree;
+      const getObjects = quadtree.getObjects;
+      let searches = 0;
+      quadtree.getObjects = function(...args) {
+        searches += 1;
+        return getObjects.apply(this, args);
+      };
+      try {
+        const tooNarrow = edge.isTooNarrow(0, spacer);
+        assert.ok(searches > 0);
+        searches = 0;
+        assert.equal(edge.isTooNarrow(0, spacer), tooNarrow);
+        assert.equal(searches, 0);
+
+        Pathfinder.blockingVersion += 1;
+        pathfinder._prepareAlgorithm("astar", { x: 75, y: 275, z: 0 }, { x: 300, y: 150, z: 0 });
+        assert.equal(edge.isTooNarrow(0, spacer), tooNarrow);
+        assert.ok(searches > 0);
+      } finally {
+        quadtree.getObjects = getObjects;
+      }
+    });
+
+    it("detours around a drawing that multiplies the movement cost", () => {
+      loadCanvas("terrain");
+      const token = createToken({ rect: [50, 450, 150, 550] });
+      const { cleaned } = findPath(token, [100, 500], [900, 500]);
+      const drawing = canvas.drawings.placeables[0];
+      for ( let i = 1; i < cleaned.length; i += 1 ) {
+        const a = cleaned[i - 1];
+        const b = cleaned[i];
+        const mid = { x: (a.x + b.x) * 0.5, y: (a.y + b.y) * 0.5 };
+        assert.ok(!drawing.bounds.contains(mid.x, mid.y), `Step ${i} crosses the drawing.`);
+      }
+    });
+  });
+
+  describe("tokens", () => {
+    const setTokensBlock = choice => {
+      const { KEYS } = modules.Settings;
+      setSetting(KEYS.PATHFINDING.TOKENS_BLOCK, KEYS.PATHFINDING.TOKENS_BLOCK_CHOICES[choice]);
+    };
+
+    after(() => setTokensBlock("NO"));
+
+    it("passes between hostile tokens when tokens do not block", () => {
+      setTokensBlock("NO");
+      const scene = loadCanvas("tokens");
+      const token = createToken({ rect: [50, 450, 150, 550] });
+      const { cleaned } = findPath(token, [100, 500], [900, 500]);
+      assertPathBetween(scene, cleaned, [100, 500], [900, 500]);
+    });
+
+    it("triangulates the borders of tokens that impose a movement penalty, even if they do not block", () => {
+      const { KEYS } = modules.Settings;
+      setTokensBlock("NO");
+      setSetting(KEYS.MEASURING.TOKEN_MULTIPLIER, 2);
+      try {
+        loadCanvas("tokens");
+        assert.deepEqual([...modules.SCENE_GRAPH.tokenIds].sort(), ["guard0", "guard1"]);
+
+        // No triangle is partly inside a token border, as padded by the token buffer.
+        for ( const token of canvas.tokens.placeables ) {
+          const { x, y, width, height } = token.constrainedTokenBorder;
+          const inside = pt => pt.x > x && pt.x < x + width && pt.y > y && pt.y < y + height;
+          for ( const tri of modules.Pathfinder.borderTriangles ) {
+            if ( inside(tri.center) ) continue;
+            assert.ok(!Object.values(tri.vertices).some(inside), `Triangle ${tri.id} is partly inside ${token.id}.`);
+          }
+        }
+      } finally {
+        setSetting(KEYS.MEASURING.TOKEN_MULTIPLIER, 1);
+      }
+      loadCanvas("tokens");
+      assert.equal(modules.SCENE_GRAPH.tokenIds.size, 0);
+    });
+
+    it("finds no path through a gap held by hostile tokens when hostile tokens block", () => {
+      setTokensBlock("HOSTILE");
+      loadCanvas("tokens");
+      const token = createToken({ rect: [50, 450, 150, 550] });
+      const { raw } = findPath(token, [100, 500], [900, 500]);
+      assert.ok(raw.length < 2);
+    });
+  });
+
+  for ( const [label, Grid] of [["square", SquareGrid], ["hex", HexagonalGrid]] ) {
+    describe(`${label} grid`, () => {
+      it("snaps a path around a room to grid centers without stepping back", () => {
+        const scene = loadCanvas("room", { grid: new Grid() });
+        const token = createToken({ rect: [0, 200, 100, 300] });
+        const { aligned } = findPath(token, [50, 250], [350, 150]);
+        assertPathBetween(scene, aligned, [50, 250], [350, 150]);
+        assertAlignedWithoutBackstep(aligned);
+      });
+
+      it("snaps a path around the end of a wall to grid centers without stepping back", () => {
+        const scene = loadCanvas("wall", { grid: new Grid() });
+        const token = createToken({ rect: [200, 400, 300, 500] });
+        const { aligned } = findPath(token, [250, 450], [750, 450]);
+        assertPathBetween(scene, aligned, [250, 450], [750, 450]);
+        assertAlignedWithoutBackstep(aligned);
+      });
+
+      it("searches grid spaces around a room", () => {
+        const scene = loadCanvas("room", { grid: new Grid() });
+        const token = createToken({ rect: [0, 200, 100, 300] });
+        const { Pathfinder } = modules;
+        const pathfinder = new Pathfinder(token);
+        const path = pathfinder.runGridPath({ x: 50, y: 250, z: 0 }, { x: 350, y: 150, z: 0 });
+        const points = pathfinder.cleanGridSearchPath(Pathfinder.getPathPoints(path));
+        assertPathBetween(scene, points, [50, 250], [350, 150]);
+        assertAlignedWithoutBackstep(points);
+      });
+    });
+  }
+});
@@ -0,0 +1,112 @@
+"use strict";
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { loadModule, loadCanvas, createToken, setSetting, modules } from "./helpers/canvas.js";
+import { Worker } from "./stubs/worker.js";
+
+/** @type {PathfinderWorker} */
+let PATHFINDER_WORKER;
+
+/**
+ * Search for a path on the main thread and with the worker, for the same move.
+ * @param {Token} token
+ * @param {number[]} start    [x, y]
+ * @param {number[]} end      [x, y]
+ * @returns {Promise<object>} { main, worker } costs of the paths found; Infinity if none
+ */
+async function searchCosts(token, [x0, y0], [x1, y1]) {
+  const { Pathfinder } = modules;
+  const { Point3d } = CONFIG.GeometryLib.threeD;
+  const A = new Point3d(x0, y0, 0);
+  const B = new Point3d(x1, y1, 0);
+  const mainPf = new Pathfinder(token);
+  const path = mainPf.runPath(A, B);
+  const main = mainPf.algorithm.astar.costSoFar.get(path.goal?.key) ?? Infinity;
+
+  // The worker answers on a later turn of the event loop; until then, the path is pending.
+  const pf = new Pathfinder(token);
+  let points = PATHFINDER_WORKER.pathPoints(pf, A, B);
+  for ( let i = 0; i < 10 && typeof points === "undefined"; i += 1 ) {
+    await new Promise(resolve => { setImmediate(resolve); });
+    points = PATHFINDER_WORKER.pathPoints(pf, A, B);
+  }
+  assert.ok(points, "The worker did not search.");
+  return { main, worker: PATHFINDER_WORKER.worker.lastPosted.cost };
+}
+
+/**
+ * Assert that the worker found a path of the same cost as the main thread.
+ * @param {object} costs      Result of searchCosts
+ */
+function assertSameCost({ main, worker }) {
+  if ( !Number.isFinite(main) ) assert.equal(worker, main);
+  else assert.ok(worker.almostEqual(main, 1e-06), `Worker path cost ${worker} differs from main-thread cost ${main}.`);
+}
+
+describe("PathfinderWorker", () => {
+  before(async () => {
+    globalThis.Worker = Worker;
+    await loadModule();
+    ({ PATHFINDER_WORKER } = await import("../scripts/pathfinding/PathfinderWorker.js"));
+  });
+
+  after(() => {
+    PATHFINDER_WORKER.clear();
+    delete globalThis.Worker;
+  });
+
+  describe("finds paths of the same cost as the main-thread search", () => {
+    it("across an open scene", async () => {
+      loadCanvas("open");
+      assertSameCost(await searchCosts(createToken({ rect: [50, 50, 150, 150] }), [100, 100], [900, 700]));
+    });
+
+    it("around a wall", async () => {
+      loadCanvas("wall");
+      assertSameCost(await searchCosts(createToken({ rect: [250, 450, 350, 550] }), [300, 500], [700, 500]));
+    });
+
+    it("around a room", async () => {
+      loadCanvas("room");
+      assertSameCost(await searchCosts(createToken({ rect: [50, 250, 100, 300] }), [75, 275], [300, 150]));
+    });
+
+    it("around a closed door", async () => {
+      loadCanvas("door");
+      assertSameCost(await searchCosts(createToken({ rect: [250, 450, 350, 550] }), [300, 500], [700, 500]));
+    });
+
+    it("when planning to open a closed door", async () => {
+      const { KEYS } = modules.Settings;
+      setSetting(KEYS.PATHFINDING.DOORS, KEYS.PATHFINDING.DOORS_CHOICES.PLAN);
+      try {
+        loadCanvas("door");
+        assertSameCost(await searchCosts(createToken({ rect: [250, 450, 350, 550] }), [300, 500], [700, 500]));
+      } finally {
+        setSetting(KEYS.PATHFINDING.DOORS, KEYS.PATHFINDING.DOORS_CHOICES.BLOCK);
+      }
+    });
+
+    it("around terrain that is slow to cross", async () => {
+      loadCanvas("terrain");
+      assertSameCost(await searchCosts(createToken({ rect: [250, 450, 350, 550] }), [300, 500], [700, 500]));
+    });
+
+    it("between tokens that do not block", async () => {
+      loadCanvas("tokens");
+      assertSameCost(await searchCosts(createToken({ rect: [50, 450, 150, 550] }), [100, 500], [900, 500]));
+    });
+
+    it("when hostile tokens block the gap", async () => {
+      const { KEYS } = modules.Settings;
+      setSetting(KEYS.PATHFINDING.TOKENS_BLOCK, KEYS.PATHFINDING.TOKENS_BLOCK_CHOICES.HOSTILE);
+      try {
+        loadCanvas("tokens");
+        assertSameCost(await searchCosts(createToken({ rect: [50, 450, 150, 550] }), [100, 500], [900, 500]));
+      } finally {
+        setSetting(KEYS.PATHFINDING.TOKENS_BLOCK, KEYS.PATHFINDING.TOKENS_BLOCK_CHOICES.NO);
+      }
+    });
+  });
+});
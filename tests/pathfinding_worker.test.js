@@ -0,0 +1,165 @@
+"use strict";
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  loadScene,
+  triangulateScene,
+  loadWorker,
+  sendSnapshot,
+  searchPath,
+  pathLength,
+  crossesWall } from "./helpers/scene.js";
+
+/**
+ * Triangulate a scene fixture and send it to a new worker.
+ * @param {string} name
+ * @param {object} [opts]     Options passed to sendSnapshot
+ * @returns {object} { scene, tri, worker }
+ */
+function setup(name, opts) {
+  const scene = loadScene(name);
+  const tri = triangulateScene(scene);
+  const worker = loadWorker();
+  sendSnapshot(worker, scene, tri, opts);
+  return { scene, tri, worker };
+}
+
+/**
+ * Assert that no step of a path crosses a wall.
+ * @param {object} scene
+ * @param {number[][]} points
+ * @param {object} [opts]     Options passed to crossesWall
+ */
+function assertClearOfWalls(scene, points, opts) {
+  for ( let i = 1; i < points.length; i += 1 ) {
+    assert.ok(!crossesWall(scene, points[i - 1], points[i], opts), `Step ${i} crosses a wall.`);
+  }
+}
+
+describe("pathfinding worker search", () => {
+  it("reports an error if searching before the triangles are sent", () => {
+    const worker = loadWorker();
+    const res = worker({ type: "search", id: 1, start: [0, 0], end: [1, 1], startTri: 0, endTri: 0, spacer: 10 });
+    assert.equal(res.type, "error");
+  });
+
+  it("moves directly to the goal within one triangle", () => {
+    const { tri, worker } = setup("open");
+    const { points } = searchPath(worker, tri, [100, 50], [150, 60]);
+    assert.deepEqual(points, [[100, 50], [150, 60]]);
+  });
+
+  it("runs from the start to the end across an open scene", () => {
+    const { scene, tri, worker } = setup("open");
+    const { points, crossings, clearanceLimited } = searchPath(worker, tri, [100, 100], [900, 900]);
+    assert.deepEqual(points[0], [100, 100]);
+    assert.deepEqual(points.at(-1), [900, 900]);
+    assert.equal(crossings.length, points.length);
+    assert.equal(crossings[0], -1);
+    assert.ok(!clearanceLimited);
+    assertClearOfWalls(scene, points);
+  });
+
+  it("goes around a wall", () => {
+    const { scene, tri, worker } = setup("wall");
+    const { points } = searchPath(worker, tri, [300, 500], [700, 500]);
+    assert.ok(points.length > 2);
+    assertClearOfWalls(scene, points);
+    assert.ok(points.some(([_x, y]) => y < 100 || y > 900), "Path should pass an end of the wall.");
+  });
+
+  it("records the edge crossed at each point after the start", () => {
+    const { tri, worker } = setup("wall");
+    const { points, crossings } = searchPath(worker, tri, [300, 500], [700, 500]);
+    for ( let i = 1; i < points.length - 1; i += 1 ) {
+      const edge = tri.edges[crossings[i]];
+      assert.ok(edge, `No edge recorded for point ${i}.`);
+      const [x, y] = points[i];
+      const [ax, ay] = edge.a;
+      const [bx, by] = edge.b;
+      const cross = ((bx - ax) * (y - ay)) - ((by - ay) * (x - ax));
+      assert.ok(Math.abs(cross) < 1e-6, `Point ${i} is not on the edge it crossed.`);
+    }
+  });
+
+  it("finds no path out of a closed room", () => {
+    const { tri, worker } = setup("room");
+    const { points } = searchPath(worker, tri, [300, 300], [800, 800]);
+    assert.equal(points.length, 0);
+  });
+
+  it("finds a path within a closed room", () => {
+    const { scene, tri, worker } = setup("room");
+    const { points } = searchPath(worker, tri, [220, 220], [380, 380]);
+    assert.ok(points.length >= 2);
+    assertClearOfWalls(scene, points);
+  });
+
+  it("does not pass through a closed door", () => {
+    const { scene, tri, worker } = setup("door");
+    const { points } = searchPath(worker, tri, [300, 500], [700, 500]);
+    assertClearOfWalls(scene, points);
+    assert.ok(points.some(([_x, y]) => y < 100 || y > 900));
+  });
+
+  it("opens a door if that is cheaper than going around", () => {
+    const { scene, tri, worker } = setup("door", { doorCost: 10 });
+    const { points } = searchPath(worker, tri, [300, 500], [700, 500]);
+    assertClearOfWalls(scene, points, { doorsOpen: true });
+    assert.ok(points.every(([_x, y]) => y > 100 && y < 900), "Path should go through the door.");
+    assert.ok(pathLength(points) < 600);
+  });
+
+  it("goes around a door that costs too much to open", () => {
+    const { scene, tri, worker } = setup("door", { doorCost: 2000 });
+    const { points } = searchPath(worker, tri, [300, 500], [700, 500]);
+    assertClearOfWalls(scene, points);
+  });
+
+  it("skips gaps too narrow for the token", () => {
+    const { scene, tri, worker } = setup("door", { doorCost: 0, minWidth: 150 });
+    const { points, clearanceLimited } = searchPath(worker, tri, [300, 500], [700, 500]);
+    assert.ok(clearanceLimited);
+    assertClearOfWalls(scene, points);
+  });
+
+  it("goes around terrain that is slow to cross", () => {
+    const { tri, worker } = setup("terrain");
+    const { points } = searchPath(worker, tri, [300, 500], [700, 500]);
+    assert.ok(points.some(([_x, y]) => y <= 50 || y >= 950), "Path should avoid the terrain.");
+  });
+
+  it("crosses terrain that is fast to cross", () => {
+    const scene = loadScene("terrain");
+    scene.terrains[0].multiplier = 0.5;
+    const tri = triangulateScene(scene);
+    const worker = loadWorker();
+    sendSnapshot(worker, scene, tri);
+    const { points } = searchPath(worker, tri, [300, 500], [700, 500], { heuristicScale: 0.5 });
+    assert.ok(points.every(([_x, y]) => y > 50 && y < 950), "Path should cross the terrain.");
+  });
+
+  it("keeps the blocking not sent again when only the terrain multipliers change", () => {
+    const { scene, tri, worker } = setup("terrain");
+    worker({ type: "blocking", multipliers: Float32Array.from(tri.triangles, () => 1) });
+    const { points } = searchPath(worker, tri, [300, 500], [700, 500]);
+    assert.ok(points.every(([_x, y]) => y > 50 && y < 950), "Path should cross the terrain.");
+    assertClearOfWalls(scene, points);
+  });
+
+  it("requires new blocking after new triangles are sent", () => {
+    const { tri, worker } = setup("open");
+    const { neighbors, edgeIndex } = tri;
+    worker({ type: "geometry", buildId: 2, neighbors, edgeIndex, edges: new Float64Array(tri.edges.length * 4) });
+    const res = worker({ type: "search", id: 1, start: [0, 0], end: [1, 1], startTri: 0, endTri: 0, spacer: 10 });
+    assert.equal(res.type, "error");
+  });
+
+  it("finds the same path cost regardless of heuristic scale when the heuristic is admissible", () => {
+    const { tri, worker } = setup("wall");
+    const a = searchPath(worker, tri, [300, 500], [700, 500]);
+    const b = searchPath(worker, tri, [300, 500], [700, 500], { heuristicScale: 0 });
+    assert.ok(Math.abs(pathLength(a.points) - pathLength(b.points)) < 1e-6);
+  });
+});
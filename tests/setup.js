@@ -0,0 +1,14 @@
+"use strict";
+
+// Loaded before the tests with `node --import`, to run module code outside Foundry.
+// Defines stand-ins for the Foundry and PIXI globals and an empty gridless canvas, registers the loader
+// for the geometry library, and loads the bundled cdt2d used to triangulate scenes.
+
+import { register } from "node:module";
+import "./stubs/foundry.js";
+import { createCanvas } from "./stubs/canvas.js";
+
+register("./loader.js", import.meta.url);
+createCanvas();
+
+await import("../scripts/delaunator/cdt2d_bundle.js");
@@ -0,0 +1,64 @@
+"use strict";
+
+// Stand-in for the Foundry canvas: a scene of a given size and grid, with layers for its placeables.
+
+import { GridlessGrid } from "./grid.js";
+
+/**
+ * Layer holding placeables.
+ */
+class PlaceablesLayer {
+  /** @type {PlaceableObject[]} */
+  placeables = [];
+
+  get(id) { return this.placeables.find(p => p.id === id); }
+}
+
+/**
+ * Replace the canvas with an empty scene.
+ * @param {object} [opts]
+ * @param {number} [opts.width=1000]          Scene width, in pixels
+ * @param {number} [opts.height=1000]         Scene height, in pixels
+ * @param {BaseGrid} [opts.grid]              Grid from tests/stubs/grid.js; defaults to gridless
+ * @param {object} [opts.flags]               Scene flags
+ * @returns {object} The canvas
+ */
+export function createCanvas({ width = 1000, height = 1000, grid = new GridlessGrid(), flags = {} } = {}) {
+  const rect = new PIXI.Rectangle(0, 0, width, height);
+  const scene = {
+    id: "scene",
+    flags,
+    grid: { type: grid.type, size: grid.size, distance: grid.distance },
+    dimensions: {},
+    getFlag(scope, key) { return foundry.utils.getProperty(this.flags[scope] ?? {}, key); }
+  };
+  const walls = new PlaceablesLayer();
+  Object.defineProperty(walls, "doors", { get() { return this.placeables.filter(w => w.isDoor); } });
+  globalThis.canvas = {
+    scene,
+    grid,
+    dimensions: {
+      width,
+      height,
+      size: grid.size,
+      distance: grid.distance,
+      distancePixels: grid.size / grid.distance,
+      maxR: Math.hypot(width, height),
+      rect,
+      sceneRect: rect,
+      sceneX: 0,
+      sceneY: 0,
+      sceneWidth: width,
+      sceneHeight: height
+    },
+    edges: new Map(),
+    walls,
+    tokens: new PlaceablesLayer(),
+    drawings: new PlaceablesLayer(),
+    regions: new PlaceablesLayer(),
+    fog: {},
+    ready: true
+  };
+  scene.dimensions = canvas.dimensions;
+  return canvas;
+}
@@ -0,0 +1,414 @@
+"use strict";
+
+// Stand-ins for the Foundry globals the module uses when it loads and when it pathfinds and measures.
+// Only the behavior the tests rely on is modeled; anything else is inert.
+
+import { Point, Rectangle, Polygon } from "./pixi.js";
+
+// ----- NOTE: Core methods added to built-in classes ----- //
+
+/**
+ * Define a method on a prototype, as Foundry does, without making it enumerable.
+ * @param {object} proto
+ * @param {string} name
+ * @param {function} fn
+ */
+function defineMethod(proto, name, fn) {
+  Object.defineProperty(proto, name, { value: fn, configurable: true, writable: true });
+}
+
+defineMethod(Number.prototype, "almostEqual", function(n, epsilon = 1e-08) { return Math.abs(this - n) <= epsilon; });
+defineMethod(Number.prototype, "between", function(a, b, inclusive = true) {
+  const min = Math.min(a, b);
+  const max = Math.max(a, b);
+  return inclusive ? (this >= min) && (this <= max) : (this > min) && (this < max);
+});
+
+defineMethod(Array.prototype, "findSplice", function(find) {
+  const idx = this.findIndex(find);
+  if ( idx === -1 ) return null;
+  return this.splice(idx, 1)[0];
+});
+
+defineMethod(Set.prototype, "first", function() { return this.values().next().value; });
+defineMethod(Set.prototype, "filter", function(test) { return new Set([...this].filter(test)); });
+defineMethod(Set.prototype, "some", function(test) { return [...this].some(test); });
+defineMethod(Set.prototype, "every", function(test) { return [...this].every(test); });
+defineMethod(Set.prototype, "map", function(fn) { return [...this].map(fn); });
+defineMethod(Set.prototype, "equals", function(other) { return this.size === other.size && this.every(x => other.has(x)); });
+defineMethod(Set.prototype, "intersects", function(other) { return this.some(x => other.has(x)); });
+if ( !Set.prototype.intersection ) {
+  defineMethod(Set.prototype, "intersection", function(other) { return this.filter(x => other.has(x)); });
+  defineMethod(Set.prototype, "union", function(other) { return new Set([...this, ...other]); });
+  defineMethod(Set.prototype, "difference", function(other) { return this.filter(x => !other.has(x)); });
+}
+
+// Iterator helpers, used on Map keys.
+const iteratorProto = Object.getPrototypeOf(Object.getPrototypeOf([].keys()));
+if ( !iteratorProto.every ) defineMethod(iteratorProto, "every", function(test) { return [...this].every(test); });
+
+Math.clamp ??= (n, min, max) => Math.min(max, Math.max(n, min));
+Math.minMax ??= (...args) => ({ min: Math.min(...args), max: Math.max(...args) });
+
+// ----- NOTE: foundry.utils ----- //
+
+/**
+ * Positive if c is counterclockwise from b, as seen from a, on the canvas.
+ */
+function orient2dFast(a, b, c) { return ((a.y - c.y) * (b.x - c.x)) - ((a.x - c.x) * (b.y - c.y)); }
+
+/**
+ * Do segments a|b and c|d cross or touch? Collinear segments do not.
+ */
+function lineSegmentIntersects(a, b, c, d) {
+  const xa = orient2dFast(a, b, c);
+  const xb = orient2dFast(a, b, d);
+  if ( !xa && !xb ) return false;
+  const xab = (xa * xb) <= 0;
+  const xcd = (orient2dFast(c, d, a) * orient2dFast(c, d, b)) <= 0;
+  return xab && xcd;
+}
+
+/**
+ * Intersection of the lines through a|b and c|d.
+ * @returns {object|null} { x, y, t0, t1 }, where t0 is along a|b and t1 along c|d
+ */
+function lineLineIntersection(a, b, c, d) {
+  const denom = ((d.y - c.y) * (b.x - a.x)) - ((d.x - c.x) * (b.y - a.y));
+  if ( !denom ) return null;
+  const t0 = (((d.x - c.x) * (a.y - c.y)) - ((d.y - c.y) * (a.x - c.x))) / denom;
+  const t1 = (((b.x - a.x) * (a.y - c.y)) - ((b.y - a.y) * (a.x - c.x))) / denom;
+  return { x: a.x + (t0 * (b.x - a.x)), y: a.y + (t0 * (b.y - a.y)), t0, t1 };
+}
+
+/**
+ * Intersection of segments a|b and c|d.
+ * @returns {object|null} { x, y, t0, t1 }
+ */
+function lineSegmentIntersection(a, b, c, d, epsilon = 1e-08) {
+  const ix = lineLineIntersection(a, b, c, d);
+  if ( !ix ) return null;
+  const within = t => t >= -epsilon && t <= 1 + epsilon;
+  return within(ix.t0) && within(ix.t1) ? ix : null;
+}
+
+/**
+ * Point on segment a|b closest to c.
+ */
+function closestPointToSegment(c, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  if ( !dx && !dy ) throw new Error("Zero-length segment");
+  const u = (((c.x - a.x) * dx) + ((c.y - a.y) * dy)) / ((dx * dx) + (dy * dy));
+  if ( u < 0 ) return a;
+  if ( u > 1 ) return b;
+  return { x: a.x + (u * dx), y: a.y + (u * dy) };
+}
+
+function getProperty(object, key) {
+  return key.split(".").reduce((obj, k) => obj?.[k], object);
+}
+
+function setProperty(object, key, value) {
+  const parts = key.split(".");
+  const last = parts.pop();
+  const target = parts.reduce((obj, k) => obj[k] ??= {}, object);
+  target[last] = value;
+  return true;
+}
+
+function isNewerVersion(v1, v0) {
+  const a = String(v1).split(".").map(Number);
+  const b = String(v0).split(".").map(Number);
+  for ( let i = 0; i < Math.max(a.length, b.length); i += 1 ) {
+    if ( (a[i] ?? 0) !== (b[i] ?? 0) ) return (a[i] ?? 0) > (b[i] ?? 0);
+  }
+  return false;
+}
+
+function mergeObject(original, other = {}) {
+  for ( const [key, value] of Object.entries(other) ) {
+    if ( value && typeof value === "object" && !Array.isArray(value)
+      && original[key] && typeof original[key] === "object" ) mergeObject(original[key], value);
+    else original[key] = value;
+  }
+  return original;
+}
+
+let idCount = 0;
+
+function randomID() { return `id${(idCount++).toString().padStart(14, "0")}`; }
+
+function debounce(fn) { return fn; }
+
+// ----- NOTE: Quadtree ----- //
+
+/**
+ * Holds objects with their bounds, as the core quadtree does, but searched by a linear scan.
+ */
+class CanvasQuadtree {
+  /** @type {object[]} */
+  #nodes = [];
+
+  get all() { return [...this.#nodes]; }
+
+  get nodes() { return this.#nodes; }
+
+  /**
+   * @param {object} obj    { r: PIXI.Rectangle, t: object }
+   */
+  insert(obj) { this.#nodes.push(obj); }
+
+  /**
+   * @param {object} t      Object to remove
+   */
+  remove(t) { this.#nodes = this.#nodes.filter(node => node.t !== t); }
+
+  update(obj) {
+    this.remove(obj.t);
+    this.insert(obj);
+  }
+
+  clear() { this.#nodes = []; }
+
+  /**
+   * @param {PIXI.Rectangle} rect
+   * @param {object} [opts]
+   * @param {function} [opts.collisionTest]   Takes the node and rectangle; true to include the object
+   * @returns {Set<object>}
+   */
+  getObjects(rect, { collisionTest } = {}) {
+    const out = new Set();
+    for ( const node of this.#nodes ) {
+      if ( !node.r.intersects(rect) ) continue;
+      if ( collisionTest && !collisionTest(node, rect) ) continue;
+      out.add(node.t);
+    }
+    return out;
+  }
+}
+
+// ----- NOTE: Placeables ----- //
+
+/**
+ * Document with flags, as the placeables in the fixtures have.
+ */
+class Document {
+  constructor(data = {}) {
+    this.flags = {};
+    Object.assign(this, data);
+  }
+
+  getFlag(scope, key) { return getProperty(this.flags?.[scope] ?? {}, key); }
+
+  setFlag(scope, key, value) {
+    setProperty(this.flags, `${scope}.${key}`, value);
+    return this;
+  }
+
+  toObject() { return JSON.parse(JSON.stringify(this)); }
+}
+
+class PlaceableObject {
+  /**
+   * @param {Document} document
+   */
+  constructor(document) {
+    this.document = document;
+    Object.defineProperty(document, "object", { value: this, configurable: true });
+  }
+
+  get id() { return this.document.id; }
+}
+
+class Wall extends PlaceableObject {
+  /** @type {number} */
+  get bottomZ() { return Number.NEGATIVE_INFINITY; }
+
+  /** @type {number} */
+  get topZ() { return Number.POSITIVE_INFINITY; }
+
+  /** @type {boolean} */
+  get isOpen() { return Boolean(this.document.door) && this.document.ds === CONST.WALL_DOOR_STATES.OPEN; }
+
+  get isDoor() { return Boolean(this.document.door); }
+}
+
+class Token extends PlaceableObject {}
+
+class Drawing extends PlaceableObject {}
+
+class Region extends PlaceableObject {
+  static MOVEMENT_SEGMENT_TYPES = { EXIT: -1, MOVE: 0, ENTER: 1 };
+}
+
+class Edge {
+  constructor(a, b, { id, type, object } = {}) {
+    this.a = new Point(a.x, a.y);
+    this.b = new Point(b.x, b.y);
+    this.id = id;
+    this.type = type;
+    this.object = object;
+  }
+
+  /**
+   * Which side of the edge is a point on?
+   * @param {Point} point
+   * @returns {number} CONST.WALL_DIRECTIONS
+   */
+  orientPoint(point) {
+    const orientation = orient2dFast(this.a, this.b, point);
+    if ( !orientation ) return CONST.WALL_DIRECTIONS.BOTH;
+    return orientation < 0 ? CONST.WALL_DIRECTIONS.LEFT : CONST.WALL_DIRECTIONS.RIGHT;
+  }
+}
+
+class Color extends Number {
+  static from(value) { return new this(Number(value)); }
+}
+
+// ----- NOTE: Applications ----- //
+
+class Application {
+  static get defaultOptions() { return {}; }
+
+  render() { return this; }
+
+  close() { return Promise.resolve(); }
+}
+
+class FormApplication extends Application {}
+
+// ----- NOTE: Game ----- //
+
+/**
+ * Game settings. Registered defaults are stored so the module reads its real defaults.
+ */
+class ClientSettings {
+  /** @type {Map<string, object>} */
+  settings = new Map();
+
+  /** @type {Map<string, *>} */
+  values = new Map();
+
+  register(namespace, key, data) { this.settings.set(`${namespace}.${key}`, data); }
+
+  registerMenu() {}
+
+  get(namespace, key) {
+    const id = `${namespace}.${key}`;
+    if ( this.values.has(id) ) return this.values.get(id);
+    return this.settings.get(id)?.default;
+  }
+
+  async set(namespace, key, value) {
+    this.values.set(`${namespace}.${key}`, value);
+    return value;
+  }
+}
+
+/**
+ * Records hooks, so the tests can run the module initialization.
+ */
+const Hooks = {
+  /** @type {Map<string, function[]>} */
+  events: new Map(),
+
+  on(hook, fn) {
+    if ( !this.events.has(hook) ) this.events.set(hook, []);
+    this.events.get(hook).push(fn);
+    return this.events.get(hook).length;
+  },
+
+  once(hook, fn) { return this.on(hook, fn); },
+
+  off() {},
+
+  callAll(hook, ...args) {
+    for ( const fn of this.events.get(hook) ?? [] ) fn(...args);
+    return true;
+  },
+
+  call(hook, ...args) { return this.callAll(hook, ...args); }
+};
+
+// ----- NOTE: Globals ----- //
+
+globalThis.window = globalThis;
+globalThis.PIXI = { Point, Rectangle, Polygon };
+
+globalThis.foundry = {
+  utils: {
+    orient2dFast,
+    lineSegmentIntersects,
+    lineSegmentIntersection,
+    lineLineIntersection,
+    closestPointToSegment,
+    getProperty,
+    setProperty,
+    isNewerVersion,
+    mergeObject,
+    randomID,
+    debounce,
+    deepClone: obj => structuredClone(obj),
+    duplicate: obj => JSON.parse(JSON.stringify(obj))
+  },
+  canvas: { edges: { Edge } },
+  abstract: { Document }
+};
+
+globalThis.CONST = {
+  GRID_TYPES: { GRIDLESS: 0, SQUARE: 1, HEXODDR: 2, HEXEVENR: 3, HEXODDQ: 4, HEXEVENQ: 5 },
+  GRID_DIAGONALS: {
+    EQUIDISTANT: 0,
+    EXACT: 1,
+    APPROXIMATE: 2,
+    RECTILINEAR: 3,
+    ALTERNATING_1: 4,
+    ALTERNATING_2: 5,
+    ILLEGAL: 6
+  },
+  TOKEN_DISPOSITIONS: { SECRET: -2, HOSTILE: -1, NEUTRAL: 0, FRIENDLY: 1 },
+  WALL_MOVEMENT_TYPES: { NONE: 0, NORMAL: 20 },
+  WALL_SENSE_TYPES: { NONE: 0, LIMITED: 10, NORMAL: 20, PROXIMITY: 30, DISTANCE: 40 },
+  WALL_DIRECTIONS: { BOTH: 0, LEFT: 1, RIGHT: 2 },
+  WALL_DOOR_TYPES: { NONE: 0, DOOR: 1, SECRET: 2 },
+  WALL_DOOR_STATES: { CLOSED: 0, OPEN: 1, LOCKED: 2 },
+  KEYBINDING_PRECEDENCE: { PRIORITY: 0, NORMAL: 1, DEFERRED: 2 },
+  MOVEMENT_TYPES: {},
+  USER_ROLES: { NONE: 0, PLAYER: 1, TRUSTED: 2, ASSISTANT: 3, GAMEMASTER: 4 }
+};
+
+globalThis.CONFIG = {
+  Canvas: {},
+  Token: { documentClass: Document },
+  canvasTextStyle: { clone() { return { ...this }; } },
+  controlIcons: {},
+  statusEffects: []
+};
+
+globalThis.game = {
+  settings: new ClientSettings(),
+  keybindings: { register() {} },
+  i18n: { localize: key => key, format: key => key, has: () => false },
+  modules: new Map([["elevationruler", { id: "elevationruler", active: true }]]),
+  system: { id: "test", version: "1.0.0" },
+  user: { isGM: true, id: "user" },
+  users: [],
+  combat: null
+};
+
+globalThis.canvas = {};
+
+Object.assign(globalThis, {
+  CanvasQuadtree,
+  Color,
+  Hooks,
+  Wall,
+  Token,
+  Drawing,
+  Region,
+  Application,
+  FormApplication,
+  loadTemplates: async () => []
+});
@@ -0,0 +1,195 @@
+"use strict";
+
+// Stand-in for the geometry library 3d grid coordinates and grid measurement.
+// Elevation is divided into grid-sized units, k, so that moves up or down count as grid steps.
+// On square grids, a step that changes more than one of i, j, and k is a diagonal, priced by the diagonal rule.
+// On hex grids, only steps that change k along with the hex are diagonals.
+
+import { Point3d } from "./Point3d.js";
+
+export class GridCoordinates3d extends Point3d {
+  /**
+   * The core diagonal rules, plus a strictly Euclidean rule.
+   * @enum {number}
+   */
+  static GRID_DIAGONALS = { ...CONST.GRID_DIAGONALS, EUCLIDEAN: 50 };
+
+  /**
+   * @param {object} obj    Object with x, y, and either z in pixels or elevation in grid units
+   * @returns {GridCoordinates3d}
+   */
+  static fromObject(obj) {
+    const z = obj.z ?? CONFIG.GeometryLib.utils.gridUnitsToPixels(obj.elevation ?? 0);
+    return new this(obj.x, obj.y, z);
+  }
+
+  /**
+   * Center of a grid space, at the elevation of its k unit.
+   * @param {object} offset   { i, j, k }
+   * @returns {GridCoordinates3d}
+   */
+  static fromOffset(offset) {
+    const { x, y } = canvas.grid.getCenterPoint(offset);
+    return new this(x, y, CONFIG.GeometryLib.utils.gridUnitsToPixels(this.elevationForUnit(offset.k ?? 0)));
+  }
+
+  /**
+   * @param {number} elevation    In grid units
+   * @returns {number} The k unit
+   */
+  static unitElevation(elevation) { return Math.round(elevation / canvas.grid.distance); }
+
+  /**
+   * @param {number} k
+   * @returns {number} Elevation, in grid units
+   */
+  static elevationForUnit(k) { return k * canvas.grid.distance; }
+
+  /** @type {number} */
+  get i() { return canvas.grid.getOffset(this).i; }
+
+  /** @type {number} */
+  get j() { return canvas.grid.getOffset(this).j; }
+
+  /** @type {number} */
+  get k() { return this.constructor.unitElevation(this.elevation); }
+
+  /**
+   * Elevation, in grid units.
+   * @type {number}
+   */
+  get elevation() { return CONFIG.GeometryLib.utils.pixelsToGridUnits(this.z); }
+
+  /**
+   * Center of the grid space containing this point.
+   * @type {GridCoordinates3d}
+   */
+  get center() { return this.constructor.fromOffset(this.toOffset()); }
+
+  /**
+   * @returns {object} { i, j, k }
+   */
+  toOffset() { return { ...canvas.grid.getOffset(this), k: this.k }; }
+
+  /**
+   * Number of diagonal grid steps between two grid spaces.
+   * @param {object} a    Point or offset
+   * @param {object} b    Point or offset
+   * @returns {number}
+   */
+  static numDiagonal(a, b) {
+    if ( canvas.grid.isGridless ) return 0;
+    return gridSteps(this.#offset3d(a), this.#offset3d(b)).diagonal;
+  }
+
+  /**
+   * Measure a move.
+   * On grids, the distance is counted in grid steps, each step priced by the diagonal rule.
+   * @param {GridCoordinates3d} a
+   * @param {GridCoordinates3d} b
+   * @param {object} [opts]
+   * @param {number} [opts.numPrevDiagonal=0]   Diagonals moved before a, for the alternating rules
+   * @param {number} [opts.diagonals]           GRID_DIAGONALS; defaults to the grid rule
+   * @returns {object} { distance, offsetDistance, numDiagonal }, in grid units
+   */
+  static gridMeasurementForSegment(a, b, { numPrevDiagonal = 0, diagonals = canvas.grid.diagonals } = {}) {
+    if ( canvas.grid.isGridless || diagonals === this.GRID_DIAGONALS.EUCLIDEAN ) {
+      const distance = CONFIG.GeometryLib.utils.pixelsToGridUnits(Point3d.distanceBetween(a, b));
+      return { distance, offsetDistance: distance, numDiagonal: 0 };
+    }
+    const { straight, diagonal } = gridSteps(this.#offset3d(a), this.#offset3d(b));
+    const distance = (straight + diagonalCost(diagonal, numPrevDiagonal, diagonals)) * canvas.grid.distance;
+    return { distance, offsetDistance: distance, numDiagonal: diagonal };
+  }
+
+  /**
+   * Distance between two points, in grid units.
+   * @param {object} a
+   * @param {object} b
+   * @param {object} [opts]
+   * @param {number} [opts.diagonals]
+   * @returns {number}
+   */
+  static gridDistanceBetween(a, b, { diagonals } = {}) {
+    return this.gridMeasurementForSegment(this.fromObject(a), this.fromObject(b), { diagonals }).distance;
+  }
+
+  /**
+   * Function that measures successive steps between adjacent offsets, counting diagonals along the way.
+   * @param {number} [diagonals]    GRID_DIAGONALS; defaults to the grid rule
+   * @returns {function} Takes the prior and current offsets and returns the step distance, in grid units
+   */
+  static getOffsetDistanceFn(diagonals = canvas.grid.diagonals) {
+    let numPrevDiagonal = 0;
+    return (prevOffset, currOffset) => {
+      const { straight, diagonal } = gridSteps(withK(prevOffset), withK(currOffset));
+      const dist = (straight + diagonalCost(diagonal, numPrevDiagonal, diagonals)) * canvas.grid.distance;
+      numPrevDiagonal += diagonal;
+      return dist;
+    };
+  }
+
+  /**
+   * @param {object} pt   Point or offset
+   * @returns {object} { i, j, k }
+   */
+  static #offset3d(pt) {
+    if ( Object.hasOwn(pt, "i") && !(pt instanceof GridCoordinates3d) ) return withK(pt);
+    return this.fromObject(pt).toOffset();
+  }
+}
+
+/**
+ * @param {object} offset
+ * @returns {object} The offset with k, defaulting to 0
+ */
+function withK(offset) { return { i: offset.i, j: offset.j, k: offset.k ?? 0 }; }
+
+/**
+ * Count the straight and diagonal steps of the shortest move between two grid spaces.
+ * @param {object} a    { i, j, k }
+ * @param {object} b    { i, j, k }
+ * @returns {object} { straight, diagonal }
+ */
+function gridSteps(a, b) {
+  const dk = Math.abs(b.k - a.k);
+  if ( canvas.grid.isHexagonal ) {
+    const cubeA = canvas.grid.getCube(a);
+    const cubeB = canvas.grid.getCube(b);
+    const dHex = (Math.abs(cubeA.q - cubeB.q) + Math.abs(cubeA.r - cubeB.r) + Math.abs(cubeA.s - cubeB.s)) * 0.5;
+    const diagonal = Math.min(dHex, dk);
+    return { straight: Math.max(dHex, dk) - diagonal, diagonal };
+  }
+  const [d0, d1] = [Math.abs(b.i - a.i), Math.abs(b.j - a.j), dk].sort((x, y) => y - x);
+  return { straight: d0 - d1, diagonal: d1 };
+}
+
+/**
+ * Cost, in grid steps, of a number of diagonal steps.
+ * @param {number} nDiagonal
+ * @param {number} numPrevDiagonal      Diagonals already moved, for the alternating rules
+ * @param {number} diagonals            GRID_DIAGONALS
+ * @returns {number}
+ */
+function diagonalCost(nDiagonal, numPrevDiagonal, diagonals) {
+  const D = GridCoordinates3d.GRID_DIAGONALS;
+  switch ( diagonals ) {
+    case D.EXACT: return nDiagonal * Math.SQRT2;
+    case D.APPROXIMATE: return nDiagonal * 1.5;
+    case D.RECTILINEAR:
+    case D.ILLEGAL: return nDiagonal * 2;
+
+    // 5/10/5: every second diagonal counts double.
+    case D.ALTERNATING_1: {
+      const total = numPrevDiagonal + nDiagonal;
+      return nDiagonal + (Math.floor(total / 2) - Math.floor(numPrevDiagonal / 2));
+    }
+
+    // 10/5/10: every first diagonal counts double.
+    case D.ALTERNATING_2: {
+      const total = numPrevDiagonal + nDiagonal;
+      return nDiagonal + (Math.ceil(total / 2) - Math.ceil(numPrevDiagonal / 2));
+    }
+  }
+  return nDiagonal;
+}
@@ -0,0 +1,62 @@
+"use strict";
+
+// Stand-in for the geometry library 3d point: a PIXI.Point with a z coordinate, in pixel units.
+
+export class Point3d extends PIXI.Point {
+  constructor(x = 0, y = 0, z = 0) {
+    super(x, y);
+    this.z = z;
+  }
+
+  /**
+   * @param {object} obj    Object with x, y, and optionally z
+   * @returns {Point3d}
+   */
+  static fromObject(obj) { return new this(obj.x, obj.y, obj.z ?? 0); }
+
+  static distanceBetween(a, b) { return Math.hypot(b.x - a.x, b.y - a.y, (b.z ?? 0) - (a.z ?? 0)); }
+
+  set(x = 0, y = x, z = 0) {
+    super.set(x, y);
+    this.z = z;
+    return this;
+  }
+
+  clone() { return new this.constructor(this.x, this.y, this.z); }
+
+  copyFrom(other) { return this.set(other.x, other.y, other.z ?? 0); }
+
+  equals(other) { return super.equals(other) && this.z === (other.z ?? 0); }
+
+  almostEqual(other, epsilon = 1e-08) {
+    return super.almostEqual(other, epsilon) && this.z.almostEqual(other.z ?? 0, epsilon);
+  }
+
+  add(other, outPoint = new this.constructor()) {
+    return outPoint.set(this.x + other.x, this.y + other.y, this.z + (other.z ?? 0));
+  }
+
+  subtract(other, outPoint = new this.constructor()) {
+    return outPoint.set(this.x - other.x, this.y - other.y, this.z - (other.z ?? 0));
+  }
+
+  multiplyScalar(scalar, outPoint = new this.constructor()) {
+    return outPoint.set(this.x * scalar, this.y * scalar, this.z * scalar);
+  }
+
+  dot(other) { return super.dot(other) + (this.z * (other.z ?? 0)); }
+
+  magnitude() { return Math.hypot(this.x, this.y, this.z); }
+
+  towardsPoint(other, distance, outPoint) {
+    const dist = this.constructor.distanceBetween(this, other);
+    return this.projectToward(other, dist ? distance / dist : 0, outPoint);
+  }
+
+  /**
+   * @returns {PIXI.Point}
+   */
+  to2d() { return new PIXI.Point(this.x, this.y); }
+
+  static _tmp = new this();
+}
@@ -0,0 +1,16 @@
+"use strict";
+
+// Stand-in for the geometry library 3d ray. The tests do not measure rulers, so it only holds its endpoints.
+
+import { Point3d } from "./Point3d.js";
+
+export class Ray3d {
+  constructor(A, B) {
+    this.A = Point3d.fromObject(A);
+    this.B = Point3d.fromObject(B);
+  }
+
+  static from2d(ray, { Az = 0, Bz = 0 } = {}) {
+    return new this({ ...ray.A, z: Az }, { ...ray.B, z: Bz });
+  }
+}
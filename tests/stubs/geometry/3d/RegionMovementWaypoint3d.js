@@ -0,0 +1,10 @@
+"use strict";
+
+// Stand-in for the geometry library region waypoint: a 3d point that also reports its elevation in grid units.
+
+import { Point3d } from "./Point3d.js";
+
+export class RegionMovementWaypoint3d extends Point3d {
+  /** @type {number} */
+  get elevation() { return CONFIG.GeometryLib.utils.pixelsToGridUnits(this.z); }
+}
@@ -0,0 +1,15 @@
+"use strict";
+
+// Stand-in for the geometry library Draw class. Nothing is drawn outside the canvas.
+
+export class Draw {
+  static COLORS = new Proxy({}, { get: () => 0 });
+
+  static point() {}
+
+  static segment() {}
+
+  static shape() {}
+
+  static clearDrawings() {}
+}
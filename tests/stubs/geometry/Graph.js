@@ -0,0 +1,103 @@
+"use strict";
+
+// Stand-in for the geometry library undirected graph, with the parts used by WallTracer.
+
+export class GraphVertex {
+  /** @type {Set<GraphEdge>} */
+  edges = new Set();
+
+  /**
+   * @param {*} value     Also used as the key of the vertex
+   */
+  constructor(value) { this.value = value; }
+
+  /** @type {*} */
+  get key() { return this.value; }
+}
+
+export class GraphEdge {
+  /**
+   * @param {GraphVertex} A
+   * @param {GraphVertex} B
+   */
+  constructor(A, B) {
+    this.A = A;
+    this.B = B;
+  }
+
+  /**
+   * Same for either order of the vertices.
+   * @type {string}
+   */
+  get key() {
+    const keyA = this.A.key;
+    const keyB = this.B.key;
+    return keyA < keyB ? `${keyA}_${keyB}` : `${keyB}_${keyA}`;
+  }
+
+  /**
+   * @param {GraphVertex} vertex
+   * @returns {GraphVertex}
+   */
+  otherVertex(vertex) { return vertex.key === this.A.key ? this.B : this.A; }
+}
+
+export class Graph {
+  /** @type {Map<*, GraphVertex>} */
+  vertices = new Map();
+
+  /** @type {Map<string, GraphEdge>} */
+  edges = new Map();
+
+  /**
+   * Add an edge, sharing vertices already in the graph.
+   * @param {GraphEdge} edge
+   * @returns {GraphEdge}
+   */
+  addEdge(edge) {
+    edge.A = this.#addVertex(edge.A);
+    edge.B = this.#addVertex(edge.B);
+    edge.A.edges.add(edge);
+    edge.B.edges.add(edge);
+    this.edges.set(edge.key, edge);
+    return edge;
+  }
+
+  /**
+   * Remove an edge, and any vertex left without edges.
+   * @param {GraphEdge} edge
+   */
+  deleteEdge(edge) {
+    this.edges.delete(edge.key);
+    for ( const vertex of [edge.A, edge.B] ) {
+      vertex.edges.delete(edge);
+      if ( !vertex.edges.size ) this.vertices.delete(vertex.key);
+    }
+  }
+
+  /**
+   * Edges between the vertices with these keys.
+   * @param {*} keyA
+   * @param {*} keyB
+   * @returns {GraphEdge[]}
+   */
+  getEdgeByKeys(keyA, keyB) {
+    const vertex = this.vertices.get(keyA);
+    if ( !vertex ) return [];
+    return [...vertex.edges].filter(edge => edge.otherVertex(vertex).key === keyB);
+  }
+
+  clear() {
+    this.vertices.clear();
+    this.edges.clear();
+  }
+
+  /**
+   * @param {GraphVertex} vertex
+   * @returns {GraphVertex} The vertex in the graph with the same key
+   */
+  #addVertex(vertex) {
+    if ( !this.vertices.has(vertex.key) ) this.vertices.set(vertex.key, vertex);
+    return this.vertices.get(vertex.key);
+  }
+}
@@ -0,0 +1,35 @@
+"use strict";
+
+// Stand-in for the geometry library grid coordinates: a canvas point that knows its grid space.
+
+export class GridCoordinates extends PIXI.Point {
+  /**
+   * @param {object} obj    Object with x and y
+   * @returns {GridCoordinates}
+   */
+  static fromObject(obj) { return new this(obj.x, obj.y); }
+
+  /**
+   * Center of a grid space.
+   * @param {object} offset   { i, j }
+   * @returns {GridCoordinates}
+   */
+  static fromOffset(offset) { return this.fromObject(canvas.grid.getCenterPoint(offset)); }
+
+  /** @type {number} */
+  get i() { return canvas.grid.getOffset(this).i; }
+
+  /** @type {number} */
+  get j() { return canvas.grid.getOffset(this).j; }
+
+  /**
+   * Center of the grid space containing this point.
+   * @type {GridCoordinates}
+   */
+  get center() { return this.constructor.fromOffset(this.toOffset()); }
+
+  /**
+   * @returns {object} { i, j }
+   */
+  toOffset() { return canvas.grid.getOffset(this); }
+}
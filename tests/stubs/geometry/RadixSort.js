@@ -0,0 +1,13 @@
+"use strict";
+
+// Stand-in for the geometry library radix sort: the same ascending order, using Array.prototype.sort.
+
+/**
+ * Sort objects by a numeric property, lowest first.
+ * @param {object[]} arr
+ * @param {string} key
+ * @returns {object[]}
+ */
+export function radixSortObj(arr, key) {
+  return [...arr].sort((a, b) => a[key] - b[key]);
+}
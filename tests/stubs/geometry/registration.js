@@ -0,0 +1,54 @@
+"use strict";
+
+// Stand-in for the geometry library registration, which makes the library available in CONFIG.GeometryLib.
+
+import { Draw } from "./Draw.js";
+import { GridCoordinates } from "./GridCoordinates.js";
+import { Graph, GraphVertex, GraphEdge } from "./Graph.js";
+import { Point3d } from "./3d/Point3d.js";
+import { GridCoordinates3d } from "./3d/GridCoordinates3d.js";
+import { Ray3d } from "./3d/Ray3d.js";
+import { RegionMovementWaypoint3d } from "./3d/RegionMovementWaypoint3d.js";
+
+export function registerGeometry() {
+  CONFIG.GeometryLib ??= {
+    Draw,
+    GridCoordinates,
+    Graph: { Graph, GraphVertex, GraphEdge },
+    threeD: { Point3d, GridCoordinates3d, Ray3d, RegionMovementWaypoint3d },
+    utils: { gridUnitsToPixels, pixelsToGridUnits, roundDecimals, centeredPolygonFromDrawing }
+  };
+}
+
+/**
+ * @param {number} value    In grid units
+ * @returns {number} In pixels
+ */
+function gridUnitsToPixels(value) { return value * canvas.dimensions.distancePixels; }
+
+/**
+ * @param {number} value    In pixels
+ * @returns {number} In grid units
+ */
+function pixelsToGridUnits(value) { return value / canvas.dimensions.distancePixels; }
+
+/**
+ * @param {number} n
+ * @param {number} places
+ * @returns {number}
+ */
+function roundDecimals(n, places) {
+  const mult = Math.pow(10, places);
+  return Math.round(n * mult) / mult;
+}
+
+/**
+ * Border of a drawing, in canvas coordinates. Drawings are unrotated rectangles or polygons.
+ * @param {Drawing} drawing
+ * @returns {PIXI.Polygon}
+ */
+function centeredPolygonFromDrawing(drawing) {
+  const { x, y, shape } = drawing.document;
+  if ( shape.points?.length ) return new PIXI.Polygon(shape.points.map((v, i) => v + (i % 2 ? y : x)));
+  return new PIXI.Rectangle(x, y, shape.width, shape.height).toPolygon();
+}
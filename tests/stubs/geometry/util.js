@@ -0,0 +1,110 @@
+"use strict";
+
+// Stand-in for the geometry library segment intersection helpers used by WallTracer.
+
+/**
+ * Kinds of segment collision.
+ * ENDPOINT means the segments only share an endpoint.
+ * @enum {number}
+ */
+export const IX_TYPES = {
+  NONE: 0,
+  NORMAL: 1,
+  ENDPOINT: 2,
+  OVERLAP: 3
+};
+
+/**
+ * Do two segments touch or overlap anywhere?
+ * @param {Point} a
+ * @param {Point} b
+ * @param {Point} c
+ * @param {Point} d
+ * @returns {boolean}
+ */
+export function doSegmentsOverlap(a, b, c, d) { return Boolean(segmentCollision(a, b, c, d)); }
+
+/**
+ * Find where segment a|b meets segment c|d.
+ * t0 is the fraction along a|b; t1 is the fraction along c|d.
+ * For collinear segments that overlap, the overlap runs from t0 to endT0 along a|b, and from t1 to endT1 along c|d.
+ * @param {Point} a
+ * @param {Point} b
+ * @param {Point} c
+ * @param {Point} d
+ * @returns {object|null} { x, y, t0, t1, type, endT0, endT1 }
+ */
+export function segmentCollision(a, b, c, d) {
+  const { orient2dFast, lineSegmentIntersects, lineSegmentIntersection } = foundry.utils;
+  const collinear = orient2dFast(a, b, c).almostEqual(0) && orient2dFast(a, b, d).almostEqual(0);
+  if ( collinear ) return collinearCollision(a, b, c, d);
+  if ( !lineSegmentIntersects(a, b, c, d) && !touches(a, b, c, d) ) return null;
+  const ix = lineSegmentIntersection(a, b, c, d);
+  if ( !ix ) return null;
+  const atEnd = t => t.almostEqual(0) || t.almostEqual(1);
+  const type = atEnd(ix.t0) && atEnd(ix.t1) ? IX_TYPES.ENDPOINT : IX_TYPES.NORMAL;
+  return { x: ix.x, y: ix.y, t0: ix.t0, t1: ix.t1, type };
+}
+
+/**
+ * Does an endpoint of one segment lie on the other segment?
+ * @param {Point} a
+ * @param {Point} b
+ * @param {Point} c
+ * @param {Point} d
+ * @returns {boolean}
+ */
+function touches(a, b, c, d) {
+  return onSegment(c, a, b) || onSegment(d, a, b) || onSegment(a, c, d) || onSegment(b, c, d);
+}
+
+/**
+ * @param {Point} pt
+ * @param {Point} a
+ * @param {Point} b
+ * @returns {boolean}
+ */
+function onSegment(pt, a, b) {
+  if ( !foundry.utils.orient2dFast(a, b, pt).almostEqual(0) ) return false;
+  const t = fractionAlong(pt, a, b);
+  return t >= -1e-08 && t <= 1 + 1e-08;
+}
+
+/**
+ * Collision between collinear segments.
+ * @param {Point} a
+ * @param {Point} b
+ * @param {Point} c
+ * @param {Point} d
+ * @returns {object|null}
+ */
+function collinearCollision(a, b, c, d) {
+  const tc = fractionAlong(c, a, b);
+  const td = fractionAlong(d, a, b);
+  const start = Math.max(0, Math.min(tc, td));
+  const end = Math.min(1, Math.max(tc, td));
+  if ( start > end + 1e-08 ) return null;
+  const ptAt = t => ({ x: a.x + ((b.x - a.x) * t), y: a.y + ((b.y - a.y) * t) });
+  const p0 = ptAt(start);
+  const t1 = fractionAlong(p0, c, d);
+  if ( (end - start).almostEqual(0) ) {
+    const atEnd = t => t.almostEqual(0) || t.almostEqual(1);
+    const type = atEnd(start) && atEnd(t1) ? IX_TYPES.ENDPOINT : IX_TYPES.NORMAL;
+    return { ...p0, t0: start, t1, type };
+  }
+  const endT1 = fractionAlong(ptAt(end), c, d);
+  return { ...p0, t0: start, t1, endT0: end, endT1, type: IX_TYPES.OVERLAP };
+}
+
+/**
+ * Fraction of the way from a to b of the projection of a point onto the line a|b.
+ * @param {Point} pt
+ * @param {Point} a
+ * @param {Point} b
+ * @returns {number}
+ */
+function fractionAlong(pt, a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  return (((pt.x - a.x) * dx) + ((pt.y - a.y) * dy)) / ((dx * dx) + (dy * dy));
+}
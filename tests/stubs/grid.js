@@ -0,0 +1,212 @@
+"use strict";
+
+// Stand-ins for the Foundry v12 grid classes, with the methods the pathfinding and measurement code use.
+// Offsets are { i: row, j: column }. Hexagonal grids have pointed tops, with odd rows shifted right.
+
+class BaseGrid {
+  /**
+   * @param {object} [opts]
+   * @param {number} [opts.size=100]          Pixels per grid space
+   * @param {number} [opts.distance=5]        Grid units per grid space
+   * @param {number} [opts.diagonals]         CONST.GRID_DIAGONALS
+   */
+  constructor({ size = 100, distance = 5, diagonals = CONST.GRID_DIAGONALS.EQUIDISTANT } = {}) {
+    this.size = size;
+    this.sizeX = size;
+    this.sizeY = size;
+    this.distance = distance;
+    this.units = "ft";
+    this.diagonals = diagonals;
+  }
+
+  get w() { return this.sizeX; }
+
+  get h() { return this.sizeY; }
+
+  get isSquare() { return this.type === CONST.GRID_TYPES.SQUARE; }
+
+  get isHexagonal() { return this.type >= CONST.GRID_TYPES.HEXODDR; }
+
+  get isGridless() { return this.type === CONST.GRID_TYPES.GRIDLESS; }
+
+  /**
+   * @param {object} coords     Point or offset
+   * @returns {object} Offset
+   */
+  getOffset(coords) {
+    if ( Object.hasOwn(coords, "i") ) return { i: coords.i, j: coords.j };
+    return this._offsetForPoint(coords);
+  }
+
+  /**
+   * @param {object} coords     Point or offset
+   * @returns {object} Center of the grid space
+   */
+  getCenterPoint(coords) { return this._centerForOffset(this.getOffset(coords)); }
+
+  /**
+   * @param {object} coords     Point or offset
+   * @returns {object}
+   */
+  getTopLeftPoint(coords) {
+    const { x, y } = this.getCenterPoint(coords);
+    return { x: x - (this.sizeX * 0.5), y: y - (this.sizeY * 0.5) };
+  }
+
+  /**
+   * @param {number} i0
+   * @param {number} j0
+   * @param {number} i1
+   * @param {number} j1
+   * @returns {boolean}
+   */
+  isNeighbor(i0, j0, i1, j1) {
+    return this.getAdjacentOffsets({ i: i0, j: j0 }).some(o => o.i === i1 && o.j === j1);
+  }
+}
+
+export class SquareGrid extends BaseGrid {
+  type = CONST.GRID_TYPES.SQUARE;
+
+  _offsetForPoint({ x, y }) { return { i: Math.floor(y / this.size), j: Math.floor(x / this.size) }; }
+
+  _centerForOffset({ i, j }) { return { x: (j + 0.5) * this.size, y: (i + 0.5) * this.size }; }
+
+  /**
+   * The eight spaces around an offset.
+   * @param {object} offset
+   * @returns {object[]}
+   */
+  getAdjacentOffsets({ i, j }) {
+    const out = [];
+    for ( const di of [-1, 0, 1] ) {
+      for ( const dj of [-1, 0, 1] ) if ( di || dj ) out.push({ i: i + di, j: j + dj });
+    }
+    return out;
+  }
+
+  /**
+   * Offsets of the spaces along a straight path through the waypoints, including both ends.
+   * Moves diagonally where the line does, unless diagonals are illegal.
+   * @param {object[]} waypoints    Points or offsets
+   * @returns {object[]}
+   */
+  getDirectPath(waypoints) {
+    const path = [];
+    for ( let w = 1; w < waypoints.length; w += 1 ) {
+      const a = this.getOffset(waypoints[w - 1]);
+      const b = this.getOffset(waypoints[w]);
+      const di = b.i - a.i;
+      const dj = b.j - a.j;
+      const n = Math.max(Math.abs(di), Math.abs(dj));
+      if ( w === 1 ) path.push(a);
+      let prev = a;
+      for ( let s = 1; s <= n; s += 1 ) {
+        const next = { i: a.i + Math.round(di * s / n), j: a.j + Math.round(dj * s / n) };
+        const isDiagonal = next.i !== prev.i && next.j !== prev.j;
+        if ( isDiagonal && this.diagonals === CONST.GRID_DIAGONALS.ILLEGAL ) path.push({ i: next.i, j: prev.j });
+        path.push(next);
+        prev = next;
+      }
+    }
+    return path;
+  }
+}
+
+export class HexagonalGrid extends BaseGrid {
+  type = CONST.GRID_TYPES.HEXODDR;
+
+  constructor(opts) {
+    super(opts);
+    this.sizeY = this.size * 2 / Math.sqrt(3);
+  }
+
+  /**
+   * Cube coordinates of an offset.
+   * @param {object} coords     Point or offset
+   * @returns {object} { q, r, s }
+   */
+  getCube(coords) {
+    const { i, j } = this.getOffset(coords);
+    const q = j - ((i - (i & 1)) / 2);
+    return { q, r: i, s: -q - i };
+  }
+
+  /**
+   * @param {object} cube     { q, r, s }, possibly fractional
+   * @returns {object} Offset of the nearest space
+   */
+  _offsetForCube({ q, r, s }) {
+    let rq = Math.round(q);
+    let rr = Math.round(r);
+    const rs = Math.round(s);
+    const dq = Math.abs(rq - q);
+    const dr = Math.abs(rr - r);
+    const ds = Math.abs(rs - s);
+    if ( dq > dr && dq > ds ) rq = -rr - rs;
+    else if ( dr > ds ) rr = -rq - rs;
+    return { i: rr, j: rq + ((rr - (rr & 1)) / 2) };
+  }
+
+  _offsetForPoint({ x, y }) {
+    const radius = this.sizeY * 0.5;
+    const px = x - (this.sizeX * 0.5);
+    const py = y - radius;
+    const q = ((Math.sqrt(3) / 3 * px) - (py / 3)) / radius;
+    const r = (2 / 3 * py) / radius;
+    return this._offsetForCube({ q, r, s: -q - r });
+  }
+
+  _centerForOffset({ i, j }) {
+    return { x: (j + 0.5 + ((i & 1) * 0.5)) * this.sizeX, y: ((0.75 * i) + 0.5) * this.sizeY };
+  }
+
+  /**
+   * The six spaces around an offset.
+   * @param {object} offset
+   * @returns {object[]}
+   */
+  getAdjacentOffsets(offset) {
+    const { q, r, s } = this.getCube(offset);
+    return [[1, 0, -1], [1, -1, 0], [0, -1, 1], [-1, 0, 1], [-1, 1, 0], [0, 1, -1]]
+      .map(([dq, dr, ds]) => this._offsetForCube({ q: q + dq, r: r + dr, s: s + ds }));
+  }
+
+  /**
+   * Offsets of the spaces along a straight path through the waypoints, including both ends.
+   * @param {object[]} waypoints    Points or offsets
+   * @returns {object[]}
+   */
+  getDirectPath(waypoints) {
+    const path = [];
+    for ( let w = 1; w < waypoints.length; w += 1 ) {
+      const a = this.getCube(waypoints[w - 1]);
+      const b = this.getCube(waypoints[w]);
+      const n = (Math.abs(a.q - b.q) + Math.abs(a.r - b.r) + Math.abs(a.s - b.s)) * 0.5;
+      for ( let s = w === 1 ? 0 : 1; s <= n; s += 1 ) {
+        const t = n ? s / n : 0;
+
+        // Nudge off the edges between spaces so each step rounds the same way.
+        const lerp = (c0, c1, eps) => c0 + ((c1 - c0) * t) + eps;
+        const q = lerp(a.q, b.q, 1e-06);
+        const r = lerp(a.r, b.r, 2e-06);
+        path.push(this._offsetForCube({ q, r, s: lerp(a.s, b.s, -3e-06) }));
+      }
+    }
+    return path;
+  }
+}
+
+export class GridlessGrid extends BaseGrid {
+  type = CONST.GRID_TYPES.GRIDLESS;
+
+  _offsetForPoint({ x, y }) { return { i: Math.floor(y / this.size), j: Math.floor(x / this.size) }; }
+
+  _centerForOffset({ i, j }) { return { x: (j + 0.5) * this.size, y: (i + 0.5) * this.size }; }
+
+  getCenterPoint(coords) { return Object.hasOwn(coords, "i") ? this._centerForOffset(coords) : { x: coords.x, y: coords.y }; }
+
+  getAdjacentOffsets() { return []; }
+
+  getDirectPath(waypoints) { return waypoints.map(pt => this.getOffset(pt)); }
+}
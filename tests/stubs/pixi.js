@@ -0,0 +1,275 @@
+"use strict";
+
+// Stand-ins for the PIXI shapes, with the methods the geometry library adds to them.
+
+/**
+ * Point keys pack the rounded coordinates into a single number, as in the geometry library.
+ * @type {number}
+ */
+const MAX_TEXTURE_SIZE = Math.pow(2, 16);
+
+export class Point {
+  constructor(x = 0, y = 0) {
+    this.x = x;
+    this.y = y;
+  }
+
+  /** @type {number} */
+  get key() { return (Math.round(this.x) * MAX_TEXTURE_SIZE) + Math.round(this.y); }
+
+  /**
+   * @param {number} key
+   * @returns {Point}
+   */
+  static invertKey(key) {
+    const x = Math.floor(key / MAX_TEXTURE_SIZE);
+    return new this(x, key - (x * MAX_TEXTURE_SIZE));
+  }
+
+  /**
+   * @param {object} obj
+   * @returns {Point}
+   */
+  static fromObject(obj) { return new this(obj.x, obj.y); }
+
+  static distanceBetween(a, b) { return Math.hypot(b.x - a.x, b.y - a.y); }
+
+  static distanceSquaredBetween(a, b) { return Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2); }
+
+  set(x = 0, y = x) {
+    this.x = x;
+    this.y = y;
+    return this;
+  }
+
+  clone() { return new this.constructor(this.x, this.y); }
+
+  copyFrom(other) { return this.set(other.x, other.y); }
+
+  equals(other) { return this.x === other.x && this.y === other.y; }
+
+  almostEqual(other, epsilon = 1e-08) {
+    return this.x.almostEqual(other.x, epsilon) && this.y.almostEqual(other.y, epsilon);
+  }
+
+  add(other, outPoint = new this.constructor()) { return outPoint.set(this.x + other.x, this.y + other.y); }
+
+  subtract(other, outPoint = new this.constructor()) { return outPoint.set(this.x - other.x, this.y - other.y); }
+
+  multiplyScalar(scalar, outPoint = new this.constructor()) { return outPoint.set(this.x * scalar, this.y * scalar); }
+
+  dot(other) { return (this.x * other.x) + (this.y * other.y); }
+
+  magnitude() { return Math.hypot(this.x, this.y); }
+
+  normalize(outPoint = new this.constructor()) { return this.multiplyScalar(1 / this.magnitude(), outPoint); }
+
+  /**
+   * Point a fraction of the way toward another point.
+   * @param {Point} other
+   * @param {number} t
+   * @param {Point} [outPoint]
+   * @returns {Point}
+   */
+  projectToward(other, t, outPoint) {
+    outPoint ??= new this.constructor();
+    const delta = other.subtract(this, outPoint);
+    return this.add(delta.multiplyScalar(t, outPoint), outPoint);
+  }
+
+  /**
+   * Point a distance toward another point. Negative distances move away from it.
+   * @param {Point} other
+   * @param {number} distance
+   * @param {Point} [outPoint]
+   * @returns {Point}
+   */
+  towardsPoint(other, distance, outPoint) {
+    const dist = this.constructor.distanceBetween(this, other);
+    return this.projectToward(other, dist ? distance / dist : 0, outPoint);
+  }
+
+  roundDecimals(places = 0) {
+    const mult = Math.pow(10, places);
+    this.x = Math.round(this.x * mult) / mult;
+    this.y = Math.round(this.y * mult) / mult;
+    return this;
+  }
+
+  static _tmp = new this();
+
+  static _tmp2 = new this();
+
+  static _tmp3 = new this();
+
+  /**
+   * @param {Point} a
+   * @param {Point} b
+   * @returns {Point} Point halfway between a and b
+   */
+  static midPoint(a, b) { return new this((a.x + b.x) * 0.5, (a.y + b.y) * 0.5); }
+}
+
+/**
+ * Edges of a closed shape, each as { A, B }.
+ * @param {number[]} points     Flat array of coordinates
+ * @returns {Generator<object>}
+ */
+function* edgesForPoints(points) {
+  const n = points.length;
+  for ( let i = 0; i < n; i += 2 ) {
+    const A = new Point(points[i], points[i + 1]);
+    const B = new Point(points[(i + 2) % n], points[(i + 3) % n]);
+    yield { A, B };
+  }
+}
+
+/**
+ * Does a segment cross any edge of a shape, or start or end inside it?
+ * @param {Rectangle|Polygon} shape
+ * @param {Point} a
+ * @param {Point} b
+ * @param {object} [opts]
+ * @param {boolean} [opts.inside=false]   If true, a segment with an endpoint inside the shape intersects it
+ * @returns {boolean}
+ */
+function shapeSegmentIntersects(shape, a, b, { inside = false } = {}) {
+  if ( inside && (shape.contains(a.x, a.y) || shape.contains(b.x, b.y)) ) return true;
+  for ( const edge of shape.iterateEdges() ) {
+    if ( foundry.utils.lineSegmentIntersects(a, b, edge.A, edge.B) ) return true;
+  }
+  return false;
+}
+
+/**
+ * Points where a segment crosses the edges of a shape, in order from a to b.
+ * @param {Rectangle|Polygon} shape
+ * @param {Point} a
+ * @param {Point} b
+ * @returns {Point[]} Each with t0, the fraction of the way from a to b
+ */
+function shapeSegmentIntersections(shape, a, b) {
+  const ixs = [];
+  for ( const edge of shape.iterateEdges() ) {
+    const ix = foundry.utils.lineSegmentIntersection(a, b, edge.A, edge.B);
+    if ( !ix || ixs.some(other => other.t0.almostEqual(ix.t0)) ) continue;
+    const pt = new Point(ix.x, ix.y);
+    pt.t0 = ix.t0;
+    ixs.push(pt);
+  }
+  return ixs.sort((p0, p1) => p0.t0 - p1.t0);
+}
+
+export class Rectangle {
+  constructor(x = 0, y = 0, width = 0, height = 0) {
+    this.x = x;
+    this.y = y;
+    this.width = width;
+    this.height = height;
+  }
+
+  get left() { return this.x; }
+
+  get right() { return this.x + this.width; }
+
+  get top() { return this.y; }
+
+  get bottom() { return this.y + this.height; }
+
+  get center() { return new Point(this.x + (this.width * 0.5), this.y + (this.height * 0.5)); }
+
+  get points() { return [this.left, this.top, this.right, this.top, this.right, this.bottom, this.left, this.bottom]; }
+
+  clone() { return new this.constructor(this.x, this.y, this.width, this.height); }
+
+  getBounds() { return this.clone(); }
+
+  contains(x, y) {
+    if ( this.width <= 0 || this.height <= 0 ) return false;
+    return x >= this.x && x < this.right && y >= this.y && y < this.bottom;
+  }
+
+  pad(paddingX = 0, paddingY = paddingX) {
+    this.x -= paddingX;
+    this.y -= paddingY;
+    this.width += paddingX * 2;
+    this.height += paddingY * 2;
+    return this;
+  }
+
+  /**
+   * Grow to cover another rectangle as well.
+   * @param {Rectangle} other
+   * @returns {Rectangle} This rectangle
+   */
+  enlarge(other) {
+    const x1 = Math.min(this.x, other.x);
+    const y1 = Math.min(this.y, other.y);
+    const x2 = Math.max(this.right, other.right);
+    const y2 = Math.max(this.bottom, other.bottom);
+    this.x = x1;
+    this.y = y1;
+    this.width = x2 - x1;
+    this.height = y2 - y1;
+    return this;
+  }
+
+  /**
+   * Do the rectangles overlap or touch?
+   * @param {Rectangle} other
+   * @returns {boolean}
+   */
+  intersects(other) {
+    return other.x <= this.right && other.right >= this.x && other.y <= this.bottom && other.bottom >= this.y;
+  }
+
+  overlaps(other) { return this.intersects(other.getBounds()); }
+
+  iterateEdges() { return edgesForPoints(this.points); }
+
+  lineSegmentIntersects(a, b, opts) { return shapeSegmentIntersects(this, a, b, opts); }
+
+  segmentIntersections(a, b) { return shapeSegmentIntersections(this, a, b); }
+
+  toPolygon() { return new Polygon(this.points); }
+}
+
+export class Polygon {
+  /**
+   * @param {number[]|Point[]} points
+   */
+  constructor(points = []) {
+    this.points = typeof points[0] === "object" ? points.flatMap(pt => [pt.x, pt.y]) : [...points];
+  }
+
+  clone() { return new this.constructor(this.points); }
+
+  getBounds() {
+    const xs = this.points.filter((_x, i) => !(i % 2));
+    const ys = this.points.filter((_y, i) => i % 2);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return new Rectangle(x, y, Math.max(...xs) - x, Math.max(...ys) - y);
+  }
+
+  /**
+   * Even-odd test for a point inside the polygon.
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean}
+   */
+  contains(x, y) {
+    let inside = false;
+    for ( const { A, B } of this.iterateEdges() ) {
+      if ( (A.y > y) === (B.y > y) ) continue;
+      if ( x < A.x + (((y - A.y) * (B.x - A.x)) / (B.y - A.y)) ) inside = !inside;
+    }
+    return inside;
+  }
+
+  iterateEdges() { return edgesForPoints(this.points); }
+
+  lineSegmentIntersects(a, b, opts) { return shapeSegmentIntersects(this, a, b, opts); }
+
+  segmentIntersections(a, b) { return shapeSegmentIntersections(this, a, b); }
+}
@@ -0,0 +1,46 @@
+"use strict";
+
+// Stand-in for a module Web Worker: runs the worker script in its own context,
+// passing messages in each direction on a later turn of the event loop, as a browser would.
+
+import { readFileSync } from "node:fs";
+import vm from "node:vm";
+
+export class Worker {
+  /** @type {function|undefined} */
+  onmessage;
+
+  /** @type {function|undefined} */
+  onerror;
+
+  /** @type {object|undefined} Most recent message the worker posted */
+  lastPosted;
+
+  /** @type {object} The worker's global scope */
+  #self;
+
+  /** @type {boolean} */
+  #terminated = false;
+
+  /**
+   * @param {URL} url     Worker script
+   */
+  constructor(url) {
+    const self = this.#self = {
+      postMessage: msg => {
+        this.lastPosted = msg;
+        setImmediate(() => !this.#terminated && this.onmessage?.({ data: msg }));
+      }
+    };
+    vm.runInNewContext(readFileSync(url, "utf8"), { self });
+  }
+
+  /**
+   * @param {object} msg
+   */
+  postMessage(msg) {
+    setImmediate(() => !this.#terminated && this.#self.onmessage({ data: msg }));
+  }
+
+  terminate() { this.#terminated = true; }
+}